@@ -1,6 +1,10 @@
 import javaParser from 'java-parser';
 // import logger from '../utils/loggerUtils';
 
+// 단편 코드(메서드/구문)를 CST로 파싱하기 위한 래퍼 이름 - 분석 결과에서는 제외됨
+const SNIPPET_CLASS_NAME = 'JciSnippetWrapper';
+const SNIPPET_METHOD_NAME = 'jciSnippetMethod';
+
 export class JavaASTParser {
   constructor() {
     this.parser = javaParser;
@@ -26,16 +30,52 @@ export class JavaASTParser {
     ];
   }
 
+  /**
+   * Java 코드 구조 분석
+   * 
+   * 내부 흐름:
+   * 1. java-parser로 CST(Concrete Syntax Tree) 생성
+   *    - 전체 컴파일 단위 파싱 실패 시 클래스/메서드 래퍼로 감싸 단편 코드 재시도
+   * 2. ASTPatternVisitor로 CST 순회 → 라인/컬럼 범위가 포함된 분석 결과 생성
+   * 3. CST 파싱이 모두 실패한 경우에만 정규식 기반 분석으로 전환
+   * 
+   * @param {string} javaCode - 분석할 Java 소스코드
+   * @returns {object} { success, ast, analysis, parseMode: 'cst'|'regex'|'none', parseError, error }
+   */
   parseJavaCode(javaCode) {
+    // Step 1: CST 파싱
+    const cstResult = this.parseCST(javaCode);
+    let parseError = cstResult.error;
+
+    // Step 2: CST 순회 분석
+    if (cstResult.cst) {
+      try {
+        const analysis = this.analyzeCST(cstResult);
+
+        return {
+          success: true,
+          ast: cstResult.cst,
+          analysis,
+          parseMode: 'cst',
+          parseError: null,
+          error: null
+        };
+      } catch (error) {
+        console.warn('CST 분석 실패, 정규식 분석으로 전환:', error.message);
+        parseError = error.message;
+      }
+    }
+
+    // Step 3: 정규식 기반 분석 (CST 실패 시에만)
     try {
-      // java-parser 라이브러리가 완전하지 않아 정규식 기반 분석 사용
-      // logger.info('Java 코드 분석 중...');
       const fallbackAnalysis = this.fallbackAnalysis(javaCode);
       
       return {
         success: true,
         ast: null,
         analysis: fallbackAnalysis,
+        parseMode: 'regex',
+        parseError,
         error: null
       };
     } catch (error) {
@@ -48,14 +88,60 @@ export class JavaASTParser {
         success: false,
         ast: null,
         analysis: emptyAnalysis,
+        parseMode: 'none',
+        parseError,
         error: error.message
       };
     }
   }
 
+  parseCST(javaCode) {
+    // 컴파일 단위 → 클래스 본문 → 메서드 본문 순으로 파싱 시도
+    // 래퍼의 여는 줄 수만큼 lineOffset을 두어 원본 라인 번호로 복원
+    const candidates = [
+      { source: javaCode, lineOffset: 0, wrapper: null },
+      { source: `class ${SNIPPET_CLASS_NAME} {\n${javaCode}\n}`, lineOffset: 1, wrapper: 'class' },
+      {
+        source: `class ${SNIPPET_CLASS_NAME} {\nvoid ${SNIPPET_METHOD_NAME}() {\n${javaCode}\n}\n}`,
+        lineOffset: 2,
+        wrapper: 'method'
+      }
+    ];
+
+    let firstError = null;
+
+    for (const candidate of candidates) {
+      try {
+        const cst = this.parser.parse(candidate.source);
+        return { cst, ...candidate, error: null };
+      } catch (error) {
+        // 원본 코드의 파싱 오류 메시지가 가장 의미 있으므로 첫 오류만 보존
+        if (!firstError) firstError = error.message;
+      }
+    }
+
+    return { cst: null, source: javaCode, lineOffset: 0, wrapper: null, error: firstError };
+  }
+
+  analyzeCST({ cst, source, lineOffset, wrapper }) {
+    // CST 전체를 순회하며 방문자에 분석 데이터 수집
+    const visitor = new ASTPatternVisitor(
+      this.frameworkClasses,
+      this.resourceTypes,
+      this.securitySensitiveApis,
+      { source, lineOffset, wrapper }
+    );
+
+    this.traverseAST(cst, visitor);
+    visitor.finalize();
+
+    return visitor.toAnalysis();
+  }
+
   createEmptyAnalysis() {
     // 분석 실패 시 반환할 기본 구조체
     return {
+      parseMode: 'none',
       nodeTypes: [],
       nodeCount: 0,
       maxDepth: 1,
@@ -81,40 +167,33 @@ export class JavaASTParser {
   }
 
   traverseAST(node, visitor, depth = 0) {
-    if (!node || typeof node !== 'object') {
+    // 토큰(image 보유)이나 빈 노드는 방문 대상이 아님
+    if (!node || typeof node !== 'object' || !node.name) {
       return;
     }
 
     // visitor의 visit 메서드 호출하여 현재 노드 처리
     visitor.visit(node, depth);
     
-    // children 속성이 배열인 경우 모든 자식 노드 재귀 방문
-    if (node.children && Array.isArray(node.children)) {
-      node.children.forEach(child => {
-        this.traverseAST(child, visitor, depth + 1);
-      });
-    }
-    
-    // location을 제외한 모든 객체/배열 속성을 재귀 탐색
-    Object.keys(node).forEach(key => {
-      if (key !== 'children' && key !== 'location') {
-        const value = node[key];
-        if (Array.isArray(value)) {
-          value.forEach(item => {
-            if (typeof item === 'object' && item !== null) {
-              this.traverseAST(item, visitor, depth + 1);
-            }
-          });
-        } else if (typeof value === 'object' && value !== null) {
-          this.traverseAST(value, visitor, depth + 1);
-        }
-      }
+    // java-parser CST의 children은 { 규칙명: [노드|토큰] } 형태
+    // 소스 순서를 보장하기 위해 시작 오프셋 기준으로 정렬 후 재귀 방문
+    const childNodes = Object.values(node.children || {})
+      .flat()
+      .filter(child => child && child.name && child.children)
+      .sort((a, b) => (a.location?.startOffset ?? 0) - (b.location?.startOffset ?? 0));
+
+    childNodes.forEach(child => {
+      this.traverseAST(child, visitor, depth + 1);
     });
+
+    // 하위 노드 방문 완료 후 클래스/메서드/루프 컨텍스트 복원
+    visitor.leave(node, depth);
   }
 
   fallbackAnalysis(javaCode) {
     // AST 파싱 실패 시 정규식으로 기본적인 코드 분석 수행
     return {
+      parseMode: 'regex',
       nodeTypes: this.extractNodeTypesRegex(javaCode),
       nodeCount: this.countNodesRegex(javaCode),
       maxDepth: this.estimateDepthRegex(javaCode),
@@ -480,11 +559,50 @@ export class JavaASTParser {
   }
 }
 
+// CST 규칙명 → 분석 결과에 기록할 노드 타입 (정규식 분석과 동일한 명명 규칙)
+const CST_NODE_TYPES = {
+  classDeclaration: 'ClassDeclaration',
+  interfaceDeclaration: 'InterfaceDeclaration',
+  methodDeclaration: 'MethodDeclaration',
+  interfaceMethodDeclaration: 'MethodDeclaration',
+  constructorDeclaration: 'ConstructorDeclaration',
+  fieldDeclaration: 'VariableDeclaration',
+  localVariableDeclaration: 'VariableDeclaration',
+  ifStatement: 'IfStatement',
+  basicForStatement: 'ForStatement',
+  enhancedForStatement: 'ForStatement',
+  whileStatement: 'WhileStatement',
+  doStatement: 'DoStatement',
+  switchStatement: 'SwitchStatement',
+  tryStatement: 'TryStatement',
+  annotation: 'Annotation',
+  unqualifiedClassInstanceCreationExpression: 'ObjectCreation',
+  lambdaExpression: 'LambdaExpression'
+};
+
+// 중괄호 블록을 여는 CST 규칙 (maxDepth 계산용 - 정규식 분석의 중괄호 깊이와 동일한 의미)
+const BLOCK_NODES = new Set([
+  'classBody', 'interfaceBody', 'enumBody', 'recordBody',
+  'block', 'constructorBody', 'switchBlock'
+]);
+
+const LOOP_TYPES = {
+  basicForStatement: 'ForStatement',
+  enhancedForStatement: 'ForStatement',
+  whileStatement: 'WhileStatement',
+  doStatement: 'DoStatement'
+};
+
 class ASTPatternVisitor {
-  constructor(frameworkClasses, resourceTypes, securitySensitiveApis) {
+  constructor(frameworkClasses, resourceTypes, securitySensitiveApis, sourceInfo = {}) {
     this.frameworkClasses = frameworkClasses;
     this.resourceTypes = resourceTypes;
     this.securitySensitiveApis = securitySensitiveApis;
+
+    // CST 오프셋으로 원문을 잘라내고, 래퍼 줄 수만큼 라인 번호 보정
+    this.source = sourceInfo.source || '';
+    this.lineOffset = sourceInfo.lineOffset || 0;
+    this.wrapper = sourceInfo.wrapper || null;
     
     // AST 순회하며 수집할 데이터 저장소
     this.nodeTypes = [];
@@ -517,123 +635,315 @@ class ASTPatternVisitor {
     this.codeSmells = [];
     this.designPatterns = [];
     
-    // AST 순회 중 현재 컨텍스트 추적
+    // AST 순회 중 현재 컨텍스트 추적 (중첩 클래스/익명 클래스/중첩 루프 대응을 위해 스택 사용)
     this.currentClass = null;
     this.currentMethod = null;
     this.inLoop = false;
-    this.resources = new Map(); // 변수명 -> {type, declared, closed, inTryWithResources}
+    this.classStack = [];
+    this.methodStack = [];
+    this.loopStack = [];
+    this.blockDepth = 0;
+    this.inResourceSpecification = false;
+    this.scopeCounter = 0;
+    this.syntheticDepth = 0;
+    this.resources = new Map(); // "스코프#변수명" -> {type, variable, closed, inTryWithResources, location}
+    this.concatenatedStrings = new Set(); // 문자열 연결(+)로 만들어진 "스코프#변수명"
   }
 
   visit(node, depth) {
-    if (!node || !node.type) return;
-    
-    // 노드 개수와 최대 깊이 업데이트
-    this.nodeCount++;
-    this.maxDepth = Math.max(this.maxDepth, depth);
-    this.nodeTypes.push(node.type);
+    if (!node || !node.name) return;
+
+    // 의미 있는 노드만 노드 타입/개수에 기록 (CST 중간 규칙은 제외)
+    const nodeType = CST_NODE_TYPES[node.name];
+    if (nodeType) {
+      this.nodeCount++;
+      this.nodeTypes.push(nodeType);
+    }
+
+    if (BLOCK_NODES.has(node.name)) {
+      this.blockDepth++;
+      this.maxDepth = Math.max(this.maxDepth, this.blockDepth);
+    }
     
     // 노드 타입에 따라 해당 처리 메서드 호출
-    switch (node.type) {
-      case 'ClassDeclaration':
+    switch (node.name) {
+      case 'classDeclaration':
+      case 'interfaceDeclaration':
         this.visitClassDeclaration(node);
         break;
-      case 'MethodDeclaration':
+      case 'methodDeclaration':
+      case 'interfaceMethodDeclaration':
+      case 'constructorDeclaration':
         this.visitMethodDeclaration(node);
         break;
-      case 'VariableDeclaration':
+      case 'fieldDeclaration':
+      case 'localVariableDeclaration':
         this.visitVariableDeclaration(node);
         break;
-      case 'MethodInvocation':
-        this.visitMethodInvocation(node);
+      case 'primary':
+        this.visitPrimary(node);
         break;
-      case 'IfStatement':
+      case 'unqualifiedClassInstanceCreationExpression':
+        this.visitConstructorCall(node);
+        break;
+      case 'ifStatement':
         this.visitIfStatement(node);
         break;
-      case 'ForStatement':
-      case 'WhileStatement':
+      case 'basicForStatement':
+      case 'enhancedForStatement':
+      case 'whileStatement':
+      case 'doStatement':
         this.visitLoopStatement(node);
         break;
-      case 'TryStatement':
+      case 'switchStatement':
+        this.visitSwitchStatement(node);
+        break;
+      case 'tryStatement':
         this.visitTryStatement(node);
         break;
-      case 'Annotation':
+      case 'resource':
+        this.visitResource(node);
+        break;
+      case 'conditionalExpression':
+      case 'binaryExpression':
+        this.visitConditionExpression(node);
+        break;
+      case 'annotation':
         this.visitAnnotation(node);
         break;
     }
   }
 
+  leave(node) {
+    // visit에서 설정한 컨텍스트를 하위 노드 방문 후 원래대로 복원
+    if (BLOCK_NODES.has(node.name)) {
+      this.blockDepth--;
+    }
+
+    switch (node.name) {
+      case 'classDeclaration':
+      case 'interfaceDeclaration':
+        this.classStack.pop();
+        this.currentClass = this.classStack[this.classStack.length - 1] || null;
+        break;
+      case 'methodDeclaration':
+      case 'interfaceMethodDeclaration':
+      case 'constructorDeclaration':
+        this.methodStack.pop();
+        this.currentMethod = this.methodStack[this.methodStack.length - 1] || null;
+        break;
+      case 'basicForStatement':
+      case 'enhancedForStatement':
+      case 'whileStatement':
+      case 'doStatement': {
+        const loopInfo = this.loopStack.pop();
+        loopInfo.hasComplexBody = this.estimateLoopComplexity(loopInfo);
+        this.inLoop = this.loopStack.length > 0;
+        break;
+      }
+      case 'resource':
+        this.inResourceSpecification = false;
+        break;
+    }
+  }
+
   visitClassDeclaration(node) {
+    // classDeclaration/interfaceDeclaration 아래 실제 선언 노드 탐색
+    const declaration = this.firstChild(node, [
+      'normalClassDeclaration', 'enumDeclaration', 'recordDeclaration',
+      'normalInterfaceDeclaration', 'annotationInterfaceDeclaration'
+    ]);
+    const name = this.identifierOf(this.child(declaration, 'typeIdentifier')) || 'Unknown';
+
+    // 단편 코드 파싱용 래퍼 클래스는 기록하지 않음
+    if (this.wrapper && name === SNIPPET_CLASS_NAME) {
+      this.skipSyntheticNode();
+      this.classStack.push(null);
+      this.currentClass = null;
+      return;
+    }
+
     // 클래스 정보 추출 및 현재 클래스 컨텍스트 설정
-    this.currentClass = {
-      name: node.name?.name || 'Unknown',
-      superClass: node.superClass?.name || null,
-      interfaces: node.interfaces?.map(i => i.name) || []
+    const modifierNodes = this.children(node, 'classModifier').concat(this.children(node, 'interfaceModifier'));
+    const superClassNode = this.child(this.child(declaration, 'classExtends'), 'classType');
+    const interfaceList = this.child(declaration, 'classImplements') || this.child(declaration, 'interfaceExtends');
+
+    const classInfo = {
+      name,
+      kind: this.classKindOf(declaration),
+      extends: superClassNode ? this.textOf(superClassNode) : null,
+      implements: this.children(this.child(interfaceList, 'interfaceTypeList'), 'interfaceType')
+        .map(type => this.textOf(type)),
+      modifiers: this.modifiersOf(modifierNodes),
+      annotations: this.annotationNamesOf(modifierNodes),
+      outerClass: this.currentClass?.name || null,
+      location: this.toLocation(node.location)
     };
     
-    this.classDeclarations.push(this.currentClass);
+    this.classDeclarations.push(classInfo);
+    this.classStack.push(classInfo);
+    this.currentClass = classInfo;
     
     // 부모 클래스가 프레임워크 클래스인지 확인하여 상속 패턴 기록
-    if (this.currentClass.superClass) {
+    if (classInfo.extends) {
+      const parentClass = this.baseTypeName(classInfo.extends);
       this.inheritancePatterns.push({
-        childClass: this.currentClass.name,
-        parentClass: this.currentClass.superClass,
-        isFrameworkClass: this.frameworkClasses.includes(this.currentClass.superClass)
+        childClass: classInfo.name,
+        parentClass,
+        isFrameworkClass: this.frameworkClasses.includes(parentClass),
+        location: classInfo.location
       });
     }
   }
 
   visitMethodDeclaration(node) {
+    // 일반/인터페이스 메서드는 methodHeader, 생성자는 constructorDeclarator에 시그니처 보유
+    const isConstructor = node.name === 'constructorDeclaration';
+    const header = this.child(node, 'methodHeader');
+    const declarator = isConstructor
+      ? this.child(node, 'constructorDeclarator')
+      : this.child(header, 'methodDeclarator');
+
+    const name = isConstructor
+      ? this.identifierOf(this.child(declarator, 'simpleTypeName'))
+      : declarator?.children.Identifier?.[0]?.image;
+
+    // 단편 코드 파싱용 래퍼 메서드는 기록하지 않음
+    if (this.wrapper === 'method' && name === SNIPPET_METHOD_NAME) {
+      this.skipSyntheticNode();
+      this.methodStack.push(null);
+      this.currentMethod = null;
+      return;
+    }
+
+    const result = this.child(header, 'result');
+    const parameterList = this.child(declarator, 'formalParameterList');
+    const modifierNodes = ['methodModifier', 'interfaceMethodModifier', 'constructorModifier']
+      .flatMap(modifierName => this.children(node, modifierName));
+    const throwsNode = this.child(isConstructor ? node : header, 'throws');
+    const location = this.toLocation(node.location);
+
     // 메서드 정보 추출 및 현재 메서드 컨텍스트 설정
     this.currentMethod = {
-      name: node.name?.name || 'Unknown',
-      returnType: node.returnType?.name || 'void',
-      parameters: node.parameters?.length || 0,
-      modifiers: node.modifiers || []
+      name: name || 'Unknown',
+      returnType: isConstructor ? null : (result?.children.Void ? 'void' : this.textOf(result)),
+      parameters: parameterList ? this.textOf(parameterList) : '',
+      parameterCount: this.children(parameterList, 'formalParameter').length,
+      modifiers: this.modifiersOf(modifierNodes),
+      annotations: this.annotationNamesOf(modifierNodes),
+      throws: this.children(this.child(throwsNode, 'exceptionTypeList'), 'exceptionType')
+        .map(type => this.textOf(type)),
+      isConstructor,
+      className: this.currentClass?.name || null,
+      lineCount: location.endLine - location.startLine + 1,
+      location,
+      scopeId: ++this.scopeCounter
     };
     
     this.methodDeclarations.push(this.currentMethod);
+    this.methodStack.push(this.currentMethod);
   }
 
   visitVariableDeclaration(node) {
-    if (node.type && node.declarators) {
-      node.declarators.forEach(declarator => {
-        const varInfo = {
-          name: declarator.name?.name || 'Unknown',
-          type: node.type.name || 'Unknown',
-          hasInitializer: !!declarator.initializer,
-          isResource: this.resourceTypes.includes(node.type.name),
-          context: this.currentMethod?.name || this.currentClass?.name || 'global'
-        };
-        
-        this.variableDeclarations.push(varInfo);
-        
-        // Connection, FileStream 등 리소스 타입 변수는 별도 추적
-        if (varInfo.isResource) {
-          this.resources.set(varInfo.name, {
-            type: varInfo.type,
-            declared: true,
-            closed: false,
-            inTryWithResources: false
-          });
+    // 필드는 unannType, 지역변수는 localVariableType(unannType 또는 var) 보유
+    const typeNode = this.child(node, 'unannType') || this.child(node, 'localVariableType');
+    const typeName = typeNode ? this.textOf(typeNode) : 'Unknown';
+    const baseType = this.baseTypeName(typeName);
+    const isField = node.name === 'fieldDeclaration';
+
+    const declarators = this.children(this.child(node, 'variableDeclaratorList'), 'variableDeclarator');
+
+    declarators.forEach(declarator => {
+      const initializer = this.child(declarator, 'variableInitializer');
+      const varInfo = {
+        name: this.identifierOf(this.child(declarator, 'variableDeclaratorId')) || 'Unknown',
+        type: typeName,
+        hasInitializer: !!initializer,
+        isField,
+        isResource: this.resourceTypes.includes(baseType),
+        context: this.contextName('global'),
+        location: this.toLocation(declarator.location)
+      };
+      
+      this.variableDeclarations.push(varInfo);
+
+      // "SELECT ..." + id 처럼 문자열 연결로 만든 변수는 SQL 인젝션 판단에 활용
+      if (initializer && this.hasStringConcatenation(initializer)) {
+        this.concatenatedStrings.add(this.scopedName(varInfo.name));
+      }
+      
+      // Connection, FileStream 등 지역 리소스 변수는 별도 추적 (필드는 생명주기가 메서드 밖에서 결정됨)
+      if (varInfo.isResource && !isField) {
+        this.resources.set(this.scopedName(varInfo.name), {
+          type: baseType,
+          variable: varInfo.name,
+          declared: true,
+          closed: false,
+          inTryWithResources: this.inResourceSpecification,
+          context: varInfo.context,
+          location: varInfo.location
+        });
+      }
+    });
+  }
+
+  visitPrimary(node) {
+    // java-parser는 메서드 호출을 primary(접두부 + 접미부 목록)로 표현
+    //   ds.getConnection()      → prefix: fqnOrRefType(ds.getConnection), suffix: methodInvocationSuffix
+    //   this.a.b(x).c()         → prefix: this, suffix: .a / .b / (x) / .c / ()
+    const prefix = this.child(node, 'primaryPrefix');
+    const fqn = this.child(prefix, 'fqnOrRefType');
+    let nameToken = fqn ? this.lastIdentifierToken(fqn) : null;
+
+    this.children(node, 'primarySuffix').forEach(suffix => {
+      const invocation = this.child(suffix, 'methodInvocationSuffix');
+
+      if (invocation) {
+        if (nameToken) {
+          this.visitMethodInvocation(node, nameToken, invocation);
         }
-      });
-    }
+        nameToken = null;
+      } else {
+        nameToken = suffix.children.Identifier?.[0] || null;
+      }
+    });
   }
 
-  visitMethodInvocation(node) {
+  visitMethodInvocation(primaryNode, nameToken, invocation) {
+    // 호출 대상은 primary 시작부터 메서드명 직전까지의 원문 (예: "ps", "this.a.b(x)")
+    const target = this.source
+      .slice(primaryNode.location.startOffset, nameToken.startOffset)
+      .replace(/\s+/g, ' ')
+      .replace(/\.\s*$/, '')
+      .trim();
+    const argumentList = this.child(invocation, 'argumentList');
+
+    this.nodeCount++;
+    this.nodeTypes.push('MethodInvocation');
+
     // 메서드 호출 정보를 추출하고 루프 내 호출 여부 기록
     const methodCall = {
-      method: node.name?.name || 'Unknown',
-      target: node.target?.name || null,
-      arguments: node.arguments?.length || 0,
-      context: this.currentMethod?.name || 'Unknown',
-      inLoop: this.inLoop
+      method: nameToken.image,
+      target: target || null,
+      arguments: this.children(argumentList, 'expression').length,
+      context: this.contextName('Unknown'),
+      inLoop: this.inLoop,
+      location: this.toLocation({
+        startLine: nameToken.startLine,
+        startColumn: nameToken.startColumn,
+        endLine: invocation.location.endLine,
+        endColumn: invocation.location.endColumn
+      })
     };
     
     this.methodInvocations.push(methodCall);
+
+    if (this.loopStack.length > 0) {
+      this.loopStack[this.loopStack.length - 1].invocationCount++;
+    }
     
     // executeQuery 등 보안 민감 API 호출 패턴 분석
-    this.analyzeSecurityPattern(methodCall);
+    this.analyzeSecurityPattern(methodCall, argumentList);
     
     // 루프 내 DB 쿼리 등 성능 문제 패턴 분석
     this.analyzePerformancePattern(methodCall);
@@ -642,85 +952,208 @@ class ASTPatternVisitor {
     this.analyzeResourceManagement(methodCall);
   }
 
+  visitConstructorCall(node) {
+    // new 표현식의 생성 대상 타입 기록 (익명 클래스 포함)
+    const typeNode = this.child(node, 'classOrInterfaceTypeToInstantiate');
+    this.constructorCalls.push({
+      type: (typeNode?.children.Identifier || []).map(token => token.image).join('.') || 'Unknown',
+      arguments: this.children(this.child(node, 'argumentList'), 'expression').length,
+      isAnonymousClass: !!this.child(node, 'classBody'),
+      context: this.contextName('Unknown'),
+      location: this.toLocation(node.location)
+    });
+  }
+
   visitIfStatement(node) {
     // if문은 순환 복잡도를 1 증가시킴
     this.cyclomaticComplexity++;
     this.controlStructures.push({
       type: 'if',
-      hasElse: !!node.elseStatement,
-      context: this.currentMethod?.name || 'Unknown'
+      hasElse: !!node.children.Else,
+      context: this.contextName('Unknown'),
+      location: this.toLocation(node.location)
     });
   }
 
   visitLoopStatement(node) {
-    // 루프문은 순환 복잡도를 1 증가시키고 루프 컨텍스트 설정
+    // 루프문은 순환 복잡도를 1 증가시키고 루프 컨텍스트 설정 (복원은 leave에서 처리)
     this.cyclomaticComplexity++;
-    const wasInLoop = this.inLoop;
-    this.inLoop = true;
-    
+    const loopType = LOOP_TYPES[node.name];
+    const location = this.toLocation(node.location);
+
     this.controlStructures.push({
-      type: node.type.toLowerCase().replace('statement', ''),
-      context: this.currentMethod?.name || 'Unknown'
+      type: loopType.toLowerCase().replace('statement', ''),
+      context: this.contextName('Unknown'),
+      location
     });
-    
-    this.loopAnalysis.push({
-      type: node.type,
-      hasComplexBody: this.estimateLoopComplexity(node),
-      context: this.currentMethod?.name || 'Unknown'
+
+    // 바깥 루프가 있으면 중첩 루프로 표시
+    const parentLoop = this.loopStack[this.loopStack.length - 1];
+    if (parentLoop) {
+      parentLoop.hasNestedLoop = true;
+    }
+
+    const loopInfo = {
+      type: loopType,
+      hasComplexBody: false,
+      nestingLevel: this.loopStack.length + 1,
+      hasNestedLoop: false,
+      invocationCount: 0,
+      context: this.contextName('Unknown'),
+      location
+    };
+
+    this.loopAnalysis.push(loopInfo);
+    this.loopStack.push(loopInfo);
+    this.inLoop = true;
+  }
+
+  visitSwitchStatement(node) {
+    // case 라벨마다 분기가 하나씩 늘어나므로 순환 복잡도에 반영 (default 제외)
+    const switchBlock = this.child(node, 'switchBlock');
+    const labels = [
+      ...this.children(switchBlock, 'switchBlockStatementGroup'),
+      ...this.children(switchBlock, 'switchRule')
+    ].flatMap(group => this.children(group, 'switchLabel'));
+    const caseCount = labels.filter(label => label.children.Case).length;
+
+    this.cyclomaticComplexity += caseCount;
+    this.controlStructures.push({
+      type: 'switch',
+      caseCount,
+      hasDefault: labels.some(label => label.children.Default),
+      context: this.contextName('Unknown'),
+      location: this.toLocation(node.location)
     });
-    
-    // 루프 처리 완료 후 이전 루프 상태로 복원
-    this.inLoop = wasInLoop;
   }
 
   visitTryStatement(node) {
+    // 일반 try와 try-with-resources는 CST 구조가 다르므로 실제 구문 노드 선택
+    const tryNode = this.child(node, 'tryWithResourcesStatement') || node;
+    const resources = this.children(
+      this.child(this.child(tryNode, 'resourceSpecification'), 'resourceList'),
+      'resource'
+    );
+    const catchClauses = this.children(this.child(tryNode, 'catches'), 'catchClause');
+    const finallyNode = this.child(tryNode, 'finally');
+    const location = this.toLocation(node.location);
+
     // try-catch-finally 구조 분석 및 try-with-resources 확인
     const tryInfo = {
-      type: 'try_catch',
-      hasResources: !!(node.resources && node.resources.length > 0),
-      catchCount: node.catches?.length || 0,
-      hasFinally: !!node.finallyBlock,
-      context: this.currentMethod?.name || 'Unknown'
+      type: resources.length > 0 ? 'try_with_resources' : 'try_catch',
+      hasResources: resources.length > 0,
+      resourceCount: resources.length,
+      catchCount: catchClauses.length,
+      caughtExceptions: catchClauses.map(clause =>
+        this.textOf(this.child(this.child(clause, 'catchFormalParameter'), 'catchType'))
+      ),
+      hasFinally: !!finallyNode,
+      // 구조 규칙(try-with-resources 선언 변수, finally 범위 내 호출 등) 판정용
+      resourceVariables: resources.map(resource => {
+        const variableAccess = this.child(resource, 'variableAccess');
+        if (variableAccess) return this.textOf(variableAccess);
+        const declarator = this.child(
+          this.child(this.child(resource, 'localVariableDeclaration'), 'variableDeclaratorList'),
+          'variableDeclarator'
+        );
+        return this.identifierOf(this.child(declarator, 'variableDeclaratorId'));
+      }).filter(Boolean),
+      catchClauses: catchClauses.map(clause => ({
+        exceptionType: this.textOf(this.child(this.child(clause, 'catchFormalParameter'), 'catchType')),
+        isEmpty: !this.child(clause, 'block')?.children.blockStatements,
+        location: this.toLocation(clause.location)
+      })),
+      finallyLocation: finallyNode ? this.toLocation(finallyNode.location) : null,
+      context: this.contextName('Unknown'),
+      location
     };
     
     this.exceptionHandling.push(tryInfo);
-    
-    // try-with-resources 구문의 리소스 변수는 자동 해제됨을 표시
-    if (tryInfo.hasResources) {
-      node.resources.forEach(resource => {
-        if (resource.name) {
-          const resourceName = resource.name.name;
-          if (this.resources.has(resourceName)) {
-            this.resources.get(resourceName).inTryWithResources = true;
-          }
-        }
-      });
+    this.controlStructures.push({ type: 'try', context: tryInfo.context, location });
+
+    // catch 절마다 예외 분기가 생기므로 순환 복잡도에 반영
+    this.cyclomaticComplexity += catchClauses.length;
+
+    // 본문이 비어 있는 catch 블록은 예외를 삼키는 코드 냄새로 기록
+    catchClauses.forEach((clause, index) => {
+      const block = this.child(clause, 'block');
+      if (block && !block.children.blockStatements) {
+        this.codeSmells.push({
+          type: 'empty_catch_block',
+          exceptionType: tryInfo.caughtExceptions[index],
+          context: tryInfo.context,
+          location: this.toLocation(clause.location)
+        });
+      }
+    });
+  }
+
+  visitResource(node) {
+    // try (conn) 처럼 기존 변수를 리소스로 지정한 경우 자동 해제됨을 표시
+    const variableAccess = this.child(node, 'variableAccess');
+    if (variableAccess) {
+      const resourceInfo = this.resources.get(this.scopedName(this.textOf(variableAccess)));
+      if (resourceInfo) {
+        resourceInfo.inTryWithResources = true;
+      }
+      return;
+    }
+
+    // try (Connection conn = ...) 선언은 이어지는 localVariableDeclaration 방문 시 처리
+    this.inResourceSpecification = true;
+  }
+
+  visitConditionExpression(node) {
+    // 삼항 연산자와 &&, || 단락 평가도 분기이므로 순환 복잡도에 반영
+    if (node.name === 'conditionalExpression' && node.children.QuestionMark) {
+      this.cyclomaticComplexity++;
+    }
+
+    if (node.name === 'binaryExpression') {
+      const operators = node.children.BinaryOperator || [];
+      this.cyclomaticComplexity += operators.filter(op => op.image === '&&' || op.image === '||').length;
     }
   }
 
   visitAnnotation(node) {
     // @Service, @Override 등 어노테이션 정보 추출
     this.annotations.push({
-      name: node.name?.name || 'Unknown',
-      context: this.currentMethod?.name || this.currentClass?.name || 'Unknown'
+      name: this.textOf(this.child(node, 'typeName')) || 'Unknown',
+      context: this.contextName('Unknown'),
+      location: this.toLocation(node.location)
     });
   }
 
-  analyzeSecurityPattern(methodCall) {
+  skipSyntheticNode() {
+    // visit()에서 기록한 래퍼 노드를 되돌리고, 래퍼가 추가한 중괄호 깊이를 보정
+    this.nodeCount--;
+    this.nodeTypes.pop();
+    this.syntheticDepth++;
+  }
+
+  analyzeSecurityPattern(methodCall, argumentList) {
     // executeQuery, encrypt 등 보안 민감 API 호출 기록
     if (this.securitySensitiveApis.includes(methodCall.method)) {
       this.securityPatterns.push({
         type: 'sensitive_api_call',
         method: methodCall.method,
-        context: methodCall.context
+        context: methodCall.context,
+        location: methodCall.location
       });
       
-      // SQL 실행 메서드는 SQL 인젝션 잠재 위험으로 기록
-      if (['executeQuery', 'executeUpdate', 'execute'].includes(methodCall.method)) {
+      // SQL 문자열을 직접 전달하는 실행 메서드만 SQL 인젝션 잠재 위험으로 기록
+      // (인자 없는 PreparedStatement.executeQuery()는 바인딩된 쿼리이므로 제외)
+      if (['executeQuery', 'executeUpdate', 'execute'].includes(methodCall.method) && methodCall.arguments > 0) {
+        const concatenated = this.hasStringConcatenation(argumentList) ||
+          this.children(argumentList, 'expression')
+            .some(arg => this.concatenatedStrings.has(this.scopedName(this.textOf(arg))));
+
         this.sqlInjectionRisks.push({
           method: methodCall.method,
           context: methodCall.context,
-          riskLevel: 'MEDIUM'
+          riskLevel: concatenated ? 'HIGH' : 'MEDIUM',
+          stringConcatenation: concatenated,
+          location: methodCall.location
         });
       }
     }
@@ -733,7 +1166,8 @@ class ASTPatternVisitor {
         type: 'n_plus_one_query',
         method: methodCall.method,
         context: methodCall.context,
-        severity: 'HIGH'
+        severity: 'HIGH',
+        location: methodCall.location
       });
     }
   }
@@ -741,29 +1175,196 @@ class ASTPatternVisitor {
   analyzeResourceManagement(methodCall) {
     // close() 메서드 호출 시 해당 리소스를 해제됨으로 표시
     if (methodCall.method === 'close' && methodCall.target) {
-      if (this.resources.has(methodCall.target)) {
-        this.resources.get(methodCall.target).closed = true;
+      const resourceInfo = this.resources.get(this.scopedName(methodCall.target.replace(/^this\./, '')));
+      if (resourceInfo) {
+        resourceInfo.closed = true;
+        resourceInfo.closeLocation = methodCall.location;
       }
     }
   }
 
-  estimateLoopComplexity(node) {
-    // 루프 본문의 복잡도 추정 (실제 구현에서는 더 정교한 분석 필요)
-    return false;
+  estimateLoopComplexity(loopInfo) {
+    // 중첩 루프가 있거나 본문에서 메서드 호출이 많으면 복잡한 루프로 판단
+    return loopInfo.hasNestedLoop || loopInfo.invocationCount >= 5;
   }
 
   finalize() {
-    // AST 순회 완료 후 리소스 누수 위험 최종 분석
-    this.resources.forEach((resourceInfo, varName) => {
+    // AST 순회 완료 후 리소스 생명주기 및 누수 위험 최종 분석
+    this.resources.forEach(resourceInfo => {
+      const hasCloseCall = resourceInfo.closed;
+
+      this.resourceLifecycles.push({
+        type: resourceInfo.type,
+        variable: resourceInfo.variable,
+        stage: resourceInfo.inTryWithResources ? 'auto_closed' : (hasCloseCall ? 'closed' : 'opened'),
+        inTryWithResources: resourceInfo.inTryWithResources,
+        hasCloseCall,
+        riskLevel: (!resourceInfo.inTryWithResources && !hasCloseCall) ? 'HIGH' : 'LOW',
+        context: resourceInfo.context,
+        location: resourceInfo.location,
+        closeLocation: resourceInfo.closeLocation || null
+      });
+
       // try-with-resources도 없고 close()도 호출 안 된 경우 누수 위험
-      if (!resourceInfo.inTryWithResources && !resourceInfo.closed) {
+      if (!resourceInfo.inTryWithResources && !hasCloseCall) {
         this.resourceLeakRisks.push({
-          variable: varName,
+          variable: resourceInfo.variable,
           type: resourceInfo.type,
           riskLevel: 'HIGH',
-          reason: 'No close() call and not in try-with-resources'
+          reason: 'No close() call and not in try-with-resources',
+          context: resourceInfo.context,
+          location: resourceInfo.location
         });
       }
     });
   }
-}
\ No newline at end of file
+
+  toAnalysis() {
+    // fallbackAnalysis와 동일한 구조로 수집 결과 반환
+    return {
+      parseMode: 'cst',
+      nodeTypes: this.nodeTypes,
+      nodeCount: this.nodeCount,
+      maxDepth: Math.max(this.maxDepth - this.syntheticDepth, 1),
+      cyclomaticComplexity: this.cyclomaticComplexity,
+      classDeclarations: this.classDeclarations,
+      methodDeclarations: this.methodDeclarations.map(({ scopeId, ...method }) => method),
+      variableDeclarations: this.variableDeclarations,
+      methodInvocations: this.methodInvocations,
+      constructorCalls: this.constructorCalls,
+      controlStructures: this.controlStructures,
+      exceptionHandling: this.exceptionHandling,
+      annotations: this.annotations,
+      inheritancePatterns: this.inheritancePatterns,
+      resourceLifecycles: this.resourceLifecycles,
+      resourceLeakRisks: this.resourceLeakRisks,
+      securityPatterns: this.securityPatterns,
+      sqlInjectionRisks: this.sqlInjectionRisks,
+      performanceIssues: this.performanceIssues,
+      loopAnalysis: this.loopAnalysis.map(({ invocationCount, ...loop }) => loop),
+      codeSmells: this.codeSmells,
+      designPatterns: this.designPatterns
+    };
+  }
+
+  // ─────────────────────────────────────────────
+  // CST 탐색 헬퍼
+  // ─────────────────────────────────────────────
+
+  child(node, name) {
+    return node?.children?.[name]?.[0] || null;
+  }
+
+  children(node, name) {
+    return node?.children?.[name] || [];
+  }
+
+  firstChild(node, names) {
+    for (const name of names) {
+      const found = this.child(node, name);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  identifierOf(node) {
+    // 노드 하위의 첫 번째 Identifier 토큰 이름
+    const tokens = this.tokensOf(node);
+    return tokens.find(token => token.tokenType?.name === 'Identifier')?.image || null;
+  }
+
+  lastIdentifierToken(node) {
+    const identifiers = this.tokensOf(node).filter(token => token.tokenType?.name === 'Identifier');
+    return identifiers[identifiers.length - 1] || null;
+  }
+
+  tokensOf(node) {
+    // 하위 토큰을 소스 순서대로 수집
+    if (!node) return [];
+    const tokens = [];
+    Object.values(node.children || {}).flat().forEach(item => {
+      if (item.image !== undefined) {
+        tokens.push(item);
+      } else {
+        tokens.push(...this.tokensOf(item));
+      }
+    });
+    return tokens.sort((a, b) => a.startOffset - b.startOffset);
+  }
+
+  textOf(node) {
+    // CST 노드 범위의 원문 (공백 정규화) - 중첩 제네릭/여러 줄 시그니처도 그대로 보존
+    if (!node?.location || Number.isNaN(node.location.startOffset)) return '';
+    return this.source
+      .slice(node.location.startOffset, node.location.endOffset + 1)
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  modifiersOf(modifierNodes) {
+    // 어노테이션을 제외한 public/static/final 등 키워드 수정자
+    return modifierNodes.flatMap(modifier =>
+      Object.values(modifier.children)
+        .flat()
+        .filter(item => item.image !== undefined)
+        .map(token => token.image)
+    );
+  }
+
+  annotationNamesOf(modifierNodes) {
+    return modifierNodes
+      .map(modifier => this.child(modifier, 'annotation'))
+      .filter(Boolean)
+      .map(annotation => this.textOf(this.child(annotation, 'typeName')));
+  }
+
+  classKindOf(declaration) {
+    switch (declaration?.name) {
+      case 'enumDeclaration': return 'enum';
+      case 'recordDeclaration': return 'record';
+      case 'normalInterfaceDeclaration': return 'interface';
+      case 'annotationInterfaceDeclaration': return 'annotation';
+      default: return 'class';
+    }
+  }
+
+  baseTypeName(typeName) {
+    // "java.sql.Connection", "List<Map<String, Integer>>" → "Connection", "List"
+    return (typeName || '').replace(/<.*$/s, '').replace(/\[\]/g, '').split('.').pop().trim();
+  }
+
+  hasStringConcatenation(node) {
+    // 문자열 리터럴이 포함된 + 연산 여부
+    if (!node || !node.children) return false;
+
+    if (node.name === 'binaryExpression') {
+      const hasPlus = (node.children.BinaryOperator || []).some(op => op.image === '+');
+      if (hasPlus && this.tokensOf(node).some(token => token.tokenType?.name === 'StringLiteral')) {
+        return true;
+      }
+    }
+
+    return Object.values(node.children)
+      .flat()
+      .some(item => item.image === undefined && this.hasStringConcatenation(item));
+  }
+
+  contextName(defaultName) {
+    return this.currentMethod?.name || this.currentClass?.name || defaultName;
+  }
+
+  scopedName(variableName) {
+    // 같은 이름의 지역변수가 여러 메서드에 있을 수 있으므로 메서드 스코프로 구분
+    return `${this.currentMethod?.scopeId || 0}#${variableName}`;
+  }
+
+  toLocation(location) {
+    // 래퍼로 감싼 단편 코드는 추가된 줄 수만큼 라인 번호를 되돌림
+    return {
+      startLine: location.startLine - this.lineOffset,
+      startColumn: location.startColumn,
+      endLine: location.endLine - this.lineOffset,
+      endColumn: location.endColumn
+    };
+  }
+}
@@ -0,0 +1,282 @@
+/**
+ * 구조 규칙(structural rule) DSL 매처
+ *
+ * 가이드라인 JSON의 checkType: "structural" 규칙(structure 항목)을
+ * JavaASTParser CST 분석 결과(location이 포함된 선언/호출/제어구조 목록)에 대해 평가한다.
+ * 노드 사이의 포함 관계(감싸는 메서드, finally 블록 등)는 소스 범위(location)로 판단한다.
+ *
+ * 규칙 형식:
+ * {
+ *   "node": "variable",                                     // 대상 노드 종류 (NODE_KINDS)
+ *   "where": { "baseType": "Connection", "isField": false }, // 속성 조건
+ *   "inside": { "node": "method", "where": { ... } },        // 감싸는 노드 중 하나라도 만족
+ *   "notInside": { "node": "loop" },                         // 감싸는 노드 중 만족하는 것이 없어야 함
+ *   "has": [{ "node": "call", "scope": "method", ... }],     // 범위 안에 반드시 있어야 하는 노드
+ *   "without": [{ "node": "call", "scope": "method", ... }]  // 범위 안에 없어야 하는 노드 (absent sibling)
+ * }
+ *
+ * 속성 조건 값:
+ * - 스칼라: 같은 값 (배열 속성은 포함 여부, 예: "annotations": "Transactional")
+ * - { "in": [...] }, { "not": 값 }, { "matches": "정규식" }, { "exists": true|false }
+ * - "$속성": 바깥 대상 노드의 속성 참조 (예: has/without 안의 "target": "$name")
+ *
+ * inside/notInside/has/without 항목은 같은 형식을 재귀적으로 사용하며,
+ * has/without의 scope는 대상 노드를 감싸는 method | class | file (기본: method)
+ *
+ * # NOTE: 정규식 폴백 분석(parseMode: 'regex')에는 위치 정보가 없어 구조 규칙을 평가하지 않음
+ * # TODO: Python 변환 시 dataclass 기반 규칙 모델 + 재귀 매처로 대체
+ */
+
+// 노드 종류별 수집 방법과 where에서 사용할 수 있는 속성
+const NODE_KINDS = {
+  class: {
+    fields: ['name', 'kind', 'extends', 'implements', 'modifiers', 'annotations', 'outerClass'],
+    collect: analysis => analysis.classDeclarations
+  },
+  method: {
+    fields: ['name', 'returnType', 'parameterCount', 'modifiers', 'annotations', 'throws', 'isConstructor', 'className', 'lineCount'],
+    collect: analysis => analysis.methodDeclarations
+  },
+  variable: {
+    fields: ['name', 'type', 'baseType', 'hasInitializer', 'isField', 'isResource', 'context'],
+    collect: analysis => analysis.variableDeclarations.map(variable => ({ ...variable, baseType: baseTypeName(variable.type) }))
+  },
+  call: {
+    fields: ['method', 'target', 'arguments', 'inLoop', 'context'],
+    collect: analysis => analysis.methodInvocations
+  },
+  new: {
+    fields: ['type', 'arguments', 'isAnonymousClass', 'context'],
+    collect: analysis => analysis.constructorCalls
+  },
+  annotation: {
+    fields: ['name', 'context'],
+    collect: analysis => analysis.annotations
+  },
+  try: {
+    fields: ['type', 'hasResources', 'resourceVariables', 'catchCount', 'caughtExceptions', 'hasFinally', 'context'],
+    collect: analysis => analysis.exceptionHandling
+  },
+  catch: {
+    fields: ['exceptionType', 'isEmpty', 'context'],
+    collect: analysis => analysis.exceptionHandling.flatMap(tryInfo =>
+      (tryInfo.catchClauses || []).map(clause => ({ ...clause, context: tryInfo.context }))
+    )
+  },
+  finally: {
+    fields: ['context'],
+    collect: analysis => analysis.exceptionHandling
+      .filter(tryInfo => tryInfo.finallyLocation)
+      .map(tryInfo => ({ context: tryInfo.context, location: tryInfo.finallyLocation }))
+  },
+  loop: {
+    fields: ['type', 'nestingLevel', 'hasNestedLoop', 'hasComplexBody', 'context'],
+    collect: analysis => analysis.loopAnalysis
+  },
+  if: {
+    fields: ['hasElse', 'context'],
+    collect: analysis => analysis.controlStructures.filter(control => control.type === 'if')
+  },
+  switch: {
+    fields: ['caseCount', 'hasDefault', 'context'],
+    collect: analysis => analysis.controlStructures.filter(control => control.type === 'switch')
+  }
+};
+
+const SPEC_KEYS = ['node', 'where', 'inside', 'notInside', 'has', 'without', 'scope'];
+const SCOPES = ['method', 'class', 'file'];
+const OPERATORS = ['in', 'not', 'matches', 'exists'];
+
+/**
+ * 구조 규칙 정의 검증 및 컴파일
+ *
+ * 모든 오류를 모아서 한 번에 보고하며, matches 정규식은 미리 컴파일한다.
+ *
+ * @param {object} structure - 가이드라인의 structure 항목
+ * @returns {object} 컴파일된 규칙 (findStructuralMatches() 입력)
+ * @throws {Error} 알 수 없는 노드 종류/속성/연산자, 잘못된 정규식 등
+ */
+export function compileStructuralRule(structure) {
+  const errors = [];
+  const compiled = compileSpec(structure, 'structure', errors, false);
+
+  if (errors.length > 0) {
+    throw new Error(`구조 규칙 정의 오류: ${errors.join('; ')}`);
+  }
+  return compiled;
+}
+
+/**
+ * 컴파일된 구조 규칙에 일치하는 노드 찾기
+ *
+ * 내부 흐름:
+ * 1. 분석 결과를 노드 종류별 목록으로 변환 (1회)
+ * 2. 대상 종류 노드마다 where → inside/notInside → has/without 순으로 평가
+ *
+ * @param {object} rule - compileStructuralRule() 결과
+ * @param {object} analysis - JavaASTParser.parseJavaCode().analysis (parseMode: 'cst')
+ * @returns {Array<object>} 일치한 노드 목록 ({ kind, ...속성, location })
+ */
+export function findStructuralMatches(rule, analysis) {
+  const index = buildNodeIndex(analysis);
+  return index[rule.node].filter(node => matchesSpec(rule, node, null, index));
+}
+
+function compileSpec(spec, path, errors, nested) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    errors.push(`${path}: 객체여야 합니다`);
+    return null;
+  }
+
+  Object.keys(spec)
+    .filter(key => !SPEC_KEYS.includes(key))
+    .forEach(key => errors.push(`${path}.${key}: 알 수 없는 항목 (지원: ${SPEC_KEYS.join(', ')})`));
+
+  const kind = NODE_KINDS[spec.node];
+  if (!kind) {
+    errors.push(`${path}.node: "${spec.node}"은(는) 지원하지 않는 노드 종류입니다 (지원: ${Object.keys(NODE_KINDS).join(', ')})`);
+    return null;
+  }
+
+  if (spec.scope !== undefined && !SCOPES.includes(spec.scope)) {
+    errors.push(`${path}.scope: "${spec.scope}"은(는) 지원하지 않는 범위입니다 (지원: ${SCOPES.join(', ')})`);
+  }
+
+  const where = Object.entries(spec.where || {}).map(([field, expected]) => {
+    if (!kind.fields.includes(field)) {
+      errors.push(`${path}.where.${field}: ${spec.node} 노드에 없는 속성 (지원: ${kind.fields.join(', ')})`);
+    }
+    if (!nested && typeof expected === 'string' && expected.startsWith('$')) {
+      errors.push(`${path}.where.${field}: 최상위 규칙에서는 "$" 참조를 사용할 수 없습니다`);
+    }
+    return { field, condition: compileCondition(expected, `${path}.where.${field}`, errors) };
+  });
+
+  const toList = (value, key) => value === undefined ? [] : (Array.isArray(value) ? value : [value])
+    .map((item, i) => compileSpec(item, `${path}.${key}[${i}]`, errors, true));
+
+  return {
+    node: spec.node,
+    scope: spec.scope || 'method',
+    where,
+    inside: spec.inside ? compileSpec(spec.inside, `${path}.inside`, errors, true) : null,
+    notInside: spec.notInside ? compileSpec(spec.notInside, `${path}.notInside`, errors, true) : null,
+    has: toList(spec.has, 'has'),
+    without: toList(spec.without, 'without')
+  };
+}
+
+function compileCondition(expected, path, errors) {
+  if (expected === null || typeof expected !== 'object' || Array.isArray(expected)) {
+    return { op: 'eq', value: expected };
+  }
+
+  const [op, ...rest] = Object.keys(expected);
+  if (!OPERATORS.includes(op) || rest.length > 0) {
+    errors.push(`${path}: 조건 객체는 ${OPERATORS.join(', ')} 중 하나만 사용할 수 있습니다`);
+    return { op: 'eq', value: null };
+  }
+
+  const value = expected[op];
+  if (op === 'in' && !Array.isArray(value)) {
+    errors.push(`${path}.in: 배열이어야 합니다`);
+  }
+  if (op === 'exists' && typeof value !== 'boolean') {
+    errors.push(`${path}.exists: true 또는 false여야 합니다`);
+  }
+  if (op === 'matches') {
+    try {
+      return { op, value: new RegExp(value) };
+    } catch (error) {
+      errors.push(`${path}.matches: 유효하지 않은 정규식 (${error.message})`);
+    }
+  }
+
+  return { op, value };
+}
+
+function matchesSpec(spec, node, outer, index) {
+  if (!spec.where.every(({ field, condition }) => testCondition(node[field], condition, outer))) {
+    return false;
+  }
+
+  if (spec.inside || spec.notInside) {
+    const ancestors = Object.values(index).flat().filter(candidate => candidate !== node && contains(candidate, node));
+
+    if (spec.inside && !ancestors.some(a => a.kind === spec.inside.node && matchesSpec(spec.inside, a, node, index))) {
+      return false;
+    }
+    if (spec.notInside && ancestors.some(a => a.kind === spec.notInside.node && matchesSpec(spec.notInside, a, node, index))) {
+      return false;
+    }
+  }
+
+  const inScope = child => index[child.node].filter(candidate =>
+    candidate !== node && contains(scopeOf(node, child.scope, index), candidate)
+  );
+
+  return spec.has.every(child => inScope(child).some(candidate => matchesSpec(child, candidate, node, index))) &&
+    spec.without.every(child => !inScope(child).some(candidate => matchesSpec(child, candidate, node, index)));
+}
+
+function testCondition(actual, { op, value }, outer) {
+  const resolve = expected => typeof expected === 'string' && expected.startsWith('$')
+    ? outer?.[expected.slice(1)] ?? null
+    : expected;
+  const equals = expected => {
+    const resolved = resolve(expected);
+    return Array.isArray(actual) ? actual.includes(resolved) : (actual ?? null) === resolved;
+  };
+
+  switch (op) {
+    case 'in': return value.some(equals);
+    case 'not': return !equals(value);
+    case 'matches': return (Array.isArray(actual) ? actual : [actual]).some(item => item != null && value.test(String(item)));
+    case 'exists': return (actual !== null && actual !== undefined && !(Array.isArray(actual) && actual.length === 0)) === value;
+    default: return equals(value);
+  }
+}
+
+/**
+ * has/without 검색 범위: 대상 노드를 감싸는(또는 대상 자신인) 가장 안쪽 메서드/클래스
+ * 해당 범위가 없으면 한 단계 넓은 범위(메서드 → 클래스 → 파일) 사용
+ */
+function scopeOf(node, scope, index) {
+  const kinds = scope === 'method' ? ['method', 'class'] : scope === 'class' ? ['class'] : [];
+
+  for (const kind of kinds) {
+    const enclosing = index[kind]
+      .filter(candidate => candidate === node || contains(candidate, node))
+      .sort((a, b) => span(a) - span(b))[0];
+    if (enclosing) return enclosing;
+  }
+  return null;
+}
+
+function buildNodeIndex(analysis) {
+  return Object.fromEntries(Object.entries(NODE_KINDS).map(([kind, { collect }]) => [
+    kind,
+    (collect(analysis) || []).filter(node => node.location).map(node => ({ ...node, kind }))
+  ]));
+}
+
+// outer가 null이면 파일 전체 범위
+function contains(outer, inner) {
+  if (!outer) return true;
+  const a = outer.location;
+  const b = inner.location;
+  return comparePosition(a.startLine, a.startColumn, b.startLine, b.startColumn) <= 0 &&
+    comparePosition(a.endLine, a.endColumn, b.endLine, b.endColumn) >= 0;
+}
+
+function comparePosition(lineA, columnA, lineB, columnB) {
+  return lineA !== lineB ? lineA - lineB : columnA - columnB;
+}
+
+function span(node) {
+  return (node.location.endLine - node.location.startLine) * 100000 + (node.location.endColumn - node.location.startColumn);
+}
+
+function baseTypeName(typeName) {
+  return (typeName || '').replace(/<.*$/s, '').replace(/\[\]/g, '').split('.').pop().trim();
+}
@@ -0,0 +1,840 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../../config.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../../utils/loggerUtils.js'
+import { resolveEmbeddingProfile, isSameEmbeddingProfile } from '../../embeddings/embeddingBackends.js';
+import { buildPatternSearchText, matchesPatternFilters, rankByBm25 } from '../../utils/hybridSearchUtils.js';
+
+/**
+ * 로컬 파일 기반 Vector Store Adapter
+ *
+ * 서버 없이 패턴/가이드라인을 로컬 디렉토리의 JSON 파일로 저장하고,
+ * 프로세스 내에서 전수(brute-force) 코사인 유사도 검색을 수행한다.
+ * 소규모 팀이나 CI 작업에서 인프라 없이 패턴 분석 계층 전체를 사용하기 위한 용도.
+ *
+ * 저장 구조 (config.vector.local.dataDir):
+ * - {codePatternName}.json: { dimensions, embedding, points: [{ id, vector, payload }] }
+ * - {guidelineName}.json:   { dimensions, embedding, points: [{ id, vector, payload }] }
+ * - embedding: 저장소 생성 시 임베딩 프로필 { backend, model, dimensions } (벡터 차원 검증 기준은 dimensions)
+ *
+ * payload 필드는 QdrantAdapter와 같은 이름을 사용하되, JSON 문자열 대신 원본 객체/배열로 저장
+ * 키워드(sparse) 검색은 검색 시점에 패턴 텍스트로 BM25 계산 (별도 인덱스 없음)
+ *
+ * # NOTE: 파일 전체를 메모리에 올려 검색하므로 패턴 수천 개 수준까지 권장
+ * # TODO: Python 변환 시 numpy 행렬 곱으로 전수 검색 대체
+ */
+export class LocalAdapter {
+  constructor() {
+    this.dataDir = path.resolve(config.vector.local.dataDir);
+    this.codePatternCollectionName = config.vector.codePatternName;
+    this.guidelineCollectionName = config.vector.guidelineName;
+    this.vectorDimensions = config.vector.local.vectorDimensions;
+    this.collections = new Map();
+
+    logger.info(`📂 로컬 Vector Store 사용: ${this.dataDir}`);
+  }
+
+  async initializeSchema() {
+    try {
+      await fs.mkdir(this.dataDir, { recursive: true });
+
+      for (const collectionName of [this.codePatternCollectionName, this.guidelineCollectionName]) {
+        if (await this.collectionExists(collectionName)) {
+          logger.info(`✅ 기존 ${collectionName} 저장소 확인됨`);
+        } else {
+          logger.info(`🔨 ${collectionName} 저장소 생성 중...`);
+          this.collections.set(collectionName, await this.createEmptyCollection(collectionName));
+          await this.persist(collectionName);
+          logger.info(`✅ ${collectionName} 저장소 생성 완료`);
+        }
+      }
+
+      logger.info('✅ 모든 저장소 초기화 완료');
+    } catch (error) {
+      logger.error('❌ 저장소 초기화 실패:', error.message);
+      throw error;
+    }
+  }
+
+  async collectionExists(collectionName) {
+    try {
+      await fs.access(this.getCollectionPath(collectionName));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async checkConnection() {
+    try {
+      await fs.mkdir(this.dataDir, { recursive: true });
+      await fs.access(this.dataDir, fs.constants.W_OK);
+      logger.info('✅ 로컬 Vector Store 사용 가능');
+      return true;
+    } catch (error) {
+      logger.error('로컬 Vector Store 접근 실패:', error.message);
+      return false;
+    }
+  }
+
+  async storePattern(dataset) {
+    try {
+      const collection = await this.loadCollection(this.codePatternCollectionName);
+      const point = this.preparePatternPoint(dataset, collection.dimensions);
+
+      this.upsertPoints(collection, [point], 'issueRecordId');
+      await this.persist(this.codePatternCollectionName);
+
+      logger.info(`✅ 패턴 저장 완료: ${dataset.issue_record_id}`);
+    } catch (error) {
+      logger.error(`❌ 패턴 저장 오류 (${dataset.issue_record_id}): ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @param {Object} options - { embeddingVersion: 지정 시 같은 임베딩 버전 패턴만 검색, filters: payload 필터 (normalizePatternFilters() 결과) }
+   */
+  async searchSimilarPatterns(queryVector, limit = 5, threshold = 0.7, { embeddingVersion = null, filters = null } = {}) {
+    try {
+      const collection = await this.loadCollection(this.codePatternCollectionName);
+
+      if (!this.validateVector(queryVector, collection.dimensions)) {
+        logger.error(`❌ 검색 벡터가 유효하지 않음 (차원: ${queryVector?.length}, 저장소: ${collection.dimensions})`);
+        return [];
+      }
+
+      logger.info(`🔍 로컬 검색 시작: 차원=${queryVector.length}, threshold=${threshold}, limit=${limit}, 대상=${collection.points.length}개`);
+
+      const results = collection.points
+        .filter(point => !embeddingVersion || point.payload.embeddingVersion === embeddingVersion)
+        .filter(point => matchesPatternFilters(point.payload, filters))
+        .map(point => ({ point, score: this.cosineSimilarity(queryVector, point.vector) }))
+        .filter(result => result.score >= threshold)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+
+      logger.info(`✅ 검색 완료: ${results.length}개 결과 발견`);
+
+      return results.map(({ point, score }) => this.toPatternResult(point, score));
+    } catch (error) {
+      logger.error('❌ 유사 패턴 검색 오류:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * 키워드(BM25) 패턴 검색 (하이브리드 검색의 sparse 순위)
+   *
+   * @param {string} queryText - 키워드 질의 (제목/태그/안티패턴 코드/의미 시그니처 대상)
+   * @param {number} limit - 최대 결과 수
+   * @param {Object} filters - payload 필터 (normalizePatternFilters() 결과)
+   * @returns {Promise<Array<Object>>} BM25 점수 내림차순 (searchSimilarPatterns()와 같은 형식 + matchedTerms)
+   */
+  async searchPatternsByKeywords(queryText, limit = 10, filters = null) {
+    try {
+      const collection = await this.loadCollection(this.codePatternCollectionName);
+      const documents = collection.points
+        .filter(point => matchesPatternFilters(point.payload, filters))
+        .map(point => ({ item: point, text: buildPatternSearchText(point.payload.patternData) }));
+
+      const results = rankByBm25(documents, queryText).slice(0, limit);
+      logger.info(`✅ 키워드 검색 완료: ${results.length}개 결과 발견 (대상 ${documents.length}개)`);
+
+      return results.map(({ item, score, matchedTerms }) => ({ ...this.toPatternResult(item, score), matchedTerms }));
+    } catch (error) {
+      logger.error('❌ 키워드 패턴 검색 오류:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * @param {Object} options - { throwOnError: 조회 실패 시 빈 배열 대신 오류 전달 (reembed 스냅샷 등) }
+   */
+  async getAllPatterns(limit = 100, { throwOnError = false } = {}) {
+    try {
+      const collection = await this.loadCollection(this.codePatternCollectionName);
+      return collection.points.slice(0, limit).map(point => point.payload.patternData);
+    } catch (error) {
+      logger.error('전체 패턴 조회 오류:', error.message);
+      if (throwOnError) throw error;
+      return [];
+    }
+  }
+
+  async deletePattern(patternId) {
+    try {
+      const collection = await this.loadCollection(this.codePatternCollectionName);
+      collection.points = collection.points.filter(point =>
+        point.id !== patternId && point.payload.issueRecordId !== patternId
+      );
+      await this.persist(this.codePatternCollectionName);
+      logger.info(`✅ 패턴 삭제 완료: ${patternId}`);
+    } catch (error) {
+      logger.error(`패턴 삭제 오류 (${patternId}):`, error.message);
+      throw error;
+    }
+  }
+
+  async searchByASTPattern(astSignature, limit = 5) {
+    try {
+      const collection = await this.loadCollection(this.codePatternCollectionName);
+
+      return collection.points
+        .filter(point => (point.payload.astSignature || '').includes(astSignature))
+        .slice(0, limit)
+        .map(point => ({
+          issueRecordId: point.payload.issueRecordId,
+          title: point.payload.title,
+          category: point.payload.category,
+          astSignature: point.payload.astSignature,
+          cyclomaticComplexity: point.payload.cyclomaticComplexity,
+          maxDepth: point.payload.maxDepth
+        }));
+    } catch (error) {
+      logger.error('AST 패턴 검색 오류:', error.message);
+      return [];
+    }
+  }
+
+  async searchByComplexity(minComplexity, maxComplexity, limit = 10) {
+    try {
+      const collection = await this.loadCollection(this.codePatternCollectionName);
+
+      return collection.points
+        .filter(point =>
+          point.payload.cyclomaticComplexity >= minComplexity &&
+          point.payload.cyclomaticComplexity <= maxComplexity
+        )
+        .slice(0, limit)
+        .map(point => ({
+          issueRecordId: point.payload.issueRecordId,
+          title: point.payload.title,
+          category: point.payload.category,
+          cyclomaticComplexity: point.payload.cyclomaticComplexity,
+          maxDepth: point.payload.maxDepth,
+          qualityScore: point.payload.qualityScore
+        }));
+    } catch (error) {
+      logger.error('복잡도 기반 검색 오류:', error.message);
+      return [];
+    }
+  }
+
+  async storeGuideline(guideline) {
+    try {
+      const collection = await this.loadCollection(this.guidelineCollectionName);
+
+      let vector = guideline.embedding || this.createDummyVector(collection.dimensions);
+      let hasEmbedding = !!guideline.embedding;
+      if (!this.validateVector(vector, collection.dimensions)) {
+        logger.warn(`⚠️ 가이드라인 벡터 차원 불일치 또는 유효하지 않음, 더미 벡터 사용: ${guideline.ruleId}`);
+        vector = this.createDummyVector(collection.dimensions);
+        hasEmbedding = false;
+      }
+
+      const antiPatterns = this.serializePatterns(guideline.antiPatterns);
+      const goodPatterns = this.serializePatterns(guideline.goodPatterns);
+
+      const point = {
+        id: uuidv4(),
+        vector,
+        payload: {
+          ruleId: guideline.ruleId,
+          ruleTitle: guideline.title,
+          category: guideline.category,
+          checkType: guideline.checkType,
+          description: guideline.description || '',
+          keywords: guideline.keywords || [],
+          severity: guideline.severity,
+          examples: guideline.examples || {},
+          antiPatterns,
+          goodPatterns,
+          astHints: guideline.astHints || {},
+          structure: guideline.structure || null,
+          patterns: (guideline.patterns || []).map(p => {
+            if (typeof p === 'string') return p;
+            if (p instanceof RegExp) return p.source;
+            if (typeof p === 'object' && p.pattern) {
+              return p.description ? `${p.pattern} (${p.description})` : p.pattern;
+            }
+            return JSON.stringify(p);
+          }),
+          message: guideline.message || '',
+          parentChapter: guideline.parentChapter || '',
+          isActive: guideline.isActive !== false,
+          hasEmbedding
+        }
+      };
+
+      // 같은 ruleId는 덮어쓰기 (import 재실행 시 중복 방지)
+      const stored = this.upsertPoints(collection, [point], 'ruleId')[0];
+      await this.persist(this.guidelineCollectionName);
+
+      logger.info(`✅ 가이드라인 저장 완료: ${guideline.ruleId} (antiPatterns: ${antiPatterns.length}, goodPatterns: ${goodPatterns.length})`);
+      return stored.id;
+    } catch (error) {
+      logger.error(`가이드라인 저장 오류 (${guideline.ruleId}):`, error.message);
+      throw error;
+    }
+  }
+
+  async searchGuidelines(filters = {}) {
+    try {
+      const collection = await this.loadCollection(this.guidelineCollectionName);
+
+      return collection.points
+        .filter(point =>
+          (!filters.category || point.payload.category === filters.category) &&
+          (!filters.checkType || point.payload.checkType === filters.checkType) &&
+          (filters.isActive === undefined || point.payload.isActive === filters.isActive)
+        )
+        .slice(0, filters.limit || 100)
+        .map(point => this.toGuideline(point));
+    } catch (error) {
+      logger.error('가이드라인 검색 오류:', error.message);
+      return [];
+    }
+  }
+
+  async searchGuidelinesByKeywords(keywords, limit = 10) {
+    try {
+      const collection = await this.loadCollection(this.guidelineCollectionName);
+      const queries = keywords.map(keyword => String(keyword).toLowerCase());
+
+      return collection.points
+        .filter(point => (point.payload.keywords || []).some(keyword =>
+          queries.some(query => String(keyword).toLowerCase().includes(query))
+        ))
+        .slice(0, limit)
+        .map(point => this.toGuideline(point));
+    } catch (error) {
+      logger.error('키워드 기반 가이드라인 검색 오류:', error.message);
+      return [];
+    }
+  }
+
+  async searchSimilarGuidelines(queryVector, limit = 10, filters = {}) {
+    try {
+      const collection = await this.loadCollection(this.guidelineCollectionName);
+
+      if (!this.validateVector(queryVector, collection.dimensions)) {
+        logger.error(`❌ 검색 벡터가 유효하지 않음 (차원: ${queryVector?.length}, 저장소: ${collection.dimensions})`);
+        return [];
+      }
+
+      return collection.points
+        .filter(point =>
+          point.payload.hasEmbedding === true &&
+          point.payload.isActive !== false &&
+          (!filters.checkType || point.payload.checkType === filters.checkType)
+        )
+        .map(point => ({ point, score: this.cosineSimilarity(queryVector, point.vector) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ point, score }) => ({
+          ruleId: point.payload.ruleId,
+          title: point.payload.ruleTitle,
+          category: point.payload.category,
+          checkType: point.payload.checkType,
+          score
+        }));
+    } catch (error) {
+      logger.error('유사 가이드라인 검색 오류:', error.message);
+      return [];
+    }
+  }
+
+  async updateGuidelineStatus(ruleId, isActive) {
+    try {
+      const collection = await this.loadCollection(this.guidelineCollectionName);
+      const point = collection.points.find(p => p.payload.ruleId === ruleId);
+
+      if (!point) {
+        throw new Error(`가이드라인을 찾을 수 없습니다: ${ruleId}`);
+      }
+
+      point.payload.isActive = isActive;
+      await this.persist(this.guidelineCollectionName);
+
+      logger.info(`✅ 가이드라인 상태 업데이트 완료: ${ruleId} -> ${isActive}`);
+    } catch (error) {
+      logger.error(`가이드라인 상태 업데이트 오류 (${ruleId}):`, error.message);
+      throw error;
+    }
+  }
+
+  async deleteGuideline(ruleId) {
+    try {
+      const collection = await this.loadCollection(this.guidelineCollectionName);
+      const remaining = collection.points.filter(point => point.payload.ruleId !== ruleId);
+
+      if (remaining.length === collection.points.length) {
+        throw new Error(`가이드라인을 찾을 수 없습니다: ${ruleId}`);
+      }
+
+      collection.points = remaining;
+      await this.persist(this.guidelineCollectionName);
+
+      logger.info(`✅ 가이드라인 삭제 완료: ${ruleId}`);
+    } catch (error) {
+      logger.error(`가이드라인 삭제 오류 (${ruleId}):`, error.message);
+      throw error;
+    }
+  }
+
+  async getSystemStats() {
+    try {
+      const patterns = await this.loadCollection(this.codePatternCollectionName);
+      const guidelines = await this.loadCollection(this.guidelineCollectionName);
+
+      return {
+        codePatterns: patterns.points.length,
+        guidelines: guidelines.points.length,
+        totalObjects: patterns.points.length + guidelines.points.length
+      };
+    } catch (error) {
+      logger.error('시스템 상태 조회 오류:', error.message);
+      return { codePatterns: 0, guidelines: 0, totalObjects: 0 };
+    }
+  }
+
+  /**
+   * CodePattern 저장소의 모든 데이터 삭제
+   *
+   * @async
+   * @returns {Promise<{deleted: number}>} 삭제된 패턴 수
+   */
+  async clearAllPatterns() {
+    try {
+      const collection = await this.loadCollection(this.codePatternCollectionName);
+      const pointsCount = collection.points.length;
+
+      // 비운 저장소는 현재 임베딩 프로필로 다시 기록 (백엔드 변경 후 재저장 가능, 빈 저장소 포함)
+      Object.assign(collection, await this.createEmptyCollection(this.codePatternCollectionName));
+      await this.persist(this.codePatternCollectionName);
+
+      if (pointsCount === 0) {
+        logger.info('📭 삭제할 패턴이 없습니다.');
+        return { deleted: 0 };
+      }
+
+      logger.info(`✅ ${pointsCount}개 패턴 삭제 완료`);
+      return { deleted: pointsCount };
+    } catch (error) {
+      logger.error('❌ 패턴 전체 삭제 오류:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 특정 issueRecordId들이 이미 저장되어 있는지 확인
+   *
+   * @async
+   * @param {string[]} issueRecordIds - 확인할 issueRecordId 배열
+   * @returns {Promise<{exists: boolean, existingIds: string[], count: number}>}
+   */
+  async checkPatternsExist(issueRecordIds) {
+    if (!issueRecordIds || issueRecordIds.length === 0) {
+      return { exists: false, existingIds: [], count: 0 };
+    }
+
+    const collection = await this.loadCollection(this.codePatternCollectionName);
+    const storedIds = new Set(collection.points.map(point => point.payload.issueRecordId));
+    const existingIds = issueRecordIds.filter(id => storedIds.has(id));
+
+    return {
+      exists: existingIds.length > 0,
+      existingIds,
+      count: existingIds.length
+    };
+  }
+
+  /**
+   * 여러 패턴을 배치로 저장 (QdrantAdapter.batchStorePatterns()와 동일한 옵션/결과 형식)
+   *
+   * 파일 쓰기는 배치마다 한 번만 수행
+   *
+   * @async
+   * @param {Object[]} datasets - 저장할 패턴 데이터셋 배열
+   * @param {Object} options - { clearExisting, skipExisting, batchSize }
+   * @returns {Promise<{success: number, failed: number, skipped: number, errors: Array}>}
+   */
+  async batchStorePatterns(datasets, options = {}) {
+    const {
+      clearExisting = false,
+      skipExisting = false,
+      batchSize = 10
+    } = options;
+
+    const result = {
+      success: 0,
+      failed: 0,
+      skipped: 0,
+      errors: []
+    };
+
+    try {
+      logger.info(`📦 배치 패턴 저장 시작: ${datasets.length}개`);
+      logger.info(`   옵션: clearExisting=${clearExisting}, skipExisting=${skipExisting}`);
+
+      // 1. 기존 데이터 삭제 옵션 처리
+      if (clearExisting) {
+        const clearResult = await this.clearAllPatterns();
+        logger.info(`   삭제 완료: ${clearResult.deleted}개`);
+      }
+
+      // 2. 기존 데이터 건너뛰기 옵션 처리
+      let datasetsToStore = datasets;
+      if (skipExisting && !clearExisting) {
+        const existCheck = await this.checkPatternsExist(datasets.map(d => d.issue_record_id));
+
+        if (existCheck.exists) {
+          logger.info(`⚠️  이미 존재하는 패턴 발견: ${existCheck.count}개`);
+          datasetsToStore = datasets.filter(d => !existCheck.existingIds.includes(d.issue_record_id));
+          result.skipped = existCheck.count;
+        }
+      }
+
+      if (datasetsToStore.length === 0) {
+        logger.info('📭 저장할 새 패턴이 없습니다.');
+        return result;
+      }
+
+      // 3. 배치 단위로 저장
+      const collection = await this.loadCollection(this.codePatternCollectionName);
+
+      for (let i = 0; i < datasetsToStore.length; i += batchSize) {
+        const batch = datasetsToStore.slice(i, i + batchSize);
+        const batchNum = Math.floor(i / batchSize) + 1;
+
+        const points = [];
+        for (const dataset of batch) {
+          try {
+            points.push(this.preparePatternPoint(dataset, collection.dimensions));
+          } catch (error) {
+            result.failed++;
+            result.errors.push({
+              issueRecordId: dataset.issue_record_id,
+              error: error.message
+            });
+            logger.error(`   ❌ ${dataset.issue_record_id}: ${error.message}`);
+          }
+        }
+
+        if (points.length > 0) {
+          try {
+            this.upsertPoints(collection, points, 'issueRecordId');
+            await this.persist(this.codePatternCollectionName);
+            result.success += points.length;
+            logger.info(`   ✅ 배치 ${batchNum}: ${points.length}개 저장 완료`);
+          } catch (error) {
+            result.failed += points.length;
+            result.errors.push({
+              batch: batchNum,
+              error: error.message
+            });
+            logger.error(`   ❌ 배치 저장 실패: ${error.message}`);
+          }
+        }
+      }
+
+      // 4. 결과 요약
+      logger.info(`📊 배치 저장 결과: 성공 ${result.success}개, 건너뜀 ${result.skipped}개, 실패 ${result.failed}개`);
+
+      return result;
+    } catch (error) {
+      logger.error('❌ 배치 저장 오류:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * CodePattern 저장소의 현재 패턴 수 조회
+   * @async
+   * @param {Object} options - { throwOnError: 조회 실패 시 0 대신 오류 전달 }
+   * @returns {Promise<number>}
+   */
+  async getPatternCount({ throwOnError = false } = {}) {
+    try {
+      const collection = await this.loadCollection(this.codePatternCollectionName);
+      return collection.points.length;
+    } catch (error) {
+      logger.error('❌ 패턴 수 조회 오류:', error.message);
+      if (throwOnError) throw error;
+      return 0;
+    }
+  }
+
+  /**
+   * 단일 패턴 데이터셋을 저장용 포인트로 변환 (벡터 처리 규칙은 QdrantAdapter와 동일)
+   * @private
+   */
+  preparePatternPoint(dataset, dimensions) {
+    let vector = dataset.embeddings?.combined_embedding;
+
+    if (!vector || !Array.isArray(vector)) {
+      logger.warn(`⚠️ 벡터가 없어 더미 벡터 생성: ${dataset.issue_record_id}`);
+      vector = this.createDummyVector(dimensions);
+    }
+
+    if (vector.length !== dimensions) {
+      logger.warn(`⚠️ 벡터 차원 불일치 (${vector.length} !== ${dimensions}), 더미 벡터로 대체: ${dataset.issue_record_id}`);
+      vector = this.createDummyVector(dimensions);
+    }
+
+    if (!this.validateVector(vector, dimensions)) {
+      throw new Error('Vector contains NaN, Infinity, or non-numeric values');
+    }
+
+    return {
+      id: uuidv4(),
+      vector,
+      payload: {
+        issueRecordId: dataset.issue_record_id,
+        patternData: dataset,
+        title: (dataset.metadata?.title || '').substring(0, 500),
+        category: dataset.metadata?.category || 'general',
+        severity: dataset.metadata?.severity || 'MEDIUM',
+        tags: dataset.metadata?.tags || [],
+        semanticSignature: String(dataset.anti_pattern?.pattern_signature?.semantic_signature || '').substring(0, 500),
+        frameworkVersion: dataset.framework_context?.framework_version || 'unknown',
+        qualityScore: Number(dataset.validation_info?.quality_score ?? 0),
+        astSignature: (dataset.embeddings?.ast_analysis?.signature || '').substring(0, 5000),
+        cyclomaticComplexity: Number(dataset.embeddings?.ast_analysis?.cyclomaticComplexity ?? 1),
+        maxDepth: Number(dataset.embeddings?.ast_analysis?.maxDepth ?? 1),
+        embeddingVersion: dataset.embeddings?.embedding_metadata?.version_stamp?.id || 'unversioned'
+      }
+    };
+  }
+
+  /**
+   * 같은 키(issueRecordId / ruleId)의 기존 포인트는 id를 유지한 채 교체, 없으면 추가
+   * @private
+   * @returns {Array} 저장된 포인트 목록
+   */
+  upsertPoints(collection, points, keyField) {
+    return points.map(point => {
+      const index = collection.points.findIndex(p => p.payload[keyField] === point.payload[keyField]);
+      if (index === -1) {
+        collection.points.push(point);
+        return point;
+      }
+
+      const replaced = { ...point, id: collection.points[index].id };
+      collection.points[index] = replaced;
+      return replaced;
+    });
+  }
+
+  /**
+   * 저장된 가이드라인 포인트를 QdrantAdapter와 같은 반환 형식으로 변환
+   * (antiPatterns/goodPatterns는 guidelineChecker.checkRegexRule()이 기대하는 RegExp 형식)
+   * @private
+   */
+  toGuideline(point) {
+    const payload = point.payload;
+
+    return {
+      ruleId: payload.ruleId,
+      id: payload.ruleId,  // 하위 호환
+      title: payload.ruleTitle,
+      category: payload.category,
+      checkType: payload.checkType,
+      description: payload.description,
+      keywords: payload.keywords || [],
+      severity: payload.severity,
+      examples: payload.examples || {},
+      antiPatterns: this.toRegexPatterns(payload.antiPatterns),
+      goodPatterns: this.toRegexPatterns(payload.goodPatterns),
+      astHints: payload.astHints || {},
+      structure: payload.structure || null,
+      patterns: payload.patterns || [],
+      message: payload.message,
+      isActive: payload.isActive
+    };
+  }
+
+  /**
+   * 패턴(문자열, RegExp, { pattern, flags, description })을 JSON 저장 가능한 형식으로 정규화
+   * @private
+   */
+  serializePatterns(patterns) {
+    return (patterns || []).map(p => {
+      if (typeof p === 'string') {
+        return { pattern: p, flags: 'g', description: '' };
+      }
+      if (p instanceof RegExp) {
+        return { pattern: p.source, flags: p.flags || 'g', description: '' };
+      }
+      if (typeof p === 'object' && p !== null && p.pattern) {
+        return {
+          pattern: typeof p.pattern === 'string' ? p.pattern : p.pattern.source,
+          flags: p.flags || p.pattern.flags || 'g',
+          description: p.description || ''
+        };
+      }
+      return null;
+    }).filter(p => p !== null);
+  }
+
+  /**
+   * @private
+   */
+  toRegexPatterns(patterns) {
+    return (patterns || []).map(p => {
+      try {
+        return { regex: new RegExp(p.pattern, p.flags || 'g'), description: p.description || '' };
+      } catch (error) {
+        logger.warn(`패턴 RegExp 변환 실패: ${JSON.stringify(p)} - ${error.message}`);
+        return null;
+      }
+    }).filter(p => p !== null);
+  }
+
+  /**
+   * 저장소 파일을 메모리로 로드 (최초 1회, 이후 메모리 사본 사용)
+   * 파일이 없으면 빈 저장소로 시작
+   * @private
+   */
+  async loadCollection(collectionName) {
+    if (this.collections.has(collectionName)) {
+      return this.collections.get(collectionName);
+    }
+
+    const filePath = this.getCollectionPath(collectionName);
+    let collection;
+
+    try {
+      collection = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`로컬 Vector Store 파일 로드 실패 (${filePath}): ${error.message}`);
+      }
+      collection = await this.createEmptyCollection(collectionName);
+    }
+
+    const current = await resolveEmbeddingProfile(this.getCollectionKind(collectionName));
+    const recorded = { ...collection.embedding, dimensions: collection.dimensions };
+    if (collection.points.length > 0 && !isSameEmbeddingProfile(recorded, current)) {
+      logger.warn(`⚠️ ${collectionName} 저장소 임베딩 불일치: 기록 ${recorded.backend || '(기록 없음)'}/${recorded.dimensions}차원, ` +
+                  `현재 설정 ${current.backend}(${current.model})/${current.dimensions}차원 → 재임베딩 필요`);
+    }
+
+    this.collections.set(collectionName, collection);
+    return collection;
+  }
+
+  /**
+   * 저장 포인트 → 패턴 검색 결과 형식
+   * @private
+   */
+  toPatternResult(point, score) {
+    return {
+      id: point.payload.issueRecordId,
+      title: point.payload.title,
+      category: point.payload.category,
+      severity: point.payload.severity,
+      frameworkVersion: point.payload.frameworkVersion,
+      semanticSignature: point.payload.semanticSignature,
+      astSignature: point.payload.astSignature,
+      cyclomaticComplexity: point.payload.cyclomaticComplexity,
+      maxDepth: point.payload.maxDepth,
+      qualityScore: point.payload.qualityScore,
+      embeddingVersion: point.payload.embeddingVersion || null,
+      score,
+      fullData: point.payload.patternData || {}
+    };
+  }
+
+  /**
+   * 저장소에 기록된 임베딩 프로필 (QdrantAdapter.getCollectionProfile()과 같은 형식)
+   *
+   * @param {string} collectionName - 저장소명
+   * @returns {Promise<Object>} { backend, model, dimensions } (기록 없으면 dimensions만)
+   */
+  async getCollectionProfile(collectionName) {
+    const collection = await this.loadCollection(collectionName);
+    return { ...collection.embedding, dimensions: collection.dimensions };
+  }
+
+  /**
+   * 현재 임베딩 프로필로 빈 저장소 생성 (차원과 백엔드/모델을 파일에 기록)
+   * @private
+   */
+  async createEmptyCollection(collectionName) {
+    const profile = await resolveEmbeddingProfile(this.getCollectionKind(collectionName));
+    return { dimensions: profile.dimensions, embedding: profile, points: [] };
+  }
+
+  /**
+   * 저장소명 → 임베딩 컬렉션 종류 ('pattern' | 'guideline')
+   * @private
+   */
+  getCollectionKind(collectionName) {
+    return collectionName === this.guidelineCollectionName ? 'guideline' : 'pattern';
+  }
+
+  /**
+   * 메모리 사본을 파일로 저장 (임시 파일에 쓴 뒤 rename하여 중간 실패 시 기존 파일 보존)
+   * @private
+   */
+  async persist(collectionName) {
+    const filePath = this.getCollectionPath(collectionName);
+    const tempPath = `${filePath}.tmp`;
+
+    await fs.mkdir(this.dataDir, { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(this.collections.get(collectionName)), 'utf-8');
+    await fs.rename(tempPath, filePath);
+  }
+
+  getCollectionPath(collectionName) {
+    return path.join(this.dataDir, `${collectionName}.json`);
+  }
+
+  /**
+   * 벡터 유효성 검증 (dimensions 지정 시 저장소 기록 차원과 길이도 비교)
+   */
+  validateVector(vector, dimensions = null) {
+    if (!Array.isArray(vector) || vector.length === 0) {
+      return false;
+    }
+
+    if (dimensions && vector.length !== dimensions) {
+      return false;
+    }
+
+    return vector.every(v => typeof v === 'number' && !isNaN(v) && isFinite(v));
+  }
+
+  /**
+   * 코사인 유사도 (차원이 다르거나 영벡터(더미 벡터)면 0)
+   */
+  cosineSimilarity(vecA, vecB) {
+    if (!vecA || !vecB || vecA.length !== vecB.length) {
+      return 0;
+    }
+
+    let dotProduct = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (let i = 0; i < vecA.length; i++) {
+      dotProduct += vecA[i] * vecB[i];
+      normA += vecA[i] * vecA[i];
+      normB += vecB[i] * vecB[i];
+    }
+
+    if (normA === 0 || normB === 0) {
+      return 0;
+    }
+
+    return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+  }
+
+  createDummyVector(dimensions = this.vectorDimensions) {
+    // 벡터가 없을 경우 더미 벡터 생성 (모든 값이 0)
+    return new Array(dimensions).fill(0);
+  }
+}
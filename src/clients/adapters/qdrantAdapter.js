@@ -2,8 +2,20 @@ import { QdrantClient } from '@qdrant/js-client-rest';
 import { config } from '../../config.js';
 import { v4 as uuidv4 } from 'uuid';
 import logger from '../../utils/loggerUtils.js'
+import { resolveEmbeddingProfile, isSameEmbeddingProfile } from '../../embeddings/embeddingBackends.js';
+import {
+  SPARSE_VECTOR_NAME,
+  buildPatternSearchText,
+  buildSparseVector,
+  buildQuerySparseVector,
+  findMatchedTerms,
+  rankByBm25
+} from '../../utils/hybridSearchUtils.js';
 import { hostname } from 'os';
 
+// 포인트 ID(uuidv4) 형식 (deletePattern()에서 issueRecordId와 구분)
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
 /**
  * Qdrant Vector DB Adapter
  */
@@ -15,6 +27,10 @@ export class QdrantAdapter {
     this.guidelineCollectionName = config.vector.qdrant.collectionNamePattern
       .replace('{type}', 'guideline');
     this.vectorDimensions = config.vector.qdrant.vectorDimensions;
+    // 컬렉션명 → 임베딩 프로필 { backend, model, dimensions } (getCollectionProfile 캐시)
+    this.collectionProfiles = new Map();
+    // CodePattern 컬렉션의 키워드 sparse 벡터 지원 여부 (hasSparseVectors 캐시, 기존 컬렉션은 미지원일 수 있음)
+    this.patternSparseVectors = null;
   }
 
   initializeClient() {
@@ -81,47 +97,59 @@ export class QdrantAdapter {
 
   async createCodePatternCollection() {
     const indexParams = config.vector.qdrant.indexParams;
+    const profile = await resolveEmbeddingProfile('pattern');
     
     logger.info(`📋 CodePattern 컬렉션 생성 파라미터:`);
-    logger.info(`   - 벡터 차원: ${this.vectorDimensions}`);
+    logger.info(`   - 벡터 차원: ${profile.dimensions} (임베딩 백엔드: ${profile.backend}, 모델: ${profile.model})`);
     logger.info(`   - 거리 측정: Cosine`);
     logger.info(`   - HNSW M: ${indexParams.m}`);
     logger.info(`   - HNSW EF: ${indexParams.ef_construct}`);
     
     await this.client.createCollection(this.codePatternCollectionName, {
+      metadata: { embedding: profile },
       vectors: {
-        size: this.vectorDimensions,
+        size: profile.dimensions,
         distance: 'Cosine',
         hnsw_config: {
           m: indexParams.m,
           ef_construct: indexParams.ef_construct
         }
       },
+      // 키워드 검색용 sparse 벡터 (값 = tf 포화값, IDF는 서버에서 적용 → BM25 근사)
+      sparse_vectors: {
+        [SPARSE_VECTOR_NAME]: { modifier: 'idf' }
+      },
       optimizers_config: {
         default_segment_number: 2
       },
       replication_factor: 1
     });
+    this.collectionProfiles.set(this.codePatternCollectionName, profile);
+    this.patternSparseVectors = true;
 
     // 인덱스 생성
     await this.createPayloadIndices(this.codePatternCollectionName, [
       'issueRecordId',
       'category',
       'severity',
-      'cyclomaticComplexity'
+      'cyclomaticComplexity',
+      'embeddingVersion',
+      'frameworkVersion'
     ]);
   }
 
   async createGuidelineCollection() {
     const indexParams = config.vector.qdrant.indexParams;
+    const profile = await resolveEmbeddingProfile('guideline');
     
     logger.info(`📋 Guideline 컬렉션 생성 파라미터:`);
-    logger.info(`   - 벡터 차원: ${this.vectorDimensions}`);
+    logger.info(`   - 벡터 차원: ${profile.dimensions} (임베딩 백엔드: ${profile.backend}, 모델: ${profile.model})`);
     logger.info(`   - 거리 측정: Cosine`);
     
     await this.client.createCollection(this.guidelineCollectionName, {
+      metadata: { embedding: profile },
       vectors: {
-        size: this.vectorDimensions,
+        size: profile.dimensions,
         distance: 'Cosine',
         hnsw_config: {
           m: indexParams.m,
@@ -133,6 +161,7 @@ export class QdrantAdapter {
       },
       replication_factor: 1
     });
+    this.collectionProfiles.set(this.guidelineCollectionName, profile);
 
     // 인덱스 생성
     await this.createPayloadIndices(this.guidelineCollectionName, [
@@ -143,6 +172,108 @@ export class QdrantAdapter {
     ]);
   }
 
+  /**
+   * 컬렉션 임베딩 프로필 조회 (벡터 차원 검증 기준)
+   * 
+   * - 컬렉션이 있으면 실제 벡터 크기 + 생성 시 기록한 메타데이터(config.metadata.embedding)
+   * - 컬렉션이 없으면 현재 설정 프로필 (생성 시 이 프로필로 만들어짐)
+   * - 기록과 현재 설정이 다르면 경고 (임베딩 백엔드/모델 변경 후 기존 벡터와 비교 불가 → 재임베딩 필요)
+   * 
+   * @param {string} collectionName - 컬렉션명
+   * @returns {Promise<Object>} { backend, model, dimensions }
+   */
+  async getCollectionProfile(collectionName) {
+    if (this.collectionProfiles.has(collectionName)) {
+      return this.collectionProfiles.get(collectionName);
+    }
+
+    const kind = collectionName === this.guidelineCollectionName ? 'guideline' : 'pattern';
+    const current = await resolveEmbeddingProfile(kind);
+    let profile = current;
+
+    if (await this.collectionExists(collectionName)) {
+      const info = await this.client.getCollection(collectionName);
+      const recorded = {
+        ...info.config?.metadata?.embedding,
+        dimensions: info.config?.params?.vectors?.size ?? current.dimensions
+      };
+      profile = { ...current, ...recorded };
+
+      if (!isSameEmbeddingProfile(recorded, current)) {
+        logger.warn(`⚠️ ${collectionName} 컬렉션 임베딩 불일치: 기록 ${recorded.backend || '(기록 없음)'}/${recorded.dimensions}차원, ` +
+                    `현재 설정 ${current.backend}(${current.model})/${current.dimensions}차원 → 재임베딩 필요`);
+      }
+    }
+
+    this.collectionProfiles.set(collectionName, profile);
+    return profile;
+  }
+
+  /**
+   * CodePattern 컬렉션이 키워드 sparse 벡터를 지원하는지 확인
+   * 
+   * sparse 벡터 추가 이전에 만든 컬렉션은 미지원 → 키워드 검색은 payload BM25(전수 조회)로 대체
+   * (컬렉션을 다시 만들면 지원: batch --clear 등)
+   * 
+   * @returns {Promise<boolean>}
+   */
+  async hasSparseVectors() {
+    if (this.patternSparseVectors === null) {
+      const info = await this.client.getCollection(this.codePatternCollectionName);
+      this.patternSparseVectors = Boolean(info.config?.params?.sparse_vectors?.[SPARSE_VECTOR_NAME]);
+    }
+    return this.patternSparseVectors;
+  }
+
+  /**
+   * 포인트 벡터 (sparse 지원 컬렉션이면 기본 dense 벡터('') + 키워드 sparse 벡터)
+   * @private
+   */
+  async buildPatternVector(dataset, vector) {
+    if (!(await this.hasSparseVectors())) {
+      return vector;
+    }
+    return { '': vector, [SPARSE_VECTOR_NAME]: buildSparseVector(buildPatternSearchText(dataset)) };
+  }
+
+  /**
+   * payload 필터 → Qdrant filter (조건이 없으면 undefined)
+   * @private
+   */
+  buildPatternFilter(filters, embeddingVersion = null) {
+    const must = [];
+    if (embeddingVersion) must.push({ key: 'embeddingVersion', match: { value: embeddingVersion } });
+    if (filters?.category) must.push({ key: 'category', match: { any: filters.category } });
+    if (filters?.severity) must.push({ key: 'severity', match: { any: filters.severity } });
+    if (filters?.framework) must.push({ key: 'frameworkVersion', match: { value: filters.framework } });
+    if (filters?.minQualityScore !== null && filters?.minQualityScore !== undefined) {
+      must.push({ key: 'qualityScore', range: { gte: filters.minQualityScore } });
+    }
+    return must.length > 0 ? { must } : undefined;
+  }
+
+  /**
+   * 검색 포인트 → 패턴 검색 결과 형식
+   * @private
+   */
+  toPatternResult(point, score) {
+    return {
+      id: point.payload.issueRecordId,
+      title: point.payload.title,
+      category: point.payload.category,
+      severity: point.payload.severity,
+      frameworkVersion: point.payload.frameworkVersion,
+      semanticSignature: point.payload.semanticSignature,
+      astSignature: point.payload.astSignature,
+      cyclomaticComplexity: point.payload.cyclomaticComplexity,
+      maxDepth: point.payload.maxDepth,
+      qualityScore: point.payload.qualityScore,
+      embeddingVersion: point.payload.embeddingVersion || null,
+      score,
+      fullData: JSON.parse(point.payload.patternData || '{}')
+    };
+  }
+
   async createPayloadIndices(collectionName, fieldNames) {
     for (const fieldName of fieldNames) {
       try {
@@ -159,6 +290,7 @@ export class QdrantAdapter {
   async storePattern(dataset) {
     try {
       const id = uuidv4();
+      const { dimensions } = await this.getCollectionProfile(this.codePatternCollectionName);
       
       // 벡터 준비
       let vector = dataset.embeddings?.combined_embedding;
@@ -166,22 +298,22 @@ export class QdrantAdapter {
       // 벡터 존재 여부 확인
       if (!vector || !Array.isArray(vector)) {
         console.warn(`⚠️ 벡터가 없어 더미 벡터 생성: ${dataset.issue_record_id}`);
-        vector = this.createDummyVector();
+        vector = this.createDummyVector(dimensions);
       }
       
-      // 벡터 차원 검증 (조정하지 않음)
-      if (vector.length !== this.vectorDimensions) {
-        logger.error(`❌ 벡터 차원 불일치: ${vector.length} !== ${this.vectorDimensions}`);
+      // 벡터 차원 검증 (조정하지 않음, 기준: 컬렉션 기록 차원)
+      if (vector.length !== dimensions) {
+        logger.error(`❌ 벡터 차원 불일치: ${vector.length} !== ${dimensions}`);
         logger.error(`   패턴 ID: ${dataset.issue_record_id}`);
-        logger.error(`   ⚠️ 임베딩 생성 로직을 확인하세요`);
+        logger.error(`   ⚠️ 임베딩 백엔드 설정(EMBEDDING_BACKEND)과 컬렉션 차원을 확인하세요`);
         
         // 에러 대신 경고만 표시하고 더미 벡터 사용
         console.warn(`   더미 벡터로 대체하여 저장 진행`);
-        vector = this.createDummyVector();
+        vector = this.createDummyVector(dimensions);
       }
       
       // 벡터 유효성 검증
-      if (!this.validateVector(vector)) {
+      if (!this.validateVector(vector, dimensions)) {
         logger.error(`❌ 벡터에 유효하지 않은 값 포함: ${dataset.issue_record_id}`);
         throw new Error('Vector contains NaN, Infinity, or non-numeric values');
       }
@@ -205,14 +337,15 @@ export class QdrantAdapter {
         astSignature: (dataset.embeddings?.ast_analysis?.signature || '').substring(0, 5000),
         astNodeTypes: JSON.stringify(dataset.embeddings?.ast_analysis?.nodeTypes || []),
         cyclomaticComplexity: Number(dataset.embeddings?.ast_analysis?.cyclomaticComplexity ?? 1),
-        maxDepth: Number(dataset.embeddings?.ast_analysis?.maxDepth ?? 1)
+        maxDepth: Number(dataset.embeddings?.ast_analysis?.maxDepth ?? 1),
+        embeddingVersion: dataset.embeddings?.embedding_metadata?.version_stamp?.id || 'unversioned'
       };
 
       logger.info(`📦 Payload 크기: ${JSON.stringify(payload).length} bytes`);
 
       const point = {
         id,
-        vector,
+        vector: await this.buildPatternVector(dataset, vector),
         payload
       };
 
@@ -244,12 +377,19 @@ export class QdrantAdapter {
 
   /**
    * 벡터 유효성 검증
+   * 
+   * @param {Array<number>} vector - 검증할 벡터
+   * @param {number|null} dimensions - 컬렉션 벡터 차원 (지정 시 길이도 검증)
    */
-  validateVector(vector) {
+  validateVector(vector, dimensions = null) {
     if (!Array.isArray(vector) || vector.length === 0) {
       return false;
     }
     
+    if (dimensions && vector.length !== dimensions) {
+      return false;
+    }
+    
     return vector.every(v => {
       return typeof v === 'number' && 
              !isNaN(v) && 
@@ -257,11 +397,15 @@ export class QdrantAdapter {
     });
   }
 
-  async searchSimilarPatterns(queryVector, limit = 5, threshold = 0.7) {
+  /**
+   * @param {Object} options - { embeddingVersion: 지정 시 같은 임베딩 버전 패턴만 검색, filters: payload 필터 (normalizePatternFilters() 결과) }
+   */
+  async searchSimilarPatterns(queryVector, limit = 5, threshold = 0.7, { embeddingVersion = null, filters = null } = {}) {
     try {
-      // 검색 벡터 검증
-      if (!this.validateVector(queryVector)) {
-        logger.error('❌ 검색 벡터가 유효하지 않음');
+      // 검색 벡터 검증 (컬렉션 차원 기준)
+      const { dimensions } = await this.getCollectionProfile(this.codePatternCollectionName);
+      if (!this.validateVector(queryVector, dimensions)) {
+        logger.error(`❌ 검색 벡터가 유효하지 않음 (차원: ${queryVector?.length}, 컬렉션: ${dimensions})`);
         return [];
       }
       
@@ -272,6 +416,7 @@ export class QdrantAdapter {
         vector: queryVector,
         limit,
         score_threshold: threshold,
+        filter: this.buildPatternFilter(filters, embeddingVersion),
         with_payload: true,
         with_vector: false  // 결과에 벡터 포함 안 함 (성능 향상)
       });
@@ -283,19 +428,7 @@ export class QdrantAdapter {
         logger.info(`   최저 점수: ${searchResult[searchResult.length - 1].score.toFixed(4)}`);
       }
 
-      return searchResult.map(result => ({
-        id: result.payload.issueRecordId,
-        title: result.payload.title,
-        category: result.payload.category,
-        severity: result.payload.severity,
-        semanticSignature: result.payload.semanticSignature,
-        astSignature: result.payload.astSignature,
-        cyclomaticComplexity: result.payload.cyclomaticComplexity,
-        maxDepth: result.payload.maxDepth,
-        qualityScore: result.payload.qualityScore,
-        score: result.score,
-        fullData: JSON.parse(result.payload.patternData || '{}')
-      }));
+      return searchResult.map(result => this.toPatternResult(result, result.score));
     } catch (error) {
       logger.error('❌ 유사 패턴 검색 오류:', error.message);
       if (error.data) {
@@ -305,22 +438,78 @@ export class QdrantAdapter {
     }
   }
 
-  async getAllPatterns(limit = 100) {
+  /**
+   * 키워드(sparse) 패턴 검색 (하이브리드 검색의 sparse 순위)
+   * 
+   * - sparse 벡터 지원 컬렉션: 질의 토큰 sparse 벡터로 검색 (서버 IDF 적용)
+   * - 기존 컬렉션: 필터에 맞는 패턴을 scroll로 모두 가져와 BM25 계산
+   * 
+   * @param {string} queryText - 키워드 질의 (제목/태그/안티패턴 코드/의미 시그니처 대상)
+   * @param {number} limit - 최대 결과 수
+   * @param {Object} filters - payload 필터 (normalizePatternFilters() 결과)
+   * @returns {Promise<Array<Object>>} 점수 내림차순 (searchSimilarPatterns()와 같은 형식 + matchedTerms)
+   */
+  async searchPatternsByKeywords(queryText, limit = 10, filters = null) {
     try {
+      const filter = this.buildPatternFilter(filters);
+
+      if (await this.hasSparseVectors()) {
+        const querySparse = buildQuerySparseVector(queryText);
+        if (querySparse.indices.length === 0) {
+          return [];
+        }
+
+        const searchResult = await this.client.search(this.codePatternCollectionName, {
+          vector: { name: SPARSE_VECTOR_NAME, vector: querySparse },
+          limit,
+          filter,
+          with_payload: true,
+          with_vector: false
+        });
+        logger.info(`✅ 키워드 검색 완료: ${searchResult.length}개 결과 발견`);
+
+        return searchResult.map(result => {
+          const pattern = this.toPatternResult(result, result.score);
+          return { ...pattern, matchedTerms: findMatchedTerms(queryText, buildPatternSearchText(pattern.fullData)) };
+        });
+      }
+
+      logger.warn(`⚠️ ${this.codePatternCollectionName} 컬렉션에 키워드 sparse 벡터 없음 → payload BM25로 검색 (전수 조회)`);
       const scrollResult = await this.client.scroll(this.codePatternCollectionName, {
-        limit,
+        filter,
+        limit: Math.max(await this.getPatternCount(), 1),
         with_payload: true,
         with_vector: false
       });
+      const documents = scrollResult.points.map(point => {
+        const pattern = this.toPatternResult(point, 0);
+        return { item: pattern, text: buildPatternSearchText(pattern.fullData) };
+      });
 
-      if (point.payload.patternData) {
-        try {
-          return JSON.parse(point.payload.patternData);
-        } catch (e) {
-          console.warn('patternData 파싱 실패:', e.message);
-        }
+      const results = rankByBm25(documents, queryText).slice(0, limit);
+      logger.info(`✅ 키워드 검색 완료: ${results.length}개 결과 발견 (대상 ${documents.length}개)`);
+
+      return results.map(({ item, score, matchedTerms }) => ({ ...item, score, matchedTerms }));
+    } catch (error) {
+      logger.error('❌ 키워드 패턴 검색 오류:', error.message);
+      if (error.data) {
+        logger.error('   상세:', JSON.stringify(error.data, null, 2));
       }
-      
+      return [];
+    }
+  }
+
+  /**
+   * @param {Object} options - { throwOnError: 조회 실패 시 빈 배열 대신 오류 전달 (reembed 스냅샷 등) }
+   */
+  async getAllPatterns(limit = 100, { throwOnError = false } = {}) {
+    try {
+      const scrollResult = await this.client.scroll(this.codePatternCollectionName, {
+        limit,
+        with_payload: true,
+        with_vector: false
+      });
+
       return scrollResult.points.map(point => {
         if (point.payload.patternData) {
           try {
@@ -353,6 +542,7 @@ export class QdrantAdapter {
       });
     } catch (error) {
       logger.error('전체 패턴 조회 오류:', error.message);
+      if (throwOnError) throw error;
       return [];
     }
   }
@@ -413,17 +603,21 @@ export class QdrantAdapter {
         return JSON.stringify(p);
       });
   
-      // 벡터 준비 및 차원 검증
-      let vector = guideline.embedding || this.createDummyVector();
-      if (vector.length !== this.vectorDimensions) {
-        console.warn(`⚠️ 벡터 차원 불일치: ${vector.length} -> ${this.vectorDimensions} (더미 벡터 사용)`);
-        vector = this.createDummyVector();
+      // 벡터 준비 및 차원 검증 (기준: 컬렉션 기록 차원)
+      const { dimensions } = await this.getCollectionProfile(this.guidelineCollectionName);
+      let vector = guideline.embedding || this.createDummyVector(dimensions);
+      let hasEmbedding = !!guideline.embedding;
+      if (vector.length !== dimensions) {
+        console.warn(`⚠️ 벡터 차원 불일치: ${vector.length} -> ${dimensions} (더미 벡터 사용)`);
+        vector = this.createDummyVector(dimensions);
+        hasEmbedding = false;
       }
       
       // 벡터 검증 및 정규화
-      if (!this.validateVector(vector)) {
+      if (!this.validateVector(vector, dimensions)) {
         console.warn(`⚠️ 가이드라인 벡터 유효하지 않음, 더미 벡터 사용`);
-        vector = this.createDummyVector();
+        vector = this.createDummyVector(dimensions);
+        hasEmbedding = false;
       }
   
       const point = {
@@ -443,13 +637,16 @@ export class QdrantAdapter {
           antiPatterns: JSON.stringify(antiPatternsArray),
           goodPatterns: JSON.stringify(goodPatternsArray),
           astHints: JSON.stringify(guideline.astHints || {}),
+          structure: guideline.structure ? JSON.stringify(guideline.structure) : '',
           
           // 레거시 호환
           patterns: JSON.stringify(patternsArray),
           
           message: guideline.message || '',
           parentChapter: guideline.parentChapter || '',
-          isActive: guideline.isActive !== false
+          isActive: guideline.isActive !== false,
+          // 더미 벡터로 저장된 가이드라인은 유사도 검색(searchSimilarGuidelines) 대상에서 제외
+          hasEmbedding
         }
       };
   
@@ -508,6 +705,7 @@ export class QdrantAdapter {
         antiPatterns: this.parsePatternArray(point.payload.antiPatterns),
         goodPatterns: this.parsePatternArray(point.payload.goodPatterns),
         astHints: this.parseJSON(point.payload.astHints) || {},
+        structure: point.payload.structure ? this.parseJSON(point.payload.structure) : null,
         
         // 레거시 호환
         patterns: this.parseJSON(point.payload.patterns),
@@ -550,6 +748,7 @@ export class QdrantAdapter {
         antiPatterns: this.parsePatternArray(point.payload.antiPatterns),
         goodPatterns: this.parsePatternArray(point.payload.goodPatterns),
         astHints: this.parseJSON(point.payload.astHints) || {},
+        structure: point.payload.structure ? this.parseJSON(point.payload.structure) : null,
         
         // 레거시 호환
         patterns: this.parseJSON(point.payload.patterns),
@@ -562,6 +761,53 @@ export class QdrantAdapter {
     }
   }
 
+  /**
+   * 코드 임베딩과 유사한 가이드라인 검색 (맥락적 규칙 선택용)
+   * 
+   * 임베딩이 저장된(hasEmbedding) 가이드라인만 대상, 점수 임계값 없이 유사도 순으로 반환
+   * 
+   * @param {number[]} queryVector - 코드 임베딩 벡터
+   * @param {number} limit - 최대 결과 수
+   * @param {object} filters - { checkType }
+   * @returns {Promise<Array>} [{ ruleId, title, category, checkType, score }]
+   */
+  async searchSimilarGuidelines(queryVector, limit = 10, filters = {}) {
+    try {
+      const { dimensions } = await this.getCollectionProfile(this.guidelineCollectionName);
+      if (!this.validateVector(queryVector, dimensions)) {
+        logger.error(`❌ 검색 벡터가 유효하지 않음 (차원: ${queryVector?.length}, 컬렉션: ${dimensions})`);
+        return [];
+      }
+
+      const must = [
+        { key: 'hasEmbedding', match: { value: true } },
+        { key: 'isActive', match: { value: true } }
+      ];
+      if (filters.checkType) {
+        must.push({ key: 'checkType', match: { value: filters.checkType } });
+      }
+
+      const searchResult = await this.client.search(this.guidelineCollectionName, {
+        vector: queryVector,
+        filter: { must },
+        limit,
+        with_payload: true,
+        with_vector: false
+      });
+
+      return searchResult.map(result => ({
+        ruleId: result.payload.ruleId,
+        title: result.payload.ruleTitle,
+        category: result.payload.category,
+        checkType: result.payload.checkType,
+        score: result.score
+      }));
+    } catch (error) {
+      logger.error('유사 가이드라인 검색 오류:', error.message);
+      return [];
+    }
+  }
+
   async updateGuidelineStatus(ruleId, isActive) {
     try {
       const searchResult = await this.client.scroll(this.guidelineCollectionName, {
@@ -677,11 +923,15 @@ export class QdrantAdapter {
     }
   }
 
+  /**
+   * @param {string} patternId - 포인트 ID(UUID) 또는 issueRecordId (LocalAdapter와 동일)
+   */
   async deletePattern(patternId) {
     try {
-      await this.client.delete(this.codePatternCollectionName, {
-        points: [patternId]
-      });
+      const selector = UUID_PATTERN.test(patternId)
+        ? { points: [patternId] }
+        : { filter: { must: [{ key: 'issueRecordId', match: { value: patternId } }] } };
+      await this.client.delete(this.codePatternCollectionName, selector);
       logger.info(`✅ 패턴 삭제 완료: ${patternId}`);
     } catch (error) {
       logger.error(`패턴 삭제 오류 (${patternId}):`, error.message);
@@ -776,9 +1026,9 @@ parsePatternArray(jsonStr) {
     }
   }
 
-  createDummyVector() {
+  createDummyVector(dimensions = this.vectorDimensions) {
     // 벡터가 없을 경우 더미 벡터 생성 (모든 값이 0)
-    return new Array(this.vectorDimensions).fill(0);
+    return new Array(dimensions).fill(0);
   }
 
   // ============================================================
@@ -788,6 +1038,10 @@ parsePatternArray(jsonStr) {
 /**
  * CodePattern 컬렉션의 모든 데이터 삭제
  * 
+ * 컬렉션 기록 프로필이 현재 임베딩 설정과 다르면 컬렉션을 현재 프로필로 다시 생성
+ * (LocalAdapter와 동일: 백엔드/차원 변경 후 재저장 가능)
+ * 키워드 sparse 벡터가 없는 기존 컬렉션도 다시 생성 (하이브리드 검색용)
+ * 
  * @async
  * @returns {Promise<{deleted: number}>} 삭제된 포인트 수
  */
@@ -796,6 +1050,15 @@ async clearAllPatterns() {
     const collectionInfo = await this.client.getCollection(this.codePatternCollectionName);
     const pointsCount = collectionInfo.points_count || 0;
     
+    const recorded = await this.getCollectionProfile(this.codePatternCollectionName);
+    if (!isSameEmbeddingProfile(recorded, await resolveEmbeddingProfile('pattern')) || !(await this.hasSparseVectors())) {
+      logger.info(`🔨 ${this.codePatternCollectionName} 컬렉션을 현재 임베딩 프로필로 다시 생성 (${pointsCount}개 패턴 삭제)...`);
+      await this.client.deleteCollection(this.codePatternCollectionName);
+      this.collectionProfiles.delete(this.codePatternCollectionName);
+      await this.createCodePatternCollection();
+      return { deleted: pointsCount };
+    }
+    
     if (pointsCount === 0) {
       logger.info('📭 삭제할 패턴이 없습니다.');
       return { deleted: 0 };
@@ -1000,23 +1263,26 @@ async batchStorePatterns(datasets, options = {}) {
  */
 async preparePatternPoint(dataset) {
   const id = uuidv4();
+  const { dimensions } = await this.getCollectionProfile(this.codePatternCollectionName);
   
   let vector = dataset.embeddings?.combined_embedding;
   
   if (!vector || !Array.isArray(vector)) {
     logger.warn(`⚠️ 벡터가 없어 더미 벡터 생성: ${dataset.issue_record_id}`);
-    vector = this.createDummyVector();
+    vector = this.createDummyVector(dimensions);
   }
   
-  if (vector.length !== this.vectorDimensions) {
-    logger.warn(`⚠️ 벡터 차원 불일치, 더미 벡터로 대체: ${dataset.issue_record_id}`);
-    vector = this.createDummyVector();
+  if (vector.length !== dimensions) {
+    logger.warn(`⚠️ 벡터 차원 불일치 (${vector.length} !== ${dimensions}), 더미 벡터로 대체: ${dataset.issue_record_id}`);
+    vector = this.createDummyVector(dimensions);
   }
   
-  if (!this.validateVector(vector)) {
+  if (!this.validateVector(vector, dimensions)) {
     throw new Error('Vector contains NaN, Infinity, or non-numeric values');
   }
   
+  vector = await this.buildPatternVector(dataset, vector);
+  
   const payload = {
     issueRecordId: dataset.issue_record_id,
     patternData: JSON.stringify(dataset),
@@ -1033,7 +1299,8 @@ async preparePatternPoint(dataset) {
     astSignature: (dataset.embeddings?.ast_analysis?.signature || '').substring(0, 5000),
     astNodeTypes: JSON.stringify(dataset.embeddings?.ast_analysis?.nodeTypes || []),
     cyclomaticComplexity: Number(dataset.embeddings?.ast_analysis?.cyclomaticComplexity ?? 1),
-    maxDepth: Number(dataset.embeddings?.ast_analysis?.maxDepth ?? 1)
+    maxDepth: Number(dataset.embeddings?.ast_analysis?.maxDepth ?? 1),
+    embeddingVersion: dataset.embeddings?.embedding_metadata?.version_stamp?.id || 'unversioned'
   };
   
   return { id, vector, payload };
@@ -1046,14 +1313,16 @@ async preparePatternPoint(dataset) {
 /**
  * CodePattern 컬렉션의 현재 포인트 수 조회
  * @async
+ * @param {Object} options - { throwOnError: 조회 실패 시 0 대신 오류 전달 }
  * @returns {Promise<number>}
  */
-async getPatternCount() {
+async getPatternCount({ throwOnError = false } = {}) {
   try {
     const collectionInfo = await this.client.getCollection(this.codePatternCollectionName);
     return collectionInfo.points_count || 0;
   } catch (error) {
     logger.error('❌ 패턴 수 조회 오류:', error.message);
+    if (throwOnError) throw error;
     return 0;
   }
 }
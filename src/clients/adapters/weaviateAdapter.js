@@ -1,4 +1,4 @@
-import weaviate, { ApiKey } from 'weaviate-ts-client';
+import weaviate, { ApiKey, FusionType } from 'weaviate-ts-client';
 import { config } from '../../config.js';
 import { v4 as uuidv4 } from 'uuid';
 import logger from '../../utils/loggerUtils.js'
@@ -58,6 +58,7 @@ export class WeaviateAdapter {
       // CodingGuideline 스키마 처리
       if (existingClasses.includes(this.guidelineClassName)) {
         logger.info(`✅ 기존 ${this.guidelineClassName} 스키마 확인됨`);
+        await this.ensureGuidelineStructureProperty(schema.classes.find(c => c.class === this.guidelineClassName));
       } else {
         logger.info(`🔨 ${this.guidelineClassName} 스키마 생성 중...`);
         await this.createCodingGuidelineSchema();
@@ -71,6 +72,24 @@ export class WeaviateAdapter {
     }
   }
 
+  /**
+   * 구조 규칙(checkType: structural) DSL 속성이 없는 기존 CodingGuideline 스키마에 structure 속성 추가
+   * (속성이 없으면 structure 필드 조회가 실패하므로 검색 전에 보완)
+   * @private
+   */
+  async ensureGuidelineStructureProperty(existingSchema) {
+    if ((existingSchema?.properties || []).some(p => p.name === 'structure')) {
+      return;
+    }
+
+    logger.info(`🔨 ${this.guidelineClassName} 스키마에 structure 속성 추가...`);
+    await this.client.schema
+      .propertyCreator()
+      .withClassName(this.guidelineClassName)
+      .withProperty({ name: 'structure', dataType: ['text'], description: 'Structural rule DSL as JSON' })
+      .do();
+  }
+
   validateSchemaCompatibility(existingSchema) {
     const requiredProperties = ['issueRecordId', 'title', 'category', 'severity'];
     const existingProperties = existingSchema.properties.map(p => p.name);
@@ -135,6 +154,7 @@ export class WeaviateAdapter {
           { name: 'patterns', dataType: ['text[]'], description: 'Regex patterns' },
           { name: 'message', dataType: ['text'], description: 'Violation message template' },
           { name: 'parentChapter', dataType: ['text'], description: 'Parent chapter reference' },
+          { name: 'structure', dataType: ['text'], description: 'Structural rule DSL as JSON' },
           { name: 'isActive', dataType: ['boolean'], description: 'Rule is active' }
         ]
       })
@@ -208,7 +228,108 @@ export class WeaviateAdapter {
     }
   }
 
-  async getAllPatterns(limit = 100) {
+  /**
+   * 네이티브 하이브리드 패턴 검색 (BM25 + nearVector, rankedFusion)
+   * 
+   * VectorClient.hybridSearchPatterns()가 호출 (Qdrant/Local은 VectorClient에서 RRF 결합)
+   * 구성요소별 점수는 Weaviate explainScore에서 추출 (순위 정보 없음)
+   * 
+   * @param {Object} query - { vector, text }
+   * @param {Object} options - { limit, filters: normalizePatternFilters() 결과, weights: { dense, sparse } }
+   * @returns {Promise<Array<Object>>} [{ ...패턴, score, explanation: { fusion, dense, sparse, raw } }]
+   */
+  async hybridSearchPatterns({ vector = null, text = '' }, { limit = 10, filters = null, weights = {} } = {}) {
+    try {
+      const denseWeight = vector ? (weights.dense ?? 1) : 0;
+      const sparseWeight = text ? (weights.sparse ?? 1) : 0;
+      const alpha = denseWeight + sparseWeight > 0 ? denseWeight / (denseWeight + sparseWeight) : 0.5;
+
+      let query = this.client.graphql
+        .get()
+        .withClassName(this.codePatternClassName)
+        .withFields('issueRecordId title category severity frameworkVersion semanticSignature qualityScore astSignature cyclomaticComplexity maxDepth patternData _additional { score explainScore }')
+        .withHybrid({
+          query: text || '',
+          ...(vector && { vector }),
+          alpha,
+          properties: ['title', 'tags', 'antiPatternCode', 'semanticSignature'],
+          fusionType: FusionType.rankedFusion
+        })
+        .withLimit(limit);
+
+      const where = this.buildPatternWhere(filters);
+      if (where) {
+        query = query.withWhere(where);
+      }
+
+      const result = await query.do();
+      const patterns = result.data?.Get?.[this.codePatternClassName] || [];
+
+      return patterns.map(pattern => ({
+        id: pattern.issueRecordId,
+        title: pattern.title,
+        category: pattern.category,
+        severity: pattern.severity,
+        frameworkVersion: pattern.frameworkVersion,
+        semanticSignature: pattern.semanticSignature,
+        astSignature: pattern.astSignature,
+        cyclomaticComplexity: pattern.cyclomaticComplexity,
+        maxDepth: pattern.maxDepth,
+        qualityScore: pattern.qualityScore,
+        score: Number(pattern._additional?.score ?? 0),
+        explanation: this.parseExplainScore(pattern._additional?.explainScore),
+        fullData: JSON.parse(pattern.patternData || '{}')
+      }));
+    } catch (error) {
+      logger.error('하이브리드 패턴 검색 오류:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * payload 필터 → Weaviate where (조건이 없으면 null)
+   * @private
+   */
+  buildPatternWhere(filters) {
+    const anyOf = (path, values) => values.length === 1
+      ? { path: [path], operator: 'Equal', valueString: values[0] }
+      : { operator: 'Or', operands: values.map(value => ({ path: [path], operator: 'Equal', valueString: value })) };
+
+    const operands = [];
+    if (filters?.category) operands.push(anyOf('category', filters.category));
+    if (filters?.severity) operands.push(anyOf('severity', filters.severity));
+    if (filters?.framework) operands.push(anyOf('frameworkVersion', [filters.framework]));
+    if (filters?.minQualityScore !== null && filters?.minQualityScore !== undefined) {
+      operands.push({ path: ['qualityScore'], operator: 'GreaterThanEqual', valueNumber: filters.minQualityScore });
+    }
+
+    if (operands.length === 0) return null;
+    return operands.length === 1 ? operands[0] : { operator: 'And', operands };
+  }
+
+  /**
+   * explainScore 문자열 → 구성요소별 점수 ("(Result Set keyword,bm25) ... contributed 0.016 ..." 형식)
+   * @private
+   */
+  parseExplainScore(explainScore) {
+    const explanation = { fusion: 'weaviate-rankedFusion', dense: null, sparse: null, raw: explainScore || null };
+
+    for (const segment of (explainScore || '').split('(Result Set ').slice(1)) {
+      const component = segment.startsWith('keyword') ? 'sparse' : segment.startsWith('vector') ? 'dense' : null;
+      if (!component) continue;
+
+      const original = segment.match(/original score ([\d.eE+-]+)/);
+      const contributed = segment.match(/contributed ([\d.eE+-]+)/);
+      explanation[component] = {
+        rank: null,
+        score: original ? Number(original[1]) : null,
+        contribution: contributed ? Number(contributed[1]) : null
+      };
+    }
+    return explanation;
+  }
+
+  async getAllPatterns(limit = 100, { throwOnError = false } = {}) {
     try {
       const result = await this.client.graphql
         .get()
@@ -220,6 +341,7 @@ export class WeaviateAdapter {
       return result.data?.Get?.[this.codePatternClassName] || [];
     } catch (error) {
       logger.error('전체 패턴 조회 오류:', error.message);
+      if (throwOnError) throw error;
       return [];
     }
   }
@@ -247,6 +369,7 @@ export class WeaviateAdapter {
         patterns: patternsArray,
         message: guideline.message || '',
         parentChapter: guideline.parentChapter || '',
+        structure: guideline.structure ? JSON.stringify(guideline.structure) : '',
         isActive: guideline.isActive !== false
       };
 
@@ -270,7 +393,7 @@ export class WeaviateAdapter {
       let query = this.client.graphql
         .get()
         .withClassName(this.guidelineClassName)
-        .withFields('ruleId ruleTitle category checkType description keywords severity examples patterns message isActive');
+        .withFields('ruleId ruleTitle category checkType description keywords severity examples patterns message structure isActive');
 
       if (filters.category) {
         query = query.withWhere({ path: ['category'], operator: 'Equal', valueString: filters.category });
@@ -298,6 +421,7 @@ export class WeaviateAdapter {
         examples: this.parseExamples(g.examples),
         patterns: g.patterns,
         message: g.message,
+        structure: this.parseStructure(g.structure),
         isActive: g.isActive
       }));
     } catch (error) {
@@ -311,7 +435,7 @@ export class WeaviateAdapter {
       const result = await this.client.graphql
         .get()
         .withClassName(this.guidelineClassName)
-        .withFields('ruleId ruleTitle category checkType description keywords severity examples patterns message')
+        .withFields('ruleId ruleTitle category checkType description keywords severity examples patterns message structure')
         .withWhere({
           operator: 'Or',
           operands: keywords.map(keyword => ({
@@ -334,7 +458,8 @@ export class WeaviateAdapter {
         severity: g.severity,
         examples: this.parseExamples(g.examples),
         patterns: g.patterns,
-        message: g.message
+        message: g.message,
+        structure: this.parseStructure(g.structure)
       }));
     } catch (error) {
       logger.error('키워드 기반 가이드라인 검색 오류:', error.message);
@@ -342,6 +467,12 @@ export class WeaviateAdapter {
     }
   }
 
+  async searchSimilarGuidelines(queryVector, limit = 10, filters = {}) {
+    // 가이드라인을 벡터 없이 저장하므로 유사도 검색 미지원 (맥락적 규칙 선택은 키워드 방식으로 폴백)
+    logger.warn('⚠️ Weaviate 가이드라인은 임베딩이 저장되지 않아 유사도 검색을 지원하지 않습니다');
+    return [];
+  }
+
   async updateGuidelineStatus(ruleId, isActive) {
     try {
       const searchResult = await this.client.graphql
@@ -475,6 +606,15 @@ export class WeaviateAdapter {
     }
   }
 
+  // 구조 규칙 DSL (저장되지 않았거나 파싱 실패 시 null)
+  parseStructure(structureString) {
+    try {
+      return structureString ? JSON.parse(structureString) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   async getSystemStats() {
     try {
       const codePatternCount = await this.getClassObjectCount(this.codePatternClassName);
@@ -0,0 +1,277 @@
+/**
+ * LLMPipeline 미들웨어
+ *
+ * 모든 미들웨어는 async (request, next) => result 형태:
+ * - request: { provider, model, prompt, options, expectJSON, task, schema, signal }
+ * - result: { content, usage, json?, schemaErrors?, cached?, replayed? }
+ * 앞쪽 미들웨어가 바깥에서 실행되며, next(request)를 호출하지 않으면 이후 단계(실제 provider 호출 포함)를 건너뛴다.
+ *
+ * 기본 순서 (createDefaultLLMMiddleware):
+ *   스키마 검증/수정 요청 → JSON 추출 → 응답 캐시 → 기록/재생 → 로깅 → 재시도 → 호출 간격 제한 → 타임아웃 → provider 호출
+ * - 수정 요청(repair)은 새 프롬프트로 JSON 추출 이후 단계를 다시 거침 (캐시/기록 대상)
+ * - 캐시/재생 적중 시 로깅 이후 단계는 실행되지 않음 (실제 호출만 로그, 호출 간격에 포함)
+ * - 재시도 시도마다 호출 간격 제한과 타임아웃이 새로 적용됨
+ *
+ * # NOTE: 호출 간격 제한은 프로세스 전체 공유 (LLMService 인스턴스가 여러 개여도 같은 서버로 가는 호출을 함께 제한)
+ * # TODO: Python 변환 시 tenacity(재시도) + aiolimiter(호출 제한)로 대체
+ */
+
+import { config } from '../config.js';
+import logger from '../utils/loggerUtils.js';
+import { extractJSONFromResponse } from '../utils/llmJsonUtils.js';
+import { createLLMCacheKey, getCachedCompletion, setCachedCompletion } from '../utils/llmCacheUtils.js';
+import { withLLMRecording } from '../utils/llmRecordingUtils.js';
+import { validateJSONSchema, buildSchemaRepairPrompt, recordSchemaValidation } from '../utils/llmSchemaUtils.js';
+
+let nextCallAvailableAt = 0;
+
+/**
+ * 기본 미들웨어 구성
+ *
+ * @param {object} cfg - 전체 설정 (config)
+ * @param {object} settings - provider 설정 ({ timeout, ... })
+ * @returns {Function[]} 미들웨어 배열 (바깥 → 안쪽 순)
+ */
+export function createDefaultLLMMiddleware(cfg, settings) {
+  return [
+    createSchemaValidationMiddleware({ maxRepairAttempts: cfg.llm.schemaRepair?.maxAttempts }),
+    createJSONExtractionMiddleware(),
+    createCacheMiddleware(cfg),
+    createRecordingMiddleware(),
+    createLoggingMiddleware(),
+    createRetryMiddleware({ maxRetries: cfg.llm.maxRetries, retryDelay: cfg.llm.retryDelay }),
+    createRateLimitMiddleware({ minIntervalMs: cfg.llm.rateLimit?.minIntervalMs }),
+    createTimeoutMiddleware({ timeoutMs: settings.timeout })
+  ];
+}
+
+/**
+ * 작업 스키마 검증 + 수정 요청 루프 (request.schema가 있을 때만)
+ *
+ * - 응답 JSON이 없거나 스키마를 만족하지 않으면 오류 목록을 모델에 되돌려 최대 maxRepairAttempts회 다시 요청
+ * - 끝내 만족하지 않으면 result.json = null, result.schemaErrors에 마지막 오류 (호출부 폴백 처리)
+ * - 작업별/모델별 첫 응답 유효 여부, 수정 성공/실패 집계 (llmSchemaUtils.getLLMSchemaStats)
+ *   첫 응답이 캐시/재생 응답이면 모델 요청으로 보지 않고 cachedResponses로만 집계 (첫 응답 유효율 왜곡 방지)
+ *
+ * @param {object} options - { maxRepairAttempts }
+ * @returns {Function} 미들웨어
+ */
+export function createSchemaValidationMiddleware({ maxRepairAttempts = 2 } = {}) {
+  return async (request, next) => {
+    if (!request.schema) {
+      return await next(request);
+    }
+
+    let result = await next(request);
+    let errors = getSchemaErrors(result.json, request.schema);
+    const firstPassValid = errors.length === 0;
+    const fromCache = Boolean(result.cached || result.replayed);
+    let repairAttempts = 0;
+
+    while (errors.length > 0 && repairAttempts < maxRepairAttempts) {
+      repairAttempts++;
+      logger.warn(`⚠️ LLM 응답 스키마 불일치 (${request.task}, 오류 ${errors.length}건: ${errors[0]}) → 수정 요청 ${repairAttempts}/${maxRepairAttempts}`);
+
+      try {
+        result = await next({
+          ...request,
+          prompt: buildSchemaRepairPrompt(request.prompt, result.content, errors, request.schema)
+        });
+      } catch (error) {
+        logger.warn(`⚠️ 수정 요청 실패 (${request.task}): ${error.message}`);
+        break;
+      }
+      errors = getSchemaErrors(result.json, request.schema);
+    }
+
+    recordSchemaValidation(
+      { task: request.task, provider: request.provider, model: request.model },
+      { firstPassValid, repairAttempts, valid: errors.length === 0, fromCache }
+    );
+
+    if (errors.length > 0) {
+      logger.warn(`⚠️ LLM 응답 스키마 검증 실패 (${request.task}, 수정 요청 ${repairAttempts}회): ${errors.slice(0, 3).join('; ')}`);
+      return { ...result, json: null, schemaErrors: errors };
+    }
+    if (repairAttempts > 0) {
+      logger.info(`✅ LLM 응답 스키마 수정 완료 (${request.task}, 수정 요청 ${repairAttempts}회)`);
+    }
+    return result;
+  };
+}
+
+/**
+ * JSON 추출 (request.expectJSON일 때 result.json 채움, 추출 실패 시 null)
+ *
+ * 작업 스키마가 있으면 응답 안의 여러 JSON 후보 중 스키마를 만족하는 후보를 우선 선택
+ *
+ * @returns {Function} 미들웨어
+ */
+export function createJSONExtractionMiddleware() {
+  return async (request, next) => {
+    const result = await next(request);
+    if (!request.expectJSON) {
+      return result;
+    }
+    return { ...result, json: extractJSONFromResponse(result.content, request.schema) };
+  };
+}
+
+/**
+ * 디스크 응답 캐시 (config.llmCache)
+ *
+ * - provider + model + 프롬프트 해시 + 옵션이 같으면 이후 단계 없이 캐시된 응답 반환
+ * - 빈 응답은 저장하지 않음
+ * - 기록/재생 모드(LLM_RECORD_MODE)에서는 건너뜀 (캐시 적중으로 fixture 기록/재생 누락이 가려지지 않도록)
+ *
+ * @param {object} cfg - 전체 설정 (config)
+ * @returns {Function} 미들웨어
+ */
+export function createCacheMiddleware(cfg = config) {
+  return async (request, next) => {
+    if (!cfg.llmCache.enabled || cfg.llm.recording.mode !== 'off') {
+      return await next(request);
+    }
+
+    const identity = { provider: request.provider, model: request.model };
+    const cacheKey = createLLMCacheKey(identity, request.prompt, request.options);
+    const cached = await getCachedCompletion(cacheKey);
+    if (cached !== null) {
+      logger.info(`💾 LLM 캐시 적중 (${cacheKey.slice(0, 12)})`);
+      return { content: cached, usage: null, cached: true };
+    }
+
+    const result = await next(request);
+    if (result.content) {
+      await setCachedCompletion(cacheKey, identity, result.content);
+    }
+    return result;
+  };
+}
+
+/**
+ * 기록/재생 (config.llm.recording, llmRecordingUtils 참고)
+ *
+ * @returns {Function} 미들웨어
+ */
+export function createRecordingMiddleware() {
+  return async (request, next) => {
+    let usage = null;
+    let generated = false;
+    const content = await withLLMRecording(
+      { provider: request.provider, model: request.model },
+      request.prompt,
+      request.options,
+      async () => {
+        const result = await next(request);
+        generated = true;
+        usage = result.usage;
+        return result.content;
+      }
+    );
+    // replay 모드는 generate를 호출하지 않음 → 재생 응답 표시 (스키마 통계에서 모델 요청과 구분)
+    return generated ? { content, usage } : { content, usage, replayed: true };
+  };
+}
+
+/**
+ * 실제 호출 로그 (provider/모델, 프롬프트 길이, 소요 시간, 토큰 사용량)
+ *
+ * @returns {Function} 미들웨어
+ */
+export function createLoggingMiddleware() {
+  return async (request, next) => {
+    const startTime = Date.now();
+    logger.info(`🔄 LLM 호출: ${request.provider}/${request.model} (프롬프트 ${request.prompt.length}자)`);
+
+    try {
+      const result = await next(request);
+      const { usage } = result;
+      logger.info(`✅ LLM 응답: ${result.content.length}자, ${Date.now() - startTime}ms${usage ? `, 토큰: 입력 ${usage.promptTokens} / 출력 ${usage.completionTokens}` : ''}`);
+      return result;
+    } catch (error) {
+      logger.error(`❌ LLM 호출 실패 (${Date.now() - startTime}ms): ${error.message}`);
+      throw error;
+    }
+  };
+}
+
+/**
+ * 재시도 (지수 백오프, 최대 10초)
+ *
+ * error.retryable === false인 오류(잘못된 요청 4xx, SDK 없음 등)는 즉시 실패
+ *
+ * @param {object} options - { maxRetries: 총 시도 횟수, retryDelay: 첫 대기 시간(ms) }
+ * @returns {Function} 미들웨어
+ */
+export function createRetryMiddleware({ maxRetries = 2, retryDelay = 2000 } = {}) {
+  return async (request, next) => {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await next(request);
+      } catch (error) {
+        if (error.retryable === false || attempt >= maxRetries) {
+          throw new Error(`LLM 호출 최종 실패 (${attempt}/${maxRetries}회 시도): ${error.message}`);
+        }
+
+        const delay = Math.min(retryDelay * Math.pow(2, attempt - 1), 10000);
+        logger.warn(`⚠️ LLM 호출 실패 (${attempt}/${maxRetries}): ${error.message}`);
+        logger.info(`   ⏳ ${delay}ms 후 재시도...`);
+        await sleep(delay);
+      }
+    }
+  };
+}
+
+/**
+ * 호출 간격 제한 (프로세스 전체에서 호출 시작 간격을 minIntervalMs 이상으로 유지, 0이면 미사용)
+ *
+ * @param {object} options - { minIntervalMs }
+ * @returns {Function} 미들웨어
+ */
+export function createRateLimitMiddleware({ minIntervalMs = 0 } = {}) {
+  return async (request, next) => {
+    if (minIntervalMs > 0) {
+      const now = Date.now();
+      const waitMs = Math.max(0, nextCallAvailableAt - now);
+      nextCallAvailableAt = Math.max(now, nextCallAvailableAt) + minIntervalMs;
+      if (waitMs > 0) {
+        await sleep(waitMs);
+      }
+    }
+    return await next(request);
+  };
+}
+
+/**
+ * 시도별 타임아웃 (options.timeout > provider 설정 timeout)
+ *
+ * @param {object} options - { timeoutMs }
+ * @returns {Function} 미들웨어
+ */
+export function createTimeoutMiddleware({ timeoutMs = 180000 } = {}) {
+  return async (request, next) => {
+    const limitMs = request.options.timeout || timeoutMs;
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), limitMs);
+
+    try {
+      return await next({ ...request, signal: controller.signal });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw new Error(`LLM 응답 시간 초과 (${limitMs}ms)`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  };
+}
+
+function getSchemaErrors(json, schema) {
+  return json ? validateJSONSchema(json, schema) : ['$: 응답에서 JSON 객체를 찾을 수 없음'];
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
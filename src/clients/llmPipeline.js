@@ -0,0 +1,199 @@
+/**
+ * LLM 호출 파이프라인 (LLMPipeline)
+ *
+ * 모든 LLM 호출(가이드라인 검사, 가이드라인 추출, 패턴 생성, 임베딩, 수정안 생성)이 거치는 단일 경로
+ * → 같은 프롬프트는 호출부와 관계없이 같은 재시도/타임아웃/JSON 추출 정책으로 처리
+ *
+ * 구성:
+ * 1. 환경/Provider 결정 (프로젝트 설정 파일 > external: LLM_PROVIDER, internal: vllm)
+ * 2. 미들웨어 체인 (llmMiddleware.js: 스키마 검증/수정 요청, JSON 추출, 캐시, 기록/재생, 로깅, 재시도, 호출 간격, 타임아웃)
+ * 3. Provider 전송 (llmProviders.js: ollama, vllm, openai, bedrock)
+ *
+ * 사용 예시:
+ * ```javascript
+ * const pipeline = new LLMPipeline();
+ * const text = await pipeline.generateCompletion(prompt, { temperature: 0.1, max_tokens: 2000 });
+ * const json = await pipeline.generateJSON(prompt, { num_predict: 1000, responseFormat: 'json' }, 'contextualViolations');
+ * pipeline.use(async (request, next) => next(request));  // provider 호출 직전에 미들웨어 추가
+ * ```
+ *
+ * @module LLMPipeline
+ */
+
+import { config } from '../config.js';
+import logger from '../utils/loggerUtils.js';
+import { getLLMProvider } from './llmProviders.js';
+import { getLLMTaskSchema } from './llmTaskSchemas.js';
+import { createDefaultLLMMiddleware } from './llmMiddleware.js';
+import { extractJSONFromResponse } from '../utils/llmJsonUtils.js';
+import { getLLMRecordingMode } from '../utils/llmRecordingUtils.js';
+import { addTokenUsage, createTokenUsage } from '../utils/chatCompletionUtils.js';
+
+export class LLMPipeline {
+  /**
+   * 생성자: Provider 결정 및 기본 미들웨어 구성
+   *
+   * @param {Object} customConfig - 선택적 커스텀 설정 (테스트용)
+   * @param {Object} pipelineOptions - { middleware: 기본 미들웨어 대신 사용할 미들웨어 배열 }
+   */
+  constructor(customConfig = null, { middleware = null } = {}) {
+    const cfg = customConfig || config;
+
+    // 환경 감지 (NODE_ENV 또는 설정 기반)
+    this.environment = process.env.NODE_ENV || cfg.environment || 'external';
+
+    // LLM Provider 결정 (프로젝트 설정 파일 > external: LLM_PROVIDER, internal: vllm)
+    this.provider = cfg.project?.llmProvider ||
+                    (this.environment === 'internal' ? 'vllm' : (cfg.llm.provider || 'ollama'));
+
+    this.transport = getLLMProvider(this.provider);
+    this.settings = this.transport.resolveSettings(cfg);
+    this.baseURL = this.settings.baseUrl;
+    this.model = this.settings.model;
+
+    this.middleware = middleware || createDefaultLLMMiddleware(cfg, this.settings);
+
+    // 누적 토큰 사용량 (provider 응답의 usage 기준, 캐시/재생 적중은 제외)
+    this.tokenUsage = createTokenUsage();
+
+    logger.info(`🔧 LLM 파이프라인 초기화`);
+    logger.info(`  📍 환경: ${this.environment}`);
+    logger.info(`  🔌 Provider: ${this.provider}`);
+    logger.info(`  🤖 모델: ${this.model}`);
+    logger.info(`  🔗 서버: ${this.baseURL}`);
+  }
+
+  /**
+   * 미들웨어 추가 (기본 미들웨어 뒤, provider 호출 직전에 실행)
+   *
+   * @param {Function} middleware - async (request, next) => result
+   * @returns {LLMPipeline} 체이닝용
+   */
+  use(middleware) {
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  /**
+   * 미들웨어 체인 실행
+   *
+   * @param {string} prompt - 입력 프롬프트
+   * @param {Object} options - 생성 옵션 (temperature, max_tokens/num_predict, top_p, stop, timeout, responseFormat, systemPrompt, images)
+   * @param {Object} requestOptions - { expectJSON: result.json에 JSON 추출 결과 포함, task: 응답 스키마 작업 이름 (llmTaskSchemas.js) }
+   * @returns {Promise<Object>} { content, usage, json?, schemaErrors?, cached? }
+   */
+  async generate(prompt, options = {}, { expectJSON = false, task = null } = {}) {
+    const request = {
+      provider: this.provider,
+      model: this.model,
+      prompt,
+      options,
+      expectJSON: expectJSON || task !== null,
+      task,
+      schema: task ? getLLMTaskSchema(task) : null,
+      signal: null
+    };
+
+    const dispatch = (index, currentRequest) => {
+      if (index >= this.middleware.length) {
+        return this.callProvider(currentRequest);
+      }
+      return this.middleware[index](currentRequest, nextRequest => dispatch(index + 1, nextRequest));
+    };
+
+    return await dispatch(0, request);
+  }
+
+  /**
+   * 텍스트 응답 생성
+   *
+   * @param {string} prompt - 입력 프롬프트
+   * @param {Object} options - 생성 옵션
+   * @returns {Promise<string>} LLM 응답 텍스트
+   */
+  async generateCompletion(prompt, options = {}) {
+    const result = await this.generate(prompt, options);
+    return result.content;
+  }
+
+  /**
+   * JSON 응답 생성
+   *
+   * task를 지정하면 응답을 작업 스키마로 검증하고, 실패 시 오류를 모델에 되돌려 수정 요청
+   *
+   * @param {string} prompt - 입력 프롬프트
+   * @param {Object} options - 생성 옵션
+   * @param {string|null} task - 응답 스키마 작업 이름 (llmTaskSchemas.js)
+   * @returns {Promise<Object|null>} 추출된 JSON 객체 (추출 실패 또는 스키마 검증 최종 실패 시 null)
+   */
+  async generateJSON(prompt, options = {}, task = null) {
+    const result = await this.generate(prompt, options, { expectJSON: true, task });
+    return result.json;
+  }
+
+  /**
+   * LLM 응답 텍스트에서 JSON 객체 추출 (JSON 추출 미들웨어와 같은 구현)
+   *
+   * @param {string} response - LLM 응답
+   * @returns {Object|null} 파싱된 JSON 객체 또는 null
+   */
+  extractJSON(response) {
+    return extractJSONFromResponse(response);
+  }
+
+  /**
+   * 체인 말단: provider API 1회 호출 + 토큰 사용량 누적
+   *
+   * @param {Object} request - 미들웨어를 거친 요청
+   * @returns {Promise<Object>} { content, usage }
+   * @throws {Error} 빈 응답 (재시도 대상)
+   */
+  async callProvider(request) {
+    const result = await this.transport.complete(this.settings, request.prompt, request.options, request.signal);
+    addTokenUsage(this.tokenUsage, result.usage);
+
+    if (!result.content || result.content.trim() === '') {
+      throw new Error(`${this.provider} 빈 응답`);
+    }
+    return result;
+  }
+
+  /**
+   * 누적 토큰 사용량
+   *
+   * @returns {Object} { requests, promptTokens, completionTokens, totalTokens }
+   */
+  getTokenUsage() {
+    return { ...this.tokenUsage };
+  }
+
+  /**
+   * 연결 상태 확인 (모델 목록 조회, 생성 요청 없음 → 캐시/기록 대상 아님)
+   *
+   * @returns {Promise<boolean>} 연결 성공 여부
+   */
+  async checkConnection() {
+    // 리플레이 모드는 모델 서버 없이 fixture만 사용
+    if (getLLMRecordingMode() === 'replay') {
+      logger.info('📼 LLM 리플레이 모드: 연결 확인 생략');
+      return true;
+    }
+
+    try {
+      logger.info(`🔍 ${this.provider} 연결 확인 중...`);
+      const modelIds = await this.transport.listModels(this.settings, AbortSignal.timeout(10000));
+
+      const baseName = this.model.split(':')[0];
+      if (modelIds.some(id => id === this.model || id.split(':')[0] === baseName)) {
+        logger.info(`✅ ${this.provider} 연결 성공, 설정된 모델 '${this.model}' 사용 가능`);
+      } else {
+        logger.warn(`⚠️ ${this.provider} 연결 성공, 설정된 모델 '${this.model}'을 목록에서 찾을 수 없습니다 (사용 가능: ${modelIds.slice(0, 3).join(', ')}${modelIds.length > 3 ? '...' : ''})`);
+      }
+      return true;
+
+    } catch (error) {
+      logger.error(`❌ ${this.provider} 연결 실패: ${error.message}`);
+      return false;
+    }
+  }
+}
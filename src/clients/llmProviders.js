@@ -0,0 +1,264 @@
+/**
+ * LLM Provider 전송 계층 (LLMPipeline 말단)
+ *
+ * provider별 요청 본문 생성, API 1회 호출, 응답 파싱, 연결 확인만 담당한다.
+ * 재시도, 타임아웃, 호출 간격, 캐시, 기록/재생, 로깅, JSON 추출은 LLMPipeline 미들웨어가 처리한다.
+ *
+ * provider 인터페이스:
+ * - resolveSettings(cfg) → { baseUrl, model, timeout, ... }
+ * - complete(settings, prompt, options, signal) → { content, usage: { promptTokens, completionTokens, totalTokens } | null }
+ * - listModels(settings, signal) → 사용 가능한 모델 ID 목록 (연결 확인용)
+ *
+ * 오류에는 status(HTTP 상태 코드)와 retryable(재시도 가능 여부)을 붙여 재시도 미들웨어가 판단하도록 한다.
+ *
+ * # TODO: Python 변환 시 httpx + boto3로 대체
+ */
+
+import logger from '../utils/loggerUtils.js';
+import {
+  buildChatCompletionBody,
+  buildChatCompletionHeaders,
+  parseChatCompletionResponse,
+  isResponseFormatRejected
+} from '../utils/chatCompletionUtils.js';
+
+const JSON_HEADERS = {
+  'Content-Type': 'application/json',
+  'Accept': 'application/json'
+};
+
+// Ollama 모델명 → vLLM 모델명 매핑
+const VLLM_MODEL_MAPPING = {
+  'qwen3-coder:30b': 'Qwen/Qwen3-Coder-30B-A3B-Instruct-FP8',
+  'gpt-oss:120b': 'openai/gpt-oss-120b'
+};
+
+const ollama = {
+  resolveSettings(cfg) {
+    return {
+      baseUrl: cfg.llm.ollama.baseUrl,
+      model: cfg.llm.ollama.model,
+      timeout: cfg.llm.ollama.timeout || 180000
+    };
+  },
+
+  async complete({ baseUrl, model }, prompt, options, signal) {
+    const body = {
+      model,
+      prompt,
+      stream: false,
+      ...(options.images && { images: options.images }),
+      options: {
+        temperature: options.temperature ?? 0.1,
+        num_predict: options.num_predict || options.max_tokens || 2000,
+        top_p: options.top_p || 0.9,
+        top_k: options.top_k || 40,
+        repeat_penalty: options.repeat_penalty || 1.1,
+        ...(options.stop && { stop: options.stop })
+      }
+    };
+
+    const data = await requestJSON(`${baseUrl}/api/generate`, { method: 'POST', headers: JSON_HEADERS, body, signal }, 'Ollama');
+
+    return {
+      content: data.response || '',
+      usage: data.eval_count !== undefined
+        ? {
+          promptTokens: data.prompt_eval_count || 0,
+          completionTokens: data.eval_count || 0,
+          totalTokens: (data.prompt_eval_count || 0) + (data.eval_count || 0)
+        }
+        : null
+    };
+  },
+
+  async listModels({ baseUrl }, signal) {
+    const data = await requestJSON(`${baseUrl}/api/tags`, { headers: JSON_HEADERS, signal }, 'Ollama');
+    return (data.models || []).map(m => m.name);
+  }
+};
+
+const vllm = {
+  resolveSettings(cfg) {
+    return {
+      baseUrl: cfg.llm.vllm.baseUrl,
+      model: VLLM_MODEL_MAPPING[cfg.llm.vllm.model] || cfg.llm.vllm.model,
+      timeout: cfg.llm.vllm.timeout || 180000
+    };
+  },
+
+  async complete({ baseUrl, model }, prompt, options, signal) {
+    const body = {
+      model,
+      messages: [
+        { role: 'system', content: 'You are expert in Financial Core System Software Developer.' },
+        { role: 'user', content: prompt }
+      ],
+      temperature: options.temperature ?? 0.1,
+      max_tokens: options.max_tokens || options.num_predict || 2000,
+      top_p: options.top_p || 0.95,
+      frequency_penalty: options.frequency_penalty || 0.0,
+      presence_penalty: options.presence_penalty || 0.0,
+      stream: false,
+      ...(options.stop && { stop: options.stop })
+    };
+
+    const data = await requestJSON(`${baseUrl}/v1/chat/completions`, { method: 'POST', headers: JSON_HEADERS, body, signal }, 'vLLM');
+    return parseChatCompletionResponse(data);
+  },
+
+  async listModels({ baseUrl }, signal) {
+    const data = await requestJSON(`${baseUrl}/v1/models`, { headers: JSON_HEADERS, signal }, 'vLLM');
+    return (data.data || []).map(m => m.id);
+  }
+};
+
+const openai = {
+  resolveSettings(cfg) {
+    return {
+      baseUrl: cfg.llm.openai.baseUrl.replace(/\/+$/, ''),
+      model: cfg.llm.openai.model,
+      timeout: cfg.llm.openai.timeout || 180000
+    };
+  },
+
+  // 서버가 response_format을 거부(400)하면 힌트 없이 1회 재요청
+  async complete({ baseUrl, model }, prompt, options, signal) {
+    const body = buildChatCompletionBody(model, prompt, options);
+    const url = `${baseUrl}/chat/completions`;
+
+    try {
+      return parseChatCompletionResponse(
+        await requestJSON(url, { method: 'POST', headers: buildChatCompletionHeaders(), body, signal }, 'OpenAI 호환')
+      );
+    } catch (error) {
+      if (!body.response_format || !isResponseFormatRejected(error.status, error.responseText)) {
+        throw error;
+      }
+      logger.warn('⚠️ 서버가 response_format을 지원하지 않아 응답 형식 힌트 없이 다시 요청합니다');
+      const { response_format: _ignored, ...bodyWithoutFormat } = body;
+      return parseChatCompletionResponse(
+        await requestJSON(url, { method: 'POST', headers: buildChatCompletionHeaders(), body: bodyWithoutFormat, signal }, 'OpenAI 호환')
+      );
+    }
+  },
+
+  async listModels({ baseUrl }, signal) {
+    const data = await requestJSON(`${baseUrl}/models`, { headers: buildChatCompletionHeaders(), signal }, 'OpenAI 호환');
+    if (!Array.isArray(data.data)) {
+      throw new Error(`OpenAI 호환 서버 응답 형식 오류: ${JSON.stringify(data).slice(0, 200)}`);
+    }
+    return data.data.map(m => m.id);
+  }
+};
+
+const bedrock = {
+  resolveSettings(cfg) {
+    const modelId = cfg.llm.bedrock.modelId;
+    return {
+      baseUrl: `bedrock:${cfg.llm.bedrock.region}`,
+      region: cfg.llm.bedrock.region,
+      model: modelId,
+      maxTokens: cfg.llm.bedrock.maxTokens || 4000,
+      temperature: cfg.llm.bedrock.temperature || 0.1,
+      timeout: cfg.llm.bedrock.timeout || 180000,
+      isDeepSeekR1: /deepseek/i.test(modelId || '')
+    };
+  },
+
+  // Claude 또는 DeepSeek-R1 형식 (DeepSeek-R1은 OpenAI 유사 messages 형식)
+  async complete(settings, prompt, options, signal) {
+    const { BedrockRuntimeClient, InvokeModelCommand } = await loadBedrockSdk();
+    settings.client = settings.client || new BedrockRuntimeClient({ region: settings.region });
+
+    const requestBody = {
+      ...(!settings.isDeepSeekR1 && { anthropic_version: 'bedrock-2023-05-31' }),
+      messages: [{ role: 'user', content: prompt }],
+      max_tokens: options.max_tokens || options.num_predict || settings.maxTokens,
+      temperature: options.temperature ?? settings.temperature
+    };
+
+    const response = await settings.client.send(new InvokeModelCommand({
+      modelId: settings.model,
+      contentType: 'application/json',
+      accept: 'application/json',
+      body: JSON.stringify(requestBody)
+    }), { abortSignal: signal });
+    const data = JSON.parse(new TextDecoder().decode(response.body));
+
+    const usage = data.usage
+      ? {
+        promptTokens: data.usage.input_tokens || data.usage.prompt_tokens || 0,
+        completionTokens: data.usage.output_tokens || data.usage.completion_tokens || 0,
+        totalTokens: 0
+      }
+      : null;
+    if (usage) usage.totalTokens = usage.promptTokens + usage.completionTokens;
+
+    return {
+      content: settings.isDeepSeekR1 ? data.choices?.[0]?.message?.content || '' : data.content?.[0]?.text || '',
+      usage
+    };
+  },
+
+  // Bedrock은 모델 목록 대신 짧은 테스트 요청으로 확인
+  async listModels(settings, signal) {
+    const { content } = await bedrock.complete(settings, "Hello, respond with just 'OK'", { max_tokens: 10 }, signal);
+    if (!content) {
+      throw new Error('Bedrock 빈 응답');
+    }
+    return [settings.model];
+  }
+};
+
+const LLM_PROVIDERS = { ollama, vllm, openai, bedrock };
+
+/**
+ * provider 전송 구현 조회
+ *
+ * @param {string} provider - 'ollama' | 'vllm' | 'openai' | 'bedrock'
+ * @returns {object} { resolveSettings, complete, listModels }
+ * @throws {Error} 지원하지 않는 provider
+ */
+export function getLLMProvider(provider) {
+  const transport = LLM_PROVIDERS[provider];
+  if (!transport) {
+    throw new Error(`지원하지 않는 LLM Provider: ${provider} (지원: ${Object.keys(LLM_PROVIDERS).join(', ')})`);
+  }
+  return transport;
+}
+
+async function requestJSON(url, { method = 'GET', headers, body = null, signal }, label) {
+  const response = await fetch(url, {
+    method,
+    headers,
+    ...(body && { body: JSON.stringify(body) }),
+    signal
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    const error = new Error(`${label} API 오류: ${response.status} - ${errorText.slice(0, 500)} (${url})`);
+    error.status = response.status;
+    error.responseText = errorText;
+    // 요청 자체가 잘못된 4xx는 재시도해도 같은 결과 (408 타임아웃, 429 호출 제한은 제외)
+    error.retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+    throw error;
+  }
+
+  return await response.json();
+}
+
+let bedrockSdk = null;
+
+async function loadBedrockSdk() {
+  if (!bedrockSdk) {
+    bedrockSdk = import('@aws-sdk/client-bedrock-runtime').catch(() => {
+      bedrockSdk = null;
+      const error = new Error('AWS Bedrock SDK(@aws-sdk/client-bedrock-runtime)를 찾을 수 없습니다');
+      error.retryable = false;
+      throw error;
+    });
+  }
+  return await bedrockSdk;
+}
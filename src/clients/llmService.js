@@ -1,25 +1,26 @@
 /**
- * LLM 서비스 수정 버전
+ * LLM 서비스
  * 
  * 주요 변경점:
- * 1. LLMClient 대신 LLMAbstractionLayer 직접 사용
- * 2. Provider 감지 및 자동 전환
- * 3. 하위 호환성 유지 (기존 코드 영향 최소화)
+ * 1. 모든 LLM 호출을 LLMPipeline(미들웨어 체인 + provider 전송) 하나로 처리
+ * 2. Provider 감지 및 자동 전환 (LLMPipeline)
+ * 3. JSON 응답은 generateJSON() / extractJSON() 단일 구현 사용
+ * 4. 작업 이름(task)을 넘기면 작업별 스키마 검증 + 수정 요청 (llmTaskSchemas.js)
  */
 
 import { config } from '../config.js';
-import { LLMAbstractionLayer } from './llmAbstractionLayer.js';
+import { LLMPipeline } from './llmPipeline.js';
 import logger from '../utils/loggerUtils.js';
 
 export class LLMService {
   constructor() {
 
-    this.llmLayer = new LLMAbstractionLayer(config);
+    this.pipeline = new LLMPipeline(config);
 
     // 하위 호환성을 위한 속성들
-    this.baseUrl = this.llmLayer.baseURL;
-    this.model = this.llmLayer.model;
-    this.provider = this.llmLayer.provider;
+    this.baseUrl = this.pipeline.baseURL;
+    this.model = this.pipeline.model;
+    this.provider = this.pipeline.provider;
     this.isQwen3 = this.model && this.model.toLowerCase().includes('qwen');
 
     logger.info(`🔧 LLM 서비스 초기화 완료`);
@@ -35,52 +36,55 @@ export class LLMService {
    * 서비스 초기화
    */
   async initialize() {
-    try {
-      await this.llmLayer.checkConnection();
-      logger.info('✅ LLM 서비스 초기화 및 연결 확인 완료');
-      return true;
-    } catch (error) {
-      logger.error('❌ LLM 서비스 초기화 실패:', error.message);
-      throw error;
+    const isConnected = await this.pipeline.checkConnection();
+    if (!isConnected) {
+      logger.error('❌ LLM 서비스 초기화 실패');
+      throw new Error('LLM 서비스 연결 실패');
     }
+    logger.info('✅ LLM 서비스 초기화 및 연결 확인 완료');
+    return true;
   }
 
   /**
    * LLM Completion 생성 (통합 인터페이스)
    * 
-   * 기존 코드와의 호환성을 위해 동일한 시그니처 유지
+   * 캐시, 기록/재생, 재시도, 호출 간격, 타임아웃은 LLMPipeline 미들웨어에서 처리
    */
   async generateCompletion(prompt, options = {}) {
-    // 기존: return await this.llmClient.generateCompletion(prompt, options);
-    // 변경:
-    return await this.llmLayer.generateCompletion(prompt, options);
+    return await this.pipeline.generateCompletion(prompt, options);
   }
 
   /**
-   * 연결 테스트
+   * LLM 호출 후 응답에서 JSON 객체 추출
+   * 
+   * @param {string} prompt - 입력 프롬프트
+   * @param {Object} options - 생성 옵션
+   * @param {string|null} task - 응답 스키마 작업 이름 (지정 시 스키마 검증 + 수정 요청)
+   * @returns {Promise<Object|null>} 추출된 JSON (추출 실패 또는 스키마 검증 최종 실패 시 null)
    */
-  async checkConnection() {
-    return await this.llmLayer.checkConnection();
+  async generateJSON(prompt, options = {}, task = null) {
+    return await this.pipeline.generateJSON(prompt, options, task);
   }
 
   /**
-   * llmClient 접근 (하위 호환성)
-   * 
-   * 기존 코드에서 this.llmService.llmClient.cleanAndExtractJSON() 형태로
-   * 호출하는 경우를 위한 Proxy
+   * LLM 응답 텍스트에서 JSON 객체 추출
    */
-  get llmClient() {
-    return {
-      cleanAndExtractJSON: (response) => {
-        return this.llmLayer.cleanAndExtractJSON(response);
-      },
-      generateCompletion: (prompt, options) => {
-        return this.llmLayer.generateCompletion(prompt, options);
-      },
-      checkConnection: () => {
-        return this.llmLayer.checkConnection();
-      }
-    };
+  extractJSON(response) {
+    return this.pipeline.extractJSON(response);
+  }
+
+  /**
+   * 누적 토큰 사용량 (provider 응답의 usage 기준)
+   */
+  getTokenUsage() {
+    return this.pipeline.getTokenUsage();
+  }
+
+  /**
+   * 연결 테스트
+   */
+  async checkConnection() {
+    return await this.pipeline.checkConnection();
   }
 
   /**
@@ -114,14 +118,9 @@ export class LLMService {
           repeat_penalty: 1.1
         };
 
-        // 기존: const response = await this.llmClient.generateCompletion(prompt, options);
-        // 변경:
-        const response = await this.llmLayer.generateCompletion(prompt, options);
-        logger.info('📋 LLM 응답에서 JSON 추출 중...');
-
-        const extractedJSON = this.extractJSONWithMultipleMethods(response);
+        const extractedJSON = await this.generateJSON(prompt, options, 'basicPattern');
 
-        if (extractedJSON && this.validatePatternStructure(extractedJSON)) {
+        if (extractedJSON) {
           logger.info(`✅ 전략 ${strategy.name}으로 JSON 추출 성공`);
           return this.enhanceExtractedPattern(extractedJSON, issueData);
         } else {
@@ -152,16 +151,11 @@ export class LLMService {
     );
 
     try {
-      // 기존: const response = await this.llmClient.generateCompletion(prompt, {...});
-      // 변경:
-      const response = await this.llmLayer.generateCompletion(prompt, {
+      const extractedJSON = await this.generateJSON(prompt, {
         temperature: 0.1,
         num_predict: 2000,
         max_tokens: 2000
-      });
-
-      logger.info('📁 프레임워크 분석 결과에서 JSON 추출 중...');
-      const extractedJSON = this.extractJSONWithMultipleMethods(response);
+      }, 'frameworkAnalysis');
 
       if (extractedJSON) {
         logger.info('✅ 프레임워크 분석 JSON 추출 성공');
@@ -180,27 +174,25 @@ export class LLMService {
 
   /**
    * 가이드라인 분석
+   * 
+   * 응답은 guidelineConversion 스키마로 검증 (antiPatterns/goodPatterns/message/keywords 포함 전체 필드 전달)
    */
   async generateGuidelineAnalysis(prompt, options = {}) {
     logger.info('🧠 가이드라인 분석 요청 처리 중...');
 
     try {
-      const response = await this.generateCompletion(prompt, {
+      const { content: response, json: jsonResult } = await this.pipeline.generate(prompt, {
         temperature: 0.1,
         num_predict: 2000,
         max_tokens: 2000,
         ...options
-      });
+      }, { task: 'guidelineConversion' });
 
       if (!response || response.trim() === '') {
         console.warn('⚠️ 빈 응답 수신');
         return null;
       }
 
-      // 기존: const jsonResult = this.llmClient.cleanAndExtractJSON(response);
-      // 변경:
-      const jsonResult = this.llmLayer.cleanAndExtractJSON(response);
-
       if (!jsonResult) {
         console.warn('⚠️ JSON 추출 실패, 원본 응답 반환');
         return {
@@ -218,6 +210,7 @@ export class LLMService {
 
       return {
         enhancedGuideline: {
+          ...jsonResult,
           checkType: jsonResult.checkType || 'static_analysis',
           enhancedDescription: jsonResult.enhancedDescription || jsonResult.description || '',
           businessRules: jsonResult.businessRules || [],
@@ -288,7 +281,14 @@ export class LLMService {
         // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
         // Step 3: Ollama Vision API 호출
         // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-        const response = await this.callOllamaVisionAPI(base64Image, mimeType, prompt);
+        // 이미지는 Ollama /api/generate의 images 필드로 전달 (60초, 설명은 짧으므로 500 토큰)
+        logger.info(`📤 Ollama Vision 호출: ${mimeType}, 이미지 ${(base64Image.length / 1024).toFixed(2)} KB`);
+        const response = await this.generateCompletion(prompt, {
+          images: [base64Image],
+          temperature: 0.1,
+          num_predict: 500,
+          timeout: 60000
+        });
         
         logger.info('✅ 이미지 분석 완료');
         logger.info(`   결과 길이: ${response.length}자`);
@@ -302,203 +302,6 @@ export class LLMService {
       }
     }
   
-    /**
-     * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-     * Ollama Vision API 호출
-     * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-     * 
-     * Ollama /api/generate 엔드포인트에 이미지와 프롬프트를 전송합니다.
-     * 
-     * API 요청 형식:
-     * POST /api/generate
-     * {
-     *   "model": "llava",
-     *   "prompt": "이미지를 설명해주세요",
-     *   "images": ["base64_encoded_image"],
-     *   "stream": false,
-     *   "options": {
-     *     "temperature": 0.1,
-     *     "num_predict": 500
-     *   }
-     * }
-     * 
-     * API 응답 형식:
-     * {
-     *   "model": "llava",
-     *   "created_at": "2025-01-26T...",
-     *   "response": "이미지는 데이터 흐름도를 나타내는 다이어그램입니다...",
-     *   "done": true
-     * }
-     * 
-     * @param {string} base64Image - Base64 인코딩된 이미지 데이터
-     * @param {string} mimeType - 이미지 MIME 타입
-     * @param {string} prompt - 분석 요청 프롬프트
-     * @returns {Promise<string>} 분석 결과 텍스트
-     * @throws {Error} API 호출 실패 시
-     */
-    async callOllamaVisionAPI(base64Image, mimeType, prompt) {
-      const controller = new AbortController();
-      const timeoutMs = 60000; // 60초 (이미지 분석은 시간이 더 걸림)
-      const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-      
-      try {
-        // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-        // 요청 본문 생성
-        // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-        const requestBody = {
-          model: this.model,
-          prompt: prompt,
-          images: [base64Image], // Base64 이미지 배열
-          stream: false,
-          options: {
-            temperature: 0.1, // 낮은 temperature로 일관된 분석
-            num_predict: 500  // 이미지 설명은 길지 않으므로 500 토큰
-          }
-        };
-        
-        // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-        // 로그 출력
-        // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-        logger.info(`📤 Ollama Vision API 호출:`);
-        logger.info(`   URL: ${this.baseUrl}/api/generate`);
-        logger.info(`   모델: ${this.model}`);
-        logger.info(`   MIME 타입: ${mimeType}`);
-        logger.info(`   이미지 크기: ${(base64Image.length / 1024).toFixed(2)} KB`);
-        logger.info(`   프롬프트 길이: ${prompt.length}자`);
-        logger.info(`   타임아웃: ${timeoutMs}ms`);
-        
-        // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-        // API 호출
-        // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-        const response = await fetch(`${this.baseUrl}/api/generate`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(requestBody),
-          signal: controller.signal
-        });
-        
-        // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-        // 응답 검증
-        // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-        if (!response.ok) {
-          const errorText = await response.text();
-          throw new Error(
-            `Ollama Vision API 오류: ${response.status} ${response.statusText}\n${errorText}`
-          );
-        }
-        
-        const data = await response.json();
-        
-        // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-        // 응답 추출
-        // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-        if (!data.response) {
-          logger.warn('⚠️ Ollama Vision API 응답에 response 필드 없음');
-          logger.warn('   응답 데이터:', JSON.stringify(data, null, 2));
-          return '[이미지 분석 결과 없음]';
-        }
-        
-        logger.info('✅ Ollama Vision API 호출 성공');
-        
-        return data.response;
-        
-      } catch (error) {
-        // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-        // 에러 처리
-        // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-        if (error.name === 'AbortError') {
-          logger.error(`❌ Ollama Vision API 타임아웃 (${timeoutMs}ms 초과)`);
-          throw new Error('이미지 분석 타임아웃');
-        }
-        
-        logger.error('❌ Ollama Vision API 호출 실패:', error.message);
-        throw error;
-        
-      } finally {
-        clearTimeout(timeoutId);
-      }
-    }
-
-  /**
-   * 여러 JSON 추출 방법을 순차적으로 시도
-   */
-  extractJSONWithMultipleMethods(response) {
-    const methods = [
-      () => this.llmLayer.cleanAndExtractJSON(response),
-      () => this.extractJSONFromCodeBlocks(response),
-      () => this.extractJSONWithRegex(response),
-      () => this.extractJSONFromText(response)
-    ];
-
-    for (const method of methods) {
-      try {
-        const result = method();
-        if (result && typeof result === 'object') {
-          return result;
-        }
-      } catch (error) {
-        continue;
-      }
-    }
-
-    return null;
-  }
-
-  // ========================================
-  // 나머지 헬퍼 메서드들은 기존 코드 그대로 유지
-  // ========================================
-
-  extractJSONFromCodeBlocks(response) {
-    const codeBlockRegex = /```(?:json)?\s*\n?([\s\S]*?)\n?```/;
-    const match = response.match(codeBlockRegex);
-    
-    if (match && match[1]) {
-      try {
-        return JSON.parse(match[1].trim());
-      } catch (error) {
-        return null;
-      }
-    }
-    return null;
-  }
-
-  extractJSONWithRegex(response) {
-    const jsonRegex = /\{[\s\S]*\}/;
-    const match = response.match(jsonRegex);
-    
-    if (match) {
-      try {
-        return JSON.parse(match[0]);
-      } catch (error) {
-        return null;
-      }
-    }
-    return null;
-  }
-
-  extractJSONFromText(response) {
-    try {
-      const firstBrace = response.indexOf('{');
-      const lastBrace = response.lastIndexOf('}');
-      
-      if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
-        const jsonStr = response.substring(firstBrace, lastBrace + 1);
-        return JSON.parse(jsonStr);
-      }
-    } catch (error) {
-      return null;
-    }
-    return null;
-  }
-
-  validatePatternStructure(pattern) {
-    return pattern && 
-           typeof pattern === 'object' &&
-           (pattern.metadata || pattern.anti_pattern || pattern.recommended_pattern);
-  }
-
   enhanceExtractedPattern(extractedJSON, issueData) {
     return {
       ...extractedJSON,
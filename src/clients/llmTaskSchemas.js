@@ -0,0 +1,232 @@
+/**
+ * LLM 작업(task)별 응답 JSON 스키마
+ *
+ * LLMService.generateJSON(prompt, options, task)로 작업 이름을 넘기면
+ * LLMPipeline 스키마 검증 미들웨어가 응답을 이 스키마로 검증하고, 실패 시 오류를 모델에 되돌려 수정 요청한다.
+ *
+ * 작성 기준:
+ * - 호출부가 실제로 읽는 필드만 required로 지정 (설명용 필드는 타입만 검사)
+ * - 점수는 0.0~1.0 범위 (minimum/maximum)
+ * - additionalProperties는 허용 (모델이 덧붙인 필드는 무시)
+ *
+ * # TODO: Python 변환 시 pydantic 모델로 대체
+ */
+
+const SCORE = { type: 'number', minimum: 0, maximum: 1 };
+const STRING_ARRAY = { type: 'array', items: { type: 'string' } };
+const SEVERITY = { type: 'string', enum: ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'] };
+
+const CODE_PATTERN = {
+  type: 'object',
+  required: ['code_template'],
+  properties: {
+    code_template: { type: 'string', minLength: 1 },
+    description: { type: 'string' }
+  }
+};
+
+const REGEX_PATTERN = {
+  type: 'object',
+  required: ['pattern'],
+  properties: {
+    pattern: { type: 'string', minLength: 1 },
+    flags: { type: 'string' },
+    description: { type: 'string' }
+  }
+};
+
+const VIOLATION = {
+  type: 'object',
+  required: ['description'],
+  properties: {
+    line: { type: ['integer', 'null'], minimum: 0 },
+    description: { type: 'string' },
+    suggestion: { type: 'string' }
+  }
+};
+
+export const LLM_TASK_SCHEMAS = {
+  // 이슈 → 패턴 데이터셋 기본 구조 (LLMService.generateBasicPattern)
+  basicPattern: {
+    type: 'object',
+    required: ['metadata', 'anti_pattern', 'recommended_pattern'],
+    properties: {
+      metadata: {
+        type: 'object',
+        required: ['title', 'category'],
+        properties: {
+          title: { type: 'string', minLength: 1 },
+          category: { type: 'string', minLength: 1 },
+          severity: SEVERITY,
+          tags: STRING_ARRAY
+        }
+      },
+      anti_pattern: CODE_PATTERN,
+      recommended_pattern: CODE_PATTERN,
+      impact_analysis: { type: 'object' }
+    }
+  },
+
+  // 커스텀 어노테이션/클래스 프레임워크 분석 (LLMService.generateFrameworkAnalysis)
+  frameworkAnalysis: {
+    type: 'object',
+    required: ['detection_rules', 'framework_context'],
+    properties: {
+      detection_rules: {
+        type: 'object',
+        properties: {
+          ast_rules: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['rule_name'],
+              properties: { rule_name: { type: 'string' }, rule_expression: { type: 'string' }, confidence_score: SCORE }
+            }
+          },
+          semantic_rules: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['rule_name'],
+              properties: { rule_name: { type: 'string' }, rule_description: { type: 'string' }, pattern_indicators: STRING_ARRAY }
+            }
+          }
+        }
+      },
+      framework_context: { type: 'object' }
+    }
+  },
+
+  // 맥락적 규칙 배치 검사 (DevelopmentGuidelineChecker.checkContextualRulesBatch)
+  contextualViolations: {
+    type: 'object',
+    required: ['violations'],
+    properties: {
+      violations: {
+        type: 'array',
+        items: {
+          ...VIOLATION,
+          required: ['ruleId', 'violation', 'description'],
+          properties: {
+            ...VIOLATION.properties,
+            ruleId: { type: 'string', minLength: 1 },
+            title: { type: 'string' },
+            violation: { type: 'boolean' }
+          }
+        }
+      }
+    }
+  },
+
+  // 맥락적 규칙 단일 검사 (DevelopmentGuidelineChecker.checkSingleContextualRule)
+  contextualRuleViolations: {
+    type: 'object',
+    required: ['violations'],
+    properties: {
+      violations: { type: 'array', items: VIOLATION }
+    }
+  },
+
+  // 가이드라인 문서 섹션 → 검사 규칙 변환 (GuidelineExtractor.convertToGuideline)
+  guidelineConversion: {
+    type: 'object',
+    required: ['checkType', 'enhancedDescription'],
+    properties: {
+      checkType: { type: 'string', enum: ['regex', 'ast', 'combined', 'llm_contextual', 'static_analysis', 'regex_with_validation'] },
+      enhancedDescription: { type: 'string', minLength: 1 },
+      message: { type: 'string' },
+      antiPatterns: { type: 'array', items: REGEX_PATTERN },
+      goodPatterns: { type: 'array', items: REGEX_PATTERN },
+      astHints: {
+        type: 'object',
+        properties: { nodeTypes: STRING_ARRAY, checkConditions: STRING_ARRAY }
+      },
+      keywords: STRING_ARRAY,
+      examples: {
+        type: 'object',
+        properties: { good: STRING_ARRAY, bad: STRING_ARRAY }
+      },
+      businessRules: STRING_ARRAY
+    }
+  },
+
+  // 코드 의미론적 분석 → 256차원 임베딩 (CodeEmbeddingGenerator.embedCodeSemanticsWithLLM)
+  semanticAnalysis: {
+    type: 'object',
+    required: ['resource_management', 'security_patterns', 'performance_concerns', 'code_quality', 'business_logic'],
+    properties: {
+      resource_management: {
+        type: 'object',
+        properties: { lifecycle_completeness: SCORE, leak_risk_score: SCORE, proper_cleanup: { type: 'boolean' }, resource_types: STRING_ARRAY }
+      },
+      security_patterns: {
+        type: 'object',
+        properties: { sql_injection_risk: SCORE, xss_risk: SCORE, input_validation: SCORE, sensitive_data_handling: SCORE }
+      },
+      performance_concerns: {
+        type: 'object',
+        properties: { n_plus_one_risk: SCORE, loop_complexity: SCORE, caching_usage: SCORE, batch_processing: { type: 'boolean' } }
+      },
+      code_quality: {
+        type: 'object',
+        properties: { error_handling: SCORE, readability: SCORE, maintainability: SCORE, guideline_compliance: SCORE }
+      },
+      business_logic: {
+        type: 'object',
+        properties: { domain_relevance: STRING_ARRAY, operation_type: STRING_ARRAY, transaction_handling: SCORE, business_rule_validation: SCORE }
+      }
+    }
+  },
+
+  // 메타 정보 평가 (CodeEmbeddingGenerator.analyzeMetaInfo)
+  metaInfo: {
+    type: 'object',
+    required: ['business_criticality', 'compliance_sensitivity', 'team_expertise_level', 'framework_maturity', 'production_readiness'],
+    properties: {
+      business_criticality: SCORE,
+      compliance_sensitivity: SCORE,
+      team_expertise_level: SCORE,
+      framework_maturity: SCORE,
+      production_readiness: SCORE
+    }
+  },
+
+  // 패턴 이슈 수정안 (IssueCodeAnalyzer.generateFixSuggestion)
+  fixSuggestion: {
+    type: 'object',
+    required: ['steps', 'fixedCode'],
+    properties: {
+      steps: STRING_ARRAY,
+      fixedCode: { type: 'string', minLength: 1 },
+      explanation: { type: 'string' },
+      confidence: SCORE
+    }
+  },
+
+  // 가이드라인 위반 라인 수정안 (guidelineFixService.generateGuidelineFixSuggestion)
+  guidelineLineFix: {
+    type: 'object',
+    required: ['fixedLine'],
+    properties: {
+      steps: STRING_ARRAY,
+      fixedLine: { type: 'string', minLength: 1 },
+      explanation: { type: 'string' },
+      confidence: SCORE
+    }
+  }
+};
+
+/**
+ * 작업 이름으로 응답 스키마 조회
+ *
+ * @param {string} task - LLM_TASK_SCHEMAS 키
+ * @returns {object} JSON 스키마
+ * @throws {Error} 정의되지 않은 작업
+ */
+export function getLLMTaskSchema(task) {
+  const schema = LLM_TASK_SCHEMAS[task];
+  if (!schema) {
+    throw new Error(`정의되지 않은 LLM 작업 스키마: ${task} (지원: ${Object.keys(LLM_TASK_SCHEMAS).join(', ')})`);
+  }
+  return schema;
+}
@@ -4,9 +4,10 @@
  * Adapter 패턴 기반 다중 VectorDB 지원
  * - Weaviate: 온프레미스 오픈소스 VectorDB (GraphQL)
  * - Qdrant: 고성능 Rust 기반 VectorDB (REST API)
+ * - Local: 로컬 디렉토리 JSON 파일 저장 + 프로세스 내 코사인 검색 (서버 불필요, 소규모 팀/CI용)
  * 
  * 설정 기반 Provider 선택:
- * - config.vector.provider = 'weaviate' | 'qdrant'
+ * - config.vector.provider = 'weaviate' | 'qdrant' | 'local'
  * - 런타임 provider 전환 불가 (재시작 필요)
  * 
  * 지원 기능:
@@ -14,6 +15,7 @@
  * 1. CodePattern 관리 (이슈 패턴 저장/검색):
  *    - storePattern() - 패턴 저장 (480차원 임베딩)
  *    - searchSimilarPatterns() - 코사인 유사도 검색 (threshold 0.7+)
+ *    - hybridSearchPatterns() - dense + 키워드(BM25) 하이브리드 검색 (RRF 결합, payload 필터)
  *    - getAllPatterns() - 전체 패턴 조회
  *    - deletePattern() - 패턴 삭제
  *    - searchByASTPattern() - AST 시그니처 검색
@@ -23,6 +25,7 @@
  *    - storeGuideline() - 가이드라인 저장
  *    - searchGuidelines() - 필터 기반 검색
  *    - searchGuidelinesByKeywords() - 키워드 검색
+ *    - searchSimilarGuidelines() - 코드 임베딩 유사도 검색 (맥락적 규칙 선택)
  *    - updateGuidelineStatus() - 활성화/비활성화
  *    - deleteGuideline() - 가이드라인 삭제
  *    - batchImportGuidelines() - 배치 import (PDF 추출 결과 저장)
@@ -42,10 +45,14 @@
  *      │   ├─ GraphQL 쿼리
  *      │   └─ Hybrid 검색 (BM25 + Vector)
  *      │
- *      └─> QdrantAdapter (Qdrant 전용)
- *          ├─ @qdrant/js-client-rest
- *          ├─ REST API
- *          └─ HNSW 인덱스
+ *      ├─> QdrantAdapter (Qdrant 전용)
+ *      │   ├─ @qdrant/js-client-rest
+ *      │   ├─ REST API
+ *      │   └─ HNSW 인덱스
+ *      │
+ *      └─> LocalAdapter (로컬 파일)
+ *          ├─ {dataDir}/{컬렉션명}.json
+ *          └─ 전수(brute-force) 코사인 검색
  * ```
  * 
  * 480차원 임베딩 구조:
@@ -107,8 +114,13 @@
 import { config } from '../config.js';
 import { WeaviateAdapter } from './adapters/weaviateAdapter.js';
 import { QdrantAdapter } from './adapters/qdrantAdapter.js';
+import { LocalAdapter } from './adapters/localAdapter.js';
+import { getCategoryThresholds, meetsCategoryThreshold } from '../utils/categoryThresholdUtils.js';
+import { DEFAULT_RRF_K, fuseRankings, normalizePatternFilters } from '../utils/hybridSearchUtils.js';
 import logger from '../utils/loggerUtils.js'
 
+const EMBEDDING_VERSION_POLICIES = ['warn', 'refuse', 'off'];
+
 /**
  * 통합 Vector DB 클라이언트 클래스
  * 
@@ -116,8 +128,8 @@ import logger from '../utils/loggerUtils.js'
  * 외부에서는 항상 VectorClient만 사용하면 되며, 내부적으로 적절한 adapter를 호출.
  * 
  * 내부 구조:
- * - provider: string - 'weaviate' | 'qdrant' - 사용 중인 VectorDB
- * - adapter: WeaviateAdapter | QdrantAdapter - 실제 구현체
+ * - provider: string - 'weaviate' | 'qdrant' | 'local' - 사용 중인 VectorDB
+ * - adapter: WeaviateAdapter | QdrantAdapter | LocalAdapter - 실제 구현체
  * - codePatternName: string - CodePattern 컬렉션/클래스 이름
  * - guidelineName: string - Guideline 컬렉션/클래스 이름
  * 
@@ -160,6 +172,13 @@ export class VectorClient {
     this.codePatternName = config.vector.codePatternName;
     this.guidelineName = config.vector.guidelineName;
     
+    // 교차 임베딩 버전 검색 정책 (경고는 저장 버전별 1회)
+    this.embeddingVersionPolicy = config.vector.embeddingVersionPolicy;
+    if (!EMBEDDING_VERSION_POLICIES.includes(this.embeddingVersionPolicy)) {
+      throw new Error(`지원하지 않는 임베딩 버전 정책: ${this.embeddingVersionPolicy} (지원: ${EMBEDDING_VERSION_POLICIES.join(', ')})`);
+    }
+    this.warnedEmbeddingVersions = new Set();
+    
     logger.info(`\n=== Vector DB 제공자: ${this.provider.toUpperCase()} ===`);
   }
 
@@ -177,7 +196,11 @@ export class VectorClient {
    *   - HNSW 인덱스
    *   - 고성능 벡터 검색
    * 
-   * @returns {WeaviateAdapter|QdrantAdapter} 초기화된 adapter 인스턴스
+   * - 'local' → new LocalAdapter()
+   *   - config.vector.local.dataDir에 JSON 파일로 저장
+   *   - 프로세스 내 코사인 유사도 검색 (서버 불필요)
+   * 
+   * @returns {WeaviateAdapter|QdrantAdapter|LocalAdapter} 초기화된 adapter 인스턴스
    * @throws {Error} 지원하지 않는 provider인 경우
    * 
    * # TODO: Python 변환 시 Factory 패턴 적용
@@ -188,6 +211,8 @@ export class VectorClient {
         return new WeaviateAdapter();
       case 'qdrant':
         return new QdrantAdapter();
+      case 'local':
+        return new LocalAdapter();
       default:
         throw new Error(`지원하지 않는 Vector DB provider: ${this.provider}`);
     }
@@ -271,11 +296,18 @@ export class VectorClient {
    * 5. threshold 이상인 결과만 필터링
    * 6. 유사도 높은 순으로 정렬
    * 
+   * 임베딩 버전 (options.embeddingVersion = 질의 embedding_metadata.version_stamp.id):
+   * - warn (기본): 전체 검색 후 버전이 다른 패턴이 섞이면 경고 (reembed 안내)
+   * - refuse: 같은 버전 패턴만 검색 (어댑터 필터)
+   * - off: 버전 무시
+   * - Weaviate는 패턴별 버전을 기록하지 않음 → 정책 미적용
+   * 
    * @async
    * @param {Array<number>} queryVector - 쿼리 벡터 (480차원)
    * @param {number} limit - 최대 결과 수 (기본값: 5)
    * @param {number|null} threshold - 유사도 임계값 (기본값: config 설정값)
-   * @returns {Promise<Array<Object>>} 유사한 패턴 배열
+   * @param {Object} options - { embeddingVersion: 질의 벡터의 임베딩 버전 id, filters: normalizePatternFilters() 결과 (Qdrant/Local) }
+   * @returns {Promise<Array<Object>>} 유사한 패턴 배열 (embeddingVersion 포함)
    * 
    * @example
    * const embeddings = await generator.generateEmbeddings(code);
@@ -288,9 +320,102 @@ export class VectorClient {
    * # TODO: Python 변환 시 NumPy 벡터 사용
    * # PERFORMANCE: 벡터 정규화 캐싱 (동일 쿼리 반복 시)
    */
-  async searchSimilarPatterns(queryVector, limit = 5, threshold = null) {
+  async searchSimilarPatterns(queryVector, limit = 5, threshold = null, { embeddingVersion = null, filters = null } = {}) {
     const similarityThreshold = threshold ?? config.vector.similarityThreshold;
-    return await this.adapter.searchSimilarPatterns(queryVector, limit, similarityThreshold);
+    
+    if (!embeddingVersion || this.embeddingVersionPolicy === 'off' || this.provider === 'weaviate') {
+      return await this.adapter.searchSimilarPatterns(queryVector, limit, similarityThreshold, { filters });
+    }
+    
+    if (this.embeddingVersionPolicy === 'refuse') {
+      return await this.adapter.searchSimilarPatterns(queryVector, limit, similarityThreshold, { embeddingVersion, filters });
+    }
+    
+    const results = await this.adapter.searchSimilarPatterns(queryVector, limit, similarityThreshold, { filters });
+    this.warnEmbeddingVersionMismatch(results, embeddingVersion);
+    return results;
+  }
+
+  /**
+   * 하이브리드 패턴 검색 (dense 유사도 + 키워드/BM25 + payload 필터)
+   * 
+   * 내부 흐름:
+   * - Weaviate: adapter.hybridSearchPatterns() → 네이티브 hybrid (rankedFusion, alpha = dense/(dense+sparse) 가중치)
+   * - Qdrant/Local:
+   *   1. dense 후보: searchSimilarPatterns(threshold 0, 필터 적용, 임베딩 버전 정책 적용)
+   *   2. sparse 후보: adapter.searchPatternsByKeywords() (Qdrant sparse 벡터 또는 프로세스 내 BM25)
+   *   3. fuseRankings()로 RRF 결합 → 상위 limit개
+   * 
+   * 벡터/텍스트 중 하나만 주면 해당 구성요소만으로 순위 (필터는 동일 적용)
+   * 
+   * @async
+   * @param {Object} query - { vector: 질의 임베딩, text: 키워드 질의, embeddingVersion: 질의 벡터의 임베딩 버전 id }
+   * @param {Object} options - { limit (기본 10), filters: { category, severity, framework, minQualityScore },
+   *                             weights: { dense, sparse } (기본 1), rrfK (기본 60), candidateLimit (기본 limit×5) }
+   * @returns {Promise<Array<Object>>} [{ ...패턴, score: 결합 점수, explanation: { fusion, dense, sparse } }]
+   *          dense/sparse = { rank, score, contribution (, matchedTerms) } 또는 null (해당 후보에 없음)
+   * @throws {Error} 벡터와 텍스트가 모두 없음, 필터 값이 잘못됨
+   * 
+   * @example
+   * const results = await client.hybridSearchPatterns(
+   *   { vector: embeddings.combined_embedding, text: 'connection close finally' },
+   *   { limit: 5, filters: { category: 'resource_management', minQualityScore: 70 } }
+   * );
+   * 
+   * # TODO: Python 변환 시 Qdrant Query API (prefetch + fusion=rrf)로 서버 측 결합
+   */
+  async hybridSearchPatterns({ vector = null, text = '', embeddingVersion = null } = {}, options = {}) {
+    const {
+      limit = 10,
+      weights = {},
+      rrfK = DEFAULT_RRF_K,
+      candidateLimit = limit * 5
+    } = options;
+    
+    const hasVector = Array.isArray(vector) && vector.length > 0;
+    const hasText = typeof text === 'string' && text.trim().length > 0;
+    if (!hasVector && !hasText) {
+      throw new Error('하이브리드 검색에는 질의 벡터 또는 키워드 질의가 필요합니다');
+    }
+    
+    const filters = normalizePatternFilters(options.filters || {});
+    
+    if (typeof this.adapter.hybridSearchPatterns === 'function') {
+      return await this.adapter.hybridSearchPatterns(
+        { vector: hasVector ? vector : null, text: hasText ? text : '' },
+        { limit, filters, weights }
+      );
+    }
+    
+    const [dense, sparse] = await Promise.all([
+      hasVector ? this.searchSimilarPatterns(vector, candidateLimit, 0, { embeddingVersion, filters }) : [],
+      hasText ? this.adapter.searchPatternsByKeywords(text, candidateLimit, filters) : []
+    ]);
+    
+    const results = fuseRankings({ dense, sparse }, { k: rrfK, weights }).slice(0, limit);
+    logger.info(`✅ 하이브리드 검색 완료: ${results.length}개 (dense 후보 ${dense.length}, 키워드 후보 ${sparse.length})`);
+    return results;
+  }
+
+  /**
+   * 검색 결과 중 질의와 임베딩 버전이 다른 패턴 경고 (저장 버전별 1회)
+   * @private
+   */
+  warnEmbeddingVersionMismatch(results, embeddingVersion) {
+    const mismatchCounts = new Map();
+    for (const result of results) {
+      if (result.embeddingVersion !== embeddingVersion) {
+        const version = result.embeddingVersion || '(기록 없음)';
+        mismatchCounts.set(version, (mismatchCounts.get(version) || 0) + 1);
+      }
+    }
+    
+    for (const [version, count] of mismatchCounts) {
+      if (this.warnedEmbeddingVersions.has(version)) continue;
+      this.warnedEmbeddingVersions.add(version);
+      logger.warn(`⚠️ 임베딩 버전이 다른 패턴 ${count}개 검색됨: 저장 ${version}, 질의 ${embeddingVersion}`);
+      logger.warn('   유사도 점수를 비교할 수 없음 → reembed 명령으로 재생성 (EMBEDDING_VERSION_POLICY=refuse: 같은 버전만 검색)');
+    }
   }
 
   /**
@@ -304,13 +429,14 @@ export class VectorClient {
    * 
    * @async
    * @param {number} limit - 최대 조회 수 (기본값: 100)
+   * @param {Object} options - { throwOnError: 조회 실패 시 빈 배열 대신 오류 전달 }
    * @returns {Promise<Array<Object>>} 패턴 배열
    * 
    * # NOTE: limit=100 초과 시 메모리 사용량 주의
    * # PERFORMANCE: 대량 조회 시 페이지네이션 사용
    */
-  async getAllPatterns(limit = 100) {
-    return await this.adapter.getAllPatterns(limit);
+  async getAllPatterns(limit = 100, options = {}) {
+    return await this.adapter.getAllPatterns(limit, options);
   }
 
   /**
@@ -383,6 +509,21 @@ export class VectorClient {
     return await this.adapter.searchGuidelinesByKeywords(keywords, limit);
   }
 
+  /**
+   * 코드 임베딩 기반 유사 Guideline 검색
+   * 
+   * 임베딩이 저장된 가이드라인만 대상 (Weaviate는 미지원 → 빈 배열)
+   * 
+   * @async
+   * @param {Array<number>} queryVector - 코드 임베딩 벡터
+   * @param {number} limit - 최대 결과 수
+   * @param {Object} filters - { checkType }
+   * @returns {Promise<Array<Object>>} [{ ruleId, title, category, checkType, score }] (유사도 내림차순)
+   */
+  async searchSimilarGuidelines(queryVector, limit = 10, filters = {}) {
+    return await this.adapter.searchSimilarGuidelines(queryVector, limit, filters);
+  }
+
   /**
    * Guideline 상태 업데이트
    * 
@@ -511,22 +652,25 @@ export class VectorClient {
  * @param {Array<number>} queryVector - 쿼리 벡터 (512차원)
  * @param {number} limit - 최대 결과 수
  * @param {number} threshold - 유사도 임계값 (기본값: 0.7)
+ * @param {Object} options - { embeddingVersion } (searchSimilarPatterns()와 동일)
  * @returns {Promise<Array<Object>>} 검색 결과 (component_scores 포함)
  */
-  async searchWithComponentScores(queryVector, limit = 10, threshold = 0.7) {
+  async searchWithComponentScores(queryVector, limit = 10, threshold = 0.7, options = {}) {
     logger.info('🔍 컴포넌트별 유사도 검색 시작...');
     
-    // 벡터 차원 확인
-    const expectedDim = config.embedding?.dimensions?.total || 480;
-    if (queryVector.length !== expectedDim) {
-      logger.warn(`⚠️ 벡터 차원 불일치: ${queryVector.length} (예상: ${expectedDim})`);
+    // 벡터 차원 확인 (feature 임베딩 구조가 아니면 컴포넌트 점수 없이 전체 점수만 사용)
+    const expectedDim = Object.values(config.embedding?.dimensions || {}).reduce((sum, dim) => sum + dim, 0) || 480;
+    const hasComponents = queryVector.length === expectedDim;
+    if (!hasComponents) {
+      logger.warn(`⚠️ 벡터 차원 불일치: ${queryVector.length} (예상: ${expectedDim}), 컴포넌트별 유사도 생략`);
     }
     
     // 기본 검색 (더 많은 후보 가져오기)
-    const candidates = await this.adapter.searchSimilarPatterns(
+    const candidates = await this.searchSimilarPatterns(
       queryVector, 
       limit * 3,  // 후보를 많이 가져와서 필터링
-      threshold * 0.8  // 낮은 threshold로 먼저 가져오기
+      threshold * 0.8,  // 낮은 threshold로 먼저 가져오기
+      options
     );
     
     logger.info(`  📊 후보 패턴: ${candidates.length}개`);
@@ -545,10 +689,9 @@ export class VectorClient {
         }
         
         // 컴포넌트별 유사도 계산
-        const componentScores = this.calculateComponentSimilarities(
-          queryVector, 
-          patternVector
-        );
+        const componentScores = hasComponents
+          ? this.calculateComponentSimilarities(queryVector, patternVector)
+          : {};
         
         // 결과에 추가
         resultsWithScores.push({
@@ -595,6 +738,11 @@ export class VectorClient {
       return pattern.embeddings.combined_embedding;
     }
     
+    // 검색 결과 (Qdrant/Local은 벡터 대신 저장된 패턴 데이터셋을 fullData로 반환)
+    if (pattern.fullData?.embeddings?.combined_embedding) {
+      return pattern.fullData.embeddings.combined_embedding;
+    }
+    
     logger.warn('  ⚠️ 임베딩 벡터를 찾을 수 없음');
     return null;
   }
@@ -690,18 +838,14 @@ export class VectorClient {
    * @param {string} category - 카테고리
    * @param {number} limit - 최대 결과 수
    * @param {Object} categoryThresholds - 카테고리별 threshold 설정
+   * @param {Object} options - { embeddingVersion } (searchSimilarPatterns()와 동일)
    * @returns {Promise<Array<Object>>} 필터링된 검색 결과
    */
-  async searchWithCategoryThreshold(queryVector, category, limit, categoryThresholds) {
+  async searchWithCategoryThreshold(queryVector, category, limit, categoryThresholds, options = {}) {
     logger.info(`🔍 카테고리별 threshold 검색: ${category}`);
     
     // 카테고리별 threshold 가져오기
-    const thresholds = categoryThresholds[category] || categoryThresholds['_default'] || {
-      syntactic: 0.65,
-      semantic: 0.70,
-      framework: 0.65,
-      overall: 0.70
-    };
+    const thresholds = this.getCategoryThresholds(category, categoryThresholds);
     
     logger.info(`  📊 Threshold:`, thresholds);
     
@@ -709,18 +853,12 @@ export class VectorClient {
     const candidates = await this.searchWithComponentScores(
       queryVector,
       limit * 3,
-      thresholds.overall * 0.8  // 낮은 overall threshold로 먼저 가져오기
+      thresholds.overall * 0.8,  // 낮은 overall threshold로 먼저 가져오기
+      options
     );
     
     // 카테고리별 threshold 적용하여 필터링
-    const filtered = candidates.filter(result => {
-      const cs = result.component_scores;
-      
-      return result.overall_score >= thresholds.overall &&
-              (cs.syntactic === undefined || cs.syntactic >= thresholds.syntactic) &&
-              (cs.semantic === undefined || cs.semantic >= thresholds.semantic) &&
-              (cs.framework === undefined || cs.framework >= thresholds.framework);
-    });
+    const filtered = candidates.filter(result => this.meetsCategoryThreshold(result, thresholds));
     
     logger.info(`  ✅ 필터링 결과: ${filtered.length}/${candidates.length}개`);
     
@@ -733,6 +871,28 @@ export class VectorClient {
     return filtered.slice(0, limit);
   }
 
+  /**
+   * 카테고리 threshold 조회 (카테고리 → _default → 기본값 순)
+   * 
+   * @param {string} category - 카테고리
+   * @param {Object|null} categoryThresholds - category-thresholds.json 내용
+   * @returns {Object} { syntactic, semantic, framework, overall }
+   */
+  getCategoryThresholds(category, categoryThresholds) {
+    return getCategoryThresholds(category, categoryThresholds);
+  }
+
+  /**
+   * 컴포넌트 점수 검색 결과가 카테고리 threshold를 만족하는지 확인
+   * 
+   * @param {Object} result - searchWithComponentScores() 결과 항목
+   * @param {Object} thresholds - { overall, syntactic, semantic, framework }
+   * @returns {boolean} overall과 (점수가 있는) 컴포넌트가 모두 threshold 이상이면 true
+   */
+  meetsCategoryThreshold(result, thresholds) {
+    return meetsCategoryThreshold(result, thresholds);
+  }
+
   /**
    * ===== 신규 메서드: 검색 결과 통계 =====
    * 
@@ -822,9 +982,22 @@ export class VectorClient {
   /**
    * 패턴 개수 조회
    * @async
+   * @param {Object} options - { throwOnError: 조회 실패 시 0 대신 오류 전달 }
    * @returns {Promise<number>}
    */
-  async getPatternCount() {
-    return await this.adapter.getPatternCount();
+  async getPatternCount(options = {}) {
+    return await this.adapter.getPatternCount(options);
+  }
+
+  /**
+   * CodePattern 컬렉션에 기록된 임베딩 프로필 (Weaviate는 기록 없음 → null)
+   * @async
+   * @returns {Promise<Object|null>} { backend, model, dimensions }
+   */
+  async getPatternEmbeddingProfile() {
+    if (typeof this.adapter.getCollectionProfile !== 'function') {
+      return null;
+    }
+    return await this.adapter.getCollectionProfile(this.adapter.codePatternCollectionName);
   }
 }
\ No newline at end of file
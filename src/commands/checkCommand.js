@@ -1,77 +1,513 @@
+import fs from 'fs/promises';
 import path from 'path';
 import { UnifiedJavaCodeChecker } from '../core/unifiedCodeChecker.js';
 import { generateGuidelineFixSuggestion, generateFullFixedCodeForGuidelines } from '../services/guidelineFixService.js';
-import { buildOptimizedReport } from '../services/reportGeneratorService.js';
+import { buildOptimizedReport, buildProjectReport } from '../services/reportGeneratorService.js';
+import { buildSarifReport, toSarifIssues } from '../services/sarifReportService.js';
+import { buildHtmlReport, buildProjectHtmlReport } from '../services/htmlReportService.js';
 import { LLMService } from '../clients/llmService.js';
 import { deduplicateIssuesByLineAndRule, categorizeIssues } from '../utils/issueUtils.js';
-import { displayUnifiedResults } from '../utils/displayUtils.js';
-import { loadData, saveJsonData } from '../utils/fileUtils.js';
+import { displayUnifiedResults, displayProjectResults, displayQualityGate, displayUnavailableLayers } from '../utils/displayUtils.js';
+import { loadData, saveJsonData, saveTextData } from '../utils/fileUtils.js';
+import { resolveCheckTarget, collectJavaFiles, parsePatternList } from '../utils/projectUtils.js';
+import { loadDiffChanges, expandToEnclosingMethods, filterIssuesByChangedLines, formatLineRanges } from '../utils/diffUtils.js';
+import { summarizeSuppressions } from '../utils/suppressionUtils.js';
+import { getLLMCacheStats } from '../utils/llmCacheUtils.js';
+import { getLLMSchemaStats } from '../utils/llmSchemaUtils.js';
+import { resolveQualityGate, evaluateQualityGate, collectGateMetrics, collectProjectGateMetrics } from '../utils/qualityGateUtils.js';
+import {
+  assignFingerprints,
+  applyBaseline,
+  toBaselineEntries,
+  createBaseline,
+  resolveBaselinePath,
+  toBaselineKey,
+  loadBaseline,
+  saveBaseline
+} from '../utils/baselineUtils.js';
+import { loadProjectConfig, applyProjectConfig, mergeProjectOptions } from '../config.js';
 import logger from '../utils/loggerUtils.js';
 
+// -o 저장 형식 (json: 최적화 리포트, sarif: SARIF 2.1.0, html: 소스 뷰 포함 단일 HTML)
+const REPORT_FORMATS = ['json', 'sarif', 'html'];
+
+// check-guidelines는 통합 점수/소스 뷰가 없으므로 HTML 미지원
+const GUIDELINE_REPORT_FORMATS = ['json', 'sarif'];
+
 /**
  * 통합 코드 품질 검사 수행
  * 
  * 내부 흐름:
- * 1. DevelopmentGuidelineChecker로 가이드라인 규칙 검증
- * 2. CodeEmbeddingGenerator로 코드 벡터 생성
- * 3. Qdrant VectorDB에서 유사 패턴 검색
- * 4. IssueCodeAnalyzer로 패턴 분석 및 수정안 생성
- * 5. UnifiedJavaCodeChecker로 통합 리포트 생성
+ * 1. 검사 대상 해석 (단일 파일 / 디렉토리 / glob / Maven·Gradle 프로젝트 루트)
+ *    - 프로젝트 설정 파일(jci.config.json / .jcirc) 로드 후 CLI 옵션과 병합 (CLI 우선)
+ *    - --diff 지정 시 변경된 파일만 검사하고 변경 라인 범위의 이슈만 보고
+ *    - --baseline 지정 시 베이스라인에 기록된 기존 이슈 제외 (--write-baseline은 현재 이슈 기록)
+ * 2. DevelopmentGuidelineChecker로 가이드라인 규칙 검증
+ * 3. CodeEmbeddingGenerator로 코드 벡터 생성
+ * 4. Qdrant VectorDB에서 유사 패턴 검색
+ * 5. IssueCodeAnalyzer로 패턴 분석 및 수정안 생성
+ * 6. UnifiedJavaCodeChecker로 통합 리포트 생성 (프로젝트는 파일별 리포트 + 전체 합계)
+ * 7. 품질 게이트 설정 시 임계값 판정 및 결과 표 출력
+ *
+ * @returns {Promise<object|undefined>} { qualityGate, analysisFailures } (게이트 미설정 시 qualityGate: null, 프로젝트 검사만 analysisFailures)
  */
 export async function performUnifiedCheck(options) {
-  if (!options.code) {
-    logger.error('검사할 코드 파일을 지정해주세요: -c <file>');
-    return;
+  // 검사 대상 누락은 도구 오류(종료 코드 2)로 처리
+  if (!options.code && !options.diff) {
+    throw new Error('검사할 코드 파일, 디렉토리 또는 프로젝트를 지정해주세요: -c <path>');
+  }
+
+  // --diff만 지정한 경우 현재 디렉토리(저장소) 전체에서 변경 파일 탐색
+  const target = await resolveCheckTarget(options.code || '.');
+  options = await prepareProjectConfig(options, target);
+  const format = resolveReportFormat(options);
+
+  const diffChanges = options.diff ? await loadCheckDiff(options.diff, target) : null;
+  const baselineContext = await prepareBaseline(options, target);
+  const qualityGate = resolveQualityGate(options);
+
+  if (target.type !== 'file') {
+    return await performProjectCheck(target, options, diffChanges, baselineContext, qualityGate);
+  }
+
+  let changedLines = null;
+  if (diffChanges) {
+    changedLines = await findChangedRanges(diffChanges, target.filePath);
+    if (!changedLines) {
+      logger.info(`변경된 라인이 없어 검사를 건너뜁니다: ${options.code}`);
+      return;
+    }
   }
 
   logger.info('=== 통합 Java 코드 품질 검사 시작 ===');
   logger.info(`대상 파일: ${options.code}`);
+  if (changedLines) {
+    logger.info(`변경 라인: ${formatLineRanges(changedLines)}`);
+  }
 
-  const sourceCode = await loadData(options.code, 'sampleCode');
+  const sourceCode = await fs.readFile(target.filePath, 'utf-8');
   const fileName = path.basename(options.code);
 
-  // 통합 검사기 초기화 (AST 파서, 가이드라인 체커, VectorDB 등)
+  // 통합 검사기 초기화 (AST 파서, 가이드라인 체커, VectorDB 등 / --offline: 연결 없이 로컬 규칙)
   const unifiedChecker = new UnifiedJavaCodeChecker();
-  await unifiedChecker.initialize();
+  await unifiedChecker.initialize({ offline: options.offline });
 
-  // 검사 범위 설정
   const checkOptions = {
+    ...buildCheckOptions(options, changedLines),
+    baseline: getBaselineEntries(baselineContext, target.filePath)
+  };
+  logCheckScope(checkOptions);
+
+  // AST 파싱 → 가이드라인 검사 → 패턴 검색 → 결과 통합 및 우선순위화
+  const unifiedResults = await unifiedChecker.analyzeCode(sourceCode, checkOptions);
+
+  // 콘솔에 결과 출력 (심각도별 통계, 주요 이슈, 권장사항 등)
+  displayUnifiedResults(unifiedResults, fileName);
+
+  // 단일 파일 기록은 같은 베이스라인의 다른 파일 항목을 유지하고 이 파일 항목만 교체
+  if (baselineContext?.write) {
+    await writeBaselineFile(baselineContext, {
+      [toBaselineKey(baselineContext.path, target.filePath)]: toBaselineEntries(unifiedResults.prioritizedIssues)
+    }, true);
+  }
+
+  // 품질 게이트 판정 (베이스라인/변경 라인/인라인 억제 적용 후 남은 이슈 기준)
+  const gateResult = qualityGate
+    ? evaluateQualityGate(qualityGate, collectGateMetrics(unifiedResults.prioritizedIssues, {
+      overallScore: unifiedResults.overview.overallScore,
+      styleScore: unifiedResults.styleAndGuideline?.score
+    }))
+    : null;
+  if (gateResult) {
+    displayQualityGate(gateResult);
+  }
+
+  // 최적화된 리포트(메타데이터, 요약, 상위 이슈만 포함), SARIF 로그 또는 HTML 리포트로 저장
+  if (options.output) {
+    let report;
+    if (format === 'html') {
+      report = buildHtmlReport(unifiedResults, fileName, options.code, sourceCode, checkOptions);
+    } else if (format === 'sarif') {
+      report = buildSarifReport([{
+        filePath: fileName,
+        sourceCode,
+        issues: unifiedResults.prioritizedIssues,
+        suppressedIssues: unifiedResults.suppressedIssues,
+        fixes: unifiedResults.fixSuggestions
+      }], {
+        rootDir: target.rootDir,
+        properties: {
+          overallScore: unifiedResults.overview.overallScore,
+          parseMode: unifiedResults.overview.parseMode,
+          analysisMode: unifiedResults.overview.analysisMode,
+          unavailableLayers: unifiedResults.overview.unavailableLayers,
+          ...(gateResult && { qualityGate: gateResult })
+        }
+      });
+    } else {
+      report = {
+        ...buildOptimizedReport(
+          unifiedResults,
+          fileName,
+          options.code,
+          sourceCode,
+          checkOptions
+        ),
+        qualityGate: gateResult,
+        llmCache: getLLMCacheStats(),
+        llmSchema: getLLMSchemaStats()
+      };
+    }
+
+    await saveReport(report, options.output, format);
+  }
+
+  logLLMCacheStats();
+  logLLMSchemaStats();
+  logger.info('\n=== 통합 검사 완료 ===');
+  return { qualityGate: gateResult };
+}
+
+/**
+ * 프로젝트 단위 통합 검사 수행
+ * 
+ * 내부 흐름:
+ * 1. include/exclude 패턴으로 .java 파일 목록 수집 (--diff 지정 시 변경된 파일만)
+ * 2. UnifiedJavaCodeChecker를 한 번만 초기화하고 파일별로 analyzeCode 순차 실행
+ *    - 개별 파일 실패는 failures에 기록하고 나머지 파일 검사 계속
+ * 3. 파일별 최적화 리포트 + 프로젝트 전체 합계로 단일 리포트 생성
+ * 4. (옵션) --write-baseline: 분석한 모든 파일의 이슈 지문으로 베이스라인 파일 재작성
+ * 5. 품질 게이트 설정 시 프로젝트 합계 기준으로 판정
+ * 6. 분석 실패 파일 수 반환 (1개 이상이면 종료 코드 2)
+ * 
+ * @returns {Promise<object|undefined>} { qualityGate, analysisFailures }
+ * 
+ * # PERFORMANCE: LLM/VectorDB 호출이 파일마다 발생하므로 대형 프로젝트는 --skip-contextual 권장
+ */
+async function performProjectCheck(target, options, diffChanges = null, baselineContext = null, qualityGate = null) {
+  const format = resolveReportFormat(options);
+
+  logger.info('=== 프로젝트 Java 코드 품질 검사 시작 ===');
+  logger.info(`대상: ${target.rootDir} (${target.type})`);
+
+  const scanOptions = {
+    include: parsePatternList(options.include),
+    exclude: parsePatternList(options.exclude),
+    includeTests: !!options.includeTests,
+    diff: options.diff || null
+  };
+
+  let files = await collectJavaFiles(target, scanOptions);
+
+  // --diff: 변경 라인이 있는 파일만 남기고 파일별 변경 범위 연결
+  if (diffChanges) {
+    const changedFiles = [];
+    for (const file of files) {
+      const changedLines = await findChangedRanges(diffChanges, file.absolutePath);
+      if (changedLines) {
+        changedFiles.push({ ...file, changedLines });
+      }
+    }
+    logger.info(`변경 파일: ${changedFiles.length}개 (diff 전체 ${diffChanges.files.length}개 중 검사 대상 범위 내)`);
+    files = changedFiles;
+  }
+
+  if (files.length === 0) {
+    logger.warn(diffChanges
+      ? '변경된 .java 파일이 없습니다. --diff 범위와 include/exclude 패턴을 확인해주세요.'
+      : '검사할 .java 파일이 없습니다. include/exclude 패턴을 확인해주세요.');
+    return;
+  }
+  logger.info(`검사 대상 파일: ${files.length}개`);
+
+  const unifiedChecker = new UnifiedJavaCodeChecker();
+  await unifiedChecker.initialize({ offline: options.offline });
+
+  const checkOptions = buildCheckOptions(options);
+  logCheckScope(checkOptions, !!diffChanges);
+
+  const fileEntries = [];
+  const failures = [];
+  const baselineEntriesByFile = {};
+
+  for (const [index, file] of files.entries()) {
+    logger.info(`\n[${index + 1}/${files.length}] ${file.relativePath}`);
+    if (file.changedLines) {
+      logger.info(`  변경 라인: ${formatLineRanges(file.changedLines)}`);
+    }
+
+    try {
+      const sourceCode = await fs.readFile(file.absolutePath, 'utf-8');
+      const unifiedResults = await unifiedChecker.analyzeCode(sourceCode, {
+        ...checkOptions,
+        changedLines: file.changedLines || null,
+        baseline: getBaselineEntries(baselineContext, file.absolutePath)
+      });
+
+      if (baselineContext?.write) {
+        baselineEntriesByFile[toBaselineKey(baselineContext.path, file.absolutePath)] =
+          toBaselineEntries(unifiedResults.prioritizedIssues);
+      }
+
+      // 전체 결과 대신 파일별 최적화 리포트와 이슈 목록만 보관 (대형 프로젝트 메모리 절약)
+      // SARIF/HTML은 수정안 위치 계산과 소스 뷰에 원본 코드가 필요하므로 해당 형식일 때만 보관
+      fileEntries.push({
+        report: buildOptimizedReport(
+          unifiedResults,
+          path.basename(file.relativePath),
+          file.relativePath,
+          sourceCode,
+          checkOptions
+        ),
+        issues: unifiedResults.prioritizedIssues,
+        ...(format !== 'json' && { sourceCode, fixes: unifiedResults.fixSuggestions, suppressedIssues: unifiedResults.suppressedIssues })
+      });
+
+      logger.info(`  점수 ${unifiedResults.overview.overallScore}/100, 이슈 ${unifiedResults.overview.totalIssues}개`);
+    } catch (error) {
+      logger.error(`  분석 실패: ${error.message}`);
+      failures.push({ filePath: file.relativePath, error: error.message });
+    }
+  }
+
+  const projectReport = buildProjectReport(fileEntries, failures, target, checkOptions, scanOptions);
+  displayProjectResults(projectReport);
+
+  if (baselineContext?.write) {
+    await writeBaselineFile(baselineContext, baselineEntriesByFile, false);
+  }
+
+  const gateResult = qualityGate
+    ? evaluateQualityGate(qualityGate, collectProjectGateMetrics(projectReport, fileEntries))
+    : null;
+  if (gateResult) {
+    displayQualityGate(gateResult);
+    projectReport.qualityGate = gateResult;
+  }
+
+  if (options.output) {
+    let report;
+    if (format === 'html') {
+      report = buildProjectHtmlReport(projectReport, fileEntries);
+    } else if (format === 'sarif') {
+      report = buildSarifReport(
+        fileEntries.map(entry => ({
+          filePath: entry.report.metadata.filePath,
+          sourceCode: entry.sourceCode,
+          issues: entry.issues,
+          suppressedIssues: entry.suppressedIssues,
+          fixes: entry.fixes
+        })),
+        {
+          rootDir: target.rootDir,
+          failures,
+          properties: {
+            overallScore: projectReport.summary.overallScore,
+            analyzedFiles: projectReport.summary.analyzedFiles,
+            analysisMode: projectReport.metadata.analysisMode,
+            unavailableLayers: projectReport.metadata.unavailableLayers,
+            ...(gateResult && { qualityGate: gateResult })
+          }
+        }
+      );
+    } else {
+      report = { ...projectReport, llmCache: getLLMCacheStats(), llmSchema: getLLMSchemaStats() };
+    }
+
+    await saveReport(report, options.output, format);
+  }
+
+  logLLMCacheStats();
+  logLLMSchemaStats();
+  if (failures.length > 0) {
+    logger.error(`\n❌ 분석 실패 파일 ${failures.length}개 (${fileEntries.length}/${files.length}개만 검사됨) → 도구 오류로 종료`);
+  }
+  logger.info('\n=== 프로젝트 검사 완료 ===');
+  return { qualityGate: gateResult, analysisFailures: failures.length };
+}
+
+/**
+ * CLI 옵션을 UnifiedJavaCodeChecker.analyzeCode 검사 옵션으로 변환
+ *
+ * @param {object} options - CLI 옵션
+ * @param {Array|null} changedLines - --diff 모드의 변경 라인 범위 (단일 파일 검사)
+ */
+function buildCheckOptions(options, changedLines = null) {
+  return {
     skipPatterns: options.skipPatterns,
     skipGuidelines: options.skipGuidelines,
     skipContextual: options.skipContextual,
     generateRecommendations: true,
     generateFixes: options.generateFixes,
-    patternLimit: parseInt(options.limit)
+    patternLimit: parseInt(options.limit),
+    changedLines,
+    includeEnclosingMethod: !!options.enclosingMethod
   };
+}
 
+/**
+ * --baseline / --write-baseline 준비
+ *
+ * @returns {Promise<object|null>} { path, write, baseline } (베이스라인 옵션이 없으면 null)
+ * @throws {Error} --write-baseline과 --diff를 함께 지정한 경우, 베이스라인 로드 실패
+ */
+async function prepareBaseline(options, target) {
+  if (!options.baseline && !options.writeBaseline) return null;
+
+  // 변경 라인만 기록하면 나머지 기존 이슈가 베이스라인에서 빠지므로 금지
+  if (options.writeBaseline && options.diff) {
+    throw new Error('--write-baseline은 --diff와 함께 사용할 수 없습니다 (전체 이슈 기준으로 기록해야 함)');
+  }
+
+  const baselinePath = resolveBaselinePath(options.writeBaseline || options.baseline, target.rootDir);
+
+  if (options.writeBaseline) {
+    logger.info(`베이스라인 기록 모드: ${baselinePath}`);
+    return { path: baselinePath, write: true, baseline: null };
+  }
+
+  const baseline = await loadBaseline(baselinePath);
+  logger.info(`베이스라인 적용: ${baselinePath} (파일 ${Object.keys(baseline.files).length}개, ${baseline.createdAt})`);
+  return { path: baselinePath, write: false, baseline };
+}
+
+/**
+ * 파일의 베이스라인 항목 조회 (베이스라인 적용 모드가 아니면 null)
+ */
+function getBaselineEntries(baselineContext, absolutePath) {
+  if (!baselineContext?.baseline) return null;
+  return baselineContext.baseline.files[toBaselineKey(baselineContext.path, absolutePath)] || [];
+}
+
+/**
+ * 베이스라인 파일 저장
+ *
+ * @param {object} entriesByFile - { [파일 키]: baselineEntries }
+ * @param {boolean} merge - 기존 베이스라인의 다른 파일 항목 유지 여부 (단일 파일 검사)
+ */
+async function writeBaselineFile(baselineContext, entriesByFile, merge) {
+  let files = entriesByFile;
+
+  if (merge) {
+    try {
+      const existing = await loadBaseline(baselineContext.path);
+      files = { ...existing.files, ...entriesByFile };
+    } catch {
+      // 기존 베이스라인이 없거나 형식이 다르면 새로 작성
+    }
+  }
+
+  // 이슈가 없는 파일은 기록하지 않음
+  const nonEmptyFiles = Object.fromEntries(
+    Object.entries(files).filter(([, entries]) => entries.length > 0)
+  );
+  const issueCount = Object.values(nonEmptyFiles).reduce((sum, entries) => sum + entries.length, 0);
+
+  await saveBaseline(baselineContext.path, createBaseline(nonEmptyFiles));
+  logger.info(`\n베이스라인 저장: ${baselineContext.path} (파일 ${Object.keys(nonEmptyFiles).length}개, 이슈 ${issueCount}개)`);
+}
+
+/**
+ * --diff 인자 로드 (검사 대상 디렉토리가 속한 git 저장소 기준)
+ */
+async function loadCheckDiff(diffSpec, target) {
+  const diffChanges = await loadDiffChanges(diffSpec, target.rootDir);
+  logger.info(`변경 범위: ${diffSpec} (${diffChanges.source === 'git' ? 'git 리비전' : 'diff 파일'}, 변경 파일 ${diffChanges.files.length}개)`);
+  return diffChanges;
+}
+
+/**
+ * diff에서 파일의 변경 라인 범위 조회 (심볼릭 링크 경로도 저장소 실제 경로와 비교)
+ *
+ * @returns {Promise<Array|null>} 변경 라인 범위 (변경 없음 또는 삭제만 있는 경우 null)
+ */
+async function findChangedRanges(diffChanges, absolutePath) {
+  const realPath = await fs.realpath(absolutePath);
+  const change = diffChanges.files.find(file =>
+    file.absolutePath === absolutePath || file.absolutePath === realPath
+  );
+  return change?.changedRanges.length > 0 ? change.changedRanges : null;
+}
+
+/**
+ * 프로젝트 설정 파일 로드 → config 반영 → CLI 옵션과 병합
+ * 설정 파일은 --config 지정 파일, 없으면 검사 루트에서 상위로 탐색
+ *
+ * @returns {Promise<object>} 병합된 옵션 (CLI에서 지정한 값 우선)
+ */
+async function prepareProjectConfig(options, target) {
+  const projectConfig = await loadProjectConfig(target.rootDir, options.config);
+  applyProjectConfig(projectConfig);
+  return mergeProjectOptions(options, projectConfig);
+}
+
+/**
+ * 리포트 형식 결정 (--format > 프로젝트 설정 report.format > json)
+ *
+ * CLI --format이 명령어가 지원하지 않는 형식이면 오류,
+ * 프로젝트 설정 값은 여러 명령어가 공유하므로 지원하지 않으면 경고 후 json으로 대체
+ * (예: report.format "html" + check-guidelines)
+ */
+function resolveReportFormat(options, formats = REPORT_FORMATS) {
+  if (options.format) {
+    const format = options.format.toLowerCase();
+    if (!formats.includes(format)) {
+      throw new Error(`지원하지 않는 리포트 형식: ${format} (지원 형식: ${formats.join(', ')})`);
+    }
+    return format;
+  }
+
+  const projectFormat = options.projectFormat?.toLowerCase();
+  if (projectFormat && !formats.includes(projectFormat)) {
+    logger.warn(`⚠️ 프로젝트 설정 report.format "${projectFormat}"은(는) 이 명령어에서 지원하지 않아 json으로 저장합니다 (지원 형식: ${formats.join(', ')})`);
+    return 'json';
+  }
+  return projectFormat || 'json';
+}
+
+/**
+ * 리포트를 REPORT_DIRECTORY에 저장 (HTML은 문자열 그대로, 그 외는 JSON 직렬화)
+ */
+async function saveReport(report, output, format) {
+  const content = typeof report === 'string' ? report : JSON.stringify(report);
+
+  if (typeof report === 'string') {
+    await saveTextData(report, output, 'report');
+  } else {
+    await saveJsonData(report, output, 'report');
+  }
+
+  logger.info(`\n결과 저장: ${output} (${format})`);
+  logger.info(`파일 크기: ${(content.length / 1024).toFixed(2)} KB`);
+}
+
+function logCheckScope(checkOptions, diffMode = !!checkOptions.changedLines) {
   logger.info('\n검사 범위:');
   logger.info(`- 개발가이드 검사: ${!checkOptions.skipGuidelines ? 'O' : 'X'}`);
   logger.info(`- 맥락적 가이드라인: ${!checkOptions.skipContextual ? 'O' : 'X'}`);
   logger.info(`- 패턴 분석: ${!checkOptions.skipPatterns ? 'O' : 'X'}`);
   logger.info(`- 자동 수정안: ${checkOptions.generateFixes ? 'O' : 'X'}`);
+  if (diffMode) {
+    logger.info(`- 변경 라인만: O${checkOptions.includeEnclosingMethod ? ' (감싸는 메서드 포함)' : ''}`);
+  }
+}
 
-  // AST 파싱 → 가이드라인 검사 → 패턴 검색 → 결과 통합 및 우선순위화
-  const unifiedResults = await unifiedChecker.analyzeCode(sourceCode, checkOptions);
-
-  // 콘솔에 결과 출력 (심각도별 통계, 주요 이슈, 권장사항 등)
-  displayUnifiedResults(unifiedResults, fileName);
-
-  // 최적화된 리포트를 JSON으로 저장 (메타데이터, 요약, 상위 이슈만 포함)
-  if (options.output) {
-    const optimizedReport = buildOptimizedReport(
-      unifiedResults,
-      fileName,
-      options.code,
-      sourceCode,
-      checkOptions
-    );
+// LLM 응답 캐시 조회가 있었던 경우만 출력 (오프라인/LLM 미사용 검사는 생략)
+function logLLMCacheStats() {
+  const { enabled, hits, misses, hitRate } = getLLMCacheStats();
+  if (!enabled || hits + misses === 0) return;
+  logger.info(`\nLLM 캐시: 적중 ${hits}회, 미스 ${misses}회 (적중률 ${(hitRate * 100).toFixed(0)}%)`);
+}
 
-    await saveJsonData (optimizedReport, options.output, 'report');
-    logger.info(`\n결과 저장: ${options.output}`);
-    logger.info(`파일 크기: ${(JSON.stringify(optimizedReport).length / 1024).toFixed(2)} KB`);
+// 스키마 검증 대상 LLM 호출이 있었던 경우만 작업별 첫 응답 유효율 출력
+function logLLMSchemaStats() {
+  const entries = Object.entries(getLLMSchemaStats().byTask);
+  if (entries.length === 0) return;
+  logger.info('\nLLM 응답 스키마 검증 (작업별 첫 응답 유효율):');
+  for (const [task, { requests, firstPassRate, repaired, failed, cachedResponses }] of entries) {
+    const cachedNote = cachedResponses > 0 ? `, 캐시/재생 ${cachedResponses}회 제외` : '';
+    logger.info(`  - ${task}: ${requests}회, ${(firstPassRate * 100).toFixed(0)}% (수정 성공 ${repaired}, 실패 ${failed}${cachedNote})`);
   }
-
-  logger.info('\n=== 통합 검사 완료 ===');
 }
 
 /**
@@ -80,41 +516,125 @@ export async function performUnifiedCheck(options) {
  * 내부 흐름:
  * 1. DevelopmentGuidelineChecker로 가이드라인 JSON 로드
  * 2. 각 규칙에 대해 코드 검증 수행
+ *    - --baseline 지정 시 베이스라인에 기록된 기존 위반/경고 제외 (--write-baseline은 현재 결과 기록)
+ *    - --diff 지정 시 변경 라인 범위의 위반/경고만 유지
  * 3. (옵션) vLLM 기반 맥락적 검사 추가 실행
  * 4. (옵션) 가이드라인 기반 코드 수정안 생성
- * 5. 검사 결과 반환
+ * 5. 품질 게이트 판정 (전체 점수 조건은 지표가 없으므로 건너뜀)
+ * 6. 검사 결과 반환
+ *
+ * @returns {Promise<object|undefined>} { qualityGate } (게이트 미설정 시 qualityGate: null)
  */
 export async function performGuidelineOnlyCheck(options) {
   if (!options.code) {
-    logger.error('검사할 코드 파일을 지정해주세요: -c <file>');
-    return;
+    throw new Error('검사할 코드 파일을 지정해주세요: -c <file>');
   }
 
+  // 프로젝트 설정 파일은 LLM/VectorDB 클라이언트 생성 전에 반영
+  const target = await resolveCheckTarget(options.code);
+  options = await prepareProjectConfig(options, target);
+  const format = resolveReportFormat(options, GUIDELINE_REPORT_FORMATS);
+
   logger.info('=== 개발가이드 규칙 검사 ===');
   logger.info(`대상 파일: ${options.code}`);
 
   const sourceCode = await loadData(options.code, 'sampleCode');
   const fileName = path.basename(options.code);
 
+  // --diff / --baseline: 초기화(LLM/VectorDB 연결) 전에 변경 여부와 베이스라인 확인
+  let changedLines = null;
+  if (options.diff) {
+    changedLines = await findChangedRanges(await loadCheckDiff(options.diff, target), target.filePath);
+    if (!changedLines) {
+      logger.info(`변경된 라인이 없어 검사를 건너뜁니다: ${options.code}`);
+      return;
+    }
+  }
+  const baselineContext = await prepareBaseline(options, target);
+  const qualityGate = resolveQualityGate(options);
+
   const unifiedChecker = new UnifiedJavaCodeChecker();
-  await unifiedChecker.initialize();
+  await unifiedChecker.initialize({ offline: options.offline });
 
   // AST 파싱 및 가이드라인 검사 수행
   const astAnalysis = unifiedChecker.astParser.parseJavaCode(sourceCode);
   const guidelineResults = await unifiedChecker.performGuidelineCheck(sourceCode, astAnalysis, options);
+  const unavailableLayers = unifiedChecker.getUnavailableLayers();
 
   if (options.includeContextual) {
-    logger.info('\n맥락적 가이드라인 검사 포함됨');
+    logger.info(unifiedChecker.offline
+      ? '\n오프라인 모드: 맥락적 가이드라인 검사 생략'
+      : '\n맥락적 가이드라인 검사 포함됨');
   }
 
   // 라인과 규칙 ID 기준으로 중복 이슈 제거
-  const allViolations = deduplicateIssuesByLineAndRule(guidelineResults.violations);
-  const allWarnings = deduplicateIssuesByLineAndRule(guidelineResults.warnings);
+  let allViolations = deduplicateIssuesByLineAndRule(guidelineResults.violations);
+  let allWarnings = deduplicateIssuesByLineAndRule(guidelineResults.warnings);
+  const duplicatesRemoved = {
+    violations: guidelineResults.violations.length - allViolations.length,
+    warnings: guidelineResults.warnings.length - allWarnings.length
+  };
+
+  // 베이스라인: 중복 제거된 위반/경고에 지문 부여 후 기록 또는 기존 이슈 제외
+  // (해결 여부 판단을 위해 변경 라인 필터보다 먼저 적용)
+  let baselineSummary = null;
+  if (baselineContext) {
+    const methods = astAnalysis.analysis?.methodDeclarations;
+    assignFingerprints(allViolations, sourceCode, methods);
+    assignFingerprints(allWarnings, sourceCode, methods);
+    const baselineKey = toBaselineKey(baselineContext.path, target.filePath);
+
+    if (baselineContext.write) {
+      await writeBaselineFile(baselineContext, {
+        [baselineKey]: toBaselineEntries([...allViolations, ...allWarnings])
+      }, true);
+    } else {
+      const { newIssues, baselinedIssues, resolvedEntries } = applyBaseline(
+        [...allViolations, ...allWarnings],
+        getBaselineEntries(baselineContext, target.filePath)
+      );
+      const newIssueSet = new Set(newIssues);
+      allViolations = allViolations.filter(violation => newIssueSet.has(violation));
+      allWarnings = allWarnings.filter(warning => newIssueSet.has(warning));
+      baselineSummary = {
+        newIssues: newIssues.length,
+        baselinedIssues: baselinedIssues.length,
+        resolvedIssues: resolvedEntries.length,
+        resolved: resolvedEntries
+      };
+    }
+  }
+
+  // 변경 라인 범위 밖 위반/경고 제외 (옵션: 감싸는 메서드 전체 포함)
+  if (changedLines) {
+    if (options.enclosingMethod) {
+      changedLines = expandToEnclosingMethods(changedLines, astAnalysis.analysis?.methodDeclarations);
+    }
+    logger.info(`변경 라인: ${formatLineRanges(changedLines)}`);
+    allViolations = filterIssuesByChangedLines(allViolations, changedLines);
+    allWarnings = filterIssuesByChangedLines(allWarnings, changedLines);
+  }
+
+  // 인라인 억제 주석으로 제외된 위반 (감사용, 변경 라인 모드에서는 변경 범위 안만)
+  const suppressedViolations = changedLines
+    ? filterIssuesByChangedLines(guidelineResults.suppressed, changedLines)
+    : guidelineResults.suppressed;
 
   logger.info('\n=== 검사 결과 ===');
   logger.info(`위반사항: ${allViolations.length}개`);
   logger.info(`경고사항: ${allWarnings.length}개`);
   logger.info(`스타일 점수: ${guidelineResults.styleScore}/100`);
+  displayUnavailableLayers(unavailableLayers);
+  if (baselineSummary) {
+    logger.info(`베이스라인: 기존 이슈 ${baselineSummary.baselinedIssues}개 제외, 해결된 이슈 ${baselineSummary.resolvedIssues}개`);
+  }
+  if (suppressedViolations.length > 0) {
+    logger.info(`인라인 억제: ${suppressedViolations.length}개`);
+    suppressedViolations.forEach(issue => {
+      const reason = issue.suppressedBy.reason ? ` - ${issue.suppressedBy.reason}` : '';
+      logger.info(`  🔕 라인 ${issue.line} [${issue.ruleId}] ${issue.suppressedBy.directive} (라인 ${issue.suppressedBy.line})${reason}`);
+    });
+  }
 
   // 위반사항을 카테고리별로 분류하여 출력
   if (allViolations.length > 0) {
@@ -146,11 +666,24 @@ export async function performGuidelineOnlyCheck(options) {
     });
   }
 
+  // 품질 게이트 판정 (심각도 미지정 위반은 MEDIUM, 경고는 LOW로 집계)
+  const gateResult = qualityGate
+    ? evaluateQualityGate(qualityGate, collectGateMetrics([
+      ...allViolations.map(violation => ({ ...violation, severity: violation.severity || 'MEDIUM' })),
+      ...allWarnings
+    ], { styleScore: guidelineResults.styleScore }))
+    : null;
+  if (gateResult) {
+    displayQualityGate(gateResult);
+  }
+
   let fixSuggestions = [];
   let fullFixedCode = null;
 
-  // --fix 옵션: LLM을 통해 각 위반사항에 대한 수정 제안 생성
-  if (options.fix && allViolations.length > 0) {
+  // --fix 옵션: LLM을 통해 각 위반사항에 대한 수정 제안 생성 (오프라인 모드에서는 생략)
+  if (options.fix && unifiedChecker.offline) {
+    logger.warn('⚠️ 오프라인 모드에서는 LLM 수정 제안을 생성할 수 없어 --fix를 건너뜁니다');
+  } else if (options.fix && allViolations.length > 0) {
     logger.info('\n=== 수정 제안 생성 중 ===');
 
     const llmService = new LLMService();
@@ -213,21 +746,31 @@ export async function performGuidelineOnlyCheck(options) {
       fileName: fileName,
       filePath: options.code,
       analysisDate: new Date().toISOString(),
+      analysisMode: unifiedChecker.offline ? 'offline' : 'online',
+      unavailableLayers,
+      changedLines,
+      baseline: baselineSummary,
+      qualityGate: gateResult,
+      suppressed: {
+        ...summarizeSuppressions(suppressedViolations),
+        items: suppressedViolations
+      },
       guidelineResults: {
         violations: allViolations,
         warnings: allWarnings,
         styleScore: guidelineResults.styleScore,
         categorizedViolations: categorizeIssues(allViolations),
         categorizedWarnings: categorizeIssues(allWarnings),
-        duplicatesRemoved: {
-          violations: guidelineResults.violations.length - allViolations.length,
-          warnings: guidelineResults.warnings.length - allWarnings.length
-        }
+        duplicatesRemoved,
+        contextualSelection: guidelineResults.contextualSelection
       },
       statistics: {
         totalViolations: allViolations.length,
-        totalWarnings: allWarnings.length
-      }
+        totalWarnings: allWarnings.length,
+        totalSuppressed: suppressedViolations.length
+      },
+      llmCache: getLLMCacheStats(),
+      llmSchema: getLLMSchemaStats()
     };
 
     // fix 옵션 활성화 시 수정 정보 추가
@@ -260,17 +803,41 @@ export async function performGuidelineOnlyCheck(options) {
       };
     }
 
-    await saveJsonData(reportData, options.output, '');
-    logger.info(`\n결과 저장: ${options.output}`);
+    const report = format === 'sarif'
+      ? buildSarifReport([{
+        filePath: fileName,
+        sourceCode,
+        issues: toSarifIssues(allViolations, allWarnings),
+        suppressedIssues: toSarifIssues(suppressedViolations),
+        fixes: fixSuggestions.map(({ issue, suggestion }) => ({
+          issueId: `style_${issue.ruleId}_${issue.line}`,
+          fixedLine: suggestion.fixedLine,
+          explanation: suggestion.explanation
+        }))
+      }], {
+        rootDir: path.dirname(path.join(process.env.SAMPLE_CODE_DIRECTORY || '', options.code)),
+        properties: {
+          styleScore: guidelineResults.styleScore,
+          parseMode: astAnalysis.parseMode,
+          analysisMode: unifiedChecker.offline ? 'offline' : 'online',
+          unavailableLayers,
+          ...(gateResult && { qualityGate: gateResult })
+        }
+      })
+      : reportData;
+
+    await saveReport(report, options.output, format);
 
     // 수정된 전체 코드를 별도 파일로 저장
     if (options.fix && fullFixedCode) {
-      const fixedCodeName = options.output.replace('.json', '_fixed.java');
+      const fixedCodeName = `${options.output.replace(/\.(json|sarif)$/i, '')}_fixed.java`;
       await saveJsonData(fullFixedCode, fixedCodeName, 'fixedCode');
       logger.info(`수정된 코드 저장: ${fixedCodeName}`);
     }
   }
 
+  logLLMCacheStats();
+  logLLMSchemaStats();
   logger.info('\n=== 검사 완료 ===');
   if (options.fix && fixSuggestions.length > 0) {
     logger.info(`✅ ${fixSuggestions.length}개 이슈에 대한 수정 제안 생성됨`);
@@ -278,4 +845,6 @@ export async function performGuidelineOnlyCheck(options) {
       logger.info('✅ 전체 수정 코드 생성 완료');
     }
   }
+
+  return { qualityGate: gateResult };
 }
\ No newline at end of file
@@ -0,0 +1,396 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { VectorClient } from '../clients/vectorClient.js';
+import { CodeEmbeddingGenerator } from '../embeddings/codeEmbedding.js';
+import { resolveEmbeddingProfile, isSameEmbeddingProfile } from '../embeddings/embeddingBackends.js';
+import { saveJsonData } from '../utils/fileUtils.js';
+import {
+  loadEmbeddingEvalSet,
+  loadEvalConfigFile,
+  runEmbeddingEval,
+  summarizeEmbeddingEval,
+  compareEmbeddingEvals
+} from '../utils/embeddingEvalUtils.js';
+import { loadLabelledMatches, tuneCategoryThresholds, buildTunedConfigFile } from '../utils/categoryThresholdUtils.js';
+import { displayEmbeddingEvalResults, displayThresholdTuningResults } from '../utils/displayUtils.js';
+import { config } from '../config.js';
+import logger from '../utils/loggerUtils.js';
+
+/**
+ * 임베딩 검색 품질 평가 (eval-embeddings)
+ * 1. 평가셋 + 가중치/threshold 파일 로드 (파일 해시를 리포트에 기록하여 실행 간 비교)
+ * 2. 질의 코드 임베딩 → VectorClient.searchWithComponentScores()로 패턴 컬렉션 검색
+ * 3. recall@k, MRR, 카테고리별 threshold precision 집계 및 출력
+ * 4. (옵션) 이전 리포트와 지표 비교, 결과 저장
+ */
+export async function evaluateEmbeddings(options) {
+  logger.info('\n=== 임베딩 검색 평가 ===');
+
+  const topK = parseInt(options.topK, 10);
+  if (!Number.isInteger(topK) || topK < 1) {
+    throw new Error(`--top-k 값은 1 이상의 정수여야 합니다: ${options.topK}`);
+  }
+
+  const evalSet = await loadEmbeddingEvalSet(options.input);
+  const weightsFile = await loadEvalConfigFile(options.weights || config.embedding.weightsPath, { required: !!options.weights });
+  const thresholdsFile = await loadEvalConfigFile(options.thresholds || config.embedding.thresholdsPath, { required: !!options.thresholds });
+  logger.info(`평가셋: ${evalSet.path} (질의 ${evalSet.pairs.length}개)`);
+
+  const embeddingGenerator = new CodeEmbeddingGenerator({ weightsPath: options.weights || null });
+  await embeddingGenerator.initialize();
+  const profile = await resolveEmbeddingProfile('pattern');
+
+  const vectorClient = new VectorClient();
+  const patternCount = await vectorClient.getPatternCount();
+  if (patternCount === 0) {
+    logger.warn('⚠️ 패턴 컬렉션이 비어 있습니다 (batch 명령으로 패턴을 먼저 저장하세요)');
+  }
+
+  const results = await runEmbeddingEval(embeddingGenerator, vectorClient, evalSet.pairs, {
+    topK,
+    categoryThresholds: thresholdsFile?.data || null
+  });
+
+  const report = {
+    evaluatedAt: new Date().toISOString(),
+    evalSet: { path: evalSet.path, sha256: evalSet.sha256 },
+    embedding: {
+      ...profile,
+      enhanced: config.embedding.enableEnhancedEmbedding,
+      weights: embeddingGenerator.embeddingWeights && weightsFile
+        ? { path: weightsFile.path, sha256: weightsFile.sha256 }
+        : null
+    },
+    thresholds: thresholdsFile ? { path: thresholdsFile.path, sha256: thresholdsFile.sha256 } : null,
+    vectorProvider: vectorClient.provider,
+    patternCount,
+    topK,
+    summary: summarizeEmbeddingEval(results, { topK }),
+    results
+  };
+
+  let comparison = null;
+  if (options.compare) {
+    const comparePath = path.resolve(options.compare);
+    let previous;
+    try {
+      previous = JSON.parse(await fs.readFile(comparePath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`비교 리포트 읽기/파싱 실패 (${comparePath}): ${error.message}`);
+    }
+    comparison = compareEmbeddingEvals(report, previous);
+  }
+
+  displayEmbeddingEvalResults(report, comparison);
+
+  if (options.output) {
+    await saveJsonData(comparison ? { ...report, comparison } : report, options.output, 'report');
+    logger.info(`\n결과 저장: ${options.output}`);
+  }
+
+  return report;
+}
+
+/**
+ * 카테고리별 threshold 자동 튜닝 (tune-thresholds)
+ * 1. 승인/거절 라벨이 붙은 과거 매치 로드 (eval-embeddings 결과 또는 매치 파일)
+ * 2. 카테고리별로 F1이 최대인 threshold 탐색 (옵션: 컴포넌트 가중치 포함)
+ * 3. 현재 threshold 대비 비교 출력, 새 threshold 파일(옵션: 가중치 파일) 저장
+ */
+export async function tuneThresholds(options) {
+  logger.info('\n=== 카테고리별 threshold 튜닝 ===');
+
+  const step = Number(options.step);
+  if (!Number.isFinite(step) || step <= 0 || step > 0.5) {
+    throw new Error(`--step 값은 0 초과 0.5 이하의 숫자여야 합니다: ${options.step}`);
+  }
+  const minSamples = parseInt(options.minSamples, 10);
+  if (!Number.isInteger(minSamples) || minSamples < 1) {
+    throw new Error(`--min-samples 값은 1 이상의 정수여야 합니다: ${options.minSamples}`);
+  }
+  if (options.tuneWeights && !options.weightsOutput) {
+    throw new Error('--tune-weights 사용 시 --weights-output 파일을 지정해주세요');
+  }
+
+  const inputFiles = options.input.split(',').map(file => file.trim()).filter(Boolean);
+  const { sources, samples } = await loadLabelledMatches(inputFiles);
+  if (samples.length === 0) {
+    throw new Error('라벨링된 매치가 없습니다');
+  }
+  logger.info(`입력: ${sources.map(source => `${source.path} (${source.format}, ${source.matches}개)`).join(', ')}`);
+
+  const thresholdsFile = await loadEvalConfigFile(options.thresholds || config.embedding.thresholdsPath, { required: !!options.thresholds });
+  const weightsFile = options.tuneWeights
+    ? await loadEvalConfigFile(options.weights || config.embedding.weightsPath, { required: true })
+    : null;
+
+  const tuning = tuneCategoryThresholds(samples, thresholdsFile?.data || null, {
+    step,
+    minSamples,
+    currentWeights: weightsFile?.data || null
+  });
+
+  const metadata = {
+    tunedAt: new Date().toISOString(),
+    sources: sources.map(source => ({ path: source.path, sha256: source.sha256 })),
+    baseline: thresholdsFile ? { path: thresholdsFile.path, sha256: thresholdsFile.sha256 } : null
+  };
+  const report = {
+    ...metadata,
+    output: path.resolve(options.output),
+    weightsOutput: options.tuneWeights ? path.resolve(options.weightsOutput) : null,
+    weightsBaseline: weightsFile ? { path: weightsFile.path, sha256: weightsFile.sha256 } : null,
+    step,
+    minSamples,
+    ...tuning
+  };
+
+  displayThresholdTuningResults(report);
+
+  await writeConfigFile(report.output, buildTunedConfigFile(thresholdsFile?.data, tuning, 'thresholds', metadata));
+  logger.info(`\n새 threshold 파일 저장: ${report.output}`);
+
+  if (options.tuneWeights) {
+    await writeConfigFile(report.weightsOutput, buildTunedConfigFile(weightsFile.data, tuning, 'weights', metadata));
+    logger.info(`새 가중치 파일 저장: ${report.weightsOutput} (근사 튜닝 → 적용 전 eval-embeddings로 확인 권장)`);
+  }
+
+  if (options.report) {
+    await saveJsonData(report, options.report, 'report');
+    logger.info(`비교 리포트 저장: ${options.report}`);
+  }
+
+  return report;
+}
+
+/**
+ * 저장된 패턴 재임베딩 (reembed)
+ * 1. 패턴 스냅샷 저장 (작업 디렉토리 patterns.json, 중단 후 재실행 시 재사용)
+ * 2. 컬렉션 임베딩 프로필(백엔드/모델/차원)이 현재 설정과 다르면 컬렉션을 현재 프로필로 비우고 다시 생성
+ * 3. 패턴별 anti_pattern.code_template을 현재 설정으로 다시 임베딩 → 배치 단위로 교체 저장
+ * 4. 배치마다 진행 상태(state.json) 기록 → 같은 명령으로 이어서 실행 (실패한 패턴만 재시도)
+ *
+ * # NOTE: 원본 이슈 코드(problematicCode)는 저장되지 않으므로 코드 템플릿 기준으로 재생성
+ * # NOTE: 컬렉션을 다시 생성한 뒤에는 스냅샷이 유일한 원본 → 완료 전 --restart 불가
+ */
+export async function reembedPatterns(options) {
+  logger.info('\n=== 패턴 재임베딩 ===');
+
+  const batchSize = parseInt(options.batchSize, 10);
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error(`--batch-size 값은 1 이상의 정수여야 합니다: ${options.batchSize}`);
+  }
+
+  const vectorClient = new VectorClient();
+  if (vectorClient.provider === 'weaviate') {
+    throw new Error('Weaviate는 패턴별 임베딩 버전을 기록하지 않아 reembed를 지원하지 않습니다 (qdrant 또는 local 사용)');
+  }
+
+  const embeddingGenerator = new CodeEmbeddingGenerator();
+  await embeddingGenerator.initialize();
+  const target = embeddingGenerator.getVersionStamp();
+  const recordedProfile = await vectorClient.getPatternEmbeddingProfile();
+  const profileChanged = !isSameEmbeddingProfile(recordedProfile, await resolveEmbeddingProfile('pattern'));
+  logger.info(`대상 임베딩 버전: ${target.id}`);
+
+  if (options.dryRun) {
+    const patterns = await loadPatternSnapshot(vectorClient);
+    const versions = countBy(patterns, getStoredVersion);
+    logger.info(`저장된 패턴: ${patterns.length}개`);
+    Object.entries(versions).forEach(([version, count]) => {
+      logger.info(`  ${version === target.id ? '✅' : '🔄'} ${version}: ${count}개`);
+    });
+    if (profileChanged) {
+      logger.info(`컬렉션 프로필 불일치 (${recordedProfile?.backend || '(기록 없음)'}/${recordedProfile?.dimensions}차원) → 컬렉션 재생성 후 전체 재임베딩`);
+    }
+    const pending = profileChanged || options.force
+      ? patterns.length
+      : patterns.filter(pattern => getStoredVersion(pattern) !== target.id).length;
+    logger.info(`재임베딩 대상: ${pending}개 (--dry-run: 변경 없음)`);
+    return { targetVersion: target.id, total: patterns.length, pending, versions, profileChanged };
+  }
+
+  const workDir = path.resolve(options.workDir || config.embedding.reembedWorkDir);
+  const snapshotPath = path.join(workDir, 'patterns.json');
+  const statePath = path.join(workDir, 'state.json');
+
+  let state = await readJsonFile(statePath);
+  if (state && options.restart) {
+    if (state.collectionRecreated && !state.completedAt) {
+      throw new Error(`컬렉션을 다시 생성한 미완료 작업이 있습니다 (스냅샷: ${snapshotPath}) → --restart 없이 이어서 실행하세요`);
+    }
+    state = null;
+  }
+
+  let patterns;
+  if (state && !state.completedAt) {
+    patterns = await readJsonFile(snapshotPath);
+    if (!Array.isArray(patterns)) {
+      throw new Error(`재임베딩 스냅샷을 읽을 수 없습니다: ${snapshotPath}`);
+    }
+    logger.info(`이전 작업 이어서 실행: 완료 ${Object.keys(state.done).length}/${patterns.length}개 (시작: ${state.startedAt})`);
+    if (state.targetVersion !== target.id) {
+      logger.warn(`⚠️ 대상 임베딩 버전 변경: ${state.targetVersion} → ${target.id} (이전 버전으로 완료한 패턴도 다시 처리)`);
+      state.targetVersion = target.id;
+    }
+  } else {
+    patterns = await loadPatternSnapshot(vectorClient);
+    await writeJsonFile(snapshotPath, patterns);
+    state = {
+      targetVersion: target.id,
+      startedAt: new Date().toISOString(),
+      total: patterns.length,
+      collectionRecreated: false,
+      done: {},
+      failed: {},
+      completedAt: null
+    };
+    await writeJsonFile(statePath, state);
+    logger.info(`패턴 스냅샷 저장: ${snapshotPath} (${patterns.length}개)`);
+  }
+
+  if (profileChanged) {
+    logger.warn(`⚠️ 컬렉션 프로필 불일치 (${recordedProfile?.backend || '(기록 없음)'}/${recordedProfile?.dimensions}차원) → 현재 프로필로 컬렉션 재생성`);
+    if (!state.collectionRecreated) {
+      // 스냅샷이 컬렉션 전체를 담고 있을 때만 비움 (일부만 읽힌 스냅샷이 유일한 원본이 되지 않도록)
+      const storedCount = await vectorClient.getPatternCount({ throwOnError: true });
+      if (storedCount !== patterns.length) {
+        throw new Error(`패턴 스냅샷(${patterns.length}개)이 컬렉션 포인트 수(${storedCount}개)와 다릅니다 → 컬렉션을 비우지 않고 중단 (${snapshotPath} 확인 후 --restart로 다시 실행)`);
+      }
+    }
+    await vectorClient.clearAllPatterns();
+    state.collectionRecreated = true;
+    state.done = {};
+    await writeJsonFile(statePath, state);
+  }
+
+  // 컬렉션을 다시 만들었으면 모든 패턴을 저장해야 하므로 버전 비교로 건너뛰지 않음
+  const skipCurrent = !options.force && !state.collectionRecreated;
+  const pending = patterns.filter(pattern =>
+    state.done[getPatternId(pattern)] !== target.id &&
+    !(skipCurrent && getStoredVersion(pattern) === target.id)
+  );
+  const skipped = patterns.length - pending.length;
+  logger.info(`재임베딩 대상: ${pending.length}개 (건너뜀: ${skipped}개, 배치 크기: ${batchSize})`);
+
+  let reembedded = 0;
+
+  for (let i = 0; i < pending.length; i += batchSize) {
+    const batch = pending.slice(i, i + batchSize);
+    logger.info(`\n📦 배치 ${Math.floor(i / batchSize) + 1}/${Math.ceil(pending.length / batchSize)} (${batch.length}개)`);
+
+    const datasets = [];
+    for (const pattern of batch) {
+      const id = getPatternId(pattern);
+      try {
+        datasets.push(await reembedDataset(embeddingGenerator, pattern));
+      } catch (error) {
+        logger.error(`   ❌ ${id}: ${error.message}`);
+        state.failed[id] = error.message;
+      }
+    }
+
+    if (datasets.length > 0) {
+      if (!state.collectionRecreated) {
+        for (const dataset of datasets) {
+          await vectorClient.deletePattern(dataset.issue_record_id);
+        }
+      }
+
+      const result = await vectorClient.batchStorePatterns(datasets, { batchSize: datasets.length });
+      const batchFailed = result.errors.some(error => !error.issueRecordId);
+      const errorsById = new Map(result.errors.filter(error => error.issueRecordId).map(error => [error.issueRecordId, error.error]));
+
+      for (const dataset of datasets) {
+        const id = dataset.issue_record_id;
+        const failure = batchFailed ? result.errors.find(error => !error.issueRecordId).error : errorsById.get(id);
+        if (failure) {
+          state.failed[id] = failure;
+        } else {
+          state.done[id] = target.id;
+          delete state.failed[id];
+          reembedded++;
+        }
+      }
+    }
+
+    await writeJsonFile(statePath, state);
+  }
+
+  const failedIds = Object.keys(state.failed);
+  if (failedIds.length === 0) {
+    state.completedAt = new Date().toISOString();
+    await writeJsonFile(statePath, state);
+  }
+
+  logger.info(`\n📊 재임베딩 결과: 성공 ${reembedded}개, 건너뜀 ${skipped}개, 실패 ${failedIds.length}개`);
+  if (failedIds.length > 0) {
+    logger.warn(`⚠️ 실패한 패턴: ${failedIds.join(', ')}`);
+    logger.warn(`   같은 명령으로 다시 실행하면 실패한 패턴만 재시도합니다 (상태: ${statePath})`);
+  }
+
+  return {
+    targetVersion: target.id,
+    total: patterns.length,
+    reembedded,
+    skipped,
+    failed: failedIds,
+    collectionRecreated: state.collectionRecreated
+  };
+}
+
+// 저장된 코드 템플릿으로 임베딩만 교체 (나머지 패턴 데이터는 그대로)
+async function reembedDataset(embeddingGenerator, pattern) {
+  const code = pattern.anti_pattern?.code_template;
+  if (typeof code !== 'string' || !code.trim()) {
+    throw new Error('anti_pattern.code_template이 없습니다');
+  }
+
+  const embeddings = await embeddingGenerator.generateEmbeddings(code, {
+    category: pattern.metadata?.category || pattern.category || undefined
+  });
+  return { ...pattern, issue_record_id: getPatternId(pattern), embeddings };
+}
+
+// 조회 실패를 빈 목록/0으로 삼키지 않는 전체 패턴 조회 (스냅샷은 컬렉션 재생성 시 유일한 원본)
+async function loadPatternSnapshot(vectorClient) {
+  const count = await vectorClient.getPatternCount({ throwOnError: true });
+  return await vectorClient.getAllPatterns(Math.max(count, 1), { throwOnError: true });
+}
+
+function getPatternId(pattern) {
+  return pattern.issue_record_id || pattern.issueRecordId;
+}
+
+function getStoredVersion(pattern) {
+  return pattern.embeddings?.embedding_metadata?.version_stamp?.id || '(버전 기록 없음)';
+}
+
+function countBy(items, keyFn) {
+  const counts = {};
+  for (const item of items) {
+    const key = keyFn(item);
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  return counts;
+}
+
+async function readJsonFile(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`파일 읽기/파싱 실패 (${filePath}): ${error.message}`);
+  }
+}
+
+async function writeJsonFile(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(data), 'utf-8');
+}
+
+// 설정 파일은 기존 config/*.json과 같은 4칸 들여쓰기로 저장
+async function writeConfigFile(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(data, null, 4) + '\n', 'utf-8');
+}
@@ -2,8 +2,14 @@ import fs from 'fs/promises';
 import path from 'path';
 import { GuidelineExtractor } from '../core/guidelineExtractor.js';
 import { UnifiedJavaCodeChecker } from '../core/unifiedCodeChecker.js';
+import { DevelopmentGuidelineChecker } from '../core/guidelineChecker.js';
+import { JavaASTParser } from '../ast/javaAstParser.js';
 import { VectorClient } from '../clients/vectorClient.js';
+import { CodeEmbeddingGenerator } from '../embeddings/codeEmbedding.js';
 import { loadData, saveJsonData } from '../utils/fileUtils.js';
+import { loadRuleFixtures, runRuleTests, evaluateRuleTests } from '../utils/ruleTestUtils.js';
+import { displayRuleTestResults } from '../utils/displayUtils.js';
+import { config } from '../config.js';
 import logger from '../utils/loggerUtils.js';
 
 /**
@@ -88,6 +94,7 @@ export async function extractGuidelinesFromGuide(options) {
       logger.info('\n🔥 VectorDB에 가이드라인 import 중...');
       const vectorClient = new VectorClient();
 
+      await attachContextualEmbeddings(extractor.guidelines);
       const results = await vectorClient.batchImportGuidelines(extractor.guidelines);
 
       logger.info(`✅ VectorDB import 완료: 성공 ${results.success}개, 실패 ${results.failed}개`);
@@ -112,7 +119,7 @@ export async function extractGuidelinesFromGuide(options) {
  * 1. JSON 파일 로드 및 파싱
  * 2. 가이드라인 배열 추출 및 검증
  * 3. 통계 정보 출력
- * 4. dry-run이 아닐 경우 Weaviate에 배치 import
+ * 4. dry-run이 아닐 경우 맥락적 가이드라인 임베딩 생성 후 Weaviate에 배치 import
  */
 export async function importGuidelinesToVectorDB(options) {
   logger.info('\n=== 가이드라인 VectorDB Import 시작 ===');
@@ -133,8 +140,8 @@ export async function importGuidelinesToVectorDB(options) {
   logger.info('\n📖 가이드라인 JSON 파일 로딩 중...');
   let guidelineData;
   try {
-    const fileContent = await loadData(inputPath, 'rule');
-    guidelineData = JSON.parse(fileContent);
+    // inputPath는 이미 절대 경로로 확인했으므로 RULE_DIRECTORY 기준 loadData() 대신 직접 읽음
+    guidelineData = JSON.parse(await fs.readFile(inputPath, 'utf-8'));
     logger.info('✅ JSON 파싱 완료');
   } catch (error) {
     logger.error('❌ JSON 파일 읽기/파싱 실패:', error.message);
@@ -221,6 +228,7 @@ export async function importGuidelinesToVectorDB(options) {
 
   try {
     const startTime = Date.now();
+    await attachContextualEmbeddings(guidelines);
     const results = await vectorClient.batchImportGuidelines(guidelines);
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
 
@@ -301,4 +309,98 @@ export async function manageGuidelines(options) {
   } else {
     logger.info('옵션을 지정해주세요: --import, --list, --export 중 하나');
   }
-}
\ No newline at end of file
+}
+
+/**
+ * 정적 가이드라인 규칙 테스트 (규칙별 examples + fixture 파일)
+ * 
+ * 내부 흐름:
+ * 1. 규칙 로드: --input 가이드라인 JSON(import 전 검증) 또는 VectorDB/로컬 캐시의 현재 규칙
+ * 2. 규칙 테스트 디렉토리에서 규칙별 good/bad fixture 로드
+ * 3. 정적 규칙마다 examples + fixture 실행 → precision/recall 집계
+ * 4. 한 번도 검출되지 않거나 항상 검출되는 규칙, 기준 미달 규칙 판정
+ * 5. (옵션) 결과 JSON 저장
+ * 
+ * @returns {Promise<object>} { passed } (main.js에서 종료 코드로 변환)
+ */
+export async function testGuidelineRules(options) {
+  logger.info('\n=== 가이드라인 규칙 테스트 ===');
+
+  const checker = new DevelopmentGuidelineChecker();
+  let ruleSource;
+
+  if (options.input) {
+    const inputPath = path.resolve(options.input);
+    let guidelineData;
+    try {
+      guidelineData = JSON.parse(await fs.readFile(inputPath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`가이드라인 JSON 파일 읽기/파싱 실패 (${inputPath}): ${error.message}`);
+    }
+
+    const guidelines = Array.isArray(guidelineData) ? guidelineData : guidelineData?.guidelines;
+    if (!Array.isArray(guidelines)) {
+      throw new Error('올바른 가이드라인 형식이 아닙니다. 예상 형식: { guidelines: [...] } 또는 [...]');
+    }
+
+    checker.registerGuidelines(guidelines);
+    ruleSource = inputPath;
+  } else {
+    await checker.initialize({ offline: options.offline || config.offline.enabled });
+    ruleSource = checker.ruleSource;
+  }
+  logger.info(`규칙 출처: ${ruleSource} (정적 규칙 ${checker.staticRules.size}개)`);
+
+  const fixtureDir = path.resolve(options.fixtures || config.ruleTest.fixtureDirectory);
+  const fixtures = await loadRuleFixtures(fixtureDir, { required: !!options.fixtures });
+  logger.info(`fixture 디렉토리: ${fixtureDir} (규칙 ${fixtures.size}개)`);
+
+  const ruleIds = options.rule ? options.rule.split(',').map(id => id.trim()).filter(Boolean) : [];
+  ruleIds.filter(id => !checker.staticRules.has(id)).forEach(id => {
+    logger.warn(`⚠️ 정적 규칙이 아니거나 존재하지 않는 규칙: ${id}`);
+  });
+  const results = await runRuleTests(checker, new JavaASTParser(), fixtures, { ruleIds });
+  const evaluation = evaluateRuleTests(results, options);
+
+  displayRuleTestResults(results, evaluation);
+
+  if (options.output) {
+    await saveJsonData({
+      testedAt: new Date().toISOString(),
+      ruleSource,
+      fixtureDirectory: fixtureDir,
+      ...evaluation,
+      results
+    }, options.output, 'report');
+    logger.info(`\n결과 저장: ${options.output}`);
+  }
+
+  return { passed: evaluation.passed };
+}
+
+// 맥락적(llm_contextual) 가이드라인에 임베딩 부여 (CONTEXTUAL_RULE_SELECTION=semantic 규칙 선택용)
+// 코드 임베딩과 같은 벡터 공간에서 비교하도록 설명 + 예시 코드를 CodeEmbeddingGenerator로 임베딩
+async function attachContextualEmbeddings(guidelines) {
+  const targets = guidelines.filter(guideline => guideline.checkType === 'llm_contextual' && !guideline.embedding);
+  if (targets.length === 0) return;
+
+  logger.info(`\n🧭 맥락적 가이드라인 임베딩 생성 중... (${targets.length}개)`);
+  const embeddingGenerator = new CodeEmbeddingGenerator({ collection: 'guideline' });
+  await embeddingGenerator.initialize();
+
+  for (const guideline of targets) {
+    const text = [
+      guideline.title,
+      guideline.description,
+      ...(guideline.examples?.bad || []),
+      ...(guideline.examples?.good || [])
+    ].filter(part => typeof part === 'string' && part.trim()).join('\n');
+
+    try {
+      const { combined_embedding } = await embeddingGenerator.generateEmbeddings(text);
+      guideline.embedding = combined_embedding;
+    } catch (error) {
+      logger.warn(`⚠️ [${guideline.ruleId}] 임베딩 생성 실패 - 키워드 선택만 사용: ${error.message}`);
+    }
+  }
+}
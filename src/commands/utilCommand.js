@@ -5,7 +5,9 @@ import { UnifiedJavaCodeChecker } from '../core/unifiedCodeChecker.js';
 import { issueCodeAnalyzer as IssueCodeAnalyzer } from '../core/issueCodeAnalyzer.js';
 import { loadData, saveJsonData } from '../utils/fileUtils.js';
 import { addLineNumbers } from '../utils/codeUtils.js';
+import { clearLLMCache } from '../utils/llmCacheUtils.js';
 import logger from '../utils/loggerUtils.js';
+import { config } from '../config.js';
 
 /**
  * 시스템 상태 확인
@@ -60,6 +62,7 @@ export async function checkSystemStatus() {
  * 내부 흐름:
  * 1. CodeEmbeddingGenerator로 입력 코드 벡터 생성
  * 2. Qdrant VectorDB에서 유사도 기반 패턴 검색
+ *    (--query 또는 필터 옵션 지정 시 hybridSearchPatterns()로 dense + 키워드/BM25 RRF 결합 + payload 필터)
  * 3. IssueCodeAnalyzer로 검색된 패턴 분석
  * 4. (옵션) vLLM 기반 수정안 생성
  * 5. 분석 결과 및 유사 패턴 목록 반환
@@ -89,23 +92,41 @@ export async function searchAndAnalyzePatterns(options) {
   const queryVector = embeddings.combined_embedding;
 
   const vectorClient = new VectorClient();
-  const similarPatterns = await vectorClient.searchSimilarPatterns(
-    queryVector,
-    parseInt(options.limit),
-    0.7
-  );
+  const embeddingVersion = embeddings.embedding_metadata?.version_stamp?.id;
+  const filters = {
+    category: options.category,
+    severity: options.severity,
+    framework: options.framework,
+    minQualityScore: options.minQuality
+  };
+  const useHybrid = Boolean(options.query) || Object.values(filters).some(value => value !== undefined);
+
+  const similarPatterns = useHybrid
+    ? await vectorClient.hybridSearchPatterns(
+        { vector: queryVector, text: options.query, embeddingVersion },
+        { limit: parseInt(options.limit), filters }
+      )
+    : await vectorClient.searchSimilarPatterns(
+        queryVector,
+        parseInt(options.limit),
+        0.7,
+        { embeddingVersion }
+      );
 
   if (similarPatterns.length === 0) {
     logger.info('유사한 패턴이 발견되지 않았습니다.');
     return;
   }
 
-  logger.info(`\n발견된 유사 패턴: ${similarPatterns.length}개`);
+  logger.info(`\n발견된 유사 패턴: ${similarPatterns.length}개${useHybrid ? ' (하이브리드 검색)' : ''}`);
 
   // 검색된 패턴을 안전/문제 패턴으로 분류하여 출력
   similarPatterns.forEach((pattern, index) => {
     const patternType = pattern.recommended_pattern ? '안전한 패턴' : '문제 패턴';
     logger.info(`  ${index + 1}. ${pattern.title} (${pattern.category}) - ${patternType}`);
+    if (pattern.explanation) {
+      logger.info(`     ${formatHybridExplanation(pattern)}`);
+    }
   });
 
   logger.info('\n2단계: 동적 패턴 기반 코드 분석 중...');
@@ -312,4 +333,37 @@ export async function searchAndAnalyzePatterns(options) {
   } else if (issueCount > 0) {
     logger.info(`권고: VectorDB에서 가져온 ${antiPatternCount}개의 패턴 정보를 참고하여 ${issueCount}개 문제를 수정해주세요.`);
   }
-}
\ No newline at end of file
+}
+/**
+ * LLM 응답 캐시 삭제
+ * 1. config.llmCache.directory의 캐시 항목 전체 삭제
+ * 2. 삭제 항목 수 출력 (프롬프트/모델 변경 없이 LLM 응답을 새로 받고 싶을 때 사용)
+ */
+export async function clearResponseCache() {
+  const removed = await clearLLMCache();
+  logger.info(`LLM 응답 캐시 삭제: ${removed}개 (${config.llmCache.directory})`);
+}
+
+/**
+ * 하이브리드 검색 결과의 구성요소별 점수 요약
+ * @private
+ */
+function formatHybridExplanation(pattern) {
+  const { dense, sparse } = pattern.explanation;
+  const describe = (component, label) => {
+    if (!component) return `${label} -`;
+    const rank = component.rank ? `#${component.rank} ` : '';
+    const score = component.score !== null && component.score !== undefined ? component.score.toFixed(4) : '?';
+    return `${label} ${rank}${score}`;
+  };
+
+  const parts = [
+    `결합 ${Number(pattern.score).toFixed(4)}`,
+    describe(dense, '벡터'),
+    describe(sparse, '키워드')
+  ];
+  if (sparse?.matchedTerms?.length > 0) {
+    parts.push(`일치: ${sparse.matchedTerms.join(', ')}`);
+  }
+  return parts.join(' | ');
+}
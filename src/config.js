@@ -1,4 +1,7 @@
 import dotenv from 'dotenv';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import logger from './utils/loggerUtils.js';
 
 dotenv.config();
@@ -14,11 +17,20 @@ dotenv.config();
  * 1. NODE_ENV 환경변수: NODE_ENV=internal node main.js
  * 2. .env 파일: ENVIRONMENT=internal
  * 3. 기본값: external (Ollama)
+ * 
+ * 프로젝트 설정 파일 (jci.config.json / .jcirc):
+ * - 검사 경로에서 상위 디렉토리로 탐색 (또는 --config로 지정), 가장 가까운 파일 사용
+ * - 우선순위: CLI 옵션 > 프로젝트 설정 파일 > 환경변수 > 기본값
+ * - loadProjectConfig()로 로드/검증 → applyProjectConfig()로 config에 반영
+ *   → mergeProjectOptions()로 CLI 옵션과 병합
  */
 
 // 환경 감지 (우선순위: NODE_ENV > .env > 기본값)
 const ENVIRONMENT = process.env.NODE_ENV || process.env.ENVIRONMENT || 'external';
 
+// 도구 설치 루트 (src/의 상위) - 도구가 생성하는 캐시 파일은 검사 대상 프로젝트가 아닌 이 아래(.gitignore의 cache/)에 저장
+const TOOL_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
 export const config = {
   // 현재 환경
   environment: ENVIRONMENT,
@@ -58,6 +70,9 @@ export const config = {
     // 메타 정보 파일 경로
     metaInfoPath: process.env.META_INFO_PATH || './asset/meta_info.json',
     
+    // reembed 스냅샷/진행 상태 디렉토리 (--work-dir 미지정 시, 실행 위치와 무관하게 도구 루트 cache/)
+    reembedWorkDir: path.join(TOOL_ROOT, 'cache', 'reembed'),
+    
     // 캐싱 설정
     cacheEnabled: process.env.EMBEDDING_CACHE_ENABLED !== 'false',  // 기본 true
     cacheTTL: parseInt(process.env.EMBEDDING_CACHE_TTL) || 3600,  // 1시간
@@ -72,11 +87,38 @@ export const config = {
     
     // 폴백 설정
     enableFallback: process.env.EMBEDDING_ENABLE_FALLBACK !== 'false',  // LLM 실패 시 정규식으로
+
+    // 임베딩 백엔드 (feature: 수작업 특징 벡터 480/512차원 | ollama: Ollama 임베딩 모델 | onnx: 프로세스 내 ONNX 모델)
+    backend: process.env.EMBEDDING_BACKEND || 'feature',
+
+    // 컬렉션별 백엔드 (미지정 시 backend, 컬렉션 생성 시 백엔드/모델/차원을 메타데이터로 기록)
+    collectionBackends: {
+      pattern: process.env.EMBEDDING_BACKEND_PATTERN || null,
+      guideline: process.env.EMBEDDING_BACKEND_GUIDELINE || null
+    },
+
+    // 신경망 임베딩 백엔드 설정 (dimensions 미지정 시 첫 임베딩 결과로 확인)
+    neural: {
+      maxChars: parseInt(process.env.EMBEDDING_NEURAL_MAX_CHARS) || 8000,  // 모델 입력 길이 제한 (초과분 잘라냄)
+      ollama: {
+        baseUrl: process.env.OLLAMA_EMBEDDINGS_URL || process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+        model: process.env.OLLAMA_EMBEDDING_MODEL || 'nomic-embed-text',
+        dimensions: parseInt(process.env.OLLAMA_EMBEDDING_DIMENSIONS) || null,
+        timeout: parseInt(process.env.OLLAMA_EMBEDDING_TIMEOUT) || 60000
+      },
+      onnx: {
+        model: process.env.ONNX_EMBEDDING_MODEL || 'jinaai/jina-embeddings-v2-base-code',  // Hugging Face 모델 ID (ONNX 가중치 포함)
+        dimensions: parseInt(process.env.ONNX_EMBEDDING_DIMENSIONS) || null,
+        cacheDir: process.env.ONNX_MODEL_CACHE_DIR || './models',
+        localOnly: process.env.ONNX_LOCAL_ONLY === 'true',  // true: cacheDir에 있는 모델만 사용 (다운로드 안 함)
+        pooling: process.env.ONNX_EMBEDDING_POOLING || 'mean'
+      }
+    }
   },
   
   // Vector DB 통합 설정
   vector: {
-    provider: process.env.VECTOR_PROVIDER || 'qdrant', // 'weaviate' 또는 'qdrant'
+    provider: process.env.VECTOR_PROVIDER || 'qdrant', // 'weaviate', 'qdrant' 또는 'local'
     
     // Weaviate 설정
     weaviate: {
@@ -99,10 +141,18 @@ export const config = {
       }
     },
 
+    // 로컬 파일 저장소 설정 (서버 없이 프로세스 내 코사인 검색)
+    local: {
+      dataDir: process.env.LOCAL_VECTOR_DIR || './data/vector-store',
+      vectorDimensions: process.env.ENABLE_ENHANCED_EMBEDDING === 'true' ? 512 : 480
+    },
+
     // 공통 설정
     maxRetries: parseInt(process.env.VECTOR_MAX_RETRIES) || 3,
     retryDelay: parseInt(process.env.VECTOR_RETRY_DELAY) || 1000,
     similarityThreshold: parseFloat(process.env.VECTOR_SIMILARITY_THRESHOLD) || 0.7,
+    // 저장 패턴과 질의의 임베딩 버전(version_stamp)이 다를 때: warn(경고 후 검색) | refuse(같은 버전만 검색) | off
+    embeddingVersionPolicy: process.env.EMBEDDING_VERSION_POLICY || 'warn',
     codePatternName: process.env.VECTOR_CODE_PATTERN_NAME || 'CodePattern',
     guidelineName: process.env.VECTOR_GUIDELINE_NAME || 'CodingGuideline'
   },
@@ -129,6 +179,16 @@ export const config = {
       maxRequestSize: parseInt(process.env.VLLM_MAX_REQUEST_SIZE) || 8000
     },
 
+    // OpenAI 호환 Chat Completions 설정 (LiteLLM, llama.cpp server, LM Studio 등 게이트웨이)
+    openai: {
+      baseUrl: process.env.OPENAI_BASE_URL || 'http://localhost:1234/v1',  // /chat/completions 앞까지 (보통 /v1 포함)
+      apiKey: process.env.OPENAI_API_KEY || null,
+      model: process.env.OPENAI_MODEL || 'qwen2.5-coder-32b-instruct',
+      timeout: parseInt(process.env.OPENAI_TIMEOUT) || 180000,
+      systemPrompt: process.env.OPENAI_SYSTEM_PROMPT || 'You are expert in Financial Core System Software Developer.',
+      responseFormat: process.env.OPENAI_RESPONSE_FORMAT || null  // json: 모든 요청에 JSON 응답 형식 힌트
+    },
+
     // AWS Bedrock 설정 (선택적)
     bedrock: {
       region: process.env.AWS_REGION || 'us-east-1',
@@ -142,7 +202,23 @@ export const config = {
     retryDelay: parseInt(process.env.LLM_RETRY_DELAY) || 2000,
     temperature: parseFloat(process.env.LLM_TEMPERATURE) || 0.1,
     enableChunking: process.env.LLM_ENABLE_CHUNKING === 'true',
-    batchSize: parseInt(process.env.LLM_BATCH_SIZE) || 3
+    batchSize: parseInt(process.env.LLM_BATCH_SIZE) || 3,
+
+    // LLM 호출 간격 제한 (프로세스 전체, 재시도 포함 호출 시작 간격 ms, 0이면 미사용)
+    rateLimit: {
+      minIntervalMs: parseInt(process.env.LLM_MIN_INTERVAL_MS) || 0
+    },
+
+    // 작업별 응답 JSON 스키마 검증 실패 시 오류를 모델에 되돌려 다시 요청하는 최대 횟수 (0이면 수정 요청 없이 검증만)
+    schemaRepair: {
+      maxAttempts: Math.max(0, parseInt(process.env.LLM_SCHEMA_REPAIR_ATTEMPTS ?? '2') || 0)
+    },
+
+    // LLM 호출 기록/재생 (off | record: 프롬프트→응답 fixture 저장 | replay: fixture만 사용, 없으면 오류)
+    recording: {
+      mode: process.env.LLM_RECORD_MODE || 'off',
+      fixtureDirectory: process.env.LLM_FIXTURE_DIR || './llm-fixtures'
+    }
   },
 
   // 문서 추출 설정
@@ -157,6 +233,56 @@ export const config = {
     }
   },
 
+  // 오프라인 모드 (LLM/VectorDB 없이 정적 가이드라인 규칙 + 기본 안티패턴만 사용)
+  offline: {
+    enabled: process.env.JCI_OFFLINE === 'true',
+    // 온라인 실행 시 VectorDB에서 로드한 가이드라인 규칙을 저장해 두는 로컬 캐시 (기본: 도구 루트 cache/)
+    guidelineCachePath: process.env.GUIDELINE_CACHE_PATH || path.join(TOOL_ROOT, 'cache', 'guideline-cache.json')
+  },
+
+  // LLM 응답 캐시 (LLMPipeline 캐시 미들웨어, 디스크 저장)
+  llmCache: {
+    enabled: process.env.LLM_CACHE_ENABLED !== 'false',  // 기본 true
+    directory: process.env.LLM_CACHE_DIR || path.join(TOOL_ROOT, 'cache', 'llm'),
+    // 7일 (초), 0이면 저장된 응답을 재사용하지 않음 (설정값 0을 기본값으로 바꾸지 않도록 미설정/숫자 아님만 기본값)
+    ttl: Number.isNaN(parseInt(process.env.LLM_CACHE_TTL)) ? 604800 : parseInt(process.env.LLM_CACHE_TTL),
+    maxEntries: parseInt(process.env.LLM_CACHE_MAX_ENTRIES) || 5000
+  },
+
+  // 맥락적(LLM) 가이드라인 규칙 선택 - LLM 검사 대상 규칙 결정
+  contextualRuleSelection: {
+    // keyword: 규칙 keywords가 코드에 포함되면 선택
+    // semantic: 코드(파일 + 메서드별) 임베딩과 CodingGuideline 벡터의 유사도 순위로 선택
+    //           (임베딩 없이 저장된 규칙은 keyword 방식으로 폴백)
+    mode: process.env.CONTEXTUAL_RULE_SELECTION || 'keyword',
+    topK: parseInt(process.env.CONTEXTUAL_RULE_TOP_K) || 5,
+    minScore: parseFloat(process.env.CONTEXTUAL_RULE_MIN_SCORE) || 0.6,
+    perMethod: process.env.CONTEXTUAL_RULE_PER_METHOD !== 'false'
+  },
+
+  // 맥락적 규칙 코드 분할: maxChars를 넘는 파일은 메서드/멤버 단위 청크(헤더: 클래스 선언부 + 본문이 참조하는 import/필드)로 나누어 검사
+  contextualChunk: {
+    maxChars: parseInt(process.env.CONTEXTUAL_CHUNK_MAX_CHARS) || 4000
+  },
+
+  // 규칙 테스트 (test-rules): 규칙별 good/bad fixture 디렉토리 ({ruleId}/good/*.java, {ruleId}/bad/*.java)
+  ruleTest: {
+    fixtureDirectory: process.env.RULE_TEST_DIRECTORY || './rule-tests'
+  },
+
+  // 프로젝트 설정 파일 값 (applyProjectConfig() 호출 전에는 기본값)
+  project: {
+    filePath: null,
+    llmProvider: null,  // 설정 파일에서 지정한 경우 환경(internal → vllm)보다 우선
+    rules: {
+      enabled: [],     // 비어 있으면 모든 규칙 사용
+      disabled: [],
+      severity: {}     // { [ruleId]: 'CRITICAL' | 'HIGH' | 'MEDIUM' | 'LOW' }
+    },
+    categoryThresholds: {},  // { [category]: 허용 이슈 수 } (품질 게이트)
+    qualityGate: {}
+  },
+
   // 애플리케이션 설정
   app: {
     batchSize: parseInt(process.env.APP_BATCH_SIZE) || 10,
@@ -177,12 +303,249 @@ export const config = {
       return this.llm.vllm;
     } else if (this.llm.provider === 'bedrock') {
       return this.llm.bedrock;
+    } else if (this.llm.provider === 'openai') {
+      return this.llm.openai;
     }
     return this.llm.ollama; // 기본값
   }
 };
 
 
+export const PROJECT_CONFIG_FILES = ['jci.config.json', '.jcirc'];
+
+const SEVERITY_VALUES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+
+// 프로젝트 설정 파일 스키마 (중첩 객체 또는 타입 이름, 배열은 허용 값 목록)
+const PROJECT_CONFIG_SCHEMA = {
+  rules: {
+    enabled: 'string[]',
+    disabled: 'string[]',
+    severity: 'severityMap'
+  },
+  categoryThresholds: 'countMap',
+  include: 'string[]',
+  exclude: 'string[]',
+  includeTests: 'boolean',
+  offline: 'boolean',
+  llm: {
+    provider: ['ollama', 'vllm', 'openai', 'bedrock'],
+    model: 'string'
+  },
+  vector: {
+    provider: ['qdrant', 'weaviate', 'local']
+  },
+  report: {
+    format: ['json', 'sarif', 'html']
+  },
+  qualityGate: {
+    maxCritical: 'count',
+    maxHigh: 'count',
+    maxMedium: 'count',
+    maxLow: 'count',
+    maxIssues: 'count',
+    minOverallScore: 'score',
+    minStyleScore: 'score',
+    bannedCategories: 'string[]'
+  }
+};
+
+/**
+ * 프로젝트 설정 파일 탐색 및 로드
+ * 
+ * 내부 흐름:
+ * 1. explicitFile(--config)이 있으면 해당 파일, 없으면 startDir에서 상위로 탐색
+ * 2. JSON 파싱 (.jcirc도 JSON 형식)
+ * 3. 스키마 검증 (알 수 없는 항목, 타입 오류는 모아서 한 번에 보고)
+ * 
+ * @param {string} startDir - 탐색 시작 디렉토리 (검사 루트)
+ * @param {string} explicitFile - --config로 지정한 설정 파일 경로 (선택)
+ * @returns {Promise<object|null>} { filePath, settings } (설정 파일이 없으면 null)
+ * @throws {Error} 파일 읽기/파싱 실패 또는 검증 오류
+ */
+export async function loadProjectConfig(startDir, explicitFile = null) {
+  const filePath = explicitFile ? path.resolve(explicitFile) : await findProjectConfigFile(startDir);
+  if (!filePath) return null;
+
+  let settings;
+  try {
+    settings = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`프로젝트 설정 파일 로드 실패 (${filePath}): ${error.message}`);
+  }
+
+  validateProjectConfig(settings, filePath);
+  return { filePath, settings };
+}
+
+/**
+ * 검사 경로에서 상위 디렉토리로 프로젝트 설정 파일 탐색 (가장 가까운 파일 사용)
+ * 
+ * @returns {Promise<string|null>} 설정 파일 절대 경로
+ */
+export async function findProjectConfigFile(startDir) {
+  let dir = path.resolve(startDir);
+
+  while (true) {
+    for (const fileName of PROJECT_CONFIG_FILES) {
+      const candidate = path.join(dir, fileName);
+      try {
+        if ((await fs.stat(candidate)).isFile()) {
+          return candidate;
+        }
+      } catch {
+        // 없는 파일은 상위 디렉토리에서 계속 탐색
+      }
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * 프로젝트 설정 파일 검증
+ * 
+ * @throws {Error} 오류 목록을 포함한 단일 에러 (예: "알 수 없는 항목: llm.modle (지원: provider, model)")
+ */
+export function validateProjectConfig(settings, filePath) {
+  const errors = [];
+
+  if (!isPlainObject(settings)) {
+    errors.push('최상위 값은 객체여야 합니다');
+  } else {
+    validateSection(settings, PROJECT_CONFIG_SCHEMA, '', errors);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`프로젝트 설정 파일 오류 (${filePath}):\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+}
+
+/**
+ * 검증된 프로젝트 설정을 config에 반영 (환경변수보다 우선)
+ * 
+ * - llm.provider / llm.model, vector.provider → config.llm / config.vector
+ * - rules, categoryThresholds, qualityGate → config.project
+ * 
+ * # NOTE: LLM/VectorDB 클라이언트 생성 전에 호출해야 provider 변경이 적용됨
+ */
+export function applyProjectConfig(projectConfig) {
+  if (!projectConfig) return;
+
+  const { filePath, settings } = projectConfig;
+
+  if (settings.llm?.provider) {
+    config.llm.provider = settings.llm.provider;
+  }
+  if (settings.llm?.model) {
+    const modelKey = config.llm.provider === 'bedrock' ? 'modelId' : 'model';
+    config.llm[config.llm.provider][modelKey] = settings.llm.model;
+  }
+  if (settings.vector?.provider) {
+    config.vector.provider = settings.vector.provider;
+  }
+
+  config.project = {
+    filePath,
+    llmProvider: settings.llm?.provider || null,
+    rules: {
+      enabled: settings.rules?.enabled || [],
+      disabled: settings.rules?.disabled || [],
+      severity: settings.rules?.severity || {}
+    },
+    categoryThresholds: settings.categoryThresholds || {},
+    qualityGate: settings.qualityGate || {}
+  };
+
+  logger.info(`📁 프로젝트 설정: ${filePath}`);
+  if (settings.llm?.provider || settings.llm?.model) {
+    logger.info(`  🔊 LLM: ${config.llm.provider} (${config.currentLLM.model || config.currentLLM.modelId})`);
+  }
+  if (settings.vector?.provider) {
+    logger.info(`  🗄️  Vector DB: ${config.vector.provider}`);
+  }
+  const { enabled, disabled, severity } = config.project.rules;
+  if (enabled.length > 0 || disabled.length > 0 || Object.keys(severity).length > 0) {
+    logger.info(`  📋 규칙: 사용 ${enabled.length || '전체'}, 제외 ${disabled.length}개, 심각도 재정의 ${Object.keys(severity).length}개`);
+  }
+}
+
+/**
+ * CLI 옵션과 프로젝트 설정 파일 값 병합 (CLI에서 지정한 값이 우선)
+ * 
+ * 병합 항목: include, exclude (쉼표 구분 문자열), includeTests, offline
+ * report.format은 명령어마다 지원 형식이 달라 format에 병합하지 않고 projectFormat으로 전달
+ * (CLI --format은 지원하지 않으면 오류, 설정 파일 값은 경고 후 json으로 대체)
+ */
+export function mergeProjectOptions(options, projectConfig) {
+  if (!projectConfig) return options;
+
+  const { settings } = projectConfig;
+  return {
+    ...options,
+    include: options.include ?? settings.include?.join(','),
+    exclude: options.exclude ?? settings.exclude?.join(','),
+    includeTests: options.includeTests ?? settings.includeTests,
+    offline: options.offline ?? settings.offline,
+    projectFormat: settings.report?.format
+  };
+}
+
+function validateSection(values, schema, prefix, errors) {
+  Object.entries(values).forEach(([key, value]) => {
+    const keyPath = `${prefix}${key}`;
+    const expected = schema[key];
+
+    if (expected === undefined) {
+      errors.push(`알 수 없는 항목: ${keyPath} (지원: ${Object.keys(schema).join(', ')})`);
+    } else if (Array.isArray(expected)) {
+      if (!expected.includes(value)) {
+        errors.push(`${keyPath}: ${JSON.stringify(value)}은(는) 지원하지 않는 값입니다 (지원: ${expected.join(', ')})`);
+      }
+    } else if (typeof expected === 'object') {
+      if (isPlainObject(value)) {
+        validateSection(value, expected, `${keyPath}.`, errors);
+      } else {
+        errors.push(`${keyPath}: 객체여야 합니다`);
+      }
+    } else {
+      const message = validateValue(value, expected);
+      if (message) errors.push(`${keyPath}: ${message}`);
+    }
+  });
+}
+
+function validateValue(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' && value.trim() !== '' ? null : '비어 있지 않은 문자열이어야 합니다';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'true 또는 false여야 합니다';
+    case 'string[]':
+      return Array.isArray(value) && value.every(item => typeof item === 'string') ? null : '문자열 배열이어야 합니다';
+    case 'count':
+      return Number.isInteger(value) && value >= 0 ? null : '0 이상 정수여야 합니다';
+    case 'score':
+      return Number.isInteger(value) && value >= 0 && value <= 100 ? null : '0~100 정수여야 합니다';
+    case 'countMap':
+      return isPlainObject(value) && Object.values(value).every(count => Number.isInteger(count) && count >= 0)
+        ? null
+        : '{ "카테고리": 0 이상 정수 } 형식이어야 합니다';
+    case 'severityMap':
+      return isPlainObject(value) && Object.values(value).every(severity => SEVERITY_VALUES.includes(severity))
+        ? null
+        : `{ "규칙 ID": ${SEVERITY_VALUES.join(' | ')} } 형식이어야 합니다`;
+    default:
+      return null;
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+
 // 성공 메시지 출력
 logger.info('='.repeat(60));
 logger.info('✅ Config 검증 완료');
@@ -212,12 +575,24 @@ if (config.llm.provider === 'ollama') {
   logger.info(`  🤖 모델: ${config.llm.vllm.model}`);
   logger.info(`  ⏱️  타임아웃: ${config.llm.vllm.timeout}ms`);
   logger.info(`  🔄 최대 재시도: ${config.llm.maxRetries}회`);
+} else if (config.llm.provider === 'openai') {
+  logger.info(`  🔗 서버: ${config.llm.openai.baseUrl} (OpenAI 호환${config.llm.openai.apiKey ? ', API 키 사용' : ''})`);
+  logger.info(`  🤖 모델: ${config.llm.openai.model}`);
+  logger.info(`  ⏱️  타임아웃: ${config.llm.openai.timeout}ms`);
+  logger.info(`  🔄 최대 재시도: ${config.llm.maxRetries}회`);
+  if (config.llm.openai.responseFormat) {
+    logger.info(`  🧾 응답 형식 힌트: ${config.llm.openai.responseFormat}`);
+  }
 } else if (config.llm.provider === 'bedrock') {
   logger.info(`  🌎 리전: ${config.llm.bedrock.region}`);
   logger.info(`  🤖 모델: ${config.llm.bedrock.modelId.split('/').pop()}`);
   logger.info(`  🎯 최대 토큰: ${config.llm.bedrock.maxTokens}`);
   logger.info(`  🌡️  Temperature: ${config.llm.bedrock.temperature}`);
 }
+if (config.llm.rateLimit.minIntervalMs > 0) {
+  logger.info(`  ⏳ 최소 호출 간격: ${config.llm.rateLimit.minIntervalMs}ms`);
+}
+logger.info(`  🧩 스키마 수정 요청: 최대 ${config.llm.schemaRepair.maxAttempts}회`);
 
 // Vector DB 설정 출력
 logger.info(`\n🗄️  Vector DB Provider: ${config.vector.provider.toUpperCase()}`);
@@ -230,15 +605,25 @@ if (config.vector.provider === 'weaviate') {
 } else if (config.vector.provider === 'qdrant') {
   logger.info(`  🔗 서버: ${config.vector.qdrant.url}`);
   logger.info(`  🔐 인증: ${config.vector.qdrant.apiKey ? 'API Key 사용' : '미사용'}`);
-  logger.info(`  📊 벡터 차원: ${config.vector.qdrant.vectorDimensions}`);
+  logger.info(`  📊 벡터 차원 (feature 백엔드): ${config.vector.qdrant.vectorDimensions}`);
   logger.info(`  🎯 인덱스 파라미터: M=${config.vector.qdrant.indexParams.m}, EF=${config.vector.qdrant.indexParams.ef_construct}`);
   logger.info(`  📁 CodePattern 컬렉션: ${config.vector.qdrant.collectionNamePattern.replace('{type}', 'pattern')}`);
   logger.info(`  📋 Guideline 컬렉션: ${config.vector.qdrant.collectionNamePattern.replace('{type}', 'guideline')}`);
+} else if (config.vector.provider === 'local') {
+  logger.info(`  📂 저장 디렉토리: ${config.vector.local.dataDir}`);
+  logger.info(`  📊 벡터 차원 (feature 백엔드): ${config.vector.local.vectorDimensions}`);
+  logger.info(`  📁 CodePattern 파일: ${config.vector.codePatternName}.json`);
+  logger.info(`  📋 Guideline 파일: ${config.vector.guidelineName}.json`);
 }
 
 // 공통 Vector DB 설정
 logger.info(`  🔄 최대 재시도: ${config.vector.maxRetries}회`);
 logger.info(`  📏 유사도 임계값: ${config.vector.similarityThreshold}`);
+logger.info(`  🏷️  임베딩 버전 정책: ${config.vector.embeddingVersionPolicy}`);
+
+// 컬렉션별 임베딩 백엔드 (feature 외 백엔드의 차원은 컬렉션 생성/첫 임베딩 시 확인)
+logger.info(`  🧠 임베딩 백엔드: pattern=${config.embedding.collectionBackends.pattern || config.embedding.backend}, ` +
+            `guideline=${config.embedding.collectionBackends.guideline || config.embedding.backend}`);
 
 // ===== 🆕 Enhanced Embedding 설정 출력 =====
 if (config.embedding.enableEnhancedEmbedding) {
@@ -274,6 +659,17 @@ logger.info(`\n⚙️  애플리케이션 설정:`);
 logger.info(`  📦 배치 크기: ${config.app.batchSize}`);
 logger.info(`  🔀 병렬 처리: ${config.app.enableParallelProcessing ? '활성화' : '비활성화'} (최대 ${config.app.maxParallelTasks}개)`);
 logger.info(`  🛡️  Graceful Degradation: ${config.app.enableGracefulDegradation ? '활성화' : '비활성화'}`);
+if (config.offline.enabled) {
+  logger.info(`  🔌 오프라인 모드: 활성화 (가이드라인 캐시: ${config.offline.guidelineCachePath})`);
+}
+if (config.llm.recording.mode !== 'off') {
+  logger.info(`  📼 LLM 기록/재생: ${config.llm.recording.mode} (${config.llm.recording.fixtureDirectory})`);
+}
+logger.info(`  💾 LLM 응답 캐시: ${config.llmCache.enabled ? `활성화 (${config.llmCache.directory}, TTL ${config.llmCache.ttl}초, 최대 ${config.llmCache.maxEntries}개)` : '비활성화'}`);
+if (config.contextualRuleSelection.mode === 'semantic') {
+  const { topK, minScore, perMethod } = config.contextualRuleSelection;
+  logger.info(`  🧭 맥락적 규칙 선택: 임베딩 유사도 (상위 ${topK}개, 최소 ${minScore}${perMethod ? ', 메서드별' : ''})`);
+}
 
 logger.info('='.repeat(60));
 logger.info('🚀 시스템 준비 완료!\n');
\ No newline at end of file
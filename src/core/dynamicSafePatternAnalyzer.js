@@ -103,7 +103,10 @@ export class DynamicSafePatternAnalyzer {
    * 6. anti_pattern 있으면 antiPatternCache에 저장
    * 7. 캐시 크기 및 패턴 목록 출력
    * 
+   * 오프라인 모드: LLM/VectorDB 연결 없이 initializeFallbackPatterns()의 기본 안전 패턴만 사용
+   * 
    * @async
+   * @param {object} options - { offline: 오프라인 모드 여부 }
    * @returns {Promise<void>}
    * @throws {Error} LLM 서비스 연결 실패 시
    * 
@@ -111,9 +114,17 @@ export class DynamicSafePatternAnalyzer {
    * const analyzer = new DynamicSafePatternAnalyzer();
    * await analyzer.initialize();
    */
-  async initialize() {
+  async initialize({ offline = false } = {}) {
     logger.info('🚀 동적 패턴 분석기 초기화 중...');
 
+    if (offline) {
+      this.initializeFallbackPatterns();
+      logger.info('✅ 동적 패턴 분석기 초기화 완료 (오프라인: 기본 패턴)');
+      logger.info(`  📊 안전한 패턴: ${this.safePatternCache.size}개`);
+      logger.info(`  ⚠️  기본 문제 패턴: ${this.getFallbackAntiPatterns().length}개`);
+      return;
+    }
+
     const isConnected = await this.llmService.checkConnection();
     if (!isConnected) {
       throw new Error('LLM 서비스 연결 실패');
@@ -866,4 +877,53 @@ export class DynamicSafePatternAnalyzer {
       this.safePatternCache.set(pattern.category, pattern);
     });
   }
+
+  /**
+   * VectorDB 유사 패턴 검색을 대신하는 기본 문제 패턴 (오프라인 모드)
+   * 
+   * VectorDB 검색 결과와 같은 형식으로 반환하여 issueCodeAnalyzer.analyzeCodeIssues()에 그대로 전달
+   * - 정규식 시그니처 없이 performCategorySpecificMatching()의 카테고리별 특화 검사로 탐지
+   * - similarity 1.0: 카테고리별 threshold 필터에서 제외되지 않도록 고정
+   * 
+   * @returns {Array} 유사 패턴 형식의 기본 문제 패턴 목록
+   */
+  getFallbackAntiPatterns() {
+    const fallbackAntiPatterns = [
+      {
+        category: 'resource_management',
+        title: 'Database Connection 리소스 누수',
+        severity: 'HIGH',
+        codeTemplate: 'Connection conn = dataSource.getConnection();'
+      },
+      {
+        category: 'security_vulnerability',
+        title: '문자열 연결 SQL (SQL Injection)',
+        severity: 'CRITICAL',
+        codeTemplate: 'String sql = "SELECT * FROM users WHERE id = " + userId;'
+      },
+      {
+        category: 'performance_issue',
+        title: 'ResultSet 루프 내 쿼리 실행 (N+1)',
+        severity: 'MEDIUM',
+        codeTemplate: 'while (rs.next()) { stmt.executeQuery(...); }'
+      },
+      {
+        category: 'exception_handling',
+        title: 'printStackTrace() 예외 처리',
+        severity: 'MEDIUM',
+        codeTemplate: 'catch (Exception e) { e.printStackTrace(); }'
+      }
+    ];
+
+    return fallbackAntiPatterns.map(pattern => ({
+      issue_record_id: `fallback_${pattern.category}`,
+      category: pattern.category,
+      similarity: 1.0,
+      metadata: { title: pattern.title, severity: pattern.severity },
+      anti_pattern: {
+        code_template: pattern.codeTemplate,
+        pattern_signature: { regex_patterns: [] }
+      }
+    }));
+  }
 }
\ No newline at end of file
@@ -11,6 +11,7 @@
  * 1. 정적 규칙 검사 (Static Rules)
  *    - 정규표현식 기반 패턴 매칭
  *    - AST 기반 구조 분석
+ *    - 구조 규칙 DSL (checkType: structural) - 노드 종류/어노테이션/메서드 호출/감싸는 범위/없어야 할 노드 조합
  *    - 빠른 검증 속도, 명확한 규칙 적용
  *    - 예: 들여쓰기, 변수명 규칙, 라인 길이 등
  * 
@@ -23,6 +24,7 @@
  * 규칙 소스:
  * - Primary: VectorDB (Qdrant)에서 가이드라인 규칙 로드
  * - Fallback: 로드 실패 시 기본 규칙(하드코딩) 사용
+ * - Offline: 로컬 가이드라인 캐시(온라인 로드 시 저장) → 없으면 기본 규칙
  * 
  * 호출 체인:
  * 1. initialize() → loadGuidelineRules() → VectorClient.searchGuidelines()
@@ -39,9 +41,17 @@
  * # NOTE: 금융권 보안: 규칙 ID 검증, SQL 인젝션 방지
  * # PERFORMANCE: 규칙 캐싱으로 반복 로드 방지 (Redis/메모리)
  */
+import fs from 'fs/promises';
+import path from 'path';
 import { VectorClient } from '../clients/vectorClient.js';
 import { LLMService } from '../clients/llmService.js';
 import logger from '../utils/loggerUtils.js';
+import { buildSuppressionIndex, partitionSuppressedIssues } from '../utils/suppressionUtils.js';
+import { isRuleEnabled, applyRuleSettings } from '../utils/issueUtils.js';
+import { compileStructuralRule, findStructuralMatches } from '../ast/structuralRuleMatcher.js';
+import { CodeEmbeddingGenerator } from '../embeddings/codeEmbedding.js';
+import { buildContextualChunks, mapChunkLine } from '../utils/codeChunkUtils.js';
+import { config } from '../config.js';
 /**
  * 개발가이드 전용 검사기 클래스 (Layer1 Component)
  * 
@@ -87,6 +97,13 @@ export class DevelopmentGuidelineChecker {
     
     // LLM 서비스 - 컨텍스트 기반 분석에 사용
     this.llmService = new LLMService();
+
+    // 오프라인 모드 여부 및 정적 규칙 출처 (vector_db | local_cache | default)
+    this.offline = false;
+    this.ruleSource = null;
+
+    // 맥락적 규칙 임베딩 선택용 (semantic 모드에서 최초 사용 시 생성)
+    this.embeddingGenerator = null;
   }
 
   /**
@@ -97,6 +114,7 @@ export class DevelopmentGuidelineChecker {
    * 매핑:
    * - static_analysis → regex
    * - regex_with_validation → combined
+   * - structural: 구조 규칙 DSL (structure 항목)
    * - 나머지는 그대로 유지
    * - 알 수 없는 값은 regex로 폴백
    * 
@@ -110,6 +128,7 @@ export class DevelopmentGuidelineChecker {
       'regex': 'regex',
       'ast': 'ast',
       'combined': 'combined',
+      'structural': 'structural',
       'llm_contextual': 'llm_contextual'
     };
     return mapping[checkType] || 'regex';
@@ -334,7 +353,10 @@ export class DevelopmentGuidelineChecker {
    * 4. loadContextualGuidelines() 호출 → 하드코딩된 컨텍스트 규칙 추가
    * 5. 로드 실패 시 initializeDefaultRules()로 폴백
    * 
+   * 오프라인 모드: VectorDB 대신 로컬 가이드라인 캐시에서 로드, 컨텍스트(LLM) 규칙은 로드하지 않음
+   * 
    * @async
+   * @param {object} options - { offline: 오프라인 모드 여부 }
    * @returns {Promise<void>}
    * 
    * @example
@@ -344,14 +366,19 @@ export class DevelopmentGuidelineChecker {
    * # TODO: Python 변환 시 async/await → asyncio로 변경
    * # PERFORMANCE: 규칙 로드 시간 측정 및 캐싱 적용
    */
-  async initialize() {
+  async initialize({ offline = false } = {}) {
     logger.info('📋 개발가이드 룰 로딩 중...');
+    this.offline = offline;
 
-    // VectorDB에서 규칙 로드 (정적 + 컨텍스트)
+    // VectorDB(오프라인: 로컬 캐시)에서 규칙 로드 (정적 + 컨텍스트)
     await this.loadGuidelineRules();
     
-    // 하드코딩된 컨텍스트 규칙 로드
-    await this.loadContextualGuidelines();
+    // 하드코딩된 컨텍스트 규칙 로드 (LLM 검사 전용이므로 오프라인에서는 생략)
+    if (offline) {
+      this.contextualRules.clear();
+    } else {
+      await this.loadContextualGuidelines();
+    }
 
     logger.info(`✅ 개발가이드 룰 로딩 완료: 정적 ${this.staticRules.size}개, 맥락적 ${this.contextualRules.size}개`);
   }
@@ -365,130 +392,21 @@ export class DevelopmentGuidelineChecker {
    * 3. astHints 필드명 정규화
    * 4. message 폴백 처리
    * 5. contextual 규칙에 id 필드 추가
+   * 6. 온라인 로드 성공 시 오프라인 모드용 로컬 캐시 저장
    */
   async loadGuidelineRules() {
     try {
-      const guidelines = await this.vectorClient.searchGuidelines();
+      const guidelines = this.offline
+        ? await this.loadCachedGuidelines()
+        : await this.vectorClient.searchGuidelines();
 
       if (guidelines && guidelines.length > 0) {
-        let staticCount = 0;
-        let contextualCount = 0;
-        let normalizedCount = 0;
-
-        guidelines.forEach(guideline => {
-          // ─────────────────────────────────────────────────────────
-          // Step 1: checkType 정규화
-          // ─────────────────────────────────────────────────────────
-          const originalCheckType = guideline.checkType;
-          const normalizedCheckType = this.normalizeCheckType(originalCheckType);
-
-          if (originalCheckType !== normalizedCheckType) {
-            console.debug(`  📝 checkType 정규화: ${guideline.ruleId} (${originalCheckType} → ${normalizedCheckType})`);
-            normalizedCount++;
-          }
-
-          // ─────────────────────────────────────────────────────────
-          // Step 2: LLM 컨텍스트 규칙 처리
-          // ─────────────────────────────────────────────────────────
-          if (normalizedCheckType === 'llm_contextual') {
-            // keywords 검증 및 폴백
-            let keywords = guideline.keywords;
-            if (!keywords || !Array.isArray(keywords) || keywords.length === 0) {
-              // title과 description에서 키워드 추출 시도
-              keywords = this.extractKeywordsFromText(guideline.title, guideline.description);
-              if (keywords.length === 0) {
-                console.warn(`  ⚠️ [${guideline.ruleId}] keywords 없음 - 규칙 스킵`);
-                return;  // 키워드 없으면 스킵
-              }
-            }
-
-            // examples 검증
-            let examples = guideline.examples;
-            if (!examples || typeof examples !== 'object') {
-              examples = { good: [], bad: [] };
-            }
-            if (!Array.isArray(examples.good)) examples.good = [];
-            if (!Array.isArray(examples.bad)) examples.bad = [];
-
-            this.contextualRules.set(guideline.ruleId, {
-              id: guideline.ruleId,  // id 필드 추가 (프롬프트에서 사용)
-              ruleId: guideline.ruleId,
-              title: guideline.title,
-              category: guideline.category || 'general',
-              checkType: 'llm_contextual',
-              description: guideline.description || '',
-              severity: guideline.severity || 'MEDIUM',
-              keywords: keywords,
-              examples: examples,
-              businessRules: guideline.businessRules || []
-            });
-            contextualCount++;
-          }
-          // ─────────────────────────────────────────────────────────
-          // Step 3: 정적 규칙 처리 (regex, ast, combined)
-          // ─────────────────────────────────────────────────────────
-          else {
-            // patterns/antiPatterns/goodPatterns 정규화
-            const patternGroups = this.normalizePatternGroups(guideline, guideline.ruleId);
-
-            // astHints 정규화
-            const normalizedAstHints = this.normalizeAstHints(guideline.astHints);
-
-            // message 생성
-            const message = this.generateMessage(guideline);
-
-            // 유효성 검증
-            const hasPatterns = patternGroups.antiPatterns.length > 0 || patternGroups.goodPatterns.length > 0;
-            const hasAstHints = normalizedAstHints && normalizedAstHints.nodeTypes;
-
-            // regex 타입인데 패턴 없으면 스킵
-            if (normalizedCheckType === 'regex' && !hasPatterns) {
-              console.warn(`  ⚠️ [${guideline.ruleId}] regex 규칙이지만 유효한 패턴 없음 - 스킵`);
-              return;
-            }
-
-            // ast 타입인데 astHints 없으면 스킵
-            if (normalizedCheckType === 'ast' && !hasAstHints) {
-              console.warn(`  ⚠️ [${guideline.ruleId}] ast 규칙이지만 astHints 없음 - 스킵`);
-              return;
-            }
-
-            // combined 타입은 둘 중 하나라도 있어야 함
-            if (normalizedCheckType === 'combined' && !hasPatterns && !hasAstHints) {
-              console.warn(`  ⚠️ [${guideline.ruleId}] combined 규칙이지만 패턴과 astHints 모두 없음 - 스킵`);
-              return;
-            }
-
-            // 특수 규칙용 커스텀 검증기 설정
-            let customValidator = null;
-            if (guideline.ruleId === 'code_style.3_7_3' ||
-                guideline.title?.includes('Cast Operator')) {
-              customValidator = (line) => {
-                if (/\w+\s*\([^)]*\)\s*\./.test(line)) return false;
-                if (/^\s*(if|while|for|switch)\s*\(/.test(line)) return false;
-                return /\(\s*[A-Z][a-zA-Z0-9<>]*\s*\)\s+[a-zA-Z_]/.test(line);
-              };
-            }
+        this.ruleSource = this.offline ? 'local_cache' : 'vector_db';
+        if (!this.offline) {
+          await this.saveGuidelineCache(guidelines);
+        }
 
-            // 정적 규칙 저장
-            this.staticRules.set(guideline.ruleId, {
-              id: guideline.ruleId,
-              title: guideline.title,
-              category: guideline.category || 'general',
-              checkType: normalizedCheckType,
-              antiPatterns: patternGroups.antiPatterns,
-              goodPatterns: patternGroups.goodPatterns,
-              // 하위 호환성: patterns도 유지 (antiPatterns의 regex만)
-              patterns: patternGroups.antiPatterns.map(p => p.regex),
-              astHints: normalizedAstHints,
-              severity: guideline.severity || 'MEDIUM',
-              message: message,
-              examples: guideline.examples || { good: [], bad: [] },
-              customValidator: customValidator
-            });
-            staticCount++;
-          }
-        });
+        const { staticCount, contextualCount, normalizedCount } = this.registerGuidelines(guidelines);
 
         logger.info(`  📊 가이드라인 로드 완료: 정적 ${staticCount}개, 컨텍스트 ${contextualCount}개`);
         if (normalizedCount > 0) {
@@ -503,6 +421,220 @@ export class DevelopmentGuidelineChecker {
     }
   }
 
+  /**
+   * 원본 가이드라인 목록을 정규화하여 정적/컨텍스트 규칙 저장소에 등록
+   * 
+   * loadGuidelineRules()와 test-rules 명령(import 전 가이드라인 JSON 검증)에서 공통 사용
+   * 
+   * @param {Array} guidelines - VectorDB/캐시/가이드라인 JSON의 원본 가이드라인 목록
+   * @returns {object} { staticCount, contextualCount, normalizedCount }
+   */
+  registerGuidelines(guidelines) {
+    let staticCount = 0;
+    let contextualCount = 0;
+    let normalizedCount = 0;
+
+    guidelines.forEach(guideline => {
+      // ─────────────────────────────────────────────────────────
+      // Step 1: checkType 정규화
+      // ─────────────────────────────────────────────────────────
+      const originalCheckType = guideline.checkType;
+      const normalizedCheckType = this.normalizeCheckType(originalCheckType);
+
+      if (originalCheckType !== normalizedCheckType) {
+        console.debug(`  📝 checkType 정규화: ${guideline.ruleId} (${originalCheckType} → ${normalizedCheckType})`);
+        normalizedCount++;
+      }
+
+      // ─────────────────────────────────────────────────────────
+      // Step 2: LLM 컨텍스트 규칙 처리
+      // ─────────────────────────────────────────────────────────
+      if (normalizedCheckType === 'llm_contextual') {
+        // keywords 검증 및 폴백
+        let keywords = guideline.keywords;
+        if (!keywords || !Array.isArray(keywords) || keywords.length === 0) {
+          // title과 description에서 키워드 추출 시도
+          keywords = this.extractKeywordsFromText(guideline.title, guideline.description);
+          // 임베딩 유사도 선택(semantic)에서는 키워드 없이도 선택 가능하므로 유지
+          if (keywords.length === 0 && config.contextualRuleSelection.mode !== 'semantic') {
+            console.warn(`  ⚠️ [${guideline.ruleId}] keywords 없음 - 규칙 스킵`);
+            return;  // 키워드 없으면 스킵
+          }
+        }
+
+        // examples 검증
+        let examples = guideline.examples;
+        if (!examples || typeof examples !== 'object') {
+          examples = { good: [], bad: [] };
+        }
+        if (!Array.isArray(examples.good)) examples.good = [];
+        if (!Array.isArray(examples.bad)) examples.bad = [];
+
+        this.contextualRules.set(guideline.ruleId, {
+          id: guideline.ruleId,  // id 필드 추가 (프롬프트에서 사용)
+          ruleId: guideline.ruleId,
+          title: guideline.title,
+          category: guideline.category || 'general',
+          checkType: 'llm_contextual',
+          description: guideline.description || '',
+          severity: guideline.severity || 'MEDIUM',
+          keywords: keywords,
+          examples: examples,
+          businessRules: guideline.businessRules || []
+        });
+        contextualCount++;
+      }
+      // ─────────────────────────────────────────────────────────
+      // Step 3: 구조 규칙 처리 (structure DSL 컴파일, 정의 오류 시 스킵)
+      // ─────────────────────────────────────────────────────────
+      else if (normalizedCheckType === 'structural') {
+        try {
+          this.staticRules.set(guideline.ruleId, {
+            id: guideline.ruleId,
+            title: guideline.title,
+            category: guideline.category || 'general',
+            checkType: 'structural',
+            structure: compileStructuralRule(guideline.structure),
+            severity: guideline.severity || 'MEDIUM',
+            message: this.generateMessage(guideline),
+            examples: guideline.examples || { good: [], bad: [] }
+          });
+          staticCount++;
+        } catch (error) {
+          console.warn(`  ⚠️ [${guideline.ruleId}] ${error.message} - 스킵`);
+        }
+      }
+      // ─────────────────────────────────────────────────────────
+      // Step 4: 정적 규칙 처리 (regex, ast, combined)
+      // ─────────────────────────────────────────────────────────
+      else {
+        // patterns/antiPatterns/goodPatterns 정규화
+        const patternGroups = this.normalizePatternGroups(guideline, guideline.ruleId);
+
+        // astHints 정규화
+        const normalizedAstHints = this.normalizeAstHints(guideline.astHints);
+
+        // message 생성
+        const message = this.generateMessage(guideline);
+
+        // 유효성 검증
+        const hasPatterns = patternGroups.antiPatterns.length > 0 || patternGroups.goodPatterns.length > 0;
+        const hasAstHints = normalizedAstHints && normalizedAstHints.nodeTypes;
+
+        // regex 타입인데 패턴 없으면 스킵
+        if (normalizedCheckType === 'regex' && !hasPatterns) {
+          console.warn(`  ⚠️ [${guideline.ruleId}] regex 규칙이지만 유효한 패턴 없음 - 스킵`);
+          return;
+        }
+
+        // ast 타입인데 astHints 없으면 스킵
+        if (normalizedCheckType === 'ast' && !hasAstHints) {
+          console.warn(`  ⚠️ [${guideline.ruleId}] ast 규칙이지만 astHints 없음 - 스킵`);
+          return;
+        }
+
+        // combined 타입은 둘 중 하나라도 있어야 함
+        if (normalizedCheckType === 'combined' && !hasPatterns && !hasAstHints) {
+          console.warn(`  ⚠️ [${guideline.ruleId}] combined 규칙이지만 패턴과 astHints 모두 없음 - 스킵`);
+          return;
+        }
+
+        // 특수 규칙용 커스텀 검증기 설정
+        let customValidator = null;
+        if (guideline.ruleId === 'code_style.3_7_3' ||
+            guideline.title?.includes('Cast Operator')) {
+          customValidator = (line) => {
+            if (/\w+\s*\([^)]*\)\s*\./.test(line)) return false;
+            if (/^\s*(if|while|for|switch)\s*\(/.test(line)) return false;
+            return /\(\s*[A-Z][a-zA-Z0-9<>]*\s*\)\s+[a-zA-Z_]/.test(line);
+          };
+        }
+
+        // 정적 규칙 저장
+        this.staticRules.set(guideline.ruleId, {
+          id: guideline.ruleId,
+          title: guideline.title,
+          category: guideline.category || 'general',
+          checkType: normalizedCheckType,
+          antiPatterns: patternGroups.antiPatterns,
+          goodPatterns: patternGroups.goodPatterns,
+          // 하위 호환성: patterns도 유지 (antiPatterns의 regex만)
+          patterns: patternGroups.antiPatterns.map(p => p.regex),
+          astHints: normalizedAstHints,
+          severity: guideline.severity || 'MEDIUM',
+          message: message,
+          examples: guideline.examples || { good: [], bad: [] },
+          customValidator: customValidator
+        });
+        staticCount++;
+      }
+    });
+
+    return { staticCount, contextualCount, normalizedCount };
+  }
+
+  /**
+   * 로컬 가이드라인 캐시 로드 (오프라인 모드)
+   * 
+   * 캐시 파일 형식: { savedAt, provider, guidelines: [...VectorDB 원본 가이드라인] }
+   * 
+   * @returns {Promise<Array>} 원본 가이드라인 목록 (캐시가 없으면 빈 배열 → 기본 규칙 사용)
+   */
+  async loadCachedGuidelines() {
+    const cachePath = path.resolve(config.offline.guidelineCachePath);
+
+    try {
+      const cache = JSON.parse(await fs.readFile(cachePath, 'utf-8'));
+      logger.info(`  💾 로컬 가이드라인 캐시 사용: ${cachePath} (${cache.guidelines?.length || 0}개, 저장: ${cache.savedAt})`);
+      return Array.isArray(cache.guidelines) ? cache.guidelines : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`가이드라인 캐시 로드 실패 (${cachePath}): ${error.message}`);
+      }
+      logger.warn(`  ⚠️ 로컬 가이드라인 캐시 없음 (${cachePath}) - 기본 규칙 사용`);
+      return [];
+    }
+  }
+
+  /**
+   * VectorDB에서 로드한 가이드라인을 로컬 캐시로 저장 (오프라인 모드 대비)
+   * 저장 실패는 검사에 영향을 주지 않으므로 경고만 출력
+   */
+  async saveGuidelineCache(guidelines) {
+    const cachePath = path.resolve(config.offline.guidelineCachePath);
+
+    try {
+      await fs.mkdir(path.dirname(cachePath), { recursive: true });
+      await fs.writeFile(cachePath, JSON.stringify({
+        savedAt: new Date().toISOString(),
+        provider: config.vector.provider,
+        guidelines: guidelines.map(guideline => ({
+          ...guideline,
+          antiPatterns: this.serializeCachedPatterns(guideline.antiPatterns),
+          goodPatterns: this.serializeCachedPatterns(guideline.goodPatterns)
+        }))
+      }, null, 2), 'utf-8');
+      logger.info(`  💾 가이드라인 캐시 갱신: ${cachePath}`);
+    } catch (error) {
+      logger.warn(`  ⚠️ 가이드라인 캐시 저장 실패: ${error.message}`);
+    }
+  }
+
+  /**
+   * VectorDB 어댑터가 RegExp로 변환한 패턴({ regex, description })을
+   * normalizePattern()이 다시 읽을 수 있는 { pattern, flags, description } 형식으로 변환
+   * (RegExp는 JSON 직렬화 시 빈 객체가 되므로)
+   */
+  serializeCachedPatterns(patterns) {
+    if (!Array.isArray(patterns)) return patterns;
+
+    return patterns.map(p => {
+      const regex = p instanceof RegExp ? p : p?.regex;
+      if (!(regex instanceof RegExp)) return p;
+      return { pattern: regex.source, flags: regex.flags, description: p.description || '' };
+    });
+  }
+
   /**
    * 텍스트에서 키워드 추출 (keywords 폴백용)
    */
@@ -539,6 +671,7 @@ export class DevelopmentGuidelineChecker {
    * antiPatterns/goodPatterns 형식 사용
    */
   initializeDefaultRules() {
+    this.ruleSource = 'default';
     const defaultStaticRules = [
       {
         id: '3.3.1.1.3',
@@ -732,19 +865,42 @@ export class DevelopmentGuidelineChecker {
    *    - skipContextual이 아니면 실행
    *    - LLM 기반 심층 분석
    * 
-   * 3. 결과 병합 및 반환
+   * 3. 결과 병합 및 인라인 억제 주석 적용 (checkRulesWithSuppressions)
    * 
    * @param {string} sourceCode - 검사할 소스코드
    * @param {object} astAnalysis - AST 분석 결과
    * @param {object} options - 옵션
    *   - skipContextual: 컨텍스트 검사 생략 여부
-   * @returns {array} 위반사항 목록
+   * @returns {array} 위반사항 목록 (인라인 억제된 항목 제외)
    */
   async checkRules(sourceCode, astAnalysis, options = {}) {
+    const { violations } = await this.checkRulesWithSuppressions(sourceCode, astAnalysis, options);
+    return violations;
+  }
+
+  /**
+   * 가이드라인 규칙 검사 + 인라인 억제 주석 적용
+   * 
+   * 정적 규칙(regex/ast/combined)과 컨텍스트(LLM) 결과 모두에 적용되는 억제 지시문:
+   * - // jci-disable-next-line RULE_ID
+   * - // jci-disable RULE_ID ... // jci-enable
+   * - @SuppressWarnings("jci:RULE_ID") (클래스/메서드/필드 범위)
+   * 
+   * 프로젝트 설정 파일의 rules.enabled / rules.disabled에서 제외된 규칙은 검사하지 않고,
+   * rules.severity의 심각도 재정의는 억제 판정 전에 적용
+   * 
+   * @returns {object} { violations, suppressed, contextualSelection }
+   *   - suppressed: 억제된 위반사항 (suppressedBy에 지시문 정보, 감사용)
+   *   - contextualSelection: 맥락적 규칙 선택/제외 사유 (LLM 검사를 생략한 경우 null)
+   */
+  async checkRulesWithSuppressions(sourceCode, astAnalysis, options = {}) {
     const violations = [];
+    const ruleSettings = config.project.rules;
 
     // Step 1: 정적 규칙 검사 (regex, ast, combined)
     for (const [ruleId, rule] of this.staticRules) {
+      if (!isRuleEnabled(ruleId, ruleSettings)) continue;
+
       try {
         const ruleViolations = await this.checkSingleRule(sourceCode, rule, astAnalysis);
         violations.push(...ruleViolations);
@@ -757,13 +913,23 @@ export class DevelopmentGuidelineChecker {
     const uniqueViolations = this.deduplicateViolations(violations);
     logger.info(`  📊 정적 검사: ${violations.length}개 → 중복 제거 후 ${uniqueViolations.length}개`);
 
-    // Step 3: 컨텍스트 규칙 검사 (LLM 기반)
+    // Step 3: 컨텍스트 규칙 검사 (LLM 기반, 오프라인 모드에서는 생략)
     let contextualViolations = [];
-    if (!options.skipContextual) {
-      contextualViolations = await this.checkContextualRules(sourceCode, astAnalysis);
+    let contextualSelection = null;
+    if (!options.skipContextual && !this.offline) {
+      ({ violations: contextualViolations, selection: contextualSelection } = await this.checkContextualRules(sourceCode, astAnalysis));
+    }
+
+    // Step 4: 규칙 설정(심각도 재정의) 및 인라인 억제 주석 적용 (억제된 항목은 별도 집계)
+    const { active, suppressed } = partitionSuppressedIssues(
+      applyRuleSettings([...uniqueViolations, ...contextualViolations], ruleSettings),
+      buildSuppressionIndex(sourceCode)
+    );
+    if (suppressed.length > 0) {
+      logger.info(`  🔕 인라인 억제: ${suppressed.length}개 위반 제외`);
     }
 
-    return [...uniqueViolations, ...contextualViolations];
+    return { violations: active, suppressed, contextualSelection };
   }
 
   /**
@@ -796,6 +962,7 @@ export class DevelopmentGuidelineChecker {
    * - regex: 정규표현식 패턴 매칭
    * - ast: AST 구조 분석
    * - combined: regex 후 AST로 검증 (이중 검사)
+   * - structural: 구조 규칙 DSL 매칭
    * 
    * @returns {array} 해당 규칙의 위반사항
    */
@@ -809,6 +976,8 @@ export class DevelopmentGuidelineChecker {
         violations.push(...this.checkAstRule(sourceCode, rule, astAnalysis));
       } else if (rule.checkType === 'combined') {
         violations.push(...this.checkCombinedRule(sourceCode, rule, astAnalysis));
+      } else if (rule.checkType === 'structural') {
+        violations.push(...this.checkStructuralRule(rule, astAnalysis));
       }
     } catch (error) {
       console.warn(`  ⚠️ 정적 룰 검사 실패 (${rule.id}): ${error.message}`);
@@ -1280,6 +1449,38 @@ export class DevelopmentGuidelineChecker {
     return violations;
   }
 
+  /**
+   * 구조 규칙 검사 (structuralRuleMatcher DSL)
+   * 
+   * 일치한 노드마다 위반 1건을 보고하며, message의 {속성}은 노드 속성으로 치환
+   * (예: "'{name}' 리소스가 해제되지 않습니다")
+   * 
+   * CST 분석 결과에만 위치 정보가 있으므로 정규식 폴백 분석에서는 검사하지 않음
+   * 
+   * @returns {array} 구조 규칙 위반사항
+   */
+  checkStructuralRule(rule, astAnalysis) {
+    if (!astAnalysis?.success || astAnalysis.analysis?.parseMode !== 'cst') {
+      console.warn(`  ⚠️ CST 분석 결과 없음 - 구조 규칙 스킵: ${rule.id}`);
+      return [];
+    }
+
+    return findStructuralMatches(rule.structure, astAnalysis.analysis).map(node => ({
+      ruleId: rule.id,
+      title: rule.title,
+      category: rule.category,
+      severity: rule.severity,
+      message: (rule.message || `${rule.title} 규칙 위반`)
+        .replace(/\{(\w+)\}/g, (placeholder, field) => node[field] ?? placeholder),
+      line: node.location.startLine,
+      column: Math.max(node.location.startColumn - 1, 0),
+      endLine: node.location.endLine,
+      matchType: 'structural',
+      fixable: false,
+      source: 'development_guideline'
+    }));
+  }
+
   /**
    * 복합 규칙 검사 (Regex + AST 이중 검증)
    * 
@@ -1452,107 +1653,296 @@ export class DevelopmentGuidelineChecker {
    * LLM 기반 컨텍스트 규칙 검사
    * 
    * 실행 프로세스:
-   * 1. 적용 가능한 규칙 필터링
-   *    - keywords로 코드와 규칙 매칭
+   * 1. 적용 가능한 규칙 선택 (selectContextualRules)
+   *    - keywords 매칭 또는 코드 임베딩 유사도 순위
    *    - 불필요한 LLM 호출 최소화
    * 
-   * 2. 배치 처리 (3개씩)
+   * 2. 코드 분할 (buildContextualChunks)
+   *    - contextualChunk.maxChars 이하 파일은 전체를 1개 청크로 검사
+   *    - 큰 클래스는 메서드/멤버 단위 청크 (package/import, 클래스 선언부, 필드를 헤더로 포함)
+   *    - 규칙별로 관련 청크만 검사 (assignRulesToChunks)
+   * 
+   * 3. 청크별 배치 처리 (3개씩)
    *    - API 호출 횟수 최적화
    *    - Rate limiting 고려
    * 
-   * 3. 배치 실패 시 개별 처리
+   * 4. 배치 실패 시 개별 처리
    *    - 부분 실패 허용
    *    - 각 규칙 독립적으로 재시도
    * 
-   * 4. Rate limiting (1초 대기)
+   * 5. 라인 번호 복원 및 중복 제거
+   *    - LLM이 보고한 청크 기준 라인을 원본 파일 라인으로 변환 (mapChunkLine)
+   *    - 헤더(필드 등)처럼 여러 청크에 포함된 코드의 중복 위반 병합
+   * 
+   * 6. Rate limiting (LLM 호출 간 1초 대기)
    *    - API 과부하 방지
    * 
-   * @returns {array} 컨텍스트 규칙 위반사항
+   * @returns {object} { violations: 컨텍스트 규칙 위반사항, selection: 규칙 선택 결과 (리포트 기록용) }
    */
   async checkContextualRules(sourceCode, astAnalysis) {
     logger.info('  🤖 LLM 기반 맥락적 가이드라인 검사 시작...');
 
     const violations = [];
     
-    // Step 1: keywords 기반 적용 가능한 규칙 필터링
-    const applicableRules = this.filterApplicableContextualRules(sourceCode);
+    // Step 1: 적용 가능한 규칙 선택 (규칙별 선택/제외 사유 기록)
+    const selection = await this.selectContextualRules(sourceCode, astAnalysis);
+    const applicableRules = selection.rules;
     if (applicableRules.length === 0) {
       logger.info('    해당 코드에 적용 가능한 맥락적 가이드라인 없음');
-      return violations;
+      return { violations, selection: selection.summary };
     }
 
     logger.info(`    적용 가능한 맥락적 가이드라인: ${applicableRules.length}개`);
 
-    // Step 2: 배치 처리 (3개씩 묶어서 처리)
+    // Step 2: 코드 분할 및 규칙별 관련 청크 배정
+    const chunks = buildContextualChunks(sourceCode, astAnalysis, { maxChars: config.contextualChunk.maxChars });
+    const tasks = this.assignRulesToChunks(chunks, applicableRules, selection.summary.decisions);
+    if (chunks.length > 1) {
+      logger.info(`    코드 분할: ${chunks.length}개 청크 중 ${tasks.length}개 검사`);
+    }
+
+    // Step 3: 청크별 배치 처리 (3개씩 묶어서 처리)
     const batchSize = 3;
-    for (let i = 0; i < applicableRules.length; i += batchSize) {
-      const batch = applicableRules.slice(i, i + batchSize);
+    let callCount = 0;
+    for (const { chunk, rules } of tasks) {
+      for (let i = 0; i < rules.length; i += batchSize) {
+        const batch = rules.slice(i, i + batchSize);
+
+        // Step 6: Rate limiting (첫 호출이 아니면 대기)
+        if (callCount++ > 0) {
+          await new Promise(resolve => setTimeout(resolve, 1000));
+        }
 
-      try {
-        // 배치 단위 LLM 검사
-        const batchViolations = await this.checkContextualRulesBatch(sourceCode, batch);
-        violations.push(...batchViolations);
-      } catch (error) {
-        console.warn(`    맥락적 규칙 배치 검사 실패: ${error.message}`);
-
-        // Step 3: 배치 실패 시 개별 처리로 폴백
-        for (const rule of batch) {
-          try {
-            const individualViolations = await this.checkSingleContextualRule(sourceCode, rule);
-            violations.push(...individualViolations);
-          } catch (individualError) {
-            console.warn(`    개별 맥락적 규칙 검사 실패 (${rule.id}): ${individualError.message}`);
+        let chunkViolations = [];
+        try {
+          // 배치 단위 LLM 검사
+          chunkViolations = await this.checkContextualRulesBatch(chunk.code, batch);
+        } catch (error) {
+          console.warn(`    맥락적 규칙 배치 검사 실패 (${chunk.label}): ${error.message}`);
+
+          // Step 4: 배치 실패 시 개별 처리로 폴백
+          for (const rule of batch) {
+            try {
+              chunkViolations.push(...await this.checkSingleContextualRule(chunk.code, rule));
+            } catch (individualError) {
+              console.warn(`    개별 맥락적 규칙 검사 실패 (${rule.id}): ${individualError.message}`);
+            }
           }
         }
-      }
 
-      // Step 4: Rate limiting (마지막 배치가 아니면 대기)
-      if (i + batchSize < applicableRules.length) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        // Step 5: 청크 기준 라인 → 원본 파일 라인
+        violations.push(...chunkViolations.map(violation => ({
+          ...violation,
+          line: mapChunkLine(chunk, violation.line)
+        })));
       }
     }
 
-    logger.info(`    맥락적 가이드라인 검사 완료: ${violations.length}개 위반 발견`);
-    return violations;
+    // Step 5: 청크 간 중복 위반 병합
+    const uniqueViolations = this.deduplicateViolations(violations);
+    if (uniqueViolations.length < violations.length) {
+      logger.info(`    청크 간 중복 위반 병합: ${violations.length}개 → ${uniqueViolations.length}개`);
+    }
+
+    logger.info(`    맥락적 가이드라인 검사 완료: ${uniqueViolations.length}개 위반 발견`);
+    return { violations: uniqueViolations, selection: selection.summary };
+  }
+
+  /**
+   * 맥락적 규칙을 관련 청크에 배정
+   * 
+   * 청크가 1개면 모든 규칙을 배정하고, 여러 개면 규칙별로 다음 중 하나에 해당하는 청크에 배정:
+   * - 유사도 선택 시 최고 점수 단위가 파일 전체(file)
+   * - 유사도 선택 시 최고 점수 메서드(method:{이름})를 포함한 청크
+   * - 규칙 keywords가 청크 본문(헤더 제외)에 포함
+   * 관련 청크가 없는 규칙(헤더에서만 키워드가 매칭된 경우 등)은 첫 번째 청크에 배정
+   * 
+   * @param {Array} chunks - buildContextualChunks() 결과
+   * @param {Array} rules - 선택된 맥락적 규칙
+   * @param {Array} decisions - selectContextualRules() 선택 결과의 decisions
+   * @returns {Array} [{ chunk, rules }] (배정된 규칙이 있는 청크만)
+   */
+  assignRulesToChunks(chunks, rules, decisions = []) {
+    if (chunks.length === 1) {
+      return [{ chunk: chunks[0], rules }];
+    }
+
+    const decisionsById = new Map(decisions.map(decision => [decision.ruleId, decision]));
+    const tasks = chunks.map(chunk => ({ chunk, rules: [], lowerBody: chunk.bodyText.toLowerCase() }));
+
+    rules.forEach(rule => {
+      const scope = decisionsById.get(rule.id)?.matchedScope;
+      const keywords = Array.isArray(rule.keywords) ? rule.keywords.filter(keyword => typeof keyword === 'string') : [];
+
+      const relevant = tasks.filter(task =>
+        scope === 'file' ||
+        (scope?.startsWith('method:') && task.chunk.methods.includes(scope.slice('method:'.length))) ||
+        keywords.some(keyword => task.lowerBody.includes(keyword.toLowerCase()))
+      );
+
+      (relevant.length > 0 ? relevant : [tasks[0]]).forEach(task => task.rules.push(rule));
+    });
+
+    return tasks
+      .filter(task => task.rules.length > 0)
+      .map(({ chunk, rules: chunkRules }) => ({ chunk, rules: chunkRules }));
   }
 
   /**
-   * 적용 가능한 컨텍스트 규칙 필터링 (개선 버전)
+   * 적용 가능한 컨텍스트 규칙 선택
    * 
-   * 수정 사항:
-   * - keywords 없을 때 에러 방지
-   * - keywords 배열 검증
+   * 선택 방식 (config.contextualRuleSelection.mode):
+   * - keyword: 규칙 keywords 중 하나가 코드에 포함되면 선택 (대소문자 무시)
+   * - semantic: 코드 임베딩(파일 전체 + 메서드별)과 CodingGuideline 컬렉션 벡터의 유사도로 순위 결정
+   *   - 최고 점수가 minScore 이상인 규칙 중 상위 topK개 선택
+   *   - 컬렉션에 임베딩이 없는 규칙(임베딩 도입 전 import, 하드코딩 규칙)은 keyword 방식으로 폴백
+   *   - 임베딩 생성/벡터 검색 실패 시 전체 keyword 방식으로 폴백
+   * 
+   * 선택/제외 사유 (decisions[].reason):
+   * - disabled: 프로젝트 설정 파일에서 제외된 규칙
+   * - semantic_top_k / below_top_k / below_min_score: 유사도 순위 결과
+   * - keyword_match / no_keyword_match / no_keywords: 키워드 매칭 결과
    * 
    * @param {string} sourceCode - 소스 코드
-   * @returns {array} 적용 가능한 규칙 목록
+   * @param {object} astAnalysis - parseJavaCode() 결과 (메서드별 유사도 계산용)
+   * @returns {Promise<object>} { rules: 선택된 규칙 목록, summary: { mode, topK, minScore, selected, skipped, decisions } }
    */
-  filterApplicableContextualRules(sourceCode) {
-    const applicable = [];
-    const lowerCode = sourceCode.toLowerCase();
+  async selectContextualRules(sourceCode, astAnalysis) {
+    const { mode, topK, minScore, perMethod } = config.contextualRuleSelection;
+    const decisions = [];
+    const candidates = [];
 
     for (const [ruleId, rule] of this.contextualRules) {
-      // keywords 검증
-      if (!rule.keywords || !Array.isArray(rule.keywords) || rule.keywords.length === 0) {
-        console.warn(`  ⚠️ [${ruleId}] keywords 없음 - 필터링에서 제외`);
+      // 프로젝트 설정 파일에서 제외된 규칙은 LLM 호출 대상에서 제외
+      if (!isRuleEnabled(ruleId, config.project.rules)) {
+        decisions.push({ ruleId, selected: false, method: null, reason: 'disabled' });
         continue;
       }
+      candidates.push(rule);
+    }
 
-      // 규칙의 키워드 중 하나라도 코드에 포함되어 있는지 확인
-      const hasRelevantKeywords = rule.keywords.some(keyword => {
-        if (typeof keyword !== 'string') return false;
-        return lowerCode.includes(keyword.toLowerCase());
-      });
+    // 유사도 점수 (ruleId → { score, scope }), keyword 모드 또는 실패 시 빈 Map
+    let scores = new Map();
+    if (mode === 'semantic' && candidates.length > 0) {
+      try {
+        scores = await this.scoreContextualRulesBySimilarity(sourceCode, astAnalysis, perMethod);
+      } catch (error) {
+        console.warn(`  ⚠️ 임베딩 기반 규칙 선택 실패, 키워드 방식 사용: ${error.message}`);
+      }
+    }
+
+    const lowerCode = sourceCode.toLowerCase();
+    const ranked = candidates
+      .filter(rule => scores.has(rule.id))
+      .sort((a, b) => scores.get(b.id).score - scores.get(a.id).score);
+    let semanticCount = 0;
+
+    ranked.forEach(rule => {
+      const { score, scope } = scores.get(rule.id);
+      let reason = 'semantic_top_k';
+      if (score < minScore) {
+        reason = 'below_min_score';
+      } else if (semanticCount >= topK) {
+        reason = 'below_top_k';
+      } else {
+        semanticCount++;
+      }
+      decisions.push({ ruleId: rule.id, selected: reason === 'semantic_top_k', method: 'semantic', reason, score, matchedScope: scope });
+    });
 
-      if (hasRelevantKeywords) {
-        applicable.push(rule);
+    candidates
+      .filter(rule => !scores.has(rule.id))
+      .forEach(rule => decisions.push(this.matchContextualKeywords(rule, lowerCode)));
+
+    const selectedIds = new Set(decisions.filter(decision => decision.selected).map(decision => decision.ruleId));
+    const rules = candidates
+      .filter(rule => selectedIds.has(rule.id))
+      .sort((a, b) => (scores.get(b.id)?.score ?? -1) - (scores.get(a.id)?.score ?? -1));
+
+    return {
+      rules,
+      summary: {
+        mode,
+        topK: mode === 'semantic' ? topK : null,
+        minScore: mode === 'semantic' ? minScore : null,
+        selected: rules.length,
+        skipped: decisions.length - rules.length,
+        decisions
       }
+    };
+  }
+
+  /**
+   * 키워드 기반 규칙 선택 판정
+   * 
+   * @returns {object} { ruleId, selected, method: 'keyword', reason, matchedKeyword }
+   */
+  matchContextualKeywords(rule, lowerCode) {
+    if (!rule.keywords || !Array.isArray(rule.keywords) || rule.keywords.length === 0) {
+      return { ruleId: rule.id, selected: false, method: 'keyword', reason: 'no_keywords' };
+    }
+
+    // 규칙의 키워드 중 하나라도 코드에 포함되어 있는지 확인
+    const matchedKeyword = rule.keywords.find(keyword =>
+      typeof keyword === 'string' && lowerCode.includes(keyword.toLowerCase())
+    );
+
+    return matchedKeyword
+      ? { ruleId: rule.id, selected: true, method: 'keyword', reason: 'keyword_match', matchedKeyword }
+      : { ruleId: rule.id, selected: false, method: 'keyword', reason: 'no_keyword_match' };
+  }
+
+  /**
+   * 코드 임베딩과 CodingGuideline 컬렉션의 유사도로 맥락적 규칙 점수 계산
+   * 
+   * 내부 흐름:
+   * 1. 검색 단위 구성: 파일 전체 + (perMethod) CST 메서드 범위별 코드
+   * 2. 단위별 CodeEmbeddingGenerator 임베딩 생성 → searchSimilarGuidelines()
+   * 3. 규칙별 최고 점수와 해당 단위(file | method:{이름}) 기록
+   * 
+   * @returns {Promise<Map>} ruleId → { score, scope } (컬렉션에 임베딩이 있는 규칙만)
+   */
+  async scoreContextualRulesBySimilarity(sourceCode, astAnalysis, perMethod) {
+    if (!this.embeddingGenerator) {
+      this.embeddingGenerator = new CodeEmbeddingGenerator({ collection: 'guideline' });
+      await this.embeddingGenerator.initialize();
+    }
+
+    const queries = [{ scope: 'file', code: sourceCode }];
+    if (perMethod) {
+      const lines = sourceCode.split('\n');
+      (astAnalysis?.analysis?.methodDeclarations || [])
+        .filter(method => method.location?.startLine && method.location?.endLine)
+        .forEach(method => queries.push({
+          scope: `method:${method.name}`,
+          code: lines.slice(method.location.startLine - 1, method.location.endLine).join('\n')
+        }));
+    }
+
+    // 재import로 같은 ruleId 포인트가 중복 저장될 수 있어 규칙 수보다 넉넉히 조회
+    const limit = this.contextualRules.size * 2;
+    const scores = new Map();
+
+    for (const query of queries) {
+      const { combined_embedding } = await this.embeddingGenerator.generateEmbeddings(query.code);
+      const hits = await this.vectorClient.searchSimilarGuidelines(combined_embedding, limit, { checkType: 'llm_contextual' });
+
+      hits.forEach(hit => {
+        const score = Number(hit.score.toFixed(4));
+        if (!scores.has(hit.ruleId) || scores.get(hit.ruleId).score < score) {
+          scores.set(hit.ruleId, { score, scope: query.scope });
+        }
+      });
     }
 
-    return applicable;
+    return scores;
   }
 
   /**
    * 컨텍스트 규칙 배치 검사 (개선 버전)
+   * 
+   * sourceCode는 buildContextualChunks() 청크 코드이며, 응답 라인 번호는 청크 기준
+   * (청크는 contextualChunk.maxChars 이하로 만들어지므로 잘라내지 않음)
    */
   async checkContextualRulesBatch(sourceCode, rules) {
     // 각 규칙의 정보를 프롬프트 형식으로 변환
@@ -1581,7 +1971,7 @@ ${badExamples.map(ex => `- ${ex}`).join('\n') || '- (없음)'}
 
 ## 검사 대상 코드:
 \`\`\`java
-${this.truncateCode(sourceCode, 2000)}
+${sourceCode}
 \`\`\`
 
 ## 적용할 가이드라인들:
@@ -1608,12 +1998,13 @@ ${rulesDescription}
 위반사항이 없으면 violations 배열을 빈 배열로 반환해주세요.`;
 
     // LLM 호출
-    const response = await this.llmService.generateCompletion(prompt, {
+    const parsed = await this.llmService.generateJSON(prompt, {
       temperature: 0.1,
-      num_predict: 1000
-    });
+      num_predict: 1000,
+      responseFormat: 'json'  // OpenAI 호환 provider에서만 사용 (JSON 응답 형식 힌트)
+    }, 'contextualViolations');
 
-    return this.parseLLMContextualResponse(response, rules);
+    return this.parseLLMContextualResponse(parsed, rules);
   }
 
   /**
@@ -1625,7 +2016,7 @@ ${rulesDescription}
    * - 더 빠른 응답
    * 
    * 프롬프트 구조:
-   * - 코드 (최대 2000자)
+   * - 코드 청크 (contextualChunk.maxChars 이하, 잘라내지 않음)
    * - 단일 가이드라인 정보
    * - 예시 (good/bad)
    * - JSON 응답 형식
@@ -1637,7 +2028,7 @@ ${rulesDescription}
 
 ## 검사 대상 코드:
 \`\`\`java
-${this.truncateCode(sourceCode, 2000)}
+${sourceCode}
 \`\`\`
 
 ## 가이드라인: ${rule.title}
@@ -1665,13 +2056,11 @@ ${rule.examples.bad.map(ex => `- ${ex}`).join('\n')}
 }
 \`\`\``;
 
-    const response = await this.llmService.generateCompletion(prompt, {
+    const parsed = await this.llmService.generateJSON(prompt, {
       temperature: 0.1,
-      num_predict: 800
-    });
-
-    // JSON 파싱
-    const parsed = this.llmService.llmClient.cleanAndExtractJSON(response);
+      num_predict: 800,
+      responseFormat: 'json'
+    }, 'contextualRuleViolations');
 
     if (!parsed || !parsed.violations) {
       console.warn(`    LLM 응답 파싱 실패: ${rule.id}`);
@@ -1696,27 +2085,25 @@ ${rule.examples.bad.map(ex => `- ${ex}`).join('\n')}
   /**
    * LLM 배치 응답 파싱
    * 
-   * 파싱 프로세스:
-   * 1. JSON 추출 및 정제
-   * 2. violations 배열 확인
-   * 3. 각 위반사항 검증:
+   * 파싱 프로세스 (JSON 추출은 llmService.generateJSON()에서 완료):
+   * 1. violations 배열 확인
+   * 2. 각 위반사항 검증:
    *    - ruleId로 규칙 매칭
    *    - violation = true인 것만 처리
-   * 4. 표준 위반 형식으로 변환
+   * 3. 표준 위반 형식으로 변환
    * 
    * 에러 처리:
-   * - JSON 파싱 실패 시 빈 배열 반환
+   * - JSON 추출 실패(null) 시 빈 배열 반환
    * - 부분 실패 허용 (일부만 파싱 성공)
    * 
+   * @param {object|null} parsed - LLM 응답에서 추출한 JSON
+   * @param {array} rules - 배치에 포함된 규칙
    * @returns {array} 파싱된 위반사항
    */
-  parseLLMContextualResponse(response, rules) {
+  parseLLMContextualResponse(parsed, rules) {
     const violations = [];
 
     try {
-      // LLM 응답에서 JSON 추출 (마크다운 코드 블록 제거 등)
-      const parsed = this.llmService.llmClient.cleanAndExtractJSON(response);
-
       if (parsed && parsed.violations && Array.isArray(parsed.violations)) {
         parsed.violations.forEach(violation => {
           // 규칙 ID로 원본 규칙 찾기
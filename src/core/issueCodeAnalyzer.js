@@ -114,23 +114,28 @@ export class issueCodeAnalyzer {
     this.astParser = new JavaASTParser();
     this.llmService = new LLMService();
     this.dynamicAnalyzer = new DynamicSafePatternAnalyzer();
+    this.offline = false;
   }
 
   /**
    * 코드 분석기 초기화
-   * 1. LLM 서비스 연결 확인
-   * 2. VectorDB 패턴을 사용하는 동적 패턴 분석기 초기화
+   * 1. LLM 서비스 연결 확인 (오프라인 모드에서는 생략)
+   * 2. VectorDB 패턴을 사용하는 동적 패턴 분석기 초기화 (오프라인: 기본 패턴)
+   * @param {object} options - { offline: 오프라인 모드 여부 }
    * @throws {Error} LLM 서비스 연결 실패 시
    */
-  async initialize() {
+  async initialize({ offline = false } = {}) {
     logger.info('🚀 코드 분석기 초기화 중...');
+    this.offline = offline;
 
-    const isConnected = await this.llmService.checkConnection();
-    if (!isConnected) {
-      throw new Error('LLM 서비스 연결 실패');
+    if (!offline) {
+      const isConnected = await this.llmService.checkConnection();
+      if (!isConnected) {
+        throw new Error('LLM 서비스 연결 실패');
+      }
     }
 
-    await this.dynamicAnalyzer.initialize();
+    await this.dynamicAnalyzer.initialize({ offline });
 
     logger.info('✅ 코드 분석기 초기화 완료');
   }
@@ -210,8 +215,8 @@ export class issueCodeAnalyzer {
       logger.info(`  🎯 Threshold 필터 후: ${similarPatterns.length}개 패턴`);
     }
 
-    // similarPatterns가 이미 제공되었는지 확인
-    if (!similarPatterns || similarPatterns.length === 0) {
+    // similarPatterns가 이미 제공되었는지 확인 (오프라인 모드에서는 VectorDB 검색 생략)
+    if ((!similarPatterns || similarPatterns.length === 0) && !this.offline) {
       logger.info('  ⚠️ 유사 패턴이 제공되지 않음, VectorDB 검색 시도...');
       
       try {
@@ -246,7 +251,8 @@ export class issueCodeAnalyzer {
           similarPatterns = await vectorClient.searchSimilarPatterns(
             queryVector,
             10,  // limit
-            0.7  // threshold
+            0.7,  // threshold
+            { embeddingVersion: searchEmbeddings.embedding_metadata?.version_stamp?.id }
           );
           
           logger.info(`  ✅ VectorDB 검색 완료: ${similarPatterns.length}개 패턴 발견`);
@@ -448,12 +454,10 @@ export class issueCodeAnalyzer {
       );
 
       // LLM을 통해 수정안 생성
-      const response = await this.llmService.generateCompletion(enhancedPrompt, {
+      const fixSuggestion = await this.llmService.generateJSON(enhancedPrompt, {
         temperature: 0.1,
         num_predict: 2000
-      });
-
-      const fixSuggestion = this.llmService.llmClient.cleanAndExtractJSON(response);
+      }, 'fixSuggestion');
 
       if (fixSuggestion) {
         return {
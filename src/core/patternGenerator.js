@@ -5,19 +5,19 @@
  * 
  * @module PatternDatasetGenerator
  * @requires CodeEmbeddingGenerator - 코드 임베딩 생성
- * @requires LLMClient - vLLM 기반 패턴 분석
+ * @requires LLMService - LLM 기반 패턴 분석
  * @requires VectorClient - Qdrant/Weaviate 저장
  */
 import { v4 as uuidv4 } from 'uuid';
 import { CodeEmbeddingGenerator } from '../embeddings/codeEmbedding.js';
-import { LLMClient } from '../clients/llmClient.js';
+import { LLMService } from '../clients/llmService.js';
 import { VectorClient } from '../clients/vectorClient.js';
 import { config } from '../config.js';
 import logger from '../utils/loggerUtils.js';
 
 export class PatternDatasetGenerator {
   constructor() {
-    this.llmClient = new LLMClient();
+    this.llmService = new LLMService();
     this.vectorClient = new VectorClient();
     this.embeddingGenerator = new CodeEmbeddingGenerator();
     this.existingPatterns = [];
@@ -27,7 +27,7 @@ export class PatternDatasetGenerator {
     logger.info('🚀 패턴 생성기 초기화 중...');
 
     // LLM과 Vector DB 서버 연결 상태 확인
-    const llmConnected = await this.llmClient.checkConnection();
+    const llmConnected = await this.llmService.checkConnection();
     const vectorConnected = await this.vectorClient.checkConnection();
 
     if (!llmConnected || !vectorConnected) {
@@ -90,7 +90,7 @@ export class PatternDatasetGenerator {
 
   async generateBasicPatternWithLLM(issueData) {
     try {
-      const basicPattern = await this.llmClient.generateBasicPattern(issueData);
+      const basicPattern = await this.llmService.generateBasicPattern(issueData);
       logger.info('  ✅ LLM 기본 패턴 생성 완료');
       return basicPattern;
     } catch (error) {
@@ -104,7 +104,7 @@ export class PatternDatasetGenerator {
     const detectedClasses = this.extractCustomClasses(issueData.problematicCode);
 
     try {
-      const frameworkAnalysis = await this.llmClient.generateFrameworkAnalysis(
+      const frameworkAnalysis = await this.llmService.generateFrameworkAnalysis(
         issueData, detectedAnnotations, detectedClasses
       );
       logger.info('  ✅ 프레임워크 분석 완료');
@@ -39,6 +39,14 @@
  * - patternLimit: 검색할 유사 패턴 수 (기본: 10)
  * - generateRecommendations: 권장사항 생성 (기본: true)
  * - generateFixes: 자동 수정안 생성 (기본: false)
+ * - changedLines: 변경 라인 범위 (--diff 모드, 범위와 겹치는 이슈만 보고)
+ * - includeEnclosingMethod: 변경 라인을 감싸는 메서드 전체를 범위에 포함
+ * - baseline: 베이스라인 항목 (지문이 일치하는 기존 이슈 제외, 사라진 이슈는 해결됨으로 표시)
+ * 
+ * 오프라인 모드 (initialize({ offline: true })):
+ * - LLM/VectorDB 연결 없이 정적(regex/AST) 가이드라인 규칙 + DynamicSafePatternAnalyzer 기본 패턴만 사용
+ * - 가이드라인 규칙은 로컬 캐시(온라인 실행 시 저장), 없으면 기본 내장 규칙
+ * - 사용할 수 없는 분석 계층은 overview.unavailableLayers에 기록
  * 
  * 통합 리포트 구조:
  * {
@@ -46,7 +54,10 @@
  *     "totalIssues": 15,
  *     "criticalCount": 2,
  *     "overallScore": 75.5,
- *     "analysisDate": "2025-10-23T..."
+ *     "analysisDate": "2025-10-23T...",
+ *     "parseMode": "cst" | "regex",
+ *     "analysisMode": "online" | "offline",
+ *     "unavailableLayers": [{ "layer": "contextual_guideline", "name": "...", "fallback": null }]
  *   },
  *   "issues": [
  *     {
@@ -106,6 +117,10 @@ import { VectorClient } from '../clients/vectorClient.js';
 import { PatternDatasetGenerator } from './patternGenerator.js';
 import { DevelopmentGuidelineChecker } from './guidelineChecker.js';
 import logger from '../utils/loggerUtils.js';
+import { expandToEnclosingMethods, filterIssuesByChangedLines } from '../utils/diffUtils.js';
+import { assignFingerprints, applyBaseline } from '../utils/baselineUtils.js';
+import { buildSuppressionIndex, partitionSuppressedIssues, summarizeSuppressions } from '../utils/suppressionUtils.js';
+import { applyRuleSettings } from '../utils/issueUtils.js';
 import { config } from '../config.js';
 
 /**
@@ -174,6 +189,9 @@ export class UnifiedJavaCodeChecker {
     
     // 개발가이드 규칙 검사기 - LLM 기반 컨텍스트 분석
     this.guidelineChecker = new DevelopmentGuidelineChecker();
+
+    // 오프라인 모드 여부 (initialize()에서 결정)
+    this.offline = false;
   }
 
   /**
@@ -188,9 +206,12 @@ export class UnifiedJavaCodeChecker {
    *    - VectorDB에서 가이드라인 규칙 로드
    *    - 정적/컨텍스트 규칙 분류
    * 
+   * 오프라인 모드: 1단계 연결 확인을 생략하고 각 컴포넌트를 로컬 규칙/기본 패턴으로 초기화
+   * 
    * @async
+   * @param {object} options - { offline: 오프라인 모드 여부 (기본: config.offline.enabled) }
    * @returns {Promise<void>}
-   * @throws {Error} LLM 서비스 연결 실패 시
+   * @throws {Error} LLM 서비스 연결 실패 시 (온라인 모드)
    * 
    * @example
    * const checker = new UnifiedJavaCodeChecker();
@@ -199,18 +220,23 @@ export class UnifiedJavaCodeChecker {
    * # TODO: Python 변환 시 async def __aenter__ 구현
    * # PERFORMANCE: 초기화 시간 측정 및 로깅
    */
-  async initialize() {
+  async initialize({ offline = config.offline.enabled } = {}) {
     logger.info('🚀 통합 코드 품질 검사 시스템 초기화 중...');
-
-    // LLM API 연결 상태 확인 - 실패 시 에러 throw
-    const isConnected = await this.llmService.checkConnection();
-    if (!isConnected) {
-      throw new Error('LLM 서비스 연결 실패');
+    this.offline = offline;
+
+    if (offline) {
+      logger.info('🔌 오프라인 모드: LLM/VectorDB 연결 없이 정적 규칙 + 기본 패턴만 사용');
+    } else {
+      // LLM API 연결 상태 확인 - 실패 시 에러 throw
+      const isConnected = await this.llmService.checkConnection();
+      if (!isConnected) {
+        throw new Error('LLM 서비스 연결 실패');
+      }
     }
 
     // 각 분석 컴포넌트 초기화 (규칙 로드, DB 연결 등)
-    await this.issueCodeAnalyzer.initialize();
-    await this.guidelineChecker.initialize();
+    await this.issueCodeAnalyzer.initialize({ offline });
+    await this.guidelineChecker.initialize({ offline });
 
     logger.info('✅ 통합 시스템 초기화 완료');
   }
@@ -231,12 +257,20 @@ export class UnifiedJavaCodeChecker {
    *   - patternLimit: 검색할 유사 패턴 최대 개수 (기본값: 10)
    *   - generateRecommendations: 권장사항 생성 여부 (기본값: true)
    *   - generateFixes: 자동 수정안 생성 여부 (기본값: false)
+   *   - changedLines: 변경 라인 범위 [{ startLine, endLine }] (지정 시 범위 밖 이슈 제외)
+   *   - includeEnclosingMethod: 변경 라인을 감싸는 메서드 전체를 범위에 포함 여부
+   *   - baseline: 이 파일의 베이스라인 항목 배열 (지정 시 신규 이슈만 보고)
    * @returns {object} 통합 분석 리포트
    */
   async analyzeCode(sourceCode, options = {}) {
     const startTime = Date.now();
     logger.info('📊 통합 코드 분석 시작...');
 
+    // 오프라인 모드: LLM이 필요한 맥락 검사와 자동 수정안 생성은 항상 생략
+    if (this.offline) {
+      options = { ...options, skipContextual: true, generateFixes: false };
+    }
+
     // Java 코드를 AST로 파싱 - 클래스, 메서드, 변수 등 구조 정보 추출
     const astAnalysis = this.astParser.parseJavaCode(sourceCode);
     const tasks = [];
@@ -256,12 +290,15 @@ export class UnifiedJavaCodeChecker {
       warnings: [],
       suggestions: [],
       styleScore: 100,
-      categories: {}
+      categories: {},
+      suppressed: [],
+      contextualSelection: null
     };
     let patternResults = {
       detectedIssues: [],
       similarPatterns: [],
-      patternScore: 100
+      patternScore: 100,
+      suppressedIssues: []
     };
 
     try {
@@ -278,7 +315,9 @@ export class UnifiedJavaCodeChecker {
             warnings: guideline.warnings || [],
             suggestions: guideline.suggestions || [],
             styleScore: guideline.styleScore || 100,
-            categories: guideline.categories || {}
+            categories: guideline.categories || {},
+            suppressed: guideline.suppressed || [],
+            contextualSelection: guideline.contextualSelection || null
           };
         }
         resultIndex++;
@@ -293,7 +332,8 @@ export class UnifiedJavaCodeChecker {
             similarPatterns: pattern.similarPatterns || [],
             patternScore: pattern.patternScore || 100,
             safePracticesFound: pattern.safePracticesFound || [],
-            patternClassification: pattern.patternClassification || { safePatterns: [], antiPatterns: [] }
+            patternClassification: pattern.patternClassification || { safePatterns: [], antiPatterns: [] },
+            suppressedIssues: pattern.suppressedIssues || []
           };
         }
       }
@@ -302,15 +342,28 @@ export class UnifiedJavaCodeChecker {
       logger.error('검사 실행 중 오류:', error.message);
     }
 
+    // 변경 라인 모드: 감싸는 메서드 포함 옵션은 AST 메서드 위치로 범위 확장
+    const unifyOptions = options.changedLines && options.includeEnclosingMethod
+      ? { ...options, changedLines: expandToEnclosingMethods(options.changedLines, astAnalysis.analysis?.methodDeclarations) }
+      : options;
+
     // 가이드라인 + 패턴 결과를 하나의 통합 리포트로 병합
     // 우선순위 정렬, 점수 계산, 권장사항 생성 수행
     const unifiedResults = await this.unifyResults(
       guidelineResults,
       patternResults,
       sourceCode,
-      options
+      unifyOptions,
+      astAnalysis
     );
 
+    // 구조 분석 방식 기록 (cst: java-parser 구문 트리, regex: 파싱 실패 시 정규식 폴백)
+    unifiedResults.overview.parseMode = astAnalysis.parseMode;
+
+    // 분석 모드와 사용할 수 없었던 분석 계층 기록 (오프라인 모드)
+    unifiedResults.overview.analysisMode = this.offline ? 'offline' : 'online';
+    unifiedResults.overview.unavailableLayers = this.getUnavailableLayers();
+
     const duration = Date.now() - startTime;
     logger.info(`✅ 통합 분석 완료 (${duration}ms)`);
 
@@ -332,6 +385,8 @@ export class UnifiedJavaCodeChecker {
    *   - suggestions: 선택적 개선사항
    *   - styleScore: 0-100점 스타일 점수
    *   - categories: 카테고리별 그룹핑된 이슈
+   *   - suppressed: 인라인 억제 주석으로 제외된 위반사항
+   *   - contextualSelection: 맥락적 규칙 선택/제외 사유 (LLM 검사 생략 시 null)
    */
   async performGuidelineCheck(sourceCode, astAnalysis, options = {}) {
     logger.info('📋 개발가이드 규칙 검사 중...');
@@ -341,11 +396,13 @@ export class UnifiedJavaCodeChecker {
       warnings: [],
       suggestions: [],
       styleScore: 0,
-      categories: {}
+      categories: {},
+      suppressed: [],
+      contextualSelection: null
     };
 
-    // 컨텍스트 기반 가이드라인 검사 (LLM 활용)
-    const guidelineViolations = await this.guidelineChecker.checkRules(
+    // 컨텍스트 기반 가이드라인 검사 (LLM 활용, 인라인 억제 주석 적용)
+    const { violations: guidelineViolations, suppressed, contextualSelection } = await this.guidelineChecker.checkRulesWithSuppressions(
       sourceCode,
       astAnalysis,
       options
@@ -353,6 +410,8 @@ export class UnifiedJavaCodeChecker {
 
     // 검사 결과 병합
     results.violations.push(...guidelineViolations);
+    results.suppressed = suppressed;
+    results.contextualSelection = contextualSelection;
     
     // 카테고리별 그룹핑 (예: naming_convention, formatting 등)
     results.categories = this.groupByCategory([...results.violations, ...results.warnings]);
@@ -379,8 +438,11 @@ export class UnifiedJavaCodeChecker {
    *    - 유사 패턴과 비교하여 문제점 분류
    *    - 보안 취약점, 리소스 누수, 성능 이슈 등 탐지
    * 
+   * 4. 인라인 억제 주석 적용 (patternId 또는 카테고리로 억제)
+   * 
    * @returns {object} 패턴 분석 결과
-   *   - detectedIssues: 탐지된 안티패턴 이슈
+   *   - detectedIssues: 탐지된 안티패턴 이슈 (억제된 이슈 제외)
+   *   - suppressedIssues: 인라인 억제 주석으로 제외된 이슈
    *   - similarPatterns: 유사한 코드 패턴 (최대 patternLimit개)
    *   - patternScore: 0-100점 패턴 품질 점수
    *   - safePracticesFound: 발견된 좋은 패턴
@@ -390,22 +452,31 @@ export class UnifiedJavaCodeChecker {
     logger.info('🔍 패턴 분석 검사 중...');
 
     try {
-      // Step 1: 패턴 데이터셋 생성기 초기화 및 임베딩 생성
-      const generator = new PatternDatasetGenerator();
-      await generator.initialize();
-
-      // 코드를 벡터로 변환 (의미적 유사도 계산 가능한 형태)
-      const embeddings = await generator.generateEmbeddings(sourceCode, {});
-      
-      // Step 2: VectorDB에서 유사 패턴 검색
-      // - combined_embedding: 코드 전체의 통합 벡터 표현
-      // - patternLimit: 검색할 최대 패턴 수 (기본값 10)
-      // - 0.7: 최소 유사도 임계값 (코사인 유사도)
-      const similarPatterns = await this.vectorClient.searchSimilarPatterns(
-        embeddings.combined_embedding,
-        options.patternLimit || 10,
-        0.7
-      );
+      let similarPatterns;
+
+      if (this.offline) {
+        // 오프라인 모드: 임베딩/VectorDB 검색 대신 기본 문제 패턴으로 카테고리별 특화 검사
+        similarPatterns = this.issueCodeAnalyzer.dynamicAnalyzer.getFallbackAntiPatterns();
+      } else {
+        // Step 1: 패턴 데이터셋 생성기 초기화 및 임베딩 생성
+        const generator = new PatternDatasetGenerator();
+        await generator.initialize();
+
+        // 코드를 벡터로 변환 (의미적 유사도 계산 가능한 형태)
+        const embeddings = await generator.generateEmbeddings(sourceCode, {});
+        
+        // Step 2: VectorDB에서 유사 패턴 검색
+        // - combined_embedding: 코드 전체의 통합 벡터 표현
+        // - patternLimit: 검색할 최대 패턴 수 (기본값 10)
+        // - 0.7: 최소 유사도 임계값 (코사인 유사도)
+        // - embeddingVersion: 저장 패턴과 임베딩 버전이 다르면 경고/제외 (EMBEDDING_VERSION_POLICY)
+        similarPatterns = await this.vectorClient.searchSimilarPatterns(
+          embeddings.combined_embedding,
+          options.patternLimit || 10,
+          0.7,
+          { embeddingVersion: embeddings.embedding_metadata?.version_stamp?.id }
+        );
+      }
 
       // 유사 패턴이 없으면 분석 종료 (비교 대상 없음)
       if (similarPatterns.length === 0) {
@@ -421,13 +492,20 @@ export class UnifiedJavaCodeChecker {
       // - 리소스 누수, 보안 취약점, 성능 문제 등 분류
       const analysisResults = await this.issueCodeAnalyzer.analyzeCodeIssues(sourceCode, similarPatterns);
 
-      logger.info(`  🔎 패턴 분석 결과: ${analysisResults.detectedIssues.length}개 패턴 이슈 발견`);
+      // Step 4: 프로젝트 설정 파일 규칙 설정(제외/심각도 재정의) 및 인라인 억제 주석 적용 (점수는 억제 후 이슈 기준)
+      const { active, suppressed } = partitionSuppressedIssues(
+        applyRuleSettings(analysisResults.detectedIssues, config.project.rules),
+        buildSuppressionIndex(sourceCode)
+      );
+
+      logger.info(`  🔎 패턴 분석 결과: ${active.length}개 패턴 이슈 발견${suppressed.length > 0 ? ` (인라인 억제 ${suppressed.length}개)` : ''}`);
       return {
-        detectedIssues: analysisResults.detectedIssues,
+        detectedIssues: active,
         similarPatterns: similarPatterns,
-        patternScore: this.calculatePatternScore(analysisResults.detectedIssues),
+        patternScore: this.calculatePatternScore(active),
         safePracticesFound: analysisResults.safePracticesFound,
-        patternClassification: analysisResults.patternClassification
+        patternClassification: analysisResults.patternClassification,
+        suppressedIssues: suppressed
       };
     } catch (error) {
       // 패턴 분석 실패 시에도 가이드라인 검사 결과는 유지
@@ -440,6 +518,30 @@ export class UnifiedJavaCodeChecker {
     }
   }
 
+  /**
+   * 사용할 수 없었던 분석 계층 목록 (리포트 표시용)
+   * 
+   * 온라인 모드에서는 빈 배열, 오프라인 모드에서는 LLM/VectorDB에 의존하는 계층과 대체 수단을 반환
+   * 
+   * @returns {Array<{layer, name, fallback}>} fallback이 null이면 대체 수단 없이 생략됨
+   */
+  getUnavailableLayers() {
+    if (!this.offline) {
+      return [];
+    }
+
+    const ruleFallback = this.guidelineChecker.ruleSource === 'local_cache'
+      ? `로컬 가이드라인 캐시 (${config.offline.guidelineCachePath})`
+      : '기본 내장 규칙';
+
+    return [
+      { layer: 'guideline_rules', name: 'VectorDB 가이드라인 규칙 로드', fallback: ruleFallback },
+      { layer: 'contextual_guideline', name: 'LLM 맥락적 가이드라인 검사', fallback: null },
+      { layer: 'pattern_search', name: 'VectorDB 유사 패턴 검색', fallback: '기본 문제 패턴 (리소스/보안/성능/예외 처리)' },
+      { layer: 'fix_generation', name: 'LLM 수정안 생성', fallback: null }
+    ];
+  }
+
   /**
    * 가이드라인 검사와 패턴 분석 결과를 통합 리포트로 병합
    * 
@@ -456,6 +558,8 @@ export class UnifiedJavaCodeChecker {
    * 3. 이슈 우선순위 결정
    *    - 심각도 > 카테고리 > 수정 난이도 순으로 정렬
    *    - CRITICAL 이슈를 최우선으로 배치
+   *    - 이슈 지문(fingerprint) 부여 → 베이스라인 / 변경 라인 필터 적용 (옵션)
+   *    - 인라인 억제된 이슈는 suppressedIssues로 분리 (점수/개수에서 제외, 감사용)
    * 
    * 4. 통합 점수 계산
    *    - 스타일 점수 + 패턴 점수 평균
@@ -471,7 +575,7 @@ export class UnifiedJavaCodeChecker {
    * 
    * @returns {object} 통합 분석 리포트
    */
-  async unifyResults(guidelineResults, patternResults, sourceCode, options) {
+  async unifyResults(guidelineResults, patternResults, sourceCode, options, astAnalysis = null) {
     logger.info('🔗 검사 결과 통합 중...');
 
     try {
@@ -520,6 +624,7 @@ export class UnifiedJavaCodeChecker {
         styleAndGuideline: null,
         patternAnalysis: null,
         prioritizedIssues: [],
+        suppressedIssues: [],
         recommendations: [],
         fixSuggestions: []
       };
@@ -532,7 +637,8 @@ export class UnifiedJavaCodeChecker {
           violations: guidelineResults.violations || [],
           warnings: guidelineResults.warnings || [],
           suggestions: guidelineResults.suggestions || [],
-          categories: guidelineResults.categories || {}
+          categories: guidelineResults.categories || {},
+          contextualSelection: guidelineResults.contextualSelection || null
         };
       }
 
@@ -558,6 +664,24 @@ export class UnifiedJavaCodeChecker {
         patternResults
       );
 
+      // 인라인 억제된 이슈도 같은 표준 포맷으로 변환 (지시문 정보 suppressedBy 유지)
+      unifiedReport.suppressedIssues = this.prioritizeAllIssues(
+        { violations: guidelineResults.suppressed || [], warnings: [] },
+        { detectedIssues: patternResults.suppressedIssues || [] }
+      );
+
+      // Step 5-1: 라인 번호와 무관한 이슈 지문 부여 (규칙 + 카테고리 + 코드 조각 + 감싸는 메서드)
+      // 베이스라인 기록/비교에 사용하며, 해결 여부 판단을 위해 변경 라인 필터보다 먼저 적용
+      assignFingerprints(unifiedReport.prioritizedIssues, sourceCode, astAnalysis?.analysis?.methodDeclarations);
+      if (options.baseline) {
+        this.applyBaselineFilter(unifiedReport, options.baseline);
+      }
+
+      // Step 5-2: 변경 라인 모드 - 변경 범위 밖 이슈 제외 (점수/권장사항/수정안도 남은 이슈 기준)
+      if (options.changedLines) {
+        this.applyChangedLineFilter(unifiedReport, options.changedLines);
+      }
+
       // Step 6: 통합 점수 계산
       // - 스타일 점수와 패턴 점수의 평균
       // - CRITICAL 이슈마다 -10점 페널티 적용
@@ -568,6 +692,7 @@ export class UnifiedJavaCodeChecker {
       );
 
       unifiedReport.overview.totalIssues = unifiedReport.prioritizedIssues.length;
+      unifiedReport.overview.suppressed = summarizeSuppressions(unifiedReport.suppressedIssues);
 
       // Step 7: 실행 가능한 개선 권장사항 생성 (옵션)
       // - 카테고리별 우선순위와 구체적 액션 아이템 제공
@@ -606,6 +731,7 @@ export class UnifiedJavaCodeChecker {
         styleAndGuideline: null,
         patternAnalysis: null,
         prioritizedIssues: [],
+        suppressedIssues: [],
         recommendations: [],
         fixSuggestions: []
       };
@@ -650,8 +776,10 @@ export class UnifiedJavaCodeChecker {
       (guidelineResults.violations || []).forEach((violation) => {
         allIssues.push({
           id: `style_${violation.ruleId}_${violation.line}`,  // 고유 식별자 생성
+          ruleId: violation.ruleId,
           type: 'guideline_violation',
           severity: violation.severity || 'MEDIUM',
+          originalSeverity: violation.originalSeverity,  // 프로젝트 설정 파일로 심각도 재정의된 경우
           title: violation.title,
           description: violation.message,
           location: {
@@ -663,7 +791,8 @@ export class UnifiedJavaCodeChecker {
           source: violation.source || 'development_guideline',
           fixable: violation.fixable || false,
           effort: this.estimateFixEffort(violation),  // 카테고리 기반 난이도 추정
-          suggestion: violation.suggestion
+          suggestion: violation.suggestion,
+          suppressedBy: violation.suppressedBy
         });
       });
     } catch (error) {
@@ -677,6 +806,7 @@ export class UnifiedJavaCodeChecker {
           id: `pattern_${issue.id || Math.random().toString(36).slice(2)}`,
           type: 'pattern_violation',
           severity: issue.severity,
+          originalSeverity: issue.originalSeverity,
           title: issue.title,
           description: issue.description,
           location: issue.location,
@@ -684,7 +814,8 @@ export class UnifiedJavaCodeChecker {
           source: 'pattern_analysis',
           patternInfo: issue.patternInfo,  // 유사 패턴 정보 포함
           fixable: true,  // 패턴 이슈는 일반적으로 수정 가능
-          effort: this.estimatePatternFixEffort(issue)
+          effort: this.estimatePatternFixEffort(issue),
+          suppressedBy: issue.suppressedBy
         });
       });
     } catch (error) {
@@ -943,6 +1074,73 @@ export class UnifiedJavaCodeChecker {
     return Math.max(0, 100 - penalties);
   }
 
+  /**
+   * 베이스라인에 기록된 기존 이슈를 통합 리포트에서 제외 (--baseline 모드)
+   * 
+   * 처리 내용:
+   * - prioritizedIssues: 지문이 베이스라인과 일치하는 이슈 제외 (점수/권장사항/수정안은 신규 이슈 기준)
+   * - styleAndGuideline.violations, patternAnalysis.detectedIssues: 제외된 이슈와 같은 항목 제거
+   * - overview.baseline: 기존/신규 이슈 수와 해결된 베이스라인 항목 기록
+   */
+  applyBaselineFilter(unifiedReport, baselineEntries) {
+    const { newIssues, baselinedIssues, resolvedEntries } = applyBaseline(
+      unifiedReport.prioritizedIssues,
+      baselineEntries
+    );
+    const baselinedIds = new Set(baselinedIssues.map(issue => issue.id));
+
+    unifiedReport.prioritizedIssues = newIssues;
+
+    if (unifiedReport.styleAndGuideline) {
+      unifiedReport.styleAndGuideline.violations = unifiedReport.styleAndGuideline.violations
+        .filter(violation => !baselinedIds.has(`style_${violation.ruleId}_${violation.line}`));
+    }
+    if (unifiedReport.patternAnalysis) {
+      unifiedReport.patternAnalysis.detectedIssues = unifiedReport.patternAnalysis.detectedIssues
+        .filter(issue => !baselinedIds.has(`pattern_${issue.id}`));
+    }
+
+    unifiedReport.overview.baseline = {
+      newIssues: newIssues.length,
+      baselinedIssues: baselinedIssues.length,
+      resolvedIssues: resolvedEntries.length,
+      resolved: resolvedEntries
+    };
+
+    logger.info(`  베이스라인: 기존 ${baselinedIssues.length}개 제외, 신규 ${newIssues.length}개, 해결 ${resolvedEntries.length}개`);
+  }
+
+  /**
+   * 변경 라인 범위로 통합 리포트의 이슈 목록 필터링 (--diff 모드)
+   * 
+   * 필터 대상:
+   * - prioritizedIssues (점수/권장사항/수정안 계산의 기준)
+   * - styleAndGuideline.violations/warnings, patternAnalysis.detectedIssues (섹션별 개수 일치용)
+   * - suppressedIssues (변경 범위 안의 억제 주석만 감사 대상)
+   * 
+   * # NOTE: 스타일/패턴 점수는 파일 전체 기준으로 유지 (CRITICAL 페널티만 남은 이슈 기준)
+   */
+  applyChangedLineFilter(unifiedReport, changedLines) {
+    const totalBeforeFilter = unifiedReport.prioritizedIssues.length;
+    unifiedReport.prioritizedIssues = filterIssuesByChangedLines(unifiedReport.prioritizedIssues, changedLines);
+
+    if (unifiedReport.styleAndGuideline) {
+      unifiedReport.styleAndGuideline.violations = filterIssuesByChangedLines(unifiedReport.styleAndGuideline.violations, changedLines);
+      unifiedReport.styleAndGuideline.warnings = filterIssuesByChangedLines(unifiedReport.styleAndGuideline.warnings, changedLines);
+    }
+    if (unifiedReport.patternAnalysis) {
+      unifiedReport.patternAnalysis.detectedIssues = filterIssuesByChangedLines(unifiedReport.patternAnalysis.detectedIssues, changedLines);
+    }
+    unifiedReport.suppressedIssues = filterIssuesByChangedLines(unifiedReport.suppressedIssues, changedLines);
+
+    unifiedReport.overview.changedLines = {
+      ranges: changedLines,
+      issuesOutsideChanges: totalBeforeFilter - unifiedReport.prioritizedIssues.length
+    };
+
+    logger.info(`  변경 라인 필터: ${totalBeforeFilter}개 중 ${unifiedReport.prioritizedIssues.length}개 이슈 유지`);
+  }
+
   /**
    * 전체 통합 점수 계산 (0-100점)
    * 
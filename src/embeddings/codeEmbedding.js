@@ -15,23 +15,42 @@
  * - 메타 정보 활용 (비즈니스 컨텍스트 64차원으로 확장)
  * - 임베딩 품질 점수 계산
  * 
+ * 임베딩 백엔드 (embeddingBackends.js, 컬렉션별 선택):
+ * - feature (기본): 위 4개 구성요소를 결합한 수작업 특징 벡터
+ * - ollama / onnx: 코드 임베딩 모델 벡터 하나 (차원은 모델 기준, component_embeddings 없음)
+ * 
+ * 임베딩 버전 스탬프 (embedding_metadata.version_stamp, getVersionStamp()):
+ * - 백엔드/모델(특징 추출기 버전)/차원/추출 모드/가중치 해시 → 저장 패턴과 질의 벡터의 비교 가능 여부 판단
+ * 
  * @module CodeEmbeddingGenerator
  */
 
 import { JavaASTParser } from '../ast/javaAstParser.js';
-import { LLMAbstractionLayer } from '../clients/llmAbstractionLayer.js';
+import { LLMService } from '../clients/llmService.js';
 import { GuidelineContextLoader } from '../utils/guidelineContextLoader.js';
 import { MetaInfoManager } from '../utils/metaInfoManager.js';
+import { getEmbeddingBackend, getEmbeddingBackendName, resolveEmbeddingProfile, FEATURE_EXTRACTOR_VERSION } from './embeddingBackends.js';
 import { config } from '../config.js';
 import logger from '../utils/loggerUtils.js';
+import crypto from 'crypto';
 import fs from 'fs/promises';
 import path from 'path';
 
 export class CodeEmbeddingGenerator {
-  constructor() {
+  /**
+   * @param {Object} options - { collection: 벡터를 저장/검색할 컬렉션 ('pattern' | 'guideline', 백엔드 선택 기준),
+   *                             weightsPath: 가중치 파일 (지정 시 기본 모드에서도 적용, eval-embeddings 비교용) }
+   */
+  constructor({ collection = 'pattern', weightsPath = null } = {}) {
     // AST 파서 (구문적 임베딩용)
     this.astParser = new JavaASTParser();
     
+    // 임베딩 백엔드 (feature 외 백엔드는 generateNeuralEmbeddings()로 처리)
+    this.collection = collection;
+    this.backendName = getEmbeddingBackendName(collection);
+    this.neuralBackend = this.backendName === 'feature' ? null : getEmbeddingBackend(this.backendName);
+    this.neuralSettings = this.neuralBackend ? this.neuralBackend.resolveSettings(config) : null;
+    
     // 임베딩 차원 설정 (Enhanced 모드에 따라 변경)
     const isEnhanced = config.embedding?.enableEnhancedEmbedding ?? false;
     this.syntacticDim = 128;
@@ -40,8 +59,8 @@ export class CodeEmbeddingGenerator {
     this.contextDim = isEnhanced ? 64 : 32;  // Enhanced: 64, 기본: 32
     this.totalDim = this.syntacticDim + this.semanticDim + this.frameworkDim + this.contextDim;
     
-    // LLM 클라이언트 (의미론적 임베딩용)
-    this.llmClient = null;
+    // LLM 서비스 (의미론적 임베딩용)
+    this.llmService = null;
     this.enableLLMEmbedding = false;
     
     // 개발가이드 로더 (LLM 컨텍스트용)
@@ -51,14 +70,19 @@ export class CodeEmbeddingGenerator {
     this.metaInfoManager = null;
     this.enableMetaInfo = false;
     
-    // 임베딩 가중치 설정
+    // 임베딩 가중치 설정 (weightsPath 미지정 시 config.embedding.weightsPath, Enhanced 모드에서만 로드)
+    this.weightsPath = weightsPath;
     this.embeddingWeights = null;
     
     // 캐시
     this.guidelineContextCache = new Map();
     this.semanticAnalysisCache = new Map();
     
-    logger.info(`📐 임베딩 차원 설정: ${this.totalDim}차원 (${this.syntacticDim}+${this.semanticDim}+${this.frameworkDim}+${this.contextDim})`);
+    if (this.neuralBackend) {
+      logger.info(`📐 임베딩 백엔드: ${this.backendName} (모델: ${this.neuralSettings.model}, 컬렉션: ${collection})`);
+    } else {
+      logger.info(`📐 임베딩 차원 설정: ${this.totalDim}차원 (${this.syntacticDim}+${this.semanticDim}+${this.frameworkDim}+${this.contextDim})`);
+    }
   }
 
   /**
@@ -67,6 +91,15 @@ export class CodeEmbeddingGenerator {
   async initialize() {
     logger.info('🚀 Code Embedding Generator 초기화 중...');
     
+    // 신경망 백엔드: 모델 차원 확인 (ONNX는 이때 모델 로드)
+    if (this.neuralBackend) {
+      const profile = await resolveEmbeddingProfile(this.collection);
+      this.totalDim = profile.dimensions;
+      logger.info(`  🧠 ${this.backendName} 임베딩 백엔드 사용 (${profile.model}, ${profile.dimensions}차원)`);
+      logger.info('✅ Code Embedding Generator 초기화 완료');
+      return;
+    }
+    
     // Enhanced 모드 확인
     const isEnhanced = config.embedding?.enableEnhancedEmbedding ?? false;
     this.enableLLMEmbedding = config.embedding?.enableLLMEmbedding ?? false;
@@ -76,10 +109,10 @@ export class CodeEmbeddingGenerator {
       logger.info('  ✨ Enhanced 모드 활성화');
       
       try {
-        // LLM 클라이언트 초기화 (의미론적 임베딩용)
+        // LLM 서비스 초기화 (의미론적 임베딩용)
         if (this.enableLLMEmbedding) {
-          this.llmClient = new LLMAbstractionLayer();
-          logger.info('  ✅ LLM 클라이언트 초기화 완료');
+          this.llmService = new LLMService();
+          logger.info('  ✅ LLM 서비스 초기화 완료');
         }
         
         // 개발가이드 로더 초기화
@@ -105,6 +138,11 @@ export class CodeEmbeddingGenerator {
       }
     } else {
       logger.info('  📦 기본 모드 (정규식 기반)');
+      
+      if (this.weightsPath) {
+        this.embeddingWeights = await this.loadEmbeddingWeights();
+        logger.info(`  ✅ 임베딩 가중치 설정 로드 완료: ${this.weightsPath}`);
+      }
     }
     
     logger.info('✅ Code Embedding Generator 초기화 완료');
@@ -115,7 +153,7 @@ export class CodeEmbeddingGenerator {
    */
   async loadEmbeddingWeights() {
     try {
-      const weightsPath = path.join(process.cwd(), 'config', 'embedding-weights.json');
+      const weightsPath = path.resolve(this.weightsPath || config.embedding.weightsPath);
       const content = await fs.readFile(weightsPath, 'utf-8');
       return JSON.parse(content);
     } catch (error) {
@@ -138,6 +176,52 @@ export class CodeEmbeddingGenerator {
     };
   }
 
+  /**
+   * 임베딩 버전 스탬프
+   * 
+   * 같은 id끼리만 벡터 비교가 의미 있음 (하나라도 다르면 저장된 패턴 재임베딩 필요)
+   * initialize() 이후 호출 (가중치 로드, Enhanced 초기화 실패 시 regex 폴백 반영)
+   * 
+   * @returns {Object} { id, backend, model, dimensions, extractor, weights_hash }
+   */
+  getVersionStamp() {
+    const model = this.neuralBackend ? this.neuralSettings.model : `CodeEmbedding-${FEATURE_EXTRACTOR_VERSION}`;
+    const extractor = this.neuralBackend
+      ? 'neural'
+      : [
+          this.enableLLMEmbedding && this.llmService ? `llm:${this.llmService.model}` : 'regex',
+          this.enableMetaInfo && this.metaInfoManager ? 'meta' : null
+        ].filter(Boolean).join('+');
+    const weightsHash = this.neuralBackend ? 'none' : this.hashEmbeddingWeights();
+    
+    return {
+      id: [this.backendName, model, this.totalDim, extractor, `w-${weightsHash}`].join('|'),
+      backend: this.backendName,
+      model,
+      dimensions: this.totalDim,
+      extractor,
+      weights_hash: weightsHash
+    };
+  }
+
+  /**
+   * 가중치 해시 (카테고리별 구성요소 가중치 숫자만 대상, description/_metadata 변경은 무시)
+   * 가중치 파일 미로드 시 'default' (combineEmbeddingsWithWeights()의 내장 기본값)
+   */
+  hashEmbeddingWeights() {
+    if (!this.embeddingWeights) {
+      return 'default';
+    }
+    
+    const components = ['syntactic', 'semantic', 'framework', 'context'];
+    const values = Object.keys(this.embeddingWeights)
+      .filter(category => typeof this.embeddingWeights[category]?.syntactic === 'number')
+      .sort()
+      .map(category => [category, components.map(component => this.embeddingWeights[category][component] ?? null)]);
+    
+    return crypto.createHash('sha256').update(JSON.stringify(values)).digest('hex').substring(0, 12);
+  }
+
   /**
    * ========== 메인 메서드: 임베딩 생성 ==========
    * 
@@ -152,6 +236,10 @@ export class CodeEmbeddingGenerator {
     const metaInfo = options.metaInfo || {};
     const src = (typeof code === 'string' && code.trim().length > 0) ? code : '// no code';
     
+    if (this.neuralBackend) {
+      return await this.generateNeuralEmbeddings(src, category);
+    }
+    
     logger.info('  📊 임베딩 생성 시작...');
     logger.info(`     카테고리: ${category}`);
     logger.info(`     차원: ${this.totalDim} (${this.syntacticDim}+${this.semanticDim}+${this.frameworkDim}+${this.contextDim})`);
@@ -167,7 +255,7 @@ export class CodeEmbeddingGenerator {
       
       // 2. 의미론적 임베딩 (256차원) - LLM 또는 정규식
       logger.info('  🧠 의미론적 임베딩 (256차원)...');
-      if (this.enableLLMEmbedding && this.llmClient) {
+      if (this.enableLLMEmbedding && this.llmService) {
         semanticEmbedding = await this.embedCodeSemanticsWithLLM(src, category);
         logger.info('     ✅ 의미론적 임베딩 완료 (LLM)');
       } else {
@@ -239,8 +327,9 @@ export class CodeEmbeddingGenerator {
       embedding_metadata: {
         embedding_version: this.enableLLMEmbedding ? 'v2.0-llm' : 'v1.0-regex',
         created_timestamp: new Date().toISOString(),
-        model_version: 'CodeEmbedding-2.0.0',
-        llm_model: this.enableLLMEmbedding ? this.llmClient?.model : null,
+        model_version: `CodeEmbedding-${FEATURE_EXTRACTOR_VERSION}`,
+        embedding_backend: 'feature',
+        llm_model: this.enableLLMEmbedding ? this.llmService?.model : null,
         dimensions: {
           syntactic: this.syntacticDim,
           semantic: this.semanticDim,
@@ -257,12 +346,61 @@ export class CodeEmbeddingGenerator {
         },
         applied_weights: this.embeddingWeights?.[category] || this.embeddingWeights?.['_default'],
         category: category,
-        meta_info_used: Object.keys(metaInfo).length > 0
+        meta_info_used: Object.keys(metaInfo).length > 0,
+        version_stamp: this.getVersionStamp()
       },
       ast_analysis: astAnalysis
     };
   }
 
+  /**
+   * 신경망 백엔드 임베딩 (ollama / onnx)
+   * 
+   * 모델 벡터를 combined_embedding으로 그대로 사용 (구성요소 분할/가중치 없음)
+   * 반환 형식은 generateEmbeddings()와 같음 (component_embeddings는 null)
+   * 
+   * @param {string} src - Java 소스 코드
+   * @param {string} category - 카테고리
+   * @returns {Promise<Object>} 임베딩 결과
+   * @throws {Error} 모델 호출 실패 또는 차원 불일치 (다른 백엔드로 폴백하지 않음: 컬렉션 차원과 달라짐)
+   */
+  async generateNeuralEmbeddings(src, category) {
+    logger.info(`  📊 임베딩 생성 시작 (${this.backendName}: ${this.neuralSettings.model})...`);
+    
+    const embedding = await this.neuralBackend.embed(this.neuralSettings, src);
+    const expectedDim = this.neuralSettings.dimensions || embedding.length;
+    this.validateEmbedding(embedding, expectedDim, this.backendName);
+    this.totalDim = embedding.length;
+    
+    const qualityScore = this.calculateEmbeddingQuality(embedding);
+    logger.info(`     ✅ 임베딩 완료: ${embedding.length}차원, 품질 점수: ${qualityScore}/100`);
+    
+    return {
+      combined_embedding: embedding,
+      component_embeddings: null,
+      embedding_metadata: {
+        embedding_version: `neural-${this.backendName}`,
+        created_timestamp: new Date().toISOString(),
+        model_version: this.neuralSettings.model,
+        embedding_backend: this.backendName,
+        llm_model: null,
+        dimensions: { combined: embedding.length },
+        quality_metrics: {
+          quality_score: qualityScore,
+          non_zero_ratio: embedding.filter(v => v !== 0).length / embedding.length,
+          vector_magnitude: Math.sqrt(embedding.reduce((sum, v) => sum + v * v, 0)),
+          min_value: Math.min(...embedding),
+          max_value: Math.max(...embedding)
+        },
+        applied_weights: null,
+        category,
+        meta_info_used: false,
+        version_stamp: this.getVersionStamp()
+      },
+      ast_analysis: await this.extractASTAnalysis(src)
+    };
+  }
+
   /**
    * 임베딩 검증
    */
@@ -384,15 +522,14 @@ export class CodeEmbeddingGenerator {
       
       // LLM 호출
       logger.info('     🤖 LLM 분석 중...');
-      const response = await this.llmClient.generateCompletion(prompt, {
+      const analysis = await this.llmService.generateJSON(prompt, {
         model: 'gpt-oss:120b',
         temperature: 0.1,
         max_tokens: 1500
-      });
-      
-      // JSON 파싱
-      const cleanedResponse = response.replace(/```json\n?|```\n?/g, '').trim();
-      const analysis = JSON.parse(cleanedResponse);
+      }, 'semanticAnalysis');
+      if (!analysis) {
+        throw new Error('LLM 응답에서 JSON 추출 실패');
+      }
       
       // 256차원 벡터로 변환
       const embedding = this.convertSemanticAnalysisToVector(analysis);
@@ -660,7 +797,7 @@ ${code}
   }
 
   async analyzeMetaInfo(metaInfo) {
-    if (!this.llmClient) {
+    if (!this.llmService) {
       // LLM 없으면 간단한 규칙 기반
       return {
         business_criticality: metaInfo.business_criticality || 0.5,
@@ -679,14 +816,15 @@ ${code}
 
 {"business_criticality": 0.0, "compliance_sensitivity": 0.0, "team_expertise_level": 0.0, "framework_maturity": 0.0, "production_readiness": 0.0}`;
 
-    const response = await this.llmClient.generateCompletion(prompt, {
+    const analysis = await this.llmService.generateJSON(prompt, {
       model: 'gpt-oss:120b',
       temperature: 0.1,
       max_tokens: 200
-    });
-    
-    const cleaned = response.replace(/```json\n?|```\n?/g, '').trim();
-    return JSON.parse(cleaned);
+    }, 'metaInfo');
+    if (!analysis) {
+      throw new Error('메타 정보 평가 응답에서 JSON 추출 실패');
+    }
+    return analysis;
   }
 
   /**
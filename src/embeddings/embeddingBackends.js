@@ -0,0 +1,194 @@
+/**
+ * 코드 임베딩 백엔드
+ *
+ * CodeEmbeddingGenerator가 컬렉션(pattern | guideline)별로 사용할 벡터 생성 방식을 선택한다.
+ * - feature: 수작업 특징 벡터 (AST/정규식/해시 버킷, 480 또는 512차원) → CodeEmbeddingGenerator 기존 구현
+ * - ollama:  로컬 Ollama 임베딩 모델 (/api/embeddings, 예: nomic-embed-text)
+ * - onnx:    프로세스 내 ONNX 코드 임베딩 모델 (CPU, @huggingface/transformers feature-extraction)
+ *
+ * 백엔드 인터페이스 (llmProviders.js와 같은 형태):
+ * - resolveSettings(cfg) → { model, dimensions(미지정 시 null), ... }
+ * - embed(settings, text, signal) → number[] (feature는 null: CodeEmbeddingGenerator가 직접 생성)
+ *
+ * 컬렉션 임베딩 프로필 { backend, model, dimensions }은 Vector DB 컬렉션 생성 시 메타데이터로 기록되고,
+ * 어댑터는 기록된 차원으로 벡터를 검증한다 (백엔드를 바꾸면 기존 컬렉션과 차원이 달라짐 → reembed 명령으로 재임베딩).
+ *
+ * # NOTE: 신경망 백엔드의 차원을 설정하지 않으면 첫 프로필 조회 시 짧은 코드로 한 번 임베딩하여 확인
+ * # TODO: Python 변환 시 sentence-transformers / onnxruntime으로 대체
+ */
+
+import { config } from '../config.js';
+import logger from '../utils/loggerUtils.js';
+
+const EMBEDDING_COLLECTIONS = ['pattern', 'guideline'];
+
+// feature 백엔드 특징 추출기 버전 (embedAstStructure/embedCodeSemantics 등 특징 추출 로직 변경 시 올림)
+// → 저장된 패턴의 임베딩 버전과 달라져 교차 버전 검색 경고/거부, reembed 명령으로 재생성
+export const FEATURE_EXTRACTOR_VERSION = '2.0.0';
+const PROBE_TEXT = 'public class Probe { void run() {} }';
+
+const feature = {
+  resolveSettings(cfg) {
+    return {
+      model: `CodeEmbedding-${FEATURE_EXTRACTOR_VERSION}`,
+      dimensions: cfg.embedding.enableEnhancedEmbedding ? 512 : 480
+    };
+  },
+
+  embed: null
+};
+
+const ollama = {
+  resolveSettings(cfg) {
+    const settings = cfg.embedding.neural.ollama;
+    return {
+      baseUrl: settings.baseUrl.replace(/\/+$/, ''),
+      model: settings.model,
+      dimensions: settings.dimensions || null,
+      timeout: settings.timeout || 60000,
+      maxChars: cfg.embedding.neural.maxChars
+    };
+  },
+
+  async embed({ baseUrl, model, timeout, maxChars }, text, signal = null) {
+    const response = await fetch(`${baseUrl}/api/embeddings`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model, prompt: truncate(text, maxChars) }),
+      signal: signal || AbortSignal.timeout(timeout)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Ollama 임베딩 API 오류: ${response.status} - ${errorText.slice(0, 300)} (${baseUrl})`);
+    }
+
+    const data = await response.json();
+    if (!Array.isArray(data.embedding) || data.embedding.length === 0) {
+      throw new Error(`Ollama 임베딩 응답에 벡터 없음 (모델: ${model})`);
+    }
+    return data.embedding;
+  }
+};
+
+const onnx = {
+  resolveSettings(cfg) {
+    const settings = cfg.embedding.neural.onnx;
+    return {
+      model: settings.model,
+      dimensions: settings.dimensions || null,
+      cacheDir: settings.cacheDir,
+      localOnly: settings.localOnly,
+      pooling: settings.pooling || 'mean',
+      maxChars: cfg.embedding.neural.maxChars
+    };
+  },
+
+  // 모델은 설정별 1회 로드 후 재사용 (첫 호출 시 다운로드 또는 cacheDir에서 로드)
+  async embed(settings, text) {
+    if (!settings.extractor) {
+      const { pipeline, env } = await loadTransformers();
+      env.cacheDir = settings.cacheDir;
+      env.allowRemoteModels = !settings.localOnly;
+      logger.info(`🧠 ONNX 임베딩 모델 로드 중: ${settings.model}`);
+      settings.extractor = pipeline('feature-extraction', settings.model, { device: 'cpu' });
+    }
+
+    const extractor = await settings.extractor;
+    const output = await extractor(truncate(text, settings.maxChars), { pooling: settings.pooling, normalize: true });
+    return Array.from(output.data);
+  }
+};
+
+const EMBEDDING_BACKENDS = { feature, ollama, onnx };
+
+const profileCache = new Map();
+
+/**
+ * 컬렉션에 설정된 임베딩 백엔드 이름
+ *
+ * @param {string} collection - 'pattern' | 'guideline'
+ * @param {object} cfg - 전체 설정 (config)
+ * @returns {string} 'feature' | 'ollama' | 'onnx'
+ * @throws {Error} 알 수 없는 컬렉션
+ */
+export function getEmbeddingBackendName(collection, cfg = config) {
+  if (!EMBEDDING_COLLECTIONS.includes(collection)) {
+    throw new Error(`알 수 없는 임베딩 컬렉션: ${collection} (지원: ${EMBEDDING_COLLECTIONS.join(', ')})`);
+  }
+  return cfg.embedding.collectionBackends?.[collection] || cfg.embedding.backend || 'feature';
+}
+
+/**
+ * 임베딩 백엔드 구현 조회
+ *
+ * @param {string} name - 'feature' | 'ollama' | 'onnx'
+ * @returns {object} { resolveSettings, embed }
+ * @throws {Error} 지원하지 않는 백엔드
+ */
+export function getEmbeddingBackend(name) {
+  const backend = EMBEDDING_BACKENDS[name];
+  if (!backend) {
+    throw new Error(`지원하지 않는 임베딩 백엔드: ${name} (지원: ${Object.keys(EMBEDDING_BACKENDS).join(', ')})`);
+  }
+  return backend;
+}
+
+/**
+ * 컬렉션 임베딩 프로필 (컬렉션 생성 시 메타데이터로 기록, 벡터 차원 검증 기준)
+ *
+ * @param {string} collection - 'pattern' | 'guideline'
+ * @param {object} cfg - 전체 설정 (config)
+ * @returns {Promise<object>} { backend, model, dimensions }
+ */
+export async function resolveEmbeddingProfile(collection, cfg = config) {
+  const backendName = getEmbeddingBackendName(collection, cfg);
+  if (profileCache.has(backendName)) {
+    return profileCache.get(backendName);
+  }
+
+  const backend = getEmbeddingBackend(backendName);
+  const settings = backend.resolveSettings(cfg);
+  let dimensions = settings.dimensions;
+
+  if (!dimensions) {
+    logger.info(`📐 ${backendName} 임베딩 차원 확인 중 (모델: ${settings.model})...`);
+    dimensions = (await backend.embed(settings, PROBE_TEXT)).length;
+  }
+
+  const profile = { backend: backendName, model: settings.model, dimensions };
+  profileCache.set(backendName, profile);
+  return profile;
+}
+
+/**
+ * 컬렉션에 기록된 프로필과 현재 설정 프로필이 같은 벡터 공간인지 확인
+ *
+ * @param {object|null} recorded - 컬렉션 메타데이터의 프로필 (기록 없으면 null)
+ * @param {object} current - resolveEmbeddingProfile() 결과
+ * @returns {boolean} 같은 백엔드/모델/차원이면 true (기록이 없으면 차원만 비교)
+ */
+export function isSameEmbeddingProfile(recorded, current) {
+  if (!recorded?.backend) {
+    return recorded?.dimensions === undefined || recorded.dimensions === current.dimensions;
+  }
+  return recorded.backend === current.backend &&
+         recorded.model === current.model &&
+         recorded.dimensions === current.dimensions;
+}
+
+function truncate(text, maxChars) {
+  return maxChars && text.length > maxChars ? text.substring(0, maxChars) : text;
+}
+
+let transformers = null;
+
+async function loadTransformers() {
+  if (!transformers) {
+    transformers = import('@huggingface/transformers').catch(() => {
+      transformers = null;
+      throw new Error('ONNX 임베딩 백엔드에 필요한 @huggingface/transformers를 찾을 수 없습니다 (npm install @huggingface/transformers)');
+    });
+  }
+  return await transformers;
+}
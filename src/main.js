@@ -27,9 +27,11 @@ import { pathToFileURL } from 'url';
 
 // Commands
 import { processSingleIssue, processBatchIssues } from './commands/issueCommand.js';
-import { checkSystemStatus, searchAndAnalyzePatterns } from './commands/utilCommand.js';
+import { checkSystemStatus, searchAndAnalyzePatterns, clearResponseCache } from './commands/utilCommand.js';
 import { performUnifiedCheck, performGuidelineOnlyCheck } from './commands/checkCommand.js';
-import { extractGuidelinesFromGuide, importGuidelinesToVectorDB, manageGuidelines } from './commands/guidelineCommand.js';
+import { extractGuidelinesFromGuide, importGuidelinesToVectorDB, manageGuidelines, testGuidelineRules } from './commands/guidelineCommand.js';
+import { evaluateEmbeddings, tuneThresholds, reembedPatterns } from './commands/embeddingCommand.js';
+import { EXIT_CODES, toExitCode } from './utils/qualityGateUtils.js';
 import logger from './utils/loggerUtils.js';
 
 const program = new Command();
@@ -44,17 +46,47 @@ program
  * 통합 코드 품질 검사 명령어
  * 
  * @command check
- * @param {string} options.code - 검사할 Java 코드 파일 경로
+ * @param {string} options.code - 검사할 Java 파일, 디렉토리, glob 또는 Maven/Gradle 프로젝트 루트
  * @param {string} options.output - 분석 결과 저장 파일 경로
  * @param {boolean} options.skipPatterns - 패턴 분석 건너뛰기 플래그
  * @param {boolean} options.skipGuidelines - 가이드라인 검사 건너뛰기 플래그
  * @param {boolean} options.skipContextual - LLM 맥락 검사 건너뛰기 플래그
  * @param {boolean} options.generateFixes - 수정안 자동 생성 플래그
  * @param {number} options.limit - 패턴 검색 결과 수 (기본값: 10)
+ * @param {string} options.include - 포함할 파일 glob 패턴 (쉼표 구분, 디렉토리/프로젝트 검사 시)
+ * @param {string} options.exclude - 제외할 파일 glob 패턴 (쉼표 구분, 디렉토리/프로젝트 검사 시)
+ * @param {boolean} options.includeTests - Maven/Gradle 프로젝트의 src/test/java 포함 플래그
+ * @param {string} options.format - 결과 저장 형식 (json | sarif | html, 기본값: 프로젝트 설정 파일 report.format 또는 json)
+ * @param {string} options.diff - 변경분만 검사할 git 리비전 범위 또는 unified diff 파일
+ * @param {boolean} options.enclosingMethod - 변경 라인을 감싸는 메서드 전체 이슈 포함 플래그
+ * @param {string|boolean} options.baseline - 베이스라인 파일 (값 생략 시 검사 루트의 .jci-baseline.json)
+ * @param {string|boolean} options.writeBaseline - 현재 이슈를 베이스라인 파일로 기록
+ * @param {number} options.maxCritical - 품질 게이트: 허용 CRITICAL 이슈 수
+ * @param {number} options.maxHigh - 품질 게이트: 허용 HIGH 이슈 수
+ * @param {number} options.maxIssues - 품질 게이트: 허용 전체 이슈 수
+ * @param {number} options.minScore - 품질 게이트: 최소 전체 점수
+ * @param {number} options.minStyleScore - 품질 게이트: 최소 스타일 점수
+ * @param {string} options.bannedCategories - 품질 게이트: 하나라도 있으면 실패할 카테고리 (쉼표 구분)
+ * @param {boolean} options.gate - false(--no-gate)면 프로젝트 설정 파일의 품질 게이트 무시
+ * @param {string} options.config - 프로젝트 설정 파일 경로 (생략 시 검사 경로에서 상위로 jci.config.json / .jcirc 탐색)
+ * @param {boolean} options.offline - LLM/VectorDB 없이 정적 규칙 + 기본 패턴만 사용 (환경변수 JCI_OFFLINE=true와 동일)
+ * 
+ * 종료 코드: 0 통과, 1 품질 게이트 실패, 2 도구 오류
  * 
  * @example check --code=MyClass.java --output=report.json
  * @example check --code=MyClass.java --skip-patterns --generate-fixes
  * @example check --code=MyClass.java --limit=20 --output=result.json
+ * @example check --code=./order-service --exclude="*Generated.java" --output=project.json
+ * @example check --code="src/main/java/com/acme/*Dao.java" --skip-patterns
+ * @example check --code=./order-service --generate-fixes --format=sarif --output=results.sarif
+ * @example check --code=MyClass.java --generate-fixes --format=html --output=review.html
+ * @example check --diff=origin/main...HEAD --skip-patterns
+ * @example check --code=./order-service --diff=pr-1234.patch --enclosing-method
+ * @example check --code=./order-service --write-baseline
+ * @example check --code=./order-service --baseline --format=sarif --output=new-issues.sarif
+ * @example check --code=./order-service --max-critical=0 --max-high=3 --min-score=70
+ * @example check --diff=origin/main...HEAD --banned-categories=security_vulnerability
+ * @example check --code=./order-service --offline --format=html --output=offline.html
  * 
  * # TODO: Python으로 변환 시 performUnifiedCheck() → unified_check() FastAPI 엔드포인트 연동
  * # PERFORMANCE: 병렬 처리 최적화 기회 (가이드라인 검사 + 패턴 검색 동시 실행)
@@ -62,8 +94,25 @@ program
 program
   .command('check')
   .description('통합 Java 코드 품질 검사 (추천)')
-  .option('-c, --code <file>', '검사할 Java 코드 파일')
+  .option('-c, --code <path>', '검사할 Java 파일, 디렉토리, glob 또는 Maven/Gradle 프로젝트 루트')
   .option('-o, --output <file>', '분석 결과 저장 파일')
+  .option('--include <patterns>', '포함할 파일 glob 패턴 (쉼표 구분)')
+  .option('--exclude <patterns>', '제외할 파일 glob 패턴 (쉼표 구분)')
+  .option('--include-tests', 'Maven/Gradle 프로젝트의 테스트 소스 포함')
+  .option('-f, --format <type>', '결과 저장 형식 (json, sarif, html, 기본: json)')
+  .option('--diff <range|file>', '변경분만 검사 (git 리비전 범위 또는 unified diff 파일)')
+  .option('--enclosing-method', '--diff 사용 시 변경 라인을 감싸는 메서드 전체 포함')
+  .option('--baseline [file]', '베이스라인에 기록된 기존 이슈 제외 (기본: <검사 루트>/.jci-baseline.json)')
+  .option('--write-baseline [file]', '현재 이슈를 베이스라인 파일로 기록')
+  .option('--max-critical <n>', '품질 게이트: 허용 CRITICAL 이슈 수')
+  .option('--max-high <n>', '품질 게이트: 허용 HIGH 이슈 수')
+  .option('--max-issues <n>', '품질 게이트: 허용 전체 이슈 수')
+  .option('--min-score <n>', '품질 게이트: 최소 전체 점수 (0-100)')
+  .option('--min-style-score <n>', '품질 게이트: 최소 스타일 점수 (0-100)')
+  .option('--banned-categories <list>', '품질 게이트: 발견 시 실패할 카테고리 (쉼표 구분)')
+  .option('--no-gate', '프로젝트 설정 파일의 품질 게이트 무시')
+  .option('--config <file>', '프로젝트 설정 파일 (기본: 검사 경로에서 상위로 jci.config.json / .jcirc 탐색)')
+  .option('--offline', 'LLM/VectorDB 없이 정적 규칙 + 기본 패턴만으로 검사 (로컬 가이드라인 캐시 사용)')
   .option('--skip-patterns', '패턴 분석 건너뛰기')
   .option('--skip-guidelines', '가이드라인 검사 건너뛰기')
   .option('--skip-contextual', 'LLM 기반 맥락적 검사 건너뛰기')
@@ -71,10 +120,11 @@ program
   .option('-l, --limit <number>', '패턴 검색 결과 수', '10')
   .action(async (options) => {
     try {
-      await performUnifiedCheck(options);
+      const result = await performUnifiedCheck(options);
+      process.exitCode = toExitCode(result?.qualityGate, { analysisFailures: result?.analysisFailures });
     } catch (error) {
       logger.error('통합 검사 실패:', error.message);
-      process.exit(1);
+      process.exit(EXIT_CODES.TOOL_ERROR);
     }
   });
 
@@ -86,10 +136,30 @@ program
  * @param {boolean} options.includeContextual - LLM 맥락 검사 포함 플래그
  * @param {boolean} options.fix - 가이드라인 기반 수정안 생성 플래그
  * @param {string} options.output - 결과 저장 파일 경로
+ * @param {string} options.format - 결과 저장 형식 (json | sarif, 기본값: 프로젝트 설정 파일 report.format 또는 json)
+ * @param {string} options.diff - 변경분만 검사할 git 리비전 범위 또는 unified diff 파일
+ * @param {boolean} options.enclosingMethod - 변경 라인을 감싸는 메서드 전체 이슈 포함 플래그
+ * @param {string|boolean} options.baseline - 베이스라인 파일 (값 생략 시 파일 디렉토리의 .jci-baseline.json)
+ * @param {string|boolean} options.writeBaseline - 현재 위반/경고를 베이스라인 파일로 기록
+ * @param {number} options.maxCritical - 품질 게이트: 허용 CRITICAL 위반 수
+ * @param {number} options.maxHigh - 품질 게이트: 허용 HIGH 위반 수
+ * @param {number} options.maxIssues - 품질 게이트: 허용 전체 위반+경고 수
+ * @param {number} options.minStyleScore - 품질 게이트: 최소 스타일 점수
+ * @param {string} options.bannedCategories - 품질 게이트: 하나라도 있으면 실패할 카테고리 (쉼표 구분)
+ * @param {boolean} options.gate - false(--no-gate)면 프로젝트 설정 파일의 품질 게이트 무시
+ * @param {string} options.config - 프로젝트 설정 파일 경로 (생략 시 검사 경로에서 상위로 jci.config.json / .jcirc 탐색)
+ * @param {boolean} options.offline - LLM/VectorDB 없이 정적 규칙 + 기본 패턴만 사용 (환경변수 JCI_OFFLINE=true와 동일)
+ * 
+ * 종료 코드: 0 통과, 1 품질 게이트 실패, 2 도구 오류
  * 
  * @example check-guidelines --code=MyClass.java
  * @example check-guidelines --code=MyClass.java --include-contextual --fix
  * @example check-guidelines --code=MyClass.java --output=guideline_report.json
+ * @example check-guidelines --code=MyClass.java --fix --format=sarif --output=guideline.sarif
+ * @example check-guidelines --code=MyClass.java --diff=HEAD~1 --enclosing-method
+ * @example check-guidelines --code=MyClass.java --baseline=../.jci-baseline.json
+ * @example check-guidelines --code=MyClass.java --min-style-score=90 --max-high=0
+ * @example check-guidelines --code=MyClass.java --offline
  * 
  * # TODO: Python 변환 시 DevelopmentGuidelineChecker 클래스 구현 필요
  */
@@ -100,12 +170,26 @@ program
   .option('--include-contextual', 'LLM 기반 맥락적 검사 포함')
   .option('--fix', '가이드라인 기반 코드 수정 생성')
   .option('-o, --output <file>', '결과 저장 파일')
+  .option('-f, --format <type>', '결과 저장 형식 (json, sarif, 기본: json)')
+  .option('--diff <range|file>', '변경분만 검사 (git 리비전 범위 또는 unified diff 파일)')
+  .option('--enclosing-method', '--diff 사용 시 변경 라인을 감싸는 메서드 전체 포함')
+  .option('--baseline [file]', '베이스라인에 기록된 기존 이슈 제외 (기본: <파일 디렉토리>/.jci-baseline.json)')
+  .option('--write-baseline [file]', '현재 위반/경고를 베이스라인 파일로 기록')
+  .option('--max-critical <n>', '품질 게이트: 허용 CRITICAL 위반 수')
+  .option('--max-high <n>', '품질 게이트: 허용 HIGH 위반 수')
+  .option('--max-issues <n>', '품질 게이트: 허용 전체 위반+경고 수')
+  .option('--min-style-score <n>', '품질 게이트: 최소 스타일 점수 (0-100)')
+  .option('--banned-categories <list>', '품질 게이트: 발견 시 실패할 카테고리 (쉼표 구분)')
+  .option('--no-gate', '프로젝트 설정 파일의 품질 게이트 무시')
+  .option('--config <file>', '프로젝트 설정 파일 (기본: 검사 경로에서 상위로 jci.config.json / .jcirc 탐색)')
+  .option('--offline', 'LLM/VectorDB 없이 정적 규칙 + 기본 패턴만으로 검사 (로컬 가이드라인 캐시 사용)')
   .action(async (options) => {
     try {
-      await performGuidelineOnlyCheck(options);
+      const result = await performGuidelineOnlyCheck(options);
+      process.exitCode = toExitCode(result?.qualityGate);
     } catch (error) {
       logger.error('가이드라인 검사 실패:', error.message);
-      process.exit(1);
+      process.exit(EXIT_CODES.TOOL_ERROR);
     }
   });
 
@@ -117,9 +201,15 @@ program
  * @param {number} options.limit - 검색 결과 수 (기본값: 5)
  * @param {boolean} options.fix - 수정안 제시 활성화 플래그
  * @param {string} options.output - 분석 결과 저장 파일 경로
+ * @param {string} options.query - 키워드 질의 (지정 시 하이브리드 검색)
+ * @param {string} options.category - 카테고리 필터 (쉼표 구분)
+ * @param {string} options.severity - 심각도 필터 (쉼표 구분)
+ * @param {string} options.framework - 프레임워크 버전 필터
+ * @param {number} options.minQuality - 최소 품질 점수 필터
  * 
  * @example search --code=MyClass.java --limit=10
  * @example search --code=MyClass.java --fix --output=patterns.json
+ * @example search --code=MyClass.java --query="connection close" --category=resource_management --min-quality=70
  * 
  * # TODO: Python 변환 시 Qdrant 클라이언트 연동 필요
  * # PERFORMANCE: 벡터 검색 캐싱으로 중복 임베딩 생성 방지
@@ -131,6 +221,11 @@ program
   .option('-l, --limit <number>', '검색 결과 수', '5')
   .option('--fix', '수정안 제시 활성화')
   .option('-o, --output <file>', '분석 결과 저장 파일')
+  .option('-q, --query <text>', '키워드 질의 (제목/코드/태그 BM25, 지정 시 하이브리드 검색)')
+  .option('--category <list>', '카테고리 필터 (쉼표 구분)')
+  .option('--severity <list>', '심각도 필터 (쉼표 구분)')
+  .option('--framework <version>', '프레임워크 버전 필터')
+  .option('--min-quality <score>', '최소 품질 점수 필터')
   .action(async (options) => {
     try {
       await searchAndAnalyzePatterns(options);
@@ -151,6 +246,11 @@ program
  * @param {number} options.limit - 검색 결과 수 (기본값: 5)
  * @param {boolean} options.fix - 수정안 제시 활성화 플래그
  * @param {string} options.output - 분석 결과 저장 파일 경로
+ * @param {string} options.query - 키워드 질의 (지정 시 하이브리드 검색)
+ * @param {string} options.category - 카테고리 필터 (쉼표 구분)
+ * @param {string} options.severity - 심각도 필터 (쉼표 구분)
+ * @param {string} options.framework - 프레임워크 버전 필터
+ * @param {number} options.minQuality - 최소 품질 점수 필터
  * 
  * @example search-patterns --code=MyClass.java --limit=10
  * 
@@ -163,6 +263,11 @@ program
   .option('-l, --limit <number>', '검색 결과 수', '5')
   .option('--fix', '수정안 제시 활성화')
   .option('-o, --output <file>', '분석 결과 저장 파일')
+  .option('-q, --query <text>', '키워드 질의 (제목/코드/태그 BM25, 지정 시 하이브리드 검색)')
+  .option('--category <list>', '카테고리 필터 (쉼표 구분)')
+  .option('--severity <list>', '심각도 필터 (쉼표 구분)')
+  .option('--framework <version>', '프레임워크 버전 필터')
+  .option('--min-quality <score>', '최소 품질 점수 필터')
   .action(async (options) => {
     try {
       await searchAndAnalyzePatterns(options);
@@ -327,6 +432,177 @@ program
     }
   });
 
+/**
+ * 정적 가이드라인 규칙 테스트 명령어 (import 전 LLM 생성 규칙 검증 게이트)
+ * 
+ * 내부 흐름:
+ * 1. --input 가이드라인 JSON 또는 현재 규칙 저장소(VectorDB, 오프라인: 로컬 캐시)에서 정적 규칙 로드
+ * 2. 규칙별 examples(good/bad) + fixture 파일({ruleId}/good/*.java, {ruleId}/bad/*.java) 실행
+ * 3. 규칙별 precision/recall, 한 번도/항상 검출되는 규칙 출력
+ * 
+ * @command test-rules
+ * @param {string} options.input - 테스트할 가이드라인 JSON 파일 (생략 시 현재 로드되는 규칙)
+ * @param {string} options.fixtures - 규칙 테스트 디렉토리 (기본: RULE_TEST_DIRECTORY 또는 ./rule-tests)
+ * @param {string} options.rule - 테스트할 규칙 ID (쉼표 구분)
+ * @param {number} options.minPrecision - 규칙별 최소 precision (0~1)
+ * @param {number} options.minRecall - 규칙별 최소 recall (0~1)
+ * @param {string} options.output - 결과 저장 파일 경로
+ * @param {boolean} options.offline - --input 생략 시 VectorDB 대신 로컬 가이드라인 캐시 사용
+ * 
+ * 종료 코드: 0 통과, 1 규칙 테스트 실패, 2 도구 오류
+ * 
+ * @example test-rules --input=guidelines.json
+ * @example test-rules --input=guidelines.json --fixtures=./rule-tests --min-precision=0.8 --min-recall=0.8
+ * @example test-rules --offline --rule=code_style.3_7_3 --output=rule_test.json
+ * 
+ * # TODO: Python 변환 시 pytest 기반 규칙 테스트로 대체
+ */
+program
+  .command('test-rules')
+  .description('정적 가이드라인 규칙을 examples/fixture로 테스트 (precision/recall)')
+  .option('-i, --input <file>', '테스트할 가이드라인 JSON 파일 (생략 시 현재 규칙)')
+  .option('--fixtures <dir>', '규칙 테스트 디렉토리 (기본: RULE_TEST_DIRECTORY 또는 ./rule-tests)')
+  .option('--rule <ids>', '테스트할 규칙 ID (쉼표 구분)')
+  .option('--min-precision <n>', '규칙별 최소 precision (0-1)')
+  .option('--min-recall <n>', '규칙별 최소 recall (0-1)')
+  .option('-o, --output <file>', '결과 저장 파일')
+  .option('--offline', '--input 생략 시 VectorDB 대신 로컬 가이드라인 캐시 사용')
+  .action(async (options) => {
+    try {
+      const result = await testGuidelineRules(options);
+      process.exitCode = result.passed ? EXIT_CODES.PASS : EXIT_CODES.GATE_FAILED;
+    } catch (error) {
+      logger.error('규칙 테스트 실패:', error.message);
+      process.exit(EXIT_CODES.TOOL_ERROR);
+    }
+  });
+
+/**
+ * 임베딩 검색 품질 평가 명령어 (가중치/threshold/특징 추출기 변경 효과 측정)
+ * 
+ * 내부 흐름:
+ * 1. 라벨링된 평가셋 (질의 코드, 기대 issue_record_id) 로드
+ * 2. CodeEmbeddingGenerator.generateEmbeddings() → VectorClient.searchWithComponentScores()로 패턴 검색
+ * 3. recall@k, MRR, 카테고리별 threshold precision 출력 (가중치/threshold 파일 해시를 리포트에 기록)
+ * 4. (옵션) 이전 리포트와 비교하여 지표 변화량 출력
+ * 
+ * @command eval-embeddings
+ * @param {string} options.input - 평가셋 JSON 파일 경로 (필수)
+ * @param {number} options.topK - 검색 결과 수 (기본값: 5)
+ * @param {string} options.weights - 질의 임베딩에 적용할 가중치 파일 (기본: EMBEDDING_WEIGHTS_PATH)
+ * @param {string} options.thresholds - 카테고리별 threshold 파일 (기본: EMBEDDING_THRESHOLDS_PATH)
+ * @param {string} options.compare - 비교할 이전 eval-embeddings 결과 파일
+ * @param {string} options.output - 결과 저장 파일 경로
+ * 
+ * @example eval-embeddings --input=eval/pairs.json
+ * @example eval-embeddings --input=eval/pairs.json --weights=weights-v2.json --output=eval-v2.json
+ * @example eval-embeddings --input=eval/pairs.json --thresholds=thresholds-strict.json --compare=./report/eval-v2.json
+ * 
+ * # TODO: Python 변환 시 ranx 기반 평가 리포트로 대체
+ */
+program
+  .command('eval-embeddings')
+  .description('라벨링된 질의-패턴 쌍으로 임베딩 검색 품질 평가 (recall@k, MRR, 카테고리별 precision)')
+  .requiredOption('-i, --input <file>', '평가셋 JSON 파일 (질의 코드 + 기대 issue_record_id)')
+  .option('-k, --top-k <n>', '검색 결과 수', '5')
+  .option('--weights <file>', '임베딩 가중치 파일 (기본: EMBEDDING_WEIGHTS_PATH)')
+  .option('--thresholds <file>', '카테고리별 threshold 파일 (기본: EMBEDDING_THRESHOLDS_PATH)')
+  .option('--compare <file>', '비교할 이전 eval-embeddings 결과 파일')
+  .option('-o, --output <file>', '결과 저장 파일')
+  .action(async (options) => {
+    try {
+      await evaluateEmbeddings(options);
+    } catch (error) {
+      logger.error('임베딩 평가 실패:', error.message);
+      process.exit(1);
+    }
+  });
+
+/**
+ * 카테고리별 유사도 threshold 자동 튜닝 명령어
+ * 
+ * 내부 흐름:
+ * 1. 승인/거절 라벨이 붙은 과거 매치 로드 (eval-embeddings 결과 또는 { matches: [...] } 파일, 쉼표로 여러 개)
+ * 2. 카테고리별로 F1이 최대인 overall/syntactic/semantic/framework threshold 탐색 (옵션: 컴포넌트 가중치 포함)
+ * 3. 현재 threshold 대비 precision/recall/F1 비교 출력 → 새 threshold 파일 저장 (현재 파일은 변경하지 않음)
+ * 
+ * @command tune-thresholds
+ * @param {string} options.input - 라벨링된 매치 파일 경로 (쉼표 구분, 필수)
+ * @param {string} options.output - 새 threshold 파일 경로 (필수)
+ * @param {string} options.thresholds - 현재 threshold 파일 (기본: EMBEDDING_THRESHOLDS_PATH)
+ * @param {boolean} options.tuneWeights - 컴포넌트 가중치도 함께 튜닝
+ * @param {string} options.weights - 현재 가중치 파일 (기본: EMBEDDING_WEIGHTS_PATH)
+ * @param {string} options.weightsOutput - 새 가중치 파일 경로 (--tune-weights 사용 시 필수)
+ * @param {number} options.step - threshold 탐색 간격 (기본값: 0.05)
+ * @param {number} options.minSamples - 튜닝할 카테고리의 최소 매치 수 (기본값: 5)
+ * @param {string} options.report - 비교 리포트 저장 파일 경로
+ * 
+ * @example tune-thresholds --input=./report/eval-base.json --output=config/category-thresholds.tuned.json
+ * @example tune-thresholds --input=matches-2024q4.json,matches-2025q1.json --output=thresholds-v2.json --report=tuning.json
+ * @example tune-thresholds --input=./report/eval-base.json --output=thresholds-v2.json --tune-weights --weights-output=weights-v2.json
+ * 
+ * # TODO: Python 변환 시 optuna 기반 탐색으로 대체
+ */
+program
+  .command('tune-thresholds')
+  .description('승인/거절된 과거 매치로 카테고리별 threshold(옵션: 가중치) 자동 튜닝')
+  .requiredOption('-i, --input <files>', '라벨링된 매치 파일 (eval-embeddings 결과 또는 매치 파일, 쉼표 구분)')
+  .requiredOption('-o, --output <file>', '새 threshold 파일')
+  .option('--thresholds <file>', '현재 threshold 파일 (기본: EMBEDDING_THRESHOLDS_PATH)')
+  .option('--tune-weights', '컴포넌트 가중치도 함께 튜닝 (근사)')
+  .option('--weights <file>', '현재 가중치 파일 (기본: EMBEDDING_WEIGHTS_PATH)')
+  .option('--weights-output <file>', '새 가중치 파일 (--tune-weights 사용 시)')
+  .option('--step <n>', 'threshold 탐색 간격', '0.05')
+  .option('--min-samples <n>', '튜닝할 카테고리의 최소 매치 수', '5')
+  .option('--report <file>', '비교 리포트 저장 파일')
+  .action(async (options) => {
+    try {
+      await tuneThresholds(options);
+    } catch (error) {
+      logger.error('threshold 튜닝 실패:', error.message);
+      process.exit(1);
+    }
+  });
+
+/**
+ * 저장된 패턴 재임베딩 명령어 (ENABLE_ENHANCED_EMBEDDING/임베딩 백엔드/가중치/특징 추출기 변경 후)
+ * 
+ * 내부 흐름:
+ * 1. 현재 설정의 임베딩 버전 스탬프 계산 (백엔드/모델/차원/추출 모드/가중치 해시)
+ * 2. 패턴 스냅샷을 작업 디렉토리에 저장 (이어서 실행 시 재사용)
+ * 3. 컬렉션 차원/프로필이 다르면 현재 프로필로 컬렉션 재생성
+ * 4. anti_pattern.code_template을 배치 단위로 다시 임베딩하여 교체 저장 (배치마다 진행 상태 기록)
+ * 
+ * @command reembed
+ * @param {number} options.batchSize - 배치 크기 (기본값: 20)
+ * @param {string} options.workDir - 스냅샷/진행 상태 디렉토리 (기본값: 도구 루트 cache/reembed)
+ * @param {boolean} options.force - 이미 현재 버전인 패턴도 재임베딩
+ * @param {boolean} options.restart - 이전 진행 상태를 버리고 새 스냅샷으로 시작
+ * @param {boolean} options.dryRun - 저장된 임베딩 버전 분포와 재임베딩 대상 수만 출력
+ * 
+ * @example reembed --dry-run
+ * @example reembed --batch-size=50
+ * @example reembed --force --restart
+ * 
+ * # TODO: Python 변환 시 배치 임베딩 병렬 처리 (asyncio.gather)
+ */
+program
+  .command('reembed')
+  .description('저장된 패턴의 벡터를 현재 임베딩 설정으로 재생성 (중단 후 이어서 실행 가능)')
+  .option('-b, --batch-size <n>', '배치 크기', '20')
+  .option('--work-dir <dir>', '스냅샷/진행 상태 저장 디렉토리 (기본: 도구 루트 cache/reembed)')
+  .option('--force', '이미 현재 임베딩 버전인 패턴도 재임베딩')
+  .option('--restart', '이전 진행 상태를 버리고 새로 시작')
+  .option('--dry-run', '임베딩 버전 분포와 재임베딩 대상 수만 출력')
+  .action(async (options) => {
+    try {
+      await reembedPatterns(options);
+    } catch (error) {
+      logger.error('패턴 재임베딩 실패:', error.message);
+      process.exit(1);
+    }
+  });
+
 /**
  * 시스템 상태 확인 명령어 (헬스체크)
  * 
@@ -357,6 +633,35 @@ program
     }
   });
 
+/**
+ * LLM 응답 캐시 관리 명령어
+ * 
+ * 맥락적 검사, 수정 제안, 패턴 생성의 LLM 응답은 디스크 캐시(LLM_CACHE_DIR, 기본 ./cache/llm)에 저장되어
+ * 같은 provider/모델/프롬프트/옵션이면 재사용됨
+ * 
+ * @command cache clear
+ * @returns {void} 삭제한 캐시 항목 수를 콘솔에 출력
+ * 
+ * @example cache clear
+ * 
+ * # TODO: Python 변환 시 typer 하위 명령 그룹으로 대체
+ */
+const cacheCommand = program
+  .command('cache')
+  .description('LLM 응답 캐시 관리');
+
+cacheCommand
+  .command('clear')
+  .description('LLM 응답 캐시 전체 삭제')
+  .action(async () => {
+    try {
+      await clearResponseCache();
+    } catch (error) {
+      logger.error('캐시 삭제 실패:', error.message);
+      process.exit(1);
+    }
+  });
+
 /**
  * 메인 진입점: CLI 명령어 파싱 및 실행
  * 
@@ -57,12 +57,10 @@ ${contextCode}
 }`;
 
   try {
-    const response = await llmService.generateCompletion(prompt, {
+    const parsed = await llmService.generateJSON(prompt, {
       temperature: 0.1,
       num_predict: 1000
-    });
-
-    const parsed = llmService.llmClient.cleanAndExtractJSON(response);
+    }, 'guidelineLineFix');
 
     // LLM 응답 검증: 불확실한 표현이나 낮은 신뢰도 필터링
     if (parsed && parsed.fixedLine) {
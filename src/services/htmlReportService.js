@@ -0,0 +1,422 @@
+/**
+ * HTML 리포트 생성 서비스
+ *
+ * 코드 리뷰 티켓에 첨부할 수 있도록 검사 결과를 외부 리소스 없는 단일 HTML 파일로 렌더링한다.
+ * - 점수 게이지: 전체 점수(calculateOverallScore 결과), 스타일/가이드라인 점수, 패턴 분석 점수
+ * - 소스 뷰: addLineNumbers 기반 라인 번호 + 라인별 인라인 이슈 마커
+ * - 필터: 심각도/카테고리 체크박스 (이슈 목록, 마커, 수정안 diff에 함께 적용)
+ * - 수정안: 원본/수정 코드 좌우 비교 (--generate-fixes 사용 시)
+ *
+ * # NOTE: CSS/JS를 모두 인라인으로 포함하므로 오프라인에서도 그대로 열림
+ * # TODO: Python 변환 시 jinja2 템플릿으로 분리 검토
+ */
+
+import { addLineNumbers, resolveFixHunk } from '../utils/codeUtils.js';
+import { countBySeverity, groupByCategory } from '../utils/issueUtils.js';
+import { describeAnalysisMode } from '../utils/reportUtils.js';
+
+const SEVERITY_ORDER = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+
+const SEVERITY_ICONS = {
+  CRITICAL: '🔴',
+  HIGH: '🟠',
+  MEDIUM: '🟡',
+  LOW: '🔵'
+};
+
+// 게이지 원 둘레 (r=40)
+const GAUGE_CIRCUMFERENCE = 2 * Math.PI * 40;
+
+/**
+ * 단일 파일 검사 결과를 HTML 리포트로 변환
+ *
+ * @param {object} results - UnifiedJavaCodeChecker.analyzeCode() 결과
+ * @param {string} fileName - 파일명
+ * @param {string} filePath - 검사 대상 경로 (-c 인자)
+ * @param {string} sourceCode - 원본 소스 코드
+ * @param {object} checkOptions - 검사 옵션
+ * @returns {string} HTML 문서
+ */
+export function buildHtmlReport(results, fileName, filePath, sourceCode, checkOptions) {
+  const issues = results.prioritizedIssues;
+  const styleScore = results.styleAndGuideline?.score;
+  const patternScore = results.patternAnalysis?.score;
+
+  const gauges = [
+    renderGauge('전체 점수', results.overview.overallScore, describeOverallScore(styleScore, patternScore, issues)),
+    styleScore !== undefined ? renderGauge('스타일 & 가이드라인', styleScore) : '',
+    patternScore !== undefined ? renderGauge('패턴 분석', patternScore) : ''
+  ].join('');
+
+  const metadata = [
+    ['파일', filePath],
+    ['분석 일시', new Date().toISOString()],
+    ['코드 라인', sourceCode.split('\n').length],
+    ['파싱 모드', results.overview.parseMode || '-'],
+    ['분석 모드', describeAnalysisMode(results.overview.analysisMode, results.overview.unavailableLayers)],
+    ['검사 범위', describeCheckScope(checkOptions)],
+    ['인라인 억제', `${results.suppressedIssues?.length || 0}개`]
+  ];
+
+  const fileSection = {
+    filePath: fileName,
+    sourceCode,
+    issues,
+    fixes: results.fixSuggestions || []
+  };
+
+  return renderDocument(`코드 품질 리포트 - ${fileName}`, metadata, gauges, issues, [fileSection]);
+}
+
+/**
+ * 프로젝트 검사 결과를 HTML 리포트로 변환 (파일별 소스 뷰를 접이식 섹션으로 포함)
+ *
+ * @param {object} projectReport - buildProjectReport() 결과
+ * @param {Array} fileEntries - [{ report, issues, sourceCode, fixes }]
+ * @returns {string} HTML 문서
+ */
+export function buildProjectHtmlReport(projectReport, fileEntries) {
+  const { metadata, summary } = projectReport;
+  const allIssues = fileEntries.flatMap(entry => entry.issues);
+
+  const gauges = renderGauge(
+    '프로젝트 점수',
+    summary.overallScore,
+    `파일 ${summary.analyzedFiles}개, ${summary.totalLines}라인 기준 가중 평균`
+  );
+
+  const metadataRows = [
+    ['프로젝트', metadata.projectRoot],
+    ['대상 유형', metadata.targetType],
+    ['분석 일시', metadata.analysisDate],
+    ['분석 파일', `${summary.analyzedFiles}/${summary.totalFiles} (실패 ${summary.failedFiles})`],
+    ['분석 모드', describeAnalysisMode(metadata.analysisMode, metadata.unavailableLayers)],
+    ['검사 범위', describeCheckScope({
+      skipGuidelines: !metadata.checkOptions.guidelines,
+      skipContextual: !metadata.checkOptions.contextual,
+      skipPatterns: !metadata.checkOptions.patterns,
+      generateFixes: metadata.checkOptions.generateFixes
+    })],
+    ['인라인 억제', `${summary.suppressedIssues || 0}개`]
+  ];
+
+  const fileSections = fileEntries.map(entry => ({
+    filePath: entry.report.metadata.filePath,
+    sourceCode: entry.sourceCode || '',
+    issues: entry.issues,
+    fixes: entry.fixes || [],
+    score: entry.report.summary.overallScore
+  }));
+
+  const failures = projectReport.failures.length > 0
+    ? `<section class="card"><h2>분석 실패 파일</h2><ul>${projectReport.failures
+      .map(failure => `<li><code>${escapeHtml(failure.filePath)}</code>: ${escapeHtml(failure.error)}</li>`)
+      .join('')}</ul></section>`
+    : '';
+
+  return renderDocument(
+    `프로젝트 코드 품질 리포트 - ${metadata.projectRoot}`,
+    metadataRows,
+    gauges,
+    allIssues,
+    fileSections,
+    failures
+  );
+}
+
+/**
+ * HTML 문서 조립
+ *
+ * 내부 흐름:
+ * 1. 헤더 (메타데이터 표) + 점수 게이지
+ * 2. 심각도/카테고리 필터 (이슈 수 표시)
+ * 3. 전체 이슈 목록 (라인 앵커 링크)
+ * 4. 파일별 소스 뷰 + 수정안 diff
+ */
+function renderDocument(title, metadataRows, gauges, allIssues, fileSections, extraSections = '') {
+  const severityCounts = SEVERITY_ORDER.map(severity => [severity, countBySeverity(allIssues, severity)]);
+  const categoryCounts = Object.entries(groupByCategory(allIssues))
+    .sort((a, b) => b[1] - a[1]);
+
+  const severityFilters = severityCounts
+    .map(([severity, count]) => renderFilter('severity', severity, `${SEVERITY_ICONS[severity]} ${severity}`, count))
+    .join('');
+  const categoryFilters = categoryCounts
+    .map(([category, count]) => renderFilter('category', category, category, count))
+    .join('');
+
+  const issueRows = fileSections.flatMap((section, fileIndex) =>
+    section.issues.map(issue => renderIssueRow(issue, section, fileIndex, fileSections.length > 1))
+  ).join('');
+
+  return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header class="card">
+  <h1>${escapeHtml(title)}</h1>
+  <table class="meta">${metadataRows
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(String(value ?? '-'))}</td></tr>`)
+    .join('')}</table>
+</header>
+<section class="card gauges">${gauges}</section>
+<section class="card filters">
+  <div><strong>심각도</strong>${severityFilters}</div>
+  <div><strong>카테고리</strong>${categoryFilters || '<span class="empty">-</span>'}</div>
+</section>
+<section class="card">
+  <h2>이슈 목록 (<span id="visible-count">${allIssues.length}</span>/${allIssues.length})</h2>
+  ${issueRows
+    ? `<table class="issues"><thead><tr><th>심각도</th><th>카테고리</th><th>위치</th><th>이슈</th><th>출처</th></tr></thead><tbody>${issueRows}</tbody></table>`
+    : '<p class="empty">발견된 이슈가 없습니다.</p>'}
+</section>
+${fileSections.map((section, fileIndex) => renderFileSection(section, fileIndex, fileSections.length > 1)).join('\n')}
+${extraSections}
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * 파일 소스 뷰 렌더링
+ * 각 라인 아래에 해당 라인에서 시작하는 이슈 마커 행을 추가하고,
+ * 수정안이 있으면 원본/수정 코드 좌우 비교 표를 덧붙임
+ */
+function renderFileSection(section, fileIndex, collapsible) {
+  const sourceLines = section.sourceCode.split('\n');
+  const issuesByLine = new Map();
+
+  section.issues.forEach(issue => {
+    const line = clampLine(issue.location?.startLine, sourceLines.length);
+    if (!issuesByLine.has(line)) issuesByLine.set(line, []);
+    issuesByLine.get(line).push(issue);
+  });
+
+  // addLineNumbers 출력("  1: code")을 라인 번호/코드 열로 분리
+  const rows = addLineNumbers(section.sourceCode).split('\n').map((numberedLine, index) => {
+    const line = index + 1;
+    const separator = numberedLine.indexOf(': ');
+    const lineNumber = numberedLine.slice(0, separator).trim();
+    const code = numberedLine.slice(separator + 2);
+    const lineIssues = issuesByLine.get(line) || [];
+    const lineId = `f${fileIndex}-L${line}`;
+    const flagged = lineIssues.length > 0
+      ? ` class="flagged sev-${getTopSeverity(lineIssues)}"`
+      : '';
+
+    const markers = lineIssues.map(issue => {
+      const severity = normalizeSeverity(issue.severity);
+      return `
+<tr class="marker issue-item sev-${severity}" data-severity="${severity}" data-category="${escapeHtml(issue.category || 'other')}" data-line="${lineId}">
+  <td></td><td>${SEVERITY_ICONS[severity]} <strong>[${severity}] ${escapeHtml(issue.title)}</strong> <span class="tag">${escapeHtml(issue.category || 'other')}</span><br>${escapeHtml(issue.description || '')}</td>
+</tr>`;
+    }).join('');
+
+    return `<tr id="${lineId}"${flagged}><td class="ln">${lineNumber}</td><td class="code">${escapeHtml(code) || ' '}</td></tr>${markers}`;
+  }).join('\n');
+
+  const diffs = renderFixDiffs(section, sourceLines);
+  const scoreBadge = section.score !== undefined
+    ? ` <span class="badge ${scoreClass(section.score)}">${section.score}/100</span>`
+    : '';
+  const header = `<code>${escapeHtml(section.filePath)}</code>${scoreBadge} <span class="muted">이슈 ${section.issues.length}개</span>`;
+
+  const body = `<table class="source">${rows}</table>${diffs}`;
+
+  return collapsible
+    ? `<details class="card file" id="f${fileIndex}"${section.issues.length > 0 ? ' open' : ''}><summary>${header}</summary>${body}</details>`
+    : `<section class="card file" id="f${fileIndex}"><h2>${header}</h2>${body}</section>`;
+}
+
+function renderFixDiffs(section, sourceLines) {
+  const issuesById = new Map(section.issues.map(issue => [issue.id, issue]));
+
+  const diffs = section.fixes.map(fix => {
+    const issue = issuesById.get(fix.issueId);
+    if (!issue) return '';
+
+    const hunk = resolveFixHunk(fix, issue.location, sourceLines);
+    if (!hunk) return '';
+
+    const originalLines = sourceLines.slice(hunk.startLine - 1, hunk.endLine);
+    const rowCount = Math.max(originalLines.length, hunk.fixedLines.length);
+    const rows = [];
+
+    for (let i = 0; i < rowCount; i++) {
+      const before = originalLines[i];
+      const after = hunk.fixedLines[i];
+      const changed = before !== after;
+      rows.push(`<tr>
+<td class="ln">${before !== undefined ? hunk.startLine + i : ''}</td><td class="code${changed && before !== undefined ? ' del' : ''}">${escapeHtml(before ?? '')}</td>
+<td class="ln">${after !== undefined ? hunk.startLine + i : ''}</td><td class="code${changed && after !== undefined ? ' add' : ''}">${escapeHtml(after ?? '')}</td>
+</tr>`);
+    }
+
+    const confidence = typeof fix.confidence === 'number'
+      ? ` <span class="muted">신뢰도 ${(fix.confidence * 100).toFixed(0)}%</span>`
+      : '';
+
+    return `<div class="fix issue-item" data-severity="${normalizeSeverity(issue.severity)}" data-category="${escapeHtml(issue.category || 'other')}">
+<h3>🔧 ${escapeHtml(fix.title || issue.title)} <span class="muted">라인 ${hunk.startLine}${hunk.endLine > hunk.startLine ? `-${hunk.endLine}` : ''}</span>${confidence}</h3>
+${fix.explanation ? `<p>${escapeHtml(fix.explanation)}</p>` : ''}
+<table class="diff"><thead><tr><th colspan="2">원본</th><th colspan="2">수정안</th></tr></thead><tbody>${rows.join('')}</tbody></table>
+</div>`;
+  }).filter(Boolean);
+
+  return diffs.length > 0
+    ? `<h3 class="fix-title">수정안 (${diffs.length}개)</h3>${diffs.join('\n')}`
+    : '';
+}
+
+function renderIssueRow(issue, section, fileIndex, showFile) {
+  const line = clampLine(issue.location?.startLine, section.sourceCode.split('\n').length);
+  const location = showFile ? `${section.filePath}:${line}` : `라인 ${line}`;
+  const severity = normalizeSeverity(issue.severity);
+
+  return `<tr class="issue-item" data-severity="${severity}" data-category="${escapeHtml(issue.category || 'other')}">
+<td><span class="sev sev-${severity}">${SEVERITY_ICONS[severity]} ${severity}</span></td>
+<td>${escapeHtml(issue.category || 'other')}</td>
+<td><a href="#f${fileIndex}-L${line}">${escapeHtml(location)}</a></td>
+<td><strong>${escapeHtml(issue.title)}</strong><br><span class="muted">${escapeHtml(issue.description || '')}</span></td>
+<td>${escapeHtml(issue.source || '-')}</td>
+</tr>`;
+}
+
+function renderFilter(kind, value, label, count) {
+  return `<label class="filter"><input type="checkbox" data-filter="${kind}" value="${escapeHtml(value)}" checked${count === 0 ? ' disabled' : ''}> ${escapeHtml(label)} <span class="muted">(${count})</span></label>`;
+}
+
+/**
+ * SVG 원형 점수 게이지 (0-100)
+ */
+function renderGauge(label, score, caption = '') {
+  const value = Math.max(0, Math.min(100, Number(score) || 0));
+  const filled = (value / 100) * GAUGE_CIRCUMFERENCE;
+
+  return `<figure class="gauge ${scoreClass(value)}">
+<svg viewBox="0 0 100 100" width="120" height="120" role="img" aria-label="${escapeHtml(label)} ${value}점">
+  <circle cx="50" cy="50" r="40" class="track"/>
+  <circle cx="50" cy="50" r="40" class="value" stroke-dasharray="${filled.toFixed(1)} ${GAUGE_CIRCUMFERENCE.toFixed(1)}" transform="rotate(-90 50 50)"/>
+  <text x="50" y="56" text-anchor="middle">${value}</text>
+</svg>
+<figcaption><strong>${escapeHtml(label)}</strong>${caption ? `<br><span class="muted">${escapeHtml(caption)}</span>` : ''}</figcaption>
+</figure>`;
+}
+
+/**
+ * calculateOverallScore 산출 근거 설명 ((스타일 + 패턴) / 2 - CRITICAL × 10)
+ */
+function describeOverallScore(styleScore, patternScore, issues) {
+  const base = ((styleScore ?? 100) + (patternScore ?? 100)) / 2;
+  const criticalCount = countBySeverity(issues, 'CRITICAL');
+  return criticalCount > 0
+    ? `기본 ${Math.round(base)}점 - CRITICAL ${criticalCount}개 × 10`
+    : `(스타일 + 패턴) / 2 = ${Math.round(base)}점`;
+}
+
+function describeCheckScope(checkOptions) {
+  return [
+    !checkOptions.skipGuidelines && '개발가이드',
+    !checkOptions.skipContextual && '맥락적 가이드라인',
+    !checkOptions.skipPatterns && '패턴 분석',
+    checkOptions.generateFixes && '자동 수정안'
+  ].filter(Boolean).join(', ') || '-';
+}
+
+// 속성/클래스명/본문에 그대로 들어가므로 알려진 4단계 외의 값(LLM 응답, 설정 파일 등)은 LOW로 취급
+function normalizeSeverity(severity) {
+  return SEVERITY_ORDER.includes(severity) ? severity : 'LOW';
+}
+
+function getTopSeverity(issues) {
+  return SEVERITY_ORDER.find(severity => issues.some(issue => issue.severity === severity)) || 'LOW';
+}
+
+function scoreClass(score) {
+  if (score >= 80) return 'good';
+  if (score >= 60) return 'fair';
+  return 'poor';
+}
+
+function clampLine(line, lineCount) {
+  return Math.min(Math.max(line || 1, 1), Math.max(lineCount, 1));
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const STYLES = `
+body { font-family: -apple-system, "Segoe UI", "Malgun Gothic", sans-serif; margin: 0; padding: 16px; background: #f4f5f7; color: #222; }
+h1 { font-size: 20px; margin: 0 0 8px; } h2 { font-size: 16px; margin: 0 0 8px; } h3 { font-size: 14px; margin: 12px 0 4px; }
+.card { background: #fff; border: 1px solid #dfe1e6; border-radius: 6px; padding: 12px 16px; margin-bottom: 12px; }
+.meta th { text-align: left; padding-right: 16px; color: #555; font-weight: normal; }
+.muted { color: #6b778c; font-weight: normal; } .empty { color: #6b778c; }
+.gauges { display: flex; gap: 24px; flex-wrap: wrap; }
+.gauge { margin: 0; text-align: center; max-width: 220px; }
+.gauge .track { fill: none; stroke: #ebecf0; stroke-width: 10; }
+.gauge .value { fill: none; stroke-width: 10; stroke-linecap: round; }
+.gauge text { font-size: 24px; font-weight: bold; fill: #222; }
+.good .value { stroke: #2e7d32; } .fair .value { stroke: #f9a825; } .poor .value { stroke: #c62828; }
+.badge { padding: 1px 6px; border-radius: 10px; color: #fff; font-size: 12px; }
+.badge.good { background: #2e7d32; } .badge.fair { background: #f9a825; } .badge.poor { background: #c62828; }
+.filters div { margin: 4px 0; } .filters strong { display: inline-block; width: 72px; }
+.filter { margin-right: 12px; white-space: nowrap; }
+table.issues { border-collapse: collapse; width: 100%; }
+table.issues th, table.issues td { border-bottom: 1px solid #ebecf0; padding: 4px 8px; text-align: left; vertical-align: top; }
+.sev { white-space: nowrap; font-weight: bold; }
+.sev-CRITICAL { --sev: #b71c1c; } .sev-HIGH { --sev: #e65100; } .sev-MEDIUM { --sev: #f9a825; } .sev-LOW { --sev: #1565c0; }
+span.sev { color: var(--sev); }
+table.source, table.diff { border-collapse: collapse; width: 100%; font-family: Consolas, Menlo, monospace; font-size: 12px; }
+td.ln { color: #97a0af; text-align: right; padding: 0 8px; user-select: none; width: 1%; white-space: nowrap; vertical-align: top; }
+td.code { white-space: pre; padding: 0 8px; }
+tr.flagged td.code { background: #fff4e5; box-shadow: inset 3px 0 var(--sev); }
+tr.marker td:last-child { font-family: -apple-system, "Segoe UI", "Malgun Gothic", sans-serif; font-size: 12px; background: #fafbfc; border-left: 3px solid var(--sev); padding: 4px 8px; white-space: normal; }
+.tag { background: #ebecf0; border-radius: 3px; padding: 0 4px; font-size: 11px; }
+.fix { border-top: 1px dashed #dfe1e6; padding-top: 4px; }
+table.diff th { text-align: left; background: #f4f5f7; padding: 2px 8px; }
+td.del { background: #ffebe9; } td.add { background: #e6ffec; }
+.hidden { display: none; }
+:target td { outline: 2px solid #4c9aff; }
+`;
+
+// 필터: 체크 해제된 심각도/카테고리의 이슈 항목을 숨기고, 보이는 마커가 없는 라인은 강조 해제
+const SCRIPT = `
+(function () {
+  var inputs = Array.prototype.slice.call(document.querySelectorAll('input[data-filter]'));
+  function checkedValues(kind) {
+    return inputs.filter(function (input) { return input.dataset.filter === kind && input.checked; })
+      .map(function (input) { return input.value; });
+  }
+  function applyFilters() {
+    var severities = checkedValues('severity');
+    var categories = checkedValues('category');
+    var visibleLines = {};
+    var visibleCount = 0;
+    document.querySelectorAll('.issue-item').forEach(function (item) {
+      var visible = severities.indexOf(item.dataset.severity) !== -1 && categories.indexOf(item.dataset.category) !== -1;
+      item.classList.toggle('hidden', !visible);
+      if (visible && item.dataset.line) visibleLines[item.dataset.line] = true;
+      if (visible && item.closest('table.issues')) visibleCount++;
+    });
+    document.querySelectorAll('tr.flagged').forEach(function (row) {
+      row.querySelector('td.code').style.background = visibleLines[row.id] ? '' : 'transparent';
+      row.querySelector('td.code').style.boxShadow = visibleLines[row.id] ? '' : 'none';
+    });
+    var counter = document.getElementById('visible-count');
+    if (counter) counter.textContent = visibleCount;
+  }
+  inputs.forEach(function (input) { input.addEventListener('change', applyFilters); });
+})();
+`;
@@ -18,6 +18,12 @@ export function buildOptimizedReport(results, fileName, filePath, sourceCode, ch
       analysisDate: new Date().toISOString(),
       codeLines: sourceCode.split('\n').length,
       codeSize: sourceCode.length,
+      parseMode: results.overview.parseMode || null,
+      // 오프라인 모드: LLM/VectorDB에 의존하는 분석 계층은 unavailableLayers에 기록
+      analysisMode: results.overview.analysisMode || 'online',
+      unavailableLayers: results.overview.unavailableLayers || [],
+      // --diff 모드: 이슈 필터링에 사용한 변경 라인 범위
+      changedLines: results.overview.changedLines || null,
       checkOptions: {
         guidelines: !checkOptions.skipGuidelines,
         contextual: !checkOptions.skipContextual,
@@ -34,7 +40,9 @@ export function buildOptimizedReport(results, fileName, filePath, sourceCode, ch
       highIssues: countBySeverity(results.prioritizedIssues, 'HIGH'),
       mediumIssues: countBySeverity(results.prioritizedIssues, 'MEDIUM'),
       lowIssues: countBySeverity(results.prioritizedIssues, 'LOW'),
-      warningCount: results.styleAndGuideline?.warnings?.length || 0
+      warningCount: results.styleAndGuideline?.warnings?.length || 0,
+      // 인라인 억제 주석으로 제외된 이슈 수 (totalIssues에 포함되지 않음)
+      suppressedIssues: results.suppressedIssues?.length || 0
     },
 
     // 카테고리별, 심각도별, 소스별 통계 집계
@@ -54,10 +62,12 @@ export function buildOptimizedReport(results, fileName, filePath, sourceCode, ch
         title: issue.title,
         category: issue.category,
         severity: issue.severity,
+        originalSeverity: issue.originalSeverity,
         line: issue.location?.startLine || issue.line,
         description: truncateText(issue.description, 200),
         source: issue.source,
-        effort: issue.effort
+        effort: issue.effort,
+        fingerprint: issue.fingerprint
       })),
 
     // 스타일 및 가이드라인 검사 결과 요약
@@ -80,6 +90,34 @@ export function buildOptimizedReport(results, fileName, filePath, sourceCode, ch
         .map(issue => summarizeIssue(issue))
     } : null,
 
+    // 베이스라인 적용 결과 (--baseline 모드, 해결된 이슈는 라인/규칙만 요약)
+    baseline: results.overview.baseline ? {
+      newIssues: results.overview.baseline.newIssues,
+      baselinedIssues: results.overview.baseline.baselinedIssues,
+      resolvedIssues: results.overview.baseline.resolvedIssues,
+      resolved: results.overview.baseline.resolved.map(entry => ({
+        ruleId: entry.ruleId,
+        title: entry.title,
+        line: entry.line,
+        method: entry.method
+      }))
+    } : null,
+
+    // 인라인 억제된 이슈 (리뷰어 감사용: 규칙, 위치, 억제 지시문과 사유)
+    suppressed: results.suppressedIssues?.length > 0 ? {
+      byRule: results.overview.suppressed?.byRule || {},
+      byDirective: results.overview.suppressed?.byDirective || {},
+      items: results.suppressedIssues.map(issue => ({
+        ruleId: issue.ruleId || issue.patternInfo?.patternId || null,
+        title: issue.title,
+        line: issue.location?.startLine,
+        source: issue.source,
+        directive: issue.suppressedBy.directive,
+        directiveLine: issue.suppressedBy.line,
+        reason: issue.suppressedBy.reason
+      }))
+    } : null,
+
     // 카테고리별 개선 권장사항 (빠른 수정, 장기 개선)
     recommendations: results.recommendations
       ? results.recommendations.slice(0, 5).map(rec => ({
@@ -94,12 +132,12 @@ export function buildOptimizedReport(results, fileName, filePath, sourceCode, ch
   };
 
   // 수정안 생성 옵션이 활성화된 경우 수정 정보 포함
-  if (checkOptions.generateFixes && results.fixes) {
+  if (checkOptions.generateFixes && results.fixSuggestions) {
     report.fixes = {
       available: true,
-      count: results.fixes.length,
-      summary: results.fixes.slice(0, 3).map(fix => ({
-        issueTitle: fix.issueTitle,
+      count: results.fixSuggestions.length,
+      summary: results.fixSuggestions.slice(0, 3).map(fix => ({
+        issueTitle: fix.title,
         hasFixedCode: !!fix.fixedCode,
         confidence: fix.confidence
       }))
@@ -107,4 +145,91 @@ export function buildOptimizedReport(results, fileName, filePath, sourceCode, ch
   }
 
   return report;
-}
\ No newline at end of file
+}
+/**
+ * 프로젝트 단위 통합 리포트 생성
+ * 파일별 최적화 리포트(buildOptimizedReport)를 files 섹션에 담고,
+ * 전체 이슈를 합산한 프로젝트 요약/통계와 이슈가 많은 상위 10개 파일을 포함
+ *
+ * @param {Array} fileEntries - [{ report, issues }] (report: 파일별 최적화 리포트, issues: prioritizedIssues)
+ * @param {Array} failures - [{ filePath, error }] 분석 실패 파일 목록
+ * @param {object} target - resolveCheckTarget() 결과
+ * @param {object} checkOptions - 검사 옵션
+ * @param {object} scanOptions - { include, exclude, includeTests }
+ */
+export function buildProjectReport(fileEntries, failures, target, checkOptions, scanOptions = {}) {
+  const allIssues = fileEntries.flatMap(entry => entry.issues);
+  const totalLines = fileEntries.reduce((sum, entry) => sum + entry.report.metadata.codeLines, 0);
+
+  // 코드 라인 수 가중 평균 점수 (큰 파일의 품질이 전체 점수에 더 크게 반영)
+  const overallScore = totalLines > 0
+    ? Math.round(fileEntries.reduce(
+      (sum, entry) => sum + entry.report.summary.overallScore * entry.report.metadata.codeLines, 0
+    ) / totalLines)
+    : 100;
+
+  return {
+    metadata: {
+      projectRoot: target.rootDir,
+      targetType: target.type,
+      pattern: target.pattern,
+      analysisDate: new Date().toISOString(),
+      include: scanOptions.include || [],
+      exclude: scanOptions.exclude || [],
+      includeTests: !!scanOptions.includeTests,
+      diff: scanOptions.diff || null,
+      // 모든 파일이 같은 검사기로 분석되므로 첫 파일의 분석 모드를 사용
+      analysisMode: fileEntries[0]?.report.metadata.analysisMode || 'online',
+      unavailableLayers: fileEntries[0]?.report.metadata.unavailableLayers || [],
+      checkOptions: {
+        guidelines: !checkOptions.skipGuidelines,
+        contextual: !checkOptions.skipContextual,
+        patterns: !checkOptions.skipPatterns,
+        generateFixes: checkOptions.generateFixes
+      }
+    },
+
+    // 프로젝트 전체 합산 요약
+    summary: {
+      overallScore,
+      totalFiles: fileEntries.length + failures.length,
+      analyzedFiles: fileEntries.length,
+      failedFiles: failures.length,
+      filesWithIssues: fileEntries.filter(entry => entry.issues.length > 0).length,
+      totalLines,
+      totalIssues: allIssues.length,
+      criticalIssues: countBySeverity(allIssues, 'CRITICAL'),
+      highIssues: countBySeverity(allIssues, 'HIGH'),
+      mediumIssues: countBySeverity(allIssues, 'MEDIUM'),
+      lowIssues: countBySeverity(allIssues, 'LOW'),
+      warningCount: fileEntries.reduce((sum, entry) => sum + entry.report.summary.warningCount, 0),
+      suppressedIssues: fileEntries.reduce((sum, entry) => sum + (entry.report.summary.suppressedIssues || 0), 0),
+      // 베이스라인 적용 시에만 포함 (totalIssues는 신규 이슈 기준)
+      ...(fileEntries.some(entry => entry.report.baseline) && {
+        baselinedIssues: fileEntries.reduce((sum, entry) => sum + (entry.report.baseline?.baselinedIssues || 0), 0),
+        resolvedIssues: fileEntries.reduce((sum, entry) => sum + (entry.report.baseline?.resolvedIssues || 0), 0)
+      })
+    },
+
+    statistics: {
+      byCategory: groupByCategory(allIssues),
+      bySeverity: groupBySeverity(allIssues),
+      bySource: groupBySource(allIssues)
+    },
+
+    // 이슈 수 기준 상위 10개 파일 (동률이면 점수가 낮은 파일 우선)
+    topFiles: fileEntries
+      .map(entry => ({
+        filePath: entry.report.metadata.filePath,
+        overallScore: entry.report.summary.overallScore,
+        totalIssues: entry.report.summary.totalIssues,
+        criticalIssues: entry.report.summary.criticalIssues,
+        highIssues: entry.report.summary.highIssues
+      }))
+      .sort((a, b) => b.totalIssues - a.totalIssues || a.overallScore - b.overallScore)
+      .slice(0, 10),
+
+    files: fileEntries.map(entry => entry.report),
+    failures
+  };
+}
@@ -0,0 +1,279 @@
+/**
+ * SARIF 2.1.0 리포트 생성 서비스
+ *
+ * 코드 스캐닝 대시보드(GitHub Code Scanning 등)와 IDE SARIF 뷰어에서 읽을 수 있도록
+ * 검사 결과를 OASIS SARIF 2.1.0 형식으로 변환한다.
+ * - 가이드라인 규칙(ruleId)과 VectorDB 패턴(issue_record_id) → tool.driver.rules (reportingDescriptor)
+ * - 우선순위 정렬된 이슈 → results (physicalLocation, level)
+ * - --generate-fixes / --fix 수정안 → result.fixes (artifactChanges.replacements)
+ * - 인라인 억제 주석으로 제외된 이슈 → result.suppressions (kind: inSource)
+ *
+ * # TODO: Python 변환 시 sarif-om 패키지 사용 검토
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { resolveFixHunk } from '../utils/codeUtils.js';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SARIF_VERSION = '2.1.0';
+const TOOL_NAME = 'unified-code-analyzer';
+const TOOL_VERSION = '2.0.0';
+
+// 심각도 → SARIF level
+const SEVERITY_LEVELS = {
+  CRITICAL: 'error',
+  HIGH: 'error',
+  MEDIUM: 'warning',
+  LOW: 'note'
+};
+
+// 보안 카테고리 규칙의 security-severity (코드 스캐닝 대시보드의 위험도 표시용, 0.0~10.0)
+const SECURITY_SEVERITY_SCORES = {
+  CRITICAL: '9.5',
+  HIGH: '7.5',
+  MEDIUM: '5.0',
+  LOW: '2.0'
+};
+
+/**
+ * 검사 결과를 SARIF 2.1.0 로그로 변환
+ *
+ * 내부 흐름:
+ * 1. 모든 파일의 이슈에서 규칙 ID 수집 → reportingDescriptor 생성 (중복 제거)
+ * 2. 이슈별 result 생성 (ruleIndex, level, 물리적 위치)
+ * 3. 이슈에 대응하는 수정안이 있으면 fixes 추가
+ * 4. 분석 실패 파일은 toolExecutionNotifications로 기록
+ *
+ * @param {Array} fileResults - [{ filePath, sourceCode, issues, suppressedIssues, fixes }]
+ *   - filePath: 검사 루트 기준 상대 경로
+ *   - issues: prioritizedIssues 형식 이슈 목록 (check-guidelines는 toSarifIssues로 변환)
+ *   - suppressedIssues: 인라인 억제된 이슈 (suppressedBy 포함, 선택)
+ *   - fixes: [{ issueId, fixedCode, fixedLine, explanation }] (선택)
+ * @param {object} options - { rootDir, failures, properties }
+ * @returns {object} SARIF 로그 객체
+ */
+export function buildSarifReport(fileResults, options = {}) {
+  const rules = [];
+  const ruleIndexById = new Map();
+  const results = [];
+
+  fileResults.forEach(fileResult => {
+    const uri = toArtifactUri(fileResult.filePath);
+    const sourceLines = (fileResult.sourceCode || '').split('\n');
+    const fixesByIssueId = new Map((fileResult.fixes || []).map(fix => [fix.issueId, fix]));
+
+    [...fileResult.issues, ...(fileResult.suppressedIssues || [])].forEach(issue => {
+      const ruleId = getRuleId(issue);
+
+      // Step 1: 규칙 등록 (처음 등장한 이슈 정보로 descriptor 생성)
+      if (!ruleIndexById.has(ruleId)) {
+        ruleIndexById.set(ruleId, rules.length);
+        rules.push(buildReportingDescriptor(ruleId, issue));
+      }
+
+      // Step 2: 이슈 → result
+      const result = {
+        ruleId,
+        ruleIndex: ruleIndexById.get(ruleId),
+        level: toSarifLevel(issue.severity),
+        message: { text: issue.description || issue.title || ruleId },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri, uriBaseId: '%SRCROOT%' },
+            region: buildRegion(issue.location, sourceLines)
+          }
+        }],
+        properties: {
+          severity: issue.severity || 'LOW',
+          originalSeverity: issue.originalSeverity,
+          category: issue.category,
+          source: issue.source,
+          effort: issue.effort
+        }
+      };
+
+      // 라인 이동에도 유지되는 이슈 지문 (코드 스캐닝 대시보드의 경고 추적용)
+      if (issue.fingerprint) {
+        result.partialFingerprints = { 'jciFingerprint/v1': issue.fingerprint };
+      }
+
+      // 인라인 억제: 결과는 남기되 대시보드에서 억제됨으로 표시
+      if (issue.suppressedBy) {
+        result.suppressions = [buildSarifSuppression(issue.suppressedBy)];
+      }
+
+      // Step 3: 수정안 → fix
+      const fix = fixesByIssueId.get(issue.id);
+      const sarifFix = fix ? buildSarifFix(fix, issue, uri, sourceLines) : null;
+      if (sarifFix) {
+        result.fixes = [sarifFix];
+      }
+
+      results.push(result);
+    });
+  });
+
+  const failures = options.failures || [];
+
+  const run = {
+    tool: {
+      driver: {
+        name: TOOL_NAME,
+        version: TOOL_VERSION,
+        rules
+      }
+    },
+    invocations: [{
+      executionSuccessful: true,
+      endTimeUtc: new Date().toISOString(),
+      // Step 4: 분석 실패 파일 기록
+      toolExecutionNotifications: failures.map(failure => ({
+        level: 'error',
+        message: { text: failure.error },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: toArtifactUri(failure.filePath), uriBaseId: '%SRCROOT%' }
+          }
+        }]
+      }))
+    }],
+    results,
+    properties: options.properties || {}
+  };
+
+  if (options.rootDir) {
+    run.originalUriBaseIds = {
+      '%SRCROOT%': { uri: pathToFileURL(path.resolve(options.rootDir) + path.sep).href }
+    };
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: [run]
+  };
+}
+
+/**
+ * check-guidelines 위반사항/경고를 prioritizedIssues 형식으로 변환
+ * (통합 검사와 동일한 SARIF 변환 경로를 사용하기 위함)
+ *
+ * @param {Array} violations - 가이드라인 위반사항
+ * @param {Array} warnings - 가이드라인 경고 (심각도 미지정 시 LOW)
+ */
+export function toSarifIssues(violations, warnings = []) {
+  const toIssue = (violation, defaultSeverity) => ({
+    id: `style_${violation.ruleId}_${violation.line}`,
+    ruleId: violation.ruleId,
+    severity: violation.severity || defaultSeverity,
+    originalSeverity: violation.originalSeverity,
+    title: violation.title,
+    description: violation.message || violation.title,
+    location: {
+      startLine: violation.line,
+      endLine: violation.line,
+      column: violation.column || 0
+    },
+    category: violation.category || 'code_style',
+    source: violation.source || 'development_guideline',
+    fingerprint: violation.fingerprint,
+    suppressedBy: violation.suppressedBy
+  });
+
+  return [
+    ...violations.map(violation => toIssue(violation, 'MEDIUM')),
+    ...warnings.map(warning => toIssue(warning, 'LOW'))
+  ];
+}
+
+function getRuleId(issue) {
+  // 가이드라인: ruleId, 패턴: VectorDB issue_record_id, 그 외: 카테고리
+  return issue.ruleId ||
+    issue.patternInfo?.patternId ||
+    `${issue.source || 'unknown'}/${issue.category || 'general'}`;
+}
+
+function buildReportingDescriptor(ruleId, issue) {
+  const level = toSarifLevel(issue.severity);
+  const category = issue.category || 'general';
+  const properties = {
+    category,
+    source: issue.source,
+    tags: [category, issue.source].filter(Boolean)
+  };
+
+  if (category.includes('security')) {
+    properties['security-severity'] = SECURITY_SEVERITY_SCORES[issue.severity] || SECURITY_SEVERITY_SCORES.LOW;
+    properties.tags.push('security');
+  }
+
+  const descriptor = {
+    id: ruleId,
+    name: issue.title || ruleId,
+    shortDescription: { text: issue.title || ruleId },
+    defaultConfiguration: { level },
+    properties
+  };
+
+  // 패턴 규칙은 VectorDB 패턴 설명을 상세 설명으로 사용
+  const patternDescription = issue.patternInfo?.semanticSignature;
+  if (patternDescription) {
+    descriptor.fullDescription = { text: patternDescription };
+  }
+
+  return descriptor;
+}
+
+function buildSarifSuppression(suppressedBy) {
+  const suppression = {
+    kind: 'inSource',
+    properties: { directive: suppressedBy.directive, line: suppressedBy.line }
+  };
+  if (suppressedBy.reason) {
+    suppression.justification = suppressedBy.reason;
+  }
+  return suppression;
+}
+
+function toSarifLevel(severity) {
+  return SEVERITY_LEVELS[severity] || 'note';
+}
+
+function toArtifactUri(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+function buildRegion(location = {}, sourceLines) {
+  // SARIF 라인/컬럼은 1부터 시작 - 0이나 누락 값은 생략하거나 1로 보정
+  const lineCount = Math.max(sourceLines.length, 1);
+  const startLine = Math.min(Math.max(location.startLine || 1, 1), lineCount);
+  const endLine = Math.min(Math.max(location.endLine || startLine, startLine), lineCount);
+  const region = { startLine, endLine };
+
+  const startColumn = location.startColumn || location.column;
+  if (startColumn > 0) {
+    region.startColumn = startColumn;
+  }
+
+  return region;
+}
+
+/**
+ * 수정안을 SARIF fix로 변환 (교체 범위 계산은 resolveFixHunk 참고)
+ */
+function buildSarifFix(fix, issue, uri, sourceLines) {
+  const hunk = resolveFixHunk(fix, issue.location, sourceLines);
+  if (!hunk) return null;
+
+  return {
+    description: { text: fix.explanation || `${issue.title} 수정` },
+    artifactChanges: [{
+      artifactLocation: { uri, uriBaseId: '%SRCROOT%' },
+      replacements: [{
+        deletedRegion: { startLine: hunk.startLine, endLine: hunk.endLine },
+        insertedContent: { text: `${hunk.fixedLines.join('\n')}\n` }
+      }]
+    }]
+  };
+}
@@ -0,0 +1,216 @@
+/**
+ * 베이스라인(기존 이슈 억제) 관련 유틸리티 함수들
+ *
+ * check --write-baseline 실행 시 현재 이슈의 지문(fingerprint)을 베이스라인 파일로 기록하고,
+ * 이후 --baseline 실행에서는 베이스라인에 없는 신규 이슈만 보고하며 사라진 이슈는 해결됨으로 표시한다.
+ *
+ * 지문은 라인 번호 대신 다음 값으로 만든다 (위쪽 코드 추가/삭제로 라인이 밀려도 유지):
+ * - 규칙 ID (가이드라인 ruleId, 패턴 patternId, 없으면 제목)
+ * - 카테고리
+ * - 공백을 정규화한 이슈 위치 코드 조각
+ * - 이슈를 감싸는 메서드 (클래스명.메서드명(파라미터 수))
+ *
+ * 베이스라인 파일 구조:
+ * {
+ *   "version": 1,
+ *   "createdAt": "2025-10-23T...",
+ *   "files": {
+ *     "src/main/java/com/acme/OrderDao.java": [
+ *       { "fingerprint": "...", "ruleId": "...", "category": "...", "title": "...", "line": 42, "method": "OrderDao.find(1)" }
+ *     ]
+ *   }
+ * }
+ * 파일 경로는 베이스라인 파일 위치 기준 상대 경로 (단일 파일/프로젝트 검사에서 같은 베이스라인 공유)
+ *
+ * # TODO: Python 변환 시 hashlib.sha256 + dataclass로 대체
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+export const DEFAULT_BASELINE_FILE = '.jci-baseline.json';
+
+const BASELINE_VERSION = 1;
+
+// 여러 줄 이슈(메서드 전체 등)는 앞부분만 지문에 사용 (본문 일부 수정 시에도 같은 이슈로 인식)
+const MAX_SNIPPET_LINES = 3;
+
+/**
+ * 이슈 지문 생성 (라인 번호와 무관한 안정적인 식별자)
+ *
+ * @param {object} issue - 통합 이슈(location) 또는 가이드라인 위반(line)
+ * @param {string[]} sourceLines - 원본 코드 라인 배열
+ * @param {Array} methods - AST 메서드 정보 (astAnalysis.analysis.methodDeclarations)
+ * @returns {string} 24자리 16진수 지문
+ */
+export function createIssueFingerprint(issue, sourceLines, methods = []) {
+  const startLine = issue.location?.startLine || issue.line || 0;
+  const endLine = Math.max(issue.location?.endLine || startLine, startLine);
+
+  const snippet = startLine > 0
+    ? sourceLines
+      .slice(startLine - 1, Math.min(endLine, startLine + MAX_SNIPPET_LINES - 1))
+      .map(line => line.trim().replace(/\s+/g, ' '))
+      .join('\n')
+    : '';
+
+  const parts = [
+    getIssueRuleId(issue),
+    issue.category || '',
+    snippet,
+    findEnclosingMethod(startLine, methods)
+  ];
+
+  return crypto.createHash('sha256').update(parts.join('\u0000')).digest('hex').slice(0, 24);
+}
+
+/**
+ * 이슈 목록에 지문(fingerprint) 필드 추가
+ *
+ * @returns {Array} 같은 이슈 배열 (각 이슈에 fingerprint, enclosingMethod 설정)
+ */
+export function assignFingerprints(issues, sourceCode, methods = []) {
+  const sourceLines = sourceCode.split('\n');
+  issues.forEach(issue => {
+    issue.fingerprint = createIssueFingerprint(issue, sourceLines, methods);
+    issue.enclosingMethod = findEnclosingMethod(issue.location?.startLine || issue.line || 0, methods) || null;
+  });
+  return issues;
+}
+
+/**
+ * 지문이 설정된 이슈 목록을 베이스라인 항목으로 변환
+ */
+export function toBaselineEntries(issues) {
+  return issues
+    .map(issue => ({
+      fingerprint: issue.fingerprint,
+      ruleId: getIssueRuleId(issue),
+      category: issue.category || null,
+      title: issue.title || null,
+      line: issue.location?.startLine || issue.line || null,
+      method: issue.enclosingMethod || null
+    }))
+    .sort((a, b) => (a.line || 0) - (b.line || 0));
+}
+
+/**
+ * 베이스라인 적용: 신규 이슈 / 베이스라인 이슈 / 해결된 이슈 분류
+ *
+ * 같은 지문이 여러 번 나올 수 있으므로(같은 메서드의 동일 코드 반복) 지문별로 라인 순서대로 짝지어 비교:
+ * - 현재 이슈 중 베이스라인 개수만큼은 기존 이슈, 초과분(뒤쪽 라인)은 신규 이슈
+ * - 짝이 없는 베이스라인 항목(뒤쪽 라인)은 해결된 이슈
+ *
+ * @param {Array} issues - 지문이 설정된 현재 이슈 목록
+ * @param {Array} baselineEntries - 해당 파일의 베이스라인 항목
+ * @returns {object} { newIssues, baselinedIssues, resolvedEntries } (각각 입력 순서 유지)
+ */
+export function applyBaseline(issues, baselineEntries = []) {
+  const lineOf = item => item.location?.startLine || item.line || 0;
+  const byLine = items => [...items].sort((a, b) => lineOf(a) - lineOf(b));
+
+  const pendingEntries = new Map();
+  byLine(baselineEntries).forEach(entry => {
+    if (!pendingEntries.has(entry.fingerprint)) pendingEntries.set(entry.fingerprint, []);
+    pendingEntries.get(entry.fingerprint).push(entry);
+  });
+
+  const matchedEntries = new Set();
+  const baselined = new Set();
+  byLine(issues).forEach(issue => {
+    const entry = pendingEntries.get(issue.fingerprint)?.shift();
+    if (entry) {
+      matchedEntries.add(entry);
+      baselined.add(issue);
+    }
+  });
+
+  return {
+    newIssues: issues.filter(issue => !baselined.has(issue)),
+    baselinedIssues: issues.filter(issue => baselined.has(issue)),
+    resolvedEntries: baselineEntries.filter(entry => !matchedEntries.has(entry))
+  };
+}
+
+/**
+ * 베이스라인 파일 객체 생성
+ *
+ * @param {object} entriesByFile - { [베이스라인 기준 상대 경로]: baselineEntries }
+ */
+export function createBaseline(entriesByFile) {
+  const files = {};
+  Object.keys(entriesByFile).sort().forEach(filePath => {
+    files[filePath] = entriesByFile[filePath];
+  });
+
+  return {
+    version: BASELINE_VERSION,
+    createdAt: new Date().toISOString(),
+    files
+  };
+}
+
+/**
+ * --baseline / --write-baseline 인자를 베이스라인 파일 경로로 변환
+ *
+ * 값 없이 플래그만 준 경우 검사 루트의 .jci-baseline.json, 값이 있으면 현재 디렉토리 기준 경로
+ */
+export function resolveBaselinePath(optionValue, rootDir) {
+  return typeof optionValue === 'string'
+    ? path.resolve(optionValue)
+    : path.join(rootDir, DEFAULT_BASELINE_FILE);
+}
+
+/**
+ * 베이스라인 파일 내 파일 키 (베이스라인 파일 위치 기준 상대 경로, 구분자 /)
+ */
+export function toBaselineKey(baselinePath, absolutePath) {
+  return path.relative(path.dirname(baselinePath), absolutePath).split(path.sep).join('/');
+}
+
+/**
+ * 베이스라인 파일 로드 및 형식 검증
+ *
+ * @throws {Error} 파일이 없거나 형식/버전이 맞지 않는 경우
+ */
+export async function loadBaseline(baselinePath) {
+  let baseline;
+  try {
+    baseline = JSON.parse(await fs.readFile(baselinePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`베이스라인 로드 실패 (${baselinePath}): ${error.message}`);
+  }
+
+  if (baseline?.version !== BASELINE_VERSION || typeof baseline.files !== 'object') {
+    throw new Error(`지원하지 않는 베이스라인 형식입니다 (${baselinePath}). --write-baseline으로 다시 생성해주세요.`);
+  }
+
+  return baseline;
+}
+
+/**
+ * 베이스라인 파일 저장 (저장소에 커밋하는 파일이므로 REPORT_DIRECTORY가 아닌 지정 경로에 저장)
+ */
+export async function saveBaseline(baselinePath, baseline) {
+  try {
+    await fs.mkdir(path.dirname(baselinePath), { recursive: true });
+    await fs.writeFile(baselinePath, `${JSON.stringify(baseline, null, 2)}\n`, 'utf-8');
+  } catch (error) {
+    throw new Error(`베이스라인 저장 실패 (${baselinePath}): ${error.message}`);
+  }
+}
+
+function getIssueRuleId(issue) {
+  return issue.ruleId || issue.patternInfo?.patternId || issue.title || 'unknown';
+}
+
+function findEnclosingMethod(line, methods) {
+  // 중첩 메서드(익명 클래스 등)는 가장 안쪽 메서드 기준
+  const enclosing = methods
+    .filter(method => method.location?.startLine <= line && method.location?.endLine >= line)
+    .sort((a, b) => (a.location.endLine - a.location.startLine) - (b.location.endLine - b.location.startLine))[0];
+
+  if (!enclosing) return '';
+  return `${enclosing.className ? `${enclosing.className}.` : ''}${enclosing.name}(${enclosing.parameterCount ?? 0})`;
+}
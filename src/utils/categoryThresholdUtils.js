@@ -0,0 +1,377 @@
+/**
+ * 카테고리별 유사도 threshold 판정 + 자동 튜닝(tune-thresholds) 관련 유틸리티 함수들
+ *
+ * 판정 (VectorClient.searchWithCategoryThreshold와 같은 조건):
+ * - overall_score ≥ overall, 점수가 있는 syntactic/semantic/framework 컴포넌트가 각 threshold 이상
+ *
+ * 튜닝 입력 (승인/거절 라벨이 붙은 과거 매치):
+ * - eval-embeddings 결과 파일: 질의별 검색 결과의 relevant를 승인 여부로 사용 (카테고리는 질의 카테고리)
+ * - 매치 파일 ({ matches: [...] } 또는 [...]):
+ *   { "category": "resource_management", "patternId": "PATTERN-001", "score": 0.82,
+ *     "componentScores": { "syntactic": 0.9, "semantic": 0.8, "framework": 0.7, "context": 0.5 }, "accepted": true }
+ *
+ * 튜닝 방식 (카테고리별, F1 최대화):
+ * - threshold: 좌표 하강 (overall → syntactic → semantic → framework 순으로 한 값씩 grid 탐색, 개선이 없을 때까지 반복)
+ *   동률이면 precision이 높은 값, 그다음 현재 값에 가까운 값 선택
+ * - 가중치 (선택): 합이 1인 grid 가중치마다 전체 점수를 다시 계산하여 overall threshold만 탐색 → 최적 가중치로 threshold 전체 튜닝
+ *   전체 점수 = 컴포넌트 코사인의 w² 가중 평균 (컴포넌트 벡터 크기 정보가 없으므로 근사치, 4개 컴포넌트 점수가 모두 있는 매치만 사용)
+ *   현재/튜닝 지표 모두 같은 매치(weightSamples)로 계산하여 비교 (나머지 매치는 해당 카테고리 지표에서 제외)
+ *
+ * # NOTE: 가중치 튜닝 결과는 근사치 → 적용 전 패턴 재저장 후 eval-embeddings로 확인 권장
+ * # TODO: Python 변환 시 scikit-learn precision_recall_curve / optuna 기반 탐색으로 대체
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+const COMPONENTS = ['syntactic', 'semantic', 'framework'];
+const WEIGHT_COMPONENTS = ['syntactic', 'semantic', 'framework', 'context'];
+const MAX_DESCENT_ROUNDS = 10;
+
+export const DEFAULT_CATEGORY_THRESHOLDS = {
+  syntactic: 0.65,
+  semantic: 0.70,
+  framework: 0.65,
+  overall: 0.70
+};
+
+/**
+ * 카테고리 threshold 조회 (카테고리 → _default → 기본값 순)
+ *
+ * @param {string} category - 카테고리
+ * @param {object|null} categoryThresholds - category-thresholds.json 내용
+ * @returns {object} { syntactic, semantic, framework, overall, ... }
+ */
+export function getCategoryThresholds(category, categoryThresholds) {
+  return categoryThresholds?.[category] || categoryThresholds?.['_default'] || DEFAULT_CATEGORY_THRESHOLDS;
+}
+
+/**
+ * 검색 결과가 카테고리 threshold를 만족하는지 확인
+ *
+ * @param {object} result - { overall_score, component_scores }
+ * @param {object} thresholds - { overall, syntactic, semantic, framework }
+ * @returns {boolean} overall과 (점수가 있는) 컴포넌트가 모두 threshold 이상이면 true
+ */
+export function meetsCategoryThreshold(result, thresholds) {
+  const cs = result.component_scores || {};
+
+  return result.overall_score >= thresholds.overall &&
+          (cs.syntactic === undefined || cs.syntactic >= thresholds.syntactic) &&
+          (cs.semantic === undefined || cs.semantic >= thresholds.semantic) &&
+          (cs.framework === undefined || cs.framework >= thresholds.framework);
+}
+
+/**
+ * 라벨링된 매치 파일들 로드
+ *
+ * @param {string[]} filePaths - eval-embeddings 결과 또는 매치 파일 경로 목록
+ * @returns {Promise<object>} { sources: [{ path, sha256, format, matches }], samples: [{ category, patternId, accepted, overall_score, component_scores }] }
+ * @throws {Error} 파일 읽기/파싱 실패, 잘못된 항목
+ */
+export async function loadLabelledMatches(filePaths) {
+  const sources = [];
+  const samples = [];
+
+  for (const filePath of filePaths) {
+    const sourcePath = path.resolve(filePath);
+    let content;
+    let data;
+    try {
+      content = await fs.readFile(sourcePath, 'utf-8');
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`매치 파일 읽기/파싱 실패 (${sourcePath}): ${error.message}`);
+    }
+
+    const isEvalReport = Array.isArray(data?.results) && data.results.every(result => Array.isArray(result?.results));
+    const fileSamples = isEvalReport ? samplesFromEvalReport(data) : samplesFromMatches(data, sourcePath);
+
+    sources.push({
+      path: sourcePath,
+      sha256: crypto.createHash('sha256').update(content).digest('hex'),
+      format: isEvalReport ? 'eval-embeddings' : 'matches',
+      matches: fileSamples.length
+    });
+    samples.push(...fileSamples);
+  }
+
+  return { sources, samples };
+}
+
+/**
+ * threshold 조합의 분류 성능 (승인 = 정답, threshold 통과 = 예측)
+ *
+ * @param {Array} samples - loadLabelledMatches() 결과의 samples
+ * @param {object} thresholds - { overall, syntactic, semantic, framework }
+ * @returns {object} { tp, fp, fn, precision, recall, f1 }
+ */
+export function scoreThresholds(samples, thresholds) {
+  let tp = 0;
+  let fp = 0;
+  let fn = 0;
+
+  for (const sample of samples) {
+    const passed = meetsCategoryThreshold(sample, thresholds);
+    if (passed && sample.accepted) tp++;
+    else if (passed) fp++;
+    else if (sample.accepted) fn++;
+  }
+
+  return toMetrics(tp, fp, fn);
+}
+
+/**
+ * 카테고리별 threshold (선택: 컴포넌트 가중치) 튜닝
+ *
+ * 매치가 minSamples 미만이거나 승인 매치가 없는 카테고리는 현재 값 유지 (status: 'skipped')
+ *
+ * @param {Array} samples - loadLabelledMatches() 결과의 samples
+ * @param {object|null} currentThresholds - 현재 category-thresholds.json 내용
+ * @param {object} options - { step: threshold grid 간격, minSamples, currentWeights: embedding-weights.json 내용 (가중치 튜닝 시), weightStep }
+ * @returns {object} { categories: { [category]: { samples, accepted, status, reason?, weightSamples?, current, tuned } },
+ *                    (가중치 튜닝 시 current/tuned 모두 weightSamples개 매치 기준 지표 + weightSamples 기록)
+ *                    summary: { categories, tunedCategories, skippedCategories, current: 전체 지표, tuned: 전체 지표 } }
+ */
+export function tuneCategoryThresholds(samples, currentThresholds, { step = 0.05, minSamples = 5, currentWeights = null, weightStep = 0.05 } = {}) {
+  const grid = buildGrid(step);
+  const byCategory = new Map();
+  samples.forEach(sample => {
+    if (!byCategory.has(sample.category)) byCategory.set(sample.category, []);
+    byCategory.get(sample.category).push(sample);
+  });
+
+  const categories = {};
+  for (const [category, categorySamples] of byCategory) {
+    const thresholds = pickThresholdValues(getCategoryThresholds(category, currentThresholds));
+    const accepted = categorySamples.filter(sample => sample.accepted).length;
+    const current = { thresholds, metrics: scoreThresholds(categorySamples, thresholds) };
+    const entry = { samples: categorySamples.length, accepted, status: 'tuned', current, tuned: current };
+
+    if (categorySamples.length < minSamples || accepted === 0) {
+      entry.status = 'skipped';
+      entry.reason = accepted === 0 ? '승인된 매치 없음' : `매치 수 부족 (${categorySamples.length} < ${minSamples})`;
+      categories[category] = entry;
+      continue;
+    }
+
+    if (currentWeights) {
+      const weights = pickWeightValues(currentWeights[category] || currentWeights['_default']);
+      const weighted = categorySamples.filter(sample => WEIGHT_COMPONENTS.every(component => typeof sample.component_scores[component] === 'number'));
+
+      if (weights && weighted.length >= minSamples) {
+        const bestWeights = searchWeights(weighted, weights, thresholds, grid, weightStep);
+        const rescored = rescoreSamples(weighted, bestWeights);
+        entry.weightSamples = weighted.length;
+        entry.current = { thresholds, weights, metrics: scoreThresholds(weighted, thresholds), weightSamples: weighted.length };
+        entry.tuned = { weights: bestWeights, ...descendThresholds(rescored, thresholds, grid), weightSamples: weighted.length };
+        categories[category] = entry;
+        continue;
+      }
+      entry.weightSkipReason = weights ? `컴포넌트 점수가 모두 있는 매치 부족 (${weighted.length} < ${minSamples})` : '현재 가중치 없음';
+    }
+
+    entry.tuned = descendThresholds(categorySamples, thresholds, grid);
+    categories[category] = entry;
+  }
+
+  const entries = Object.values(categories);
+  return {
+    categories,
+    summary: {
+      categories: entries.length,
+      tunedCategories: entries.filter(entry => entry.status === 'tuned').length,
+      skippedCategories: entries.filter(entry => entry.status === 'skipped').length,
+      current: sumMetrics(entries.map(entry => entry.current.metrics)),
+      tuned: sumMetrics(entries.map(entry => entry.tuned.metrics))
+    }
+  };
+}
+
+/**
+ * 튜닝 결과를 반영한 새 설정 파일 내용 생성 (기존 항목/설명/_metadata 유지, 튜닝된 카테고리 값만 교체)
+ *
+ * @param {object|null} currentData - 현재 설정 파일 내용 (없으면 빈 객체에서 시작)
+ * @param {object} tuning - tuneCategoryThresholds() 결과
+ * @param {string} field - 'thresholds' | 'weights'
+ * @param {object} metadata - _metadata.tuning에 기록할 정보 (입력 파일 등)
+ * @returns {object} 새 설정 파일 내용
+ */
+export function buildTunedConfigFile(currentData, tuning, field, metadata) {
+  const output = structuredClone(currentData || {});
+
+  for (const [category, entry] of Object.entries(tuning.categories)) {
+    const values = entry.tuned[field];
+    if (entry.status !== 'tuned' || !values) continue;
+
+    output[category] = {
+      ...(output[category] || { description: `자동 튜닝 (매치 ${entry.samples}개)` }),
+      ...Object.fromEntries(Object.entries(values).map(([key, value]) => [key, Number(value.toFixed(2))]))
+    };
+  }
+
+  output._metadata = {
+    ...(output._metadata || {}),
+    last_updated: new Date().toISOString().slice(0, 10),
+    tuning: {
+      ...metadata,
+      categories: Object.entries(tuning.categories)
+        .filter(([, entry]) => entry.status === 'tuned' && entry.tuned[field])
+        .map(([category]) => category)
+    }
+  };
+  return output;
+}
+
+function samplesFromEvalReport(report) {
+  return report.results.flatMap(query => query.results.map(candidate => ({
+    category: query.category || '_default',
+    patternId: candidate.id,
+    accepted: candidate.relevant === true,
+    overall_score: candidate.score,
+    component_scores: candidate.componentScores || {}
+  }))).filter(sample => typeof sample.overall_score === 'number');
+}
+
+function samplesFromMatches(data, sourcePath) {
+  const matches = Array.isArray(data) ? data : data?.matches;
+  if (!Array.isArray(matches)) {
+    throw new Error(`올바른 매치 파일 형식이 아닙니다 (${sourcePath}). 예상 형식: { matches: [...] }, [...] 또는 eval-embeddings 결과`);
+  }
+
+  return matches.map((match, index) => {
+    if (typeof match?.category !== 'string' || typeof match.score !== 'number' || typeof match.accepted !== 'boolean') {
+      throw new Error(`매치 항목 ${path.basename(sourcePath)}[${index}]: category(문자열), score(숫자), accepted(true/false)가 필요합니다`);
+    }
+    return {
+      category: match.category,
+      patternId: match.patternId || null,
+      accepted: match.accepted,
+      overall_score: match.score,
+      component_scores: match.componentScores || {}
+    };
+  });
+}
+
+function descendThresholds(samples, initial, grid) {
+  let best = { thresholds: { ...initial }, metrics: scoreThresholds(samples, initial) };
+
+  for (let round = 0; round < MAX_DESCENT_ROUNDS; round++) {
+    let improved = false;
+    for (const key of ['overall', ...COMPONENTS]) {
+      for (const value of grid) {
+        const thresholds = { ...best.thresholds, [key]: value };
+        const metrics = scoreThresholds(samples, thresholds);
+        if (isBetter(metrics, best.metrics, Math.abs(value - initial[key]), Math.abs(best.thresholds[key] - initial[key]))) {
+          best = { thresholds, metrics };
+          improved = true;
+        }
+      }
+    }
+    if (!improved) break;
+  }
+
+  return best;
+}
+
+// 가중치 grid마다 overall threshold만 탐색 (컴포넌트 threshold는 현재 값 고정)
+function searchWeights(samples, currentWeights, thresholds, grid, weightStep) {
+  let best = null;
+
+  for (const weights of buildWeightGrid(weightStep)) {
+    const rescored = rescoreSamples(samples, weights);
+    const distance = WEIGHT_COMPONENTS.reduce((sum, component) => sum + Math.abs(weights[component] - currentWeights[component]), 0);
+
+    for (const overall of grid) {
+      const metrics = scoreThresholds(rescored, { ...thresholds, overall });
+      if (!best || isBetter(metrics, best.metrics, distance, best.distance)) {
+        best = { weights, metrics, distance };
+      }
+    }
+  }
+
+  return best.weights;
+}
+
+function rescoreSamples(samples, weights) {
+  const totalWeight = WEIGHT_COMPONENTS.reduce((sum, component) => sum + weights[component] ** 2, 0);
+  return samples.map(sample => ({
+    ...sample,
+    overall_score: totalWeight === 0 ? 0 : WEIGHT_COMPONENTS.reduce(
+      (sum, component) => sum + weights[component] ** 2 * sample.component_scores[component], 0
+    ) / totalWeight
+  }));
+}
+
+// F1 → precision → 기준값과의 거리 순으로 비교
+function isBetter(metrics, bestMetrics, distance, bestDistance) {
+  const EPSILON = 1e-9;
+  const f1 = metrics.f1 ?? 0;
+  const bestF1 = bestMetrics.f1 ?? 0;
+  if (f1 > bestF1 + EPSILON) return true;
+  if (f1 < bestF1 - EPSILON) return false;
+
+  const precision = metrics.precision ?? 0;
+  const bestPrecision = bestMetrics.precision ?? 0;
+  if (precision > bestPrecision + EPSILON) return true;
+  if (precision < bestPrecision - EPSILON) return false;
+
+  return distance < bestDistance - EPSILON;
+}
+
+function buildGrid(step) {
+  const count = Math.round(1 / step);
+  return Array.from({ length: count + 1 }, (_, index) => Number((index * step).toFixed(4)));
+}
+
+function buildWeightGrid(step) {
+  const units = Math.round(1 / step);
+  const combinations = [];
+  for (let syntactic = 0; syntactic <= units; syntactic++) {
+    for (let semantic = 0; semantic <= units - syntactic; semantic++) {
+      for (let framework = 0; framework <= units - syntactic - semantic; framework++) {
+        const context = units - syntactic - semantic - framework;
+        combinations.push({
+          syntactic: syntactic / units,
+          semantic: semantic / units,
+          framework: framework / units,
+          context: context / units
+        });
+      }
+    }
+  }
+  return combinations;
+}
+
+function pickThresholdValues(thresholds) {
+  return Object.fromEntries(['overall', ...COMPONENTS].map(key => [key, thresholds[key] ?? DEFAULT_CATEGORY_THRESHOLDS[key]]));
+}
+
+function pickWeightValues(weights) {
+  if (!weights || WEIGHT_COMPONENTS.some(component => typeof weights[component] !== 'number')) return null;
+  return Object.fromEntries(WEIGHT_COMPONENTS.map(component => [component, weights[component]]));
+}
+
+function sumMetrics(metricsList) {
+  return toMetrics(
+    metricsList.reduce((sum, metrics) => sum + metrics.tp, 0),
+    metricsList.reduce((sum, metrics) => sum + metrics.fp, 0),
+    metricsList.reduce((sum, metrics) => sum + metrics.fn, 0)
+  );
+}
+
+function toMetrics(tp, fp, fn) {
+  return {
+    tp,
+    fp,
+    fn,
+    precision: toRatio(tp, tp + fp),
+    recall: toRatio(tp, tp + fn),
+    f1: toRatio(2 * tp, 2 * tp + fp + fn)
+  };
+}
+
+function toRatio(numerator, denominator) {
+  return denominator === 0 ? null : Number((numerator / denominator).toFixed(3));
+}
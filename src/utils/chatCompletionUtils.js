@@ -0,0 +1,126 @@
+/**
+ * OpenAI 호환 Chat Completions API(/chat/completions) 관련 유틸리티 함수들
+ *
+ * LiteLLM, llama.cpp server, LM Studio 등 OpenAI 호환 게이트웨이를 provider 'openai' 하나로 사용하기 위해
+ * vLLM / OpenAI 호환 provider 전송(llmProviders.js)과 LLMPipeline이 사용하는 요청 본문 생성, 응답 파싱, 토큰 사용량 집계를 담당한다.
+ *
+ * 지원 옵션 (generateCompletion options):
+ * - systemPrompt: system 메시지 (생략 시 config.llm.openai.systemPrompt, null이면 system 메시지 없음)
+ * - responseFormat: 'json' → { type: 'json_object' }, 객체면 그대로 response_format으로 전달
+ *   (생략 시 config.llm.openai.responseFormat, 서버가 거부하면 호출부에서 제거 후 재시도)
+ * - temperature, max_tokens / num_predict, top_p, stop
+ *
+ * # TODO: Python 변환 시 openai SDK(base_url 지정)로 대체
+ */
+
+import { config } from '../config.js';
+
+/**
+ * Chat Completions 요청 본문 생성
+ *
+ * @param {string} model - 모델명
+ * @param {string} prompt - user 메시지
+ * @param {object} options - 생성 옵션
+ * @returns {object} 요청 본문
+ */
+export function buildChatCompletionBody(model, prompt, options = {}) {
+  const systemPrompt = options.systemPrompt !== undefined ? options.systemPrompt : config.llm.openai.systemPrompt;
+  const responseFormat = toResponseFormat(options.responseFormat ?? config.llm.openai.responseFormat);
+
+  const messages = [];
+  if (systemPrompt) {
+    messages.push({ role: 'system', content: systemPrompt });
+  }
+  messages.push({ role: 'user', content: prompt });
+
+  return {
+    model,
+    messages,
+    temperature: options.temperature ?? 0.1,
+    max_tokens: options.max_tokens || options.num_predict || 2000,
+    top_p: options.top_p || 0.95,
+    stream: false,
+    ...(options.stop && { stop: options.stop }),
+    ...(responseFormat && { response_format: responseFormat })
+  };
+}
+
+/**
+ * Chat Completions 응답에서 본문과 토큰 사용량 추출
+ *
+ * @param {object} data - API 응답 JSON
+ * @returns {object} { content, usage: { promptTokens, completionTokens, totalTokens } | null }
+ * @throws {Error} choices가 없는 응답
+ */
+export function parseChatCompletionResponse(data) {
+  const message = data?.choices?.[0]?.message;
+  if (!message) {
+    throw new Error('OpenAI 호환 응답에 choices[0].message가 없습니다');
+  }
+
+  const usage = data.usage
+    ? {
+      promptTokens: data.usage.prompt_tokens || 0,
+      completionTokens: data.usage.completion_tokens || 0,
+      totalTokens: data.usage.total_tokens || (data.usage.prompt_tokens || 0) + (data.usage.completion_tokens || 0)
+    }
+    : null;
+
+  return { content: message.content || '', usage };
+}
+
+/**
+ * 누적 토큰 사용량에 1회 호출분 합산
+ *
+ * @param {object} total - { requests, promptTokens, completionTokens, totalTokens } (변경됨)
+ * @param {object|null} usage - parseChatCompletionResponse() 결과의 usage
+ * @returns {object} total
+ */
+export function addTokenUsage(total, usage) {
+  total.requests++;
+  if (usage) {
+    total.promptTokens += usage.promptTokens;
+    total.completionTokens += usage.completionTokens;
+    total.totalTokens += usage.totalTokens;
+  }
+  return total;
+}
+
+/**
+ * 빈 토큰 사용량 집계 객체
+ *
+ * @returns {object} { requests, promptTokens, completionTokens, totalTokens }
+ */
+export function createTokenUsage() {
+  return { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+}
+
+/**
+ * 서버가 response_format을 지원하지 않아 거부한 오류인지 판별 (400 + response_format 언급)
+ *
+ * @param {number} status - HTTP 상태 코드
+ * @param {string} errorText - 오류 응답 본문
+ * @returns {boolean}
+ */
+export function isResponseFormatRejected(status, errorText) {
+  return status === 400 && /response_format|json_object|json_schema/i.test(errorText || '');
+}
+
+/**
+ * 인증 헤더 (API 키가 있는 게이트웨이만)
+ *
+ * @returns {object} 요청 헤더
+ */
+export function buildChatCompletionHeaders() {
+  return {
+    'Content-Type': 'application/json',
+    'Accept': 'application/json',
+    ...(config.llm.openai.apiKey && { 'Authorization': `Bearer ${config.llm.openai.apiKey}` })
+  };
+}
+
+function toResponseFormat(responseFormat) {
+  if (!responseFormat) return null;
+  if (responseFormat === 'json') return { type: 'json_object' };
+  return typeof responseFormat === 'object' ? responseFormat : null;
+}
@@ -0,0 +1,308 @@
+/**
+ * 맥락적(LLM) 가이드라인 검사용 코드 분할 유틸리티 함수들
+ *
+ * 큰 클래스는 잘라내기(truncateCode) 대신 멤버 단위 청크로 나누어 모든 코드를 검사한다.
+ * 각 청크는 헤더(package, 클래스 선언부 + 본문이 참조하는 import/필드) + 멤버 본문(메서드, 초기화 블록 등)으로 구성되고,
+ * 청크 라인 → 원본 라인 매핑(lineMap)을 함께 보관하여 LLM이 보고한 라인 번호를 원본 파일 기준으로 복원한다.
+ *
+ * 분할 규칙:
+ * - 코드 길이가 maxChars 이하이면 파일 전체를 하나의 청크로 사용 (라인 매핑은 항등)
+ * - CST 분석 시 최상위 메서드(중첩 익명 클래스 메서드 제외) 범위를 멤버 단위로 사용
+ * - 헤더/메서드 밖의 나머지 코드(초기화 블록, enum 상수 등)는 연속된 라인 묶음 단위로 사용
+ * - 정규식 폴백 분석이면 헤더 외 전체를 라인 묶음으로 보고 크기 기준으로 분할
+ * - 고정 헤더(package, 클래스 선언부)만 항상 포함, import/필드는 청크 본문이 이름을 참조하는 것만
+ *   남는 공간 안에서 원본 순서대로 포함하고 나머지는 생략 (import/필드가 많은 클래스도 본문이 잘리지 않도록)
+ * - 멤버를 순서대로 채워 헤더(참조 import/필드 포함) + 본문이 maxChars를 넘지 않게 묶고,
+ *   예산(maxChars - 고정 헤더 길이, 최소 maxChars/2)보다 큰 멤버는 라인 단위로 다시 나눔
+ *   (멤버 하나만으로 넘치는 청크는 참조 import/필드 일부를 생략)
+ * - 떨어진 구간 사이에는 "// ..." 생략 표시 라인 삽입 (원본 라인 없음 → lineMap null)
+ * - 청크 코드는 maxChars 이하로 만들어지므로 호출 측에서 다시 잘라내지 않음
+ *
+ * # TODO: Python 변환 시 dataclass(CodeChunk)로 청크 구조 정의
+ */
+
+const ELISION_LINE = '    // ...';
+
+/**
+ * 맥락적 검사용 코드 청크 생성
+ *
+ * @param {string} sourceCode - 원본 소스 코드
+ * @param {object} astAnalysis - parseJavaCode() 결과
+ * @param {object} options - { maxChars: 청크 최대 길이 (헤더 포함 기준) }
+ * @returns {Array} [{ label, code, lineMap, bodyStartLine, bodyEndLine, methods, bodyText }]
+ */
+export function buildContextualChunks(sourceCode, astAnalysis, { maxChars = 4000 } = {}) {
+  const lines = sourceCode.split('\n');
+
+  if (sourceCode.length <= maxChars) {
+    const allLines = lines.map((_, index) => index + 1);
+    return [createChunk(lines, [], [{ label: 'file', startLine: 1, endLine: lines.length, methods: [] }], allLines)];
+  }
+
+  const analysis = astAnalysis?.parseMode === 'cst' ? astAnalysis.analysis : null;
+  const methodRanges = collectMethodRanges(analysis);
+  const header = collectHeader(lines, analysis, methodRanges);
+  const headerLines = [...header.fixedLines, ...header.entries.flatMap(entry => entry.lines)];
+
+  // 고정 헤더 라인마다 앞에 생략 표시가 붙을 수 있으므로 그만큼 여유를 둠
+  const fixedChars = header.fixedLines.reduce((sum, lineNumber) => sum + lines[lineNumber - 1].length + 1, 0) +
+    (header.fixedLines.length + 1) * (ELISION_LINE.length + 1);
+  const bodyBudget = Math.max(maxChars - fixedChars, Math.floor(maxChars / 2));
+
+  const units = collectMemberUnits(lines, headerLines, methodRanges)
+    .flatMap(unit => splitOversizedUnit(lines, unit, bodyBudget));
+
+  // 멤버를 순서대로 채워 청크 구성 (본문이 참조하는 import/필드까지 포함한 길이로 판단)
+  const chunks = [];
+  let current = [];
+
+  units.forEach(unit => {
+    const candidate = [...current, unit];
+    if (current.length > 0 && createChunk(lines, referencedHeaderLines(lines, header, candidate), candidate).code.length > maxChars) {
+      chunks.push(createSizedChunk(lines, header, current, maxChars));
+      current = [unit];
+    } else {
+      current = candidate;
+    }
+  });
+  if (current.length > 0) {
+    chunks.push(createSizedChunk(lines, header, current, maxChars));
+  }
+
+  return chunks;
+}
+
+/**
+ * LLM이 보고한 청크 기준 라인 번호를 원본 파일 라인 번호로 변환
+ *
+ * 생략 표시 라인은 다음 원본 라인으로, 범위 밖이거나 숫자가 아니면 청크 본문 첫 라인으로 대체
+ *
+ * @param {object} chunk - buildContextualChunks() 결과 항목
+ * @param {number|string} line - LLM 응답의 라인 번호 (1부터)
+ * @returns {number} 원본 라인 번호
+ */
+export function mapChunkLine(chunk, line) {
+  const index = Number.parseInt(line, 10) - 1;
+  if (!Number.isInteger(index) || index < 0 || index >= chunk.lineMap.length) {
+    return chunk.bodyStartLine;
+  }
+  return chunk.lineMap[index] ?? chunk.lineMap.slice(index).find(Boolean) ?? chunk.bodyStartLine;
+}
+
+// 최상위 메서드 범위 (익명/지역 클래스 메서드처럼 다른 메서드 안에 있는 범위는 바깥 메서드에 포함)
+function collectMethodRanges(analysis) {
+  const ranges = (analysis?.methodDeclarations || [])
+    .filter(method => method.location?.startLine && method.location?.endLine)
+    .map(method => ({ name: method.name, startLine: method.location.startLine, endLine: method.location.endLine }))
+    .sort((a, b) => a.startLine - b.startLine || b.endLine - a.endLine);
+
+  return ranges.filter(range => !ranges.some(other =>
+    other !== range && other.startLine <= range.startLine && other.endLine >= range.endLine &&
+    (other.startLine !== range.startLine || other.endLine !== range.endLine)
+  ));
+}
+
+// 헤더: 고정 라인(package, 클래스 선언부: 선언 시작 ~ 여는 중괄호) + 선택 항목(import, 메서드 밖 필드 선언)
+// 선택 항목은 { lines, names } (names: 본문에서 참조 여부를 판단할 이름, 와일드카드 import는 없음)
+function collectHeader(lines, analysis, methodRanges) {
+  const fixed = new Set();
+  const entries = [];
+  const insideMethod = lineNumber => methodRanges.some(range => range.startLine <= lineNumber && range.endLine >= lineNumber);
+
+  lines.forEach((line, index) => {
+    if (/^\s*package\s/.test(line)) fixed.add(index + 1);
+
+    const importMatch = line.match(/^\s*import\s+(?:static\s+)?([\w.]+?)(\.\*)?\s*;/);
+    if (importMatch) {
+      entries.push({ lines: [index + 1], names: importMatch[2] ? [] : [importMatch[1].split('.').pop()] });
+    }
+  });
+
+  if (analysis) {
+    (analysis.classDeclarations || [])
+      .filter(classInfo => classInfo.location?.startLine && !insideMethod(classInfo.location.startLine))
+      .forEach(classInfo => {
+        let lineNumber = classInfo.location.startLine;
+        fixed.add(lineNumber);
+        while (!lines[lineNumber - 1].includes('{') && lineNumber < classInfo.location.endLine) {
+          lineNumber++;
+          fixed.add(lineNumber);
+        }
+      });
+
+    // 같은 라인을 공유하는 선언자(int a, b;)는 하나의 항목으로 묶음
+    (analysis.variableDeclarations || [])
+      .filter(variable => variable.isField && variable.location?.startLine && !insideMethod(variable.location.startLine))
+      .forEach(variable => {
+        const variableLines = [];
+        for (let lineNumber = variable.location.startLine; lineNumber <= variable.location.endLine; lineNumber++) {
+          if (!fixed.has(lineNumber)) variableLines.push(lineNumber);
+        }
+        const shared = entries.find(entry => entry.lines.some(lineNumber => variableLines.includes(lineNumber)));
+        if (shared) {
+          shared.lines = [...new Set([...shared.lines, ...variableLines])].sort((a, b) => a - b);
+          shared.names.push(variable.name);
+        } else if (variableLines.length > 0) {
+          entries.push({ lines: variableLines, names: [variable.name] });
+        }
+      });
+  } else {
+    lines.forEach((line, index) => {
+      if (/\b(class|interface|enum|record)\s+\w+/.test(line) && !/^\s*(\/\/|\*)/.test(line)) fixed.add(index + 1);
+    });
+  }
+
+  return {
+    fixedLines: [...fixed].sort((a, b) => a - b),
+    entries: entries
+      .filter(entry => entry.lines.every(lineNumber => !fixed.has(lineNumber)))
+      .sort((a, b) => a.lines[0] - b.lines[0])
+  };
+}
+
+// 본문(units)이 이름을 참조하는 import/필드 항목 (참조된 필드의 타입/초기화식이 참조하는 import 포함)
+function findReferencedEntries(lines, header, units) {
+  const identifiers = new Set();
+  const collect = lineNumber => (lines[lineNumber - 1].match(/[A-Za-z_$][\w$]*/g) || [])
+    .forEach(identifier => identifiers.add(identifier));
+
+  units.forEach(unit => {
+    for (let lineNumber = unit.startLine; lineNumber <= unit.endLine; lineNumber++) collect(lineNumber);
+  });
+  header.entries
+    .filter(entry => entry.names.some(name => identifiers.has(name)))
+    .forEach(entry => entry.lines.forEach(collect));
+
+  return header.entries.filter(entry => entry.names.some(name => identifiers.has(name)));
+}
+
+function referencedHeaderLines(lines, header, units) {
+  return [...header.fixedLines, ...findReferencedEntries(lines, header, units).flatMap(entry => entry.lines)];
+}
+
+// 고정 헤더 + 본문 청크에 본문이 참조하는 import/필드를 maxChars 안에서 원본 순서대로 추가
+function createSizedChunk(lines, header, units, maxChars) {
+  const base = createChunk(lines, header.fixedLines, units);
+  const referenced = findReferencedEntries(lines, header, units);
+
+  // 항목마다 생략 표시 1줄이 늘어날 수 있다고 보고 추가한 뒤, 실제 길이가 넘치면 뒤에서부터 제외
+  const selected = [];
+  let remaining = maxChars - base.code.length;
+  for (const entry of referenced) {
+    const cost = entry.lines.reduce((sum, lineNumber) => sum + lines[lineNumber - 1].length + 1, 0) + ELISION_LINE.length + 1;
+    if (cost <= remaining) {
+      selected.push(entry);
+      remaining -= cost;
+    }
+  }
+
+  let chunk = createChunk(lines, [...header.fixedLines, ...selected.flatMap(entry => entry.lines)], units);
+  while (chunk.code.length > maxChars && selected.length > 0) {
+    selected.pop();
+    chunk = createChunk(lines, [...header.fixedLines, ...selected.flatMap(entry => entry.lines)], units);
+  }
+  return chunk;
+}
+
+// 멤버 단위: 메서드 범위 + 헤더/메서드 밖의 나머지 코드 라인 묶음 (빈 줄, 중괄호만 있는 줄, 주석 제외)
+function collectMemberUnits(lines, headerLines, methodRanges) {
+  const headerSet = new Set(headerLines);
+  const units = methodRanges.map(range => ({
+    label: `method:${range.name}`,
+    startLine: range.startLine,
+    endLine: range.endLine,
+    methods: [range.name]
+  }));
+
+  let runStart = null;
+  const closeRun = endLine => {
+    if (runStart !== null) {
+      units.push({ label: `lines:${runStart}-${endLine}`, startLine: runStart, endLine, methods: [] });
+      runStart = null;
+    }
+  };
+
+  lines.forEach((line, index) => {
+    const lineNumber = index + 1;
+    const covered = headerSet.has(lineNumber) ||
+      methodRanges.some(range => range.startLine <= lineNumber && range.endLine >= lineNumber);
+    const trimmed = line.trim();
+    const isFiller = !trimmed || /^[{}]+;?$/.test(trimmed) || /^(\/\/|\/\*|\*)/.test(trimmed);
+
+    if (covered || isFiller) {
+      closeRun(lineNumber - 1);
+    } else if (runStart === null) {
+      runStart = lineNumber;
+    }
+  });
+  closeRun(lines.length);
+
+  return units.sort((a, b) => a.startLine - b.startLine);
+}
+
+function splitOversizedUnit(lines, unit, budget) {
+  if (countChars(lines, unit.startLine, unit.endLine) <= budget) return [unit];
+
+  const parts = [];
+  let startLine = unit.startLine;
+  let chars = 0;
+
+  for (let lineNumber = unit.startLine; lineNumber <= unit.endLine; lineNumber++) {
+    const lineChars = lines[lineNumber - 1].length + 1;
+    if (lineNumber > startLine && chars + lineChars > budget) {
+      parts.push({ ...unit, label: `${unit.label}@${startLine}-${lineNumber - 1}`, startLine, endLine: lineNumber - 1 });
+      startLine = lineNumber;
+      chars = 0;
+    }
+    chars += lineChars;
+  }
+  parts.push({ ...unit, label: `${unit.label}@${startLine}-${unit.endLine}`, startLine, endLine: unit.endLine });
+
+  return parts;
+}
+
+function createChunk(lines, headerLines, units, bodyLines = null) {
+  const body = bodyLines || units.flatMap(unit =>
+    Array.from({ length: unit.endLine - unit.startLine + 1 }, (_, offset) => unit.startLine + offset)
+  );
+  const lineNumbers = [...new Set([...headerLines, ...body])].sort((a, b) => a - b);
+
+  const code = [];
+  const lineMap = [];
+  lineNumbers.forEach((lineNumber, index) => {
+    const previous = lineNumbers[index - 1];
+    if (index > 0 && lineNumber !== previous + 1) {
+      // 빈 줄만 건너뛴 경우는 그대로 포함, 코드를 건너뛴 경우만 생략 표시
+      const gap = lines.slice(previous, lineNumber - 1);
+      if (gap.every(line => !line.trim())) {
+        gap.forEach((line, offset) => {
+          code.push(line);
+          lineMap.push(previous + offset + 1);
+        });
+      } else {
+        code.push(ELISION_LINE);
+        lineMap.push(null);
+      }
+    }
+    code.push(lines[lineNumber - 1]);
+    lineMap.push(lineNumber);
+  });
+
+  return {
+    label: units.length === 1 ? units[0].label : `${units[0].label} ~ ${units[units.length - 1].label}`,
+    code: code.join('\n'),
+    lineMap,
+    bodyStartLine: units[0].startLine,
+    bodyEndLine: units[units.length - 1].endLine,
+    methods: [...new Set(units.flatMap(unit => unit.methods))],
+    bodyText: body.map(lineNumber => lines[lineNumber - 1]).join('\n')
+  };
+}
+
+function countChars(lines, startLine, endLine) {
+  let chars = 0;
+  for (let lineNumber = startLine; lineNumber <= endLine; lineNumber++) {
+    chars += lines[lineNumber - 1].length + 1;
+  }
+  return chars;
+}
@@ -88,4 +88,47 @@ export function addLineNumbers(code, startLine = 1) {
     const closeBraces = (fixedCode.match(/\}/g) || []).length;
   
     return hasClass && Math.abs(openBraces - closeBraces) <= 2;
-  }
\ No newline at end of file
+  }
+  /**
+   * 수정안이 원본 코드의 어느 라인 범위를 무엇으로 교체하는지 계산
+   *
+   * 수정안 형식별 처리:
+   * - fixedLine (check-guidelines --fix): 이슈 라인 1줄 교체
+   * - fixedCode가 원본과 라인 수가 같은 전체 파일 (가이드라인 자동 수정): 변경된 라인 범위만 교체
+   * - fixedCode가 코드 조각 (패턴 수정안): 이슈 위치 범위를 조각으로 교체
+   *
+   * @returns {object|null} { startLine, endLine, fixedLines } (1부터 시작, 변경 없음/수정 코드 없음은 null)
+   */
+  export function resolveFixHunk(fix, location = {}, sourceLines) {
+    const lineCount = Math.max(sourceLines.length, 1);
+    const startLine = Math.min(Math.max(location.startLine || 1, 1), lineCount);
+    const endLine = Math.min(Math.max(location.endLine || startLine, startLine), lineCount);
+
+    if (fix.fixedLine) {
+      return { startLine, endLine: startLine, fixedLines: [fix.fixedLine] };
+    }
+
+    if (!fix.fixedCode) return null;
+
+    const fixedLines = fix.fixedCode.replace(/\n$/, '').split('\n');
+
+    if (sourceLines.length > 1 && fix.fixedCode.split('\n').length === sourceLines.length) {
+      // 전체 파일 수정본: 처음/마지막으로 달라진 라인 사이만 교체
+      const wholeFile = fix.fixedCode.split('\n');
+      const firstChanged = wholeFile.findIndex((line, index) => line !== sourceLines[index]);
+      if (firstChanged === -1) return null;
+
+      let lastChanged = wholeFile.length - 1;
+      while (lastChanged > firstChanged && wholeFile[lastChanged] === sourceLines[lastChanged]) {
+        lastChanged--;
+      }
+
+      return {
+        startLine: firstChanged + 1,
+        endLine: lastChanged + 1,
+        fixedLines: wholeFile.slice(firstChanged, lastChanged + 1)
+      };
+    }
+
+    return { startLine, endLine, fixedLines };
+  }
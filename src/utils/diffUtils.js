@@ -0,0 +1,280 @@
+/**
+ * 변경 라인(diff) 기반 검사 유틸리티 함수들
+ *
+ * check / check-guidelines의 --diff 인자를 해석하여 변경된 파일과 라인 범위를 만든다.
+ * - git 리비전 범위: "origin/main...HEAD", "HEAD~3..HEAD", "main" (작업 트리와 비교)
+ * - unified diff 파일: "changes.patch" (git diff, diff -u 출력)
+ *
+ * 이슈는 변경 라인 범위와 겹치는 것만 남기며, 옵션으로 변경 라인을 감싸는 메서드 전체까지 범위를 넓힌다.
+ *
+ * # TODO: Python 변환 시 unidiff 패키지 + GitPython으로 대체
+ */
+
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+// 대형 PR diff도 담을 수 있도록 기본값(1MB)보다 넉넉하게 설정
+const GIT_MAX_BUFFER = 64 * 1024 * 1024;
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+/**
+ * unified diff 텍스트를 파일별 변경 라인 범위로 변환
+ *
+ * 내부 흐름:
+ * 1. "diff --git" 또는 "---/+++" 헤더로 파일 단위 분리 (a/, b/ 접두사 제거)
+ * 2. "@@ -a,b +c,d @@" 헌크 헤더에서 새 파일 기준 시작 라인 계산
+ * 3. "+" 라인의 새 파일 라인 번호 수집 → 연속 라인은 하나의 범위로 병합
+ *
+ * # NOTE: 삭제만 있는 헌크는 새 파일에 남은 라인이 없으므로 범위에 포함하지 않음
+ *
+ * @param {string} diffText - unified diff 텍스트
+ * @returns {Array<{oldPath: string|null, newPath: string|null, status: string, changedRanges: Array}>}
+ *   status: 'added' | 'modified' | 'renamed' | 'deleted'
+ */
+export function parseUnifiedDiff(diffText) {
+  const files = [];
+  const lines = diffText.split(/\r?\n/);
+  let current = null;
+  let newLine = 0;
+  let oldRemaining = 0;
+  let newRemaining = 0;
+
+  const startFile = () => {
+    current = { oldPath: null, newPath: null, status: 'modified', addedLines: [], hasFileHeader: false };
+    files.push(current);
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // 헌크 본문: 헤더의 라인 수만큼만 소비 (본문의 "+++"/"---" 내용을 헤더로 오인하지 않도록)
+    if (oldRemaining > 0 || newRemaining > 0) {
+      if (line.startsWith('+')) {
+        current.addedLines.push(newLine++);
+        newRemaining--;
+      } else if (line.startsWith('-')) {
+        oldRemaining--;
+      } else if (line.startsWith('\\')) {
+        // "\ No newline at end of file"
+      } else {
+        newLine++;
+        oldRemaining--;
+        newRemaining--;
+      }
+      continue;
+    }
+
+    if (line.startsWith('diff --git ')) {
+      startFile();
+    } else if (line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ')) {
+      // git 헤더 없는 일반 unified diff (diff -u)는 ---/+++ 쌍에서 새 파일 시작
+      // "diff --git" 항목은 rename from/to로 경로가 먼저 정해져도 첫 ---/+++ 쌍까지 같은 파일
+      if (!current || current.hasFileHeader) {
+        startFile();
+      }
+      current.oldPath = parseDiffPath(line.slice(4));
+    } else if (line.startsWith('+++ ') && current) {
+      current.newPath = parseDiffPath(line.slice(4));
+      current.hasFileHeader = true;
+    } else if (line.startsWith('new file mode') && current) {
+      current.status = 'added';
+    } else if (line.startsWith('deleted file mode') && current) {
+      current.status = 'deleted';
+    } else if (line.startsWith('rename from ') && current) {
+      current.status = 'renamed';
+      current.oldPath = line.slice('rename from '.length);
+    } else if (line.startsWith('rename to ') && current) {
+      current.newPath = line.slice('rename to '.length);
+    } else if (current) {
+      const hunk = line.match(HUNK_HEADER);
+      if (hunk) {
+        oldRemaining = hunk[2] !== undefined ? parseInt(hunk[2]) : 1;
+        newLine = parseInt(hunk[3]);
+        newRemaining = hunk[4] !== undefined ? parseInt(hunk[4]) : 1;
+      }
+    }
+  }
+
+  return files.map(file => {
+    const status = file.newPath === null ? 'deleted'
+      : file.oldPath === null && file.status !== 'renamed' ? 'added'
+        : file.status;
+    return {
+      oldPath: file.oldPath,
+      newPath: file.newPath,
+      status,
+      changedRanges: toLineRanges(file.addedLines)
+    };
+  });
+}
+
+/**
+ * --diff 인자(리비전 범위 또는 diff 파일)에서 변경 파일 목록 로드
+ *
+ * 내부 흐름:
+ * 1. 인자가 존재하는 파일이면 diff 파일로 읽음, 아니면 git 리비전 범위로 간주
+ * 2. git diff --unified=0 실행 (검사 대상이 속한 저장소 기준)
+ * 3. 파일 경로를 저장소 루트 기준 절대 경로로 변환 (삭제된 파일 제외)
+ *
+ * @param {string} diffSpec - git 리비전 범위 또는 unified diff 파일 경로
+ * @param {string} workDir - 검사 대상 디렉토리 (git 저장소 탐색 기준)
+ * @returns {Promise<object>} { source: 'git'|'file', repoRoot, files: [{ absolutePath, path, status, changedRanges }] }
+ * @throws {Error} git 실행 실패 또는 잘못된 리비전 범위
+ */
+export async function loadDiffChanges(diffSpec, workDir) {
+  const repoRoot = await findGitRoot(workDir);
+  let diffText;
+  let source;
+
+  if (await isReadableFile(diffSpec)) {
+    diffText = await fs.readFile(diffSpec, 'utf-8');
+    source = 'file';
+  } else {
+    if (diffSpec.startsWith('-')) {
+      throw new Error(`유효하지 않은 리비전 범위: ${diffSpec}`);
+    }
+    if (!repoRoot) {
+      throw new Error(`git 저장소가 아닙니다: ${workDir}`);
+    }
+    diffText = await runGitDiff(repoRoot, diffSpec);
+    source = 'git';
+  }
+
+  // diff 파일이 저장소 밖에서 만들어진 경우 경로는 현재 작업 디렉토리 기준으로 해석
+  const baseDir = repoRoot || process.cwd();
+
+  const files = parseUnifiedDiff(diffText)
+    .filter(file => file.status !== 'deleted' && file.newPath)
+    .map(file => ({
+      absolutePath: path.resolve(baseDir, file.newPath),
+      path: file.newPath,
+      status: file.status,
+      changedRanges: file.changedRanges
+    }));
+
+  return { source, repoRoot: baseDir, files };
+}
+
+/**
+ * 변경 라인 범위를 감싸는 메서드/생성자 전체 범위로 확장
+ *
+ * AST 파싱 결과(astAnalysis.analysis.methodDeclarations)의 location을 사용하므로
+ * 정규식 폴백(parseMode: 'regex')처럼 위치 정보가 없으면 원래 범위를 그대로 반환
+ *
+ * @param {Array} ranges - [{ startLine, endLine }]
+ * @param {Array} methods - 메서드 정보 목록 (location 포함)
+ * @returns {Array} 확장 후 병합된 범위
+ */
+export function expandToEnclosingMethods(ranges, methods = []) {
+  const methodRanges = methods
+    .filter(method => method.location?.startLine && method.location?.endLine)
+    .map(method => method.location);
+
+  const expanded = ranges.map(range => {
+    // 중첩 메서드(익명 클래스 등)는 가장 안쪽 메서드 기준
+    const enclosing = methodRanges
+      .filter(location => location.startLine <= range.startLine && location.endLine >= range.endLine)
+      .sort((a, b) => (a.endLine - a.startLine) - (b.endLine - b.startLine))[0];
+
+    return enclosing
+      ? { startLine: enclosing.startLine, endLine: enclosing.endLine }
+      : range;
+  });
+
+  return mergeRanges(expanded);
+}
+
+/**
+ * 변경 라인 범위와 겹치는 이슈만 필터링
+ *
+ * 통합 이슈(location.startLine/endLine)와 가이드라인 위반(line) 형식을 모두 지원하며,
+ * 위치 정보가 없는 이슈는 변경과의 연관성을 판단할 수 없으므로 제외
+ */
+export function filterIssuesByChangedLines(issues, ranges) {
+  return issues.filter(issue => {
+    const startLine = issue.location?.startLine || issue.line;
+    if (!startLine) return false;
+    const endLine = Math.max(issue.location?.endLine || startLine, startLine);
+
+    return ranges.some(range => range.startLine <= endLine && range.endLine >= startLine);
+  });
+}
+
+/**
+ * 범위 목록을 "12-15, 40" 형태 문자열로 변환 (로그 출력용)
+ */
+export function formatLineRanges(ranges) {
+  return ranges
+    .map(range => range.startLine === range.endLine ? `${range.startLine}` : `${range.startLine}-${range.endLine}`)
+    .join(', ');
+}
+
+function toLineRanges(lineNumbers) {
+  const ranges = [];
+  [...lineNumbers].sort((a, b) => a - b).forEach(line => {
+    const last = ranges[ranges.length - 1];
+    if (last && line <= last.endLine + 1) {
+      last.endLine = Math.max(last.endLine, line);
+    } else {
+      ranges.push({ startLine: line, endLine: line });
+    }
+  });
+  return ranges;
+}
+
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a.startLine - b.startLine);
+  const merged = [];
+  sorted.forEach(range => {
+    const last = merged[merged.length - 1];
+    if (last && range.startLine <= last.endLine + 1) {
+      last.endLine = Math.max(last.endLine, range.endLine);
+    } else {
+      merged.push({ ...range });
+    }
+  });
+  return merged;
+}
+
+function parseDiffPath(rawPath) {
+  // 타임스탬프(diff -u)와 a/, b/ 접두사 제거
+  const filePath = rawPath.split('\t')[0].trim();
+  if (filePath === '/dev/null') return null;
+  return filePath.replace(/^[ab]\//, '');
+}
+
+async function runGitDiff(repoRoot, revisionRange) {
+  try {
+    const { stdout } = await execFileAsync(
+      'git',
+      ['diff', '--unified=0', '--no-color', '--no-ext-diff', '--find-renames', revisionRange, '--', '*.java'],
+      { cwd: repoRoot, maxBuffer: GIT_MAX_BUFFER }
+    );
+    return stdout;
+  } catch (error) {
+    throw new Error(`git diff 실행 실패 (${revisionRange}): ${error.stderr?.trim() || error.message}`);
+  }
+}
+
+async function findGitRoot(workDir) {
+  try {
+    const { stdout } = await execFileAsync('git', ['rev-parse', '--show-toplevel'], { cwd: workDir });
+    return stdout.trim();
+  } catch {
+    return null;
+  }
+}
+
+async function isReadableFile(filePath) {
+  try {
+    const stat = await fs.stat(filePath);
+    return stat.isFile();
+  } catch {
+    return false;
+  }
+}
@@ -19,6 +19,23 @@ export function displayUnifiedResults(results, fileName) {
   logger.info(`파일: ${fileName}`);
   logger.info(`전체 점수: ${results.overview.overallScore}/100`);
   logger.info(`이슈 수: ${results.overview.totalIssues}개`);
+  displayUnavailableLayers(results.overview.unavailableLayers);
+
+  // 베이스라인 적용 시 기존/해결 이슈 수 (이슈 수는 신규 이슈 기준)
+  if (results.overview.baseline) {
+    const { baselinedIssues, resolvedIssues } = results.overview.baseline;
+    logger.info(`베이스라인: 기존 이슈 ${baselinedIssues}개 제외, 해결된 이슈 ${resolvedIssues}개`);
+  }
+
+  // 인라인 억제 주석으로 제외된 이슈 (리뷰 시 억제 사유 확인용)
+  if (results.suppressedIssues?.length > 0) {
+    logger.info(`인라인 억제: ${results.suppressedIssues.length}개`);
+    results.suppressedIssues.forEach(issue => {
+      const { directive, line, reason } = issue.suppressedBy;
+      const ruleId = issue.ruleId || issue.patternInfo?.patternId || issue.category;
+      logger.info(`  🔕 라인 ${issue.location.startLine} [${ruleId}] ${directive} (라인 ${line})${reason ? ` - ${reason}` : ''}`);
+    });
+  }
 
   // 스타일 및 가이드라인 검사 결과
   if (results.styleAndGuideline) {
@@ -98,4 +115,272 @@ export function displayUnifiedResults(results, fileName) {
   if (results.styleAndGuideline?.warnings?.length > 0) {
     logger.info(`⚠️ 경고: ${results.styleAndGuideline.warnings.length}개 (스타일/포맷)`);
   }
-}
\ No newline at end of file
+}
+/**
+ * 프로젝트 단위 검사 결과를 콘솔에 출력
+ * 1. 분석 파일 수 및 전체 점수
+ * 2. 심각도별 이슈 합계
+ * 3. 이슈가 많은 상위 파일 목록
+ * 4. 분석 실패 파일 목록
+ * (베이스라인 적용 시 기존/해결 이슈 합계, 인라인 억제 이슈 합계 포함)
+ */
+export function displayProjectResults(projectReport) {
+  const { summary } = projectReport;
+
+  logger.info('\n=== 프로젝트 검사 결과 종합 ===');
+  logger.info(`프로젝트: ${projectReport.metadata.projectRoot} (${projectReport.metadata.targetType})`);
+  logger.info(`분석 파일: ${summary.analyzedFiles}/${summary.totalFiles}개 (이슈 있는 파일 ${summary.filesWithIssues}개)`);
+  logger.info(`전체 점수: ${summary.overallScore}/100`);
+  logger.info(`이슈 수: ${summary.totalIssues}개`);
+  displayUnavailableLayers(projectReport.metadata.unavailableLayers);
+  if (summary.baselinedIssues !== undefined) {
+    logger.info(`베이스라인: 기존 이슈 ${summary.baselinedIssues}개 제외, 해결된 이슈 ${summary.resolvedIssues}개`);
+  }
+  if (summary.suppressedIssues > 0) {
+    logger.info(`인라인 억제: ${summary.suppressedIssues}개`);
+  }
+
+  logger.info('\n=== 심각도별 통계 ===');
+  logger.info(`🔴 CRITICAL: ${summary.criticalIssues}개`);
+  logger.info(`🟠 HIGH: ${summary.highIssues}개`);
+  logger.info(`🟡 MEDIUM: ${summary.mediumIssues}개`);
+  logger.info(`🔵 LOW: ${summary.lowIssues}개`);
+
+  if (projectReport.topFiles.length > 0) {
+    logger.info('\n=== 이슈가 많은 파일 ===');
+    projectReport.topFiles.forEach((file, index) => {
+      logger.info(`${index + 1}. ${file.filePath} - ${file.totalIssues}개 이슈, 점수 ${file.overallScore}/100`);
+    });
+  }
+
+  if (projectReport.failures.length > 0) {
+    logger.info('\n=== 분석 실패 파일 ===');
+    projectReport.failures.forEach(failure => {
+      logger.info(`❌ ${failure.filePath}: ${failure.error}`);
+    });
+  }
+}
+/**
+ * 품질 게이트 결과 표 출력
+ * 조건별 기준값, 실제값, 결과(통과/실패/건너뜀)를 정렬된 표로 출력하고 최종 판정 표시
+ */
+export function displayQualityGate(gateResult) {
+  const statusText = { pass: '✅ 통과', fail: '❌ 실패', skip: '➖ 건너뜀' };
+  const rows = [
+    ['조건', '기준', '실제', '결과'],
+    ...gateResult.checks.map(check => [
+      check.label,
+      check.condition,
+      check.actual === null ? '-' : String(check.actual),
+      statusText[check.status]
+    ])
+  ];
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => getDisplayWidth(row[column]))));
+  const formatRow = row => row.map((cell, column) => padDisplay(cell, widths[column])).join(' | ');
+
+  logger.info('\n=== 품질 게이트 ===');
+  if (gateResult.configFile) {
+    logger.info(`설정 파일: ${gateResult.configFile}`);
+  }
+  logger.info(formatRow(rows[0]));
+  logger.info(widths.map(width => '-'.repeat(width)).join('-+-'));
+  rows.slice(1).forEach(row => logger.info(formatRow(row)));
+  logger.info(gateResult.passed ? '\n품질 게이트: ✅ 통과' : '\n품질 게이트: ❌ 실패');
+}
+
+/**
+ * 오프라인 모드에서 사용할 수 없었던 분석 계층 출력 (온라인 모드는 출력 없음)
+ */
+export function displayUnavailableLayers(unavailableLayers = []) {
+  if (unavailableLayers.length === 0) return;
+
+  logger.info('분석 모드: 오프라인 (LLM/VectorDB 미사용)');
+  unavailableLayers.forEach(layer => {
+    logger.info(`  ⛔ ${layer.name}${layer.fallback ? ` → ${layer.fallback}` : ': 생략'}`);
+  });
+}
+
+/**
+ * 규칙 테스트(test-rules) 결과 출력
+ * 케이스가 있는 규칙의 precision/recall 표, 항상/전혀 검출되지 않는 규칙, 오판 케이스, 최종 판정 표시
+ */
+export function displayRuleTestResults(results, evaluation) {
+  const formatRatio = value => (value === null ? '-' : value.toFixed(2));
+  const statusOf = result => {
+    if (result.neverFires) return '⛔ 미검출';
+    if (result.alwaysFires) return '⛔ 항상 검출';
+    if (evaluation.summary.belowThreshold.includes(result.ruleId)) return '❌ 기준 미달';
+    return '✅ 통과';
+  };
+  const tested = results.filter(result => result.cases > 0);
+  const rows = [
+    ['규칙', '타입', '케이스', 'TP', 'FP', 'FN', 'Precision', 'Recall', '결과'],
+    ...tested.map(result => [
+      result.ruleId,
+      result.checkType,
+      String(result.cases),
+      String(result.tp),
+      String(result.fp),
+      String(result.fn),
+      formatRatio(result.precision),
+      formatRatio(result.recall),
+      statusOf(result)
+    ])
+  ];
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => getDisplayWidth(row[column]))));
+  const formatRow = row => row.map((cell, column) => padDisplay(cell, widths[column])).join(' | ');
+  const { summary } = evaluation;
+
+  logger.info('\n=== 규칙 테스트 ===');
+  logger.info(`정적 규칙 ${summary.total}개 중 ${summary.tested}개 테스트 (케이스 없음 ${summary.untested.length}개)`);
+  if (tested.length > 0) {
+    logger.info(formatRow(rows[0]));
+    logger.info(widths.map(width => '-'.repeat(width)).join('-+-'));
+    rows.slice(1).forEach(row => logger.info(formatRow(row)));
+  }
+
+  if (summary.neverFires.length > 0) {
+    logger.info(`\n⛔ 한 번도 검출되지 않는 규칙: ${summary.neverFires.join(', ')}`);
+  }
+  if (summary.alwaysFires.length > 0) {
+    logger.info(`⛔ 모든 케이스에서 검출되는 규칙: ${summary.alwaysFires.join(', ')}`);
+  }
+
+  const failures = tested.flatMap(result => result.failures.map(failure => ({ ruleId: result.ruleId, ...failure })));
+  if (failures.length > 0) {
+    logger.info('\n=== 오판 케이스 ===');
+    failures.forEach(failure => {
+      logger.info(failure.expected === 'bad'
+        ? `  FN ${failure.ruleId} - ${failure.name}: 위반 미검출 (파싱: ${failure.parseMode})`
+        : `  FP ${failure.ruleId} - ${failure.name}: 위반 ${failure.violations}건 검출`);
+    });
+  }
+
+  logger.info(evaluation.passed ? '\n규칙 테스트: ✅ 통과' : '\n규칙 테스트: ❌ 실패');
+}
+
+/**
+ * 임베딩 검색 평가(eval-embeddings) 결과 출력
+ * 평가 조건(백엔드, 가중치/threshold 파일), recall@k / MRR, 카테고리별 threshold precision 표,
+ * 상위 k개에서 기대 패턴을 찾지 못한 질의, (--compare 시) 이전 리포트 대비 변화량 표시
+ */
+export function displayEmbeddingEvalResults(report, comparison = null) {
+  const formatRatio = value => (value === null || value === undefined ? '-' : value.toFixed(3));
+  const formatDelta = value => (value === null || value === undefined ? '' : ` (${value >= 0 ? '+' : ''}${value.toFixed(3)})`);
+  const { summary, embedding } = report;
+  const delta = comparison?.delta;
+
+  logger.info('\n=== 임베딩 검색 평가 ===');
+  logger.info(`평가셋: ${report.evalSet.path} (질의 ${summary.queries}개, sha256 ${report.evalSet.sha256.slice(0, 12)})`);
+  logger.info(`임베딩: ${embedding.backend} (${embedding.model}, ${embedding.dimensions}차원), VectorDB: ${report.vectorProvider}`);
+  logger.info(`가중치: ${embedding.weights ? `${embedding.weights.path} (${embedding.weights.sha256.slice(0, 12)})` : '기본값'}`);
+  logger.info(`Threshold: ${report.thresholds ? `${report.thresholds.path} (${report.thresholds.sha256.slice(0, 12)})` : '기본값'}`);
+
+  logger.info('');
+  Object.entries(summary.recallAtK).forEach(([cutoff, value]) => {
+    logger.info(`recall@${cutoff}: ${formatRatio(value)}${formatDelta(delta?.recallAtK[cutoff])}`);
+  });
+  logger.info(`MRR: ${formatRatio(summary.mrr)}${formatDelta(delta?.mrr)}`);
+  logger.info(`precision@threshold: ${formatRatio(summary.precisionAtThreshold)}${formatDelta(delta?.precisionAtThreshold)}`);
+
+  const rows = [
+    ['카테고리', '질의', 'Threshold', '통과 결과', '정답', 'Precision', 'Recall'],
+    ...Object.entries(summary.byCategory).map(([category, stats]) => [
+      category,
+      String(stats.queries),
+      formatRatio(stats.thresholdOverall),
+      String(stats.retrieved),
+      String(stats.relevant),
+      formatRatio(stats.precision) + formatDelta(delta?.byCategoryPrecision[category]),
+      formatRatio(stats.recall)
+    ])
+  ];
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => getDisplayWidth(row[column]))));
+  const formatRow = row => row.map((cell, column) => padDisplay(cell, widths[column])).join(' | ');
+
+  logger.info('');
+  logger.info(formatRow(rows[0]));
+  logger.info(widths.map(width => '-'.repeat(width)).join('-+-'));
+  rows.slice(1).forEach(row => logger.info(formatRow(row)));
+
+  const misses = report.results.filter(result => result.rank === null);
+  if (misses.length > 0) {
+    logger.info(`\n=== 상위 ${report.topK}개에서 찾지 못한 질의 ===`);
+    misses.forEach(result => {
+      const top = result.results[0];
+      logger.info(result.error
+        ? `  ${result.id} → ${result.expected}: 실패 (${result.error})`
+        : `  ${result.id} → ${result.expected}: 1위 ${top ? `${top.id} (${top.score})` : '결과 없음'}`);
+    });
+  }
+
+  if (comparison) {
+    logger.info(`\n비교 대상: ${comparison.previous.evaluatedAt} (가중치: ${comparison.previous.weights || '기본값'}, threshold: ${comparison.previous.thresholds || '기본값'})`);
+    comparison.warnings.forEach(warning => logger.info(`  ⚠️ ${warning}`));
+  }
+}
+
+/**
+ * threshold 튜닝(tune-thresholds) 결과 출력
+ * 카테고리별 현재/튜닝 threshold와 precision/recall/F1 비교 표, (가중치 튜닝 시) 가중치 변화, 건너뛴 카테고리, 전체 F1 변화 표시
+ */
+export function displayThresholdTuningResults(report) {
+  const formatRatio = value => (value === null || value === undefined ? '-' : value.toFixed(2));
+  const formatThresholds = t => ['overall', 'syntactic', 'semantic', 'framework'].map(key => formatRatio(t[key])).join('/');
+  const formatMetrics = m => `${formatRatio(m.precision)}/${formatRatio(m.recall)}/${formatRatio(m.f1)}`;
+  const formatWeights = w => ['syntactic', 'semantic', 'framework', 'context'].map(key => formatRatio(w[key])).join('/');
+  const entries = Object.entries(report.categories);
+  const rows = [
+    ['카테고리', '매치(승인)', '현재 o/s/m/f', '현재 P/R/F1', '튜닝 o/s/m/f', '튜닝 P/R/F1', '결과'],
+    ...entries.map(([category, entry]) => [
+      category,
+      `${entry.samples}(${entry.accepted})`,
+      formatThresholds(entry.current.thresholds),
+      formatMetrics(entry.current.metrics),
+      formatThresholds(entry.tuned.thresholds),
+      formatMetrics(entry.tuned.metrics),
+      entry.status === 'tuned' ? '✅ 튜닝' : '⏭️ 유지'
+    ])
+  ];
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => getDisplayWidth(row[column]))));
+  const formatRow = row => row.map((cell, column) => padDisplay(cell, widths[column])).join(' | ');
+  const { summary } = report;
+
+  logger.info('\n=== threshold 튜닝 결과 ===');
+  logger.info(`기준 threshold: ${report.baseline ? report.baseline.path : '기본값'} (grid ${report.step}, 카테고리별 최소 매치 ${report.minSamples}개)`);
+  logger.info(`카테고리 ${summary.categories}개 중 ${summary.tunedCategories}개 튜닝, ${summary.skippedCategories}개 유지`);
+  logger.info(formatRow(rows[0]));
+  logger.info(widths.map(width => '-'.repeat(width)).join('-+-'));
+  rows.slice(1).forEach(row => logger.info(formatRow(row)));
+
+  const weighted = entries.filter(([, entry]) => entry.tuned.weights);
+  if (weighted.length > 0) {
+    logger.info('\n=== 가중치 튜닝 (syn/sem/fw/ctx, 근사) ===');
+    weighted.forEach(([category, entry]) => {
+      logger.info(`  ${category}: ${formatWeights(entry.current.weights)} → ${formatWeights(entry.tuned.weights)} (현재/튜닝 지표 모두 컴포넌트 점수가 있는 매치 ${entry.weightSamples}/${entry.samples}개 기준)`);
+    });
+  }
+  entries.filter(([, entry]) => entry.weightSkipReason).forEach(([category, entry]) => {
+    logger.info(`  ⏭️ ${category} 가중치 유지: ${entry.weightSkipReason}`);
+  });
+
+  entries.filter(([, entry]) => entry.status === 'skipped').forEach(([category, entry]) => {
+    logger.info(`  ⏭️ ${category}: ${entry.reason}`);
+  });
+
+  logger.info(`\n전체 F1: ${formatRatio(summary.current.f1)} → ${formatRatio(summary.tuned.f1)} (precision ${formatRatio(summary.current.precision)} → ${formatRatio(summary.tuned.precision)}, recall ${formatRatio(summary.current.recall)} → ${formatRatio(summary.tuned.recall)})`);
+}
+
+function getSeverityIcon(severity) {
+  const icons = { CRITICAL: '🔴', HIGH: '🟠', MEDIUM: '🟡', LOW: '🔵' };
+  return icons[severity] || icons.LOW;
+}
+
+// 한글 등 전각 문자와 이모지는 터미널에서 2칸 차지
+function getDisplayWidth(text) {
+  return [...text].reduce((width, char) => width + (char.codePointAt(0) >= 0x1100 ? 2 : 1), 0);
+}
+
+function padDisplay(text, width) {
+  return text + ' '.repeat(Math.max(0, width - getDisplayWidth(text)));
+}
@@ -0,0 +1,252 @@
+/**
+ * 임베딩 검색 품질 평가(eval-embeddings) 관련 유틸리티 함수들
+ *
+ * 라벨링된 (질의 코드, 기대 issue_record_id) 쌍을 CodeEmbeddingGenerator.generateEmbeddings()로 임베딩하고
+ * VectorClient.searchWithComponentScores()로 검색하여 recall@k, MRR, 카테고리별 threshold precision을 계산한다.
+ * embedding-weights.json / category-thresholds.json / 특징 추출기 변경 전후 결과를 같은 평가셋으로 비교하기 위한 도구.
+ *
+ * 평가셋 형식 ({ pairs: [...] } 또는 [...]):
+ *   { "id": "q1", "code": "...", "issue_record_id": "PATTERN-001", "category": "resource_management" }
+ *   { "id": "q2", "codeFile": "queries/q2.java", "issue_record_id": "PATTERN-002" }
+ * - code 또는 codeFile(평가셋 파일 기준 상대 경로) 중 하나 필수
+ * - category 생략 시 검색 결과의 기대 패턴 카테고리, 그것도 없으면 _default
+ *
+ * 판정:
+ * - rank: 상위 k개 검색 결과(threshold 없이 유사도 순)에서 기대 패턴의 순위 (없으면 null)
+ * - recall@n = rank ≤ n인 질의 비율, MRR = 1/rank 평균 (미검색 0)
+ * - 카테고리별 precision = threshold 통과 결과 중 기대 패턴 비율, recall = 기대 패턴이 threshold를 통과한 질의 비율
+ *   (threshold는 질의 카테고리 기준, VectorClient.searchWithCategoryThreshold()와 같은 조건)
+ *
+ * # NOTE: 가중치는 질의 임베딩에만 적용됨 → 저장된 패턴과 같은 가중치로 비교하려면 패턴도 재임베딩 필요 (reembed, 버전 불일치 시 검색 경고)
+ * # TODO: Python 변환 시 ranx / pytrec_eval 기반 평가로 대체
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import logger from './loggerUtils.js';
+
+const RECALL_CUTOFFS = [1, 3, 5, 10, 20];
+
+/**
+ * 평가셋 파일 로드
+ *
+ * @param {string} filePath - 평가셋 JSON 파일
+ * @returns {Promise<object>} { path, sha256: 질의 코드 포함 평가셋 해시, pairs: [{ id, code, issueRecordId, category }] }
+ * @throws {Error} 파일 읽기/파싱 실패, 잘못된 항목
+ */
+export async function loadEmbeddingEvalSet(filePath) {
+  const evalSetPath = path.resolve(filePath);
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(evalSetPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`평가셋 파일 읽기/파싱 실패 (${evalSetPath}): ${error.message}`);
+  }
+
+  const entries = Array.isArray(data) ? data : data?.pairs;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('올바른 평가셋 형식이 아닙니다. 예상 형식: { pairs: [...] } 또는 [...] (1개 이상)');
+  }
+
+  const pairs = [];
+  for (const [index, entry] of entries.entries()) {
+    const id = entry?.id || `pairs[${index}]`;
+    if (typeof entry?.issue_record_id !== 'string' || !entry.issue_record_id) {
+      throw new Error(`평가셋 항목 ${id}: issue_record_id가 필요합니다`);
+    }
+
+    let code = entry.code;
+    if (entry.codeFile) {
+      const codePath = path.resolve(path.dirname(evalSetPath), entry.codeFile);
+      try {
+        code = await fs.readFile(codePath, 'utf-8');
+      } catch (error) {
+        throw new Error(`평가셋 항목 ${id}: 코드 파일 읽기 실패 (${codePath}): ${error.message}`);
+      }
+    }
+    if (typeof code !== 'string' || !code.trim()) {
+      throw new Error(`평가셋 항목 ${id}: code 또는 codeFile이 필요합니다`);
+    }
+
+    pairs.push({ id, code, issueRecordId: entry.issue_record_id, category: entry.category || null });
+  }
+
+  return { path: evalSetPath, sha256: sha256(JSON.stringify(pairs)), pairs };
+}
+
+/**
+ * 평가에 사용한 설정 파일(가중치/threshold) 로드 + 해시 (실행 간 비교용)
+ *
+ * @param {string} filePath - JSON 설정 파일
+ * @param {object} options - { required: 파일이 없으면 오류 (명시적으로 지정한 경우) }
+ * @returns {Promise<object|null>} { path, sha256, data } (required가 아니고 파일이 없으면 null)
+ * @throws {Error} 파일 읽기/파싱 실패
+ */
+export async function loadEvalConfigFile(filePath, { required = false } = {}) {
+  const configPath = path.resolve(filePath);
+  let content;
+  try {
+    content = await fs.readFile(configPath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT' && !required) return null;
+    throw new Error(`설정 파일 읽기 실패 (${configPath}): ${error.message}`);
+  }
+
+  try {
+    return { path: configPath, sha256: sha256(content), data: JSON.parse(content) };
+  } catch (error) {
+    throw new Error(`설정 파일 파싱 실패 (${configPath}): ${error.message}`);
+  }
+}
+
+/**
+ * 평가셋 질의별 검색 실행
+ *
+ * @param {CodeEmbeddingGenerator} embeddingGenerator - 초기화된 임베딩 생성기
+ * @param {VectorClient} vectorClient - 패턴 컬렉션 검색 클라이언트
+ * @param {Array} pairs - loadEmbeddingEvalSet() 결과의 pairs
+ * @param {object} options - { topK, categoryThresholds: category-thresholds.json 내용 (null이면 기본값) }
+ * @returns {Promise<Array>} 질의별 결과 { id, expected, category, rank, thresholds, results, error? }
+ */
+export async function runEmbeddingEval(embeddingGenerator, vectorClient, pairs, { topK, categoryThresholds = null }) {
+  const evalResults = [];
+
+  for (const pair of pairs) {
+    const evalResult = { id: pair.id, expected: pair.issueRecordId, category: pair.category, rank: null, thresholds: null, results: [] };
+
+    try {
+      const embeddings = await embeddingGenerator.generateEmbeddings(pair.code, { category: pair.category || undefined });
+      const candidates = await vectorClient.searchWithComponentScores(embeddings.combined_embedding, topK, 0, {
+        embeddingVersion: embeddings.embedding_metadata.version_stamp.id
+      });
+
+      const expectedIndex = candidates.findIndex(candidate => candidate.id === pair.issueRecordId);
+      evalResult.rank = expectedIndex === -1 ? null : expectedIndex + 1;
+      evalResult.category = pair.category || candidates[expectedIndex]?.category || '_default';
+      evalResult.thresholds = vectorClient.getCategoryThresholds(evalResult.category, categoryThresholds);
+      evalResult.results = candidates.map(candidate => ({
+        id: candidate.id,
+        category: candidate.category,
+        score: roundScore(candidate.overall_score),
+        componentScores: Object.fromEntries(
+          Object.entries(candidate.component_scores || {}).map(([component, score]) => [component, roundScore(score)])
+        ),
+        relevant: candidate.id === pair.issueRecordId,
+        passesThreshold: vectorClient.meetsCategoryThreshold(candidate, evalResult.thresholds)
+      }));
+    } catch (error) {
+      logger.warn(`⚠️ 평가 질의 실패 (${pair.id}): ${error.message}`);
+      evalResult.category = evalResult.category || '_default';
+      evalResult.error = error.message;
+    }
+
+    evalResults.push(evalResult);
+  }
+
+  return evalResults;
+}
+
+/**
+ * 질의별 결과 집계
+ *
+ * 실패한 질의(error)는 미검색으로 집계
+ *
+ * @param {Array} evalResults - runEmbeddingEval() 결과
+ * @param {object} options - { topK }
+ * @returns {object} { queries, failed, recallAtK: { [n]: ratio }, mrr, precisionAtThreshold, byCategory: { [category]: { queries, retrieved, relevant, precision, recall } } }
+ */
+export function summarizeEmbeddingEval(evalResults, { topK }) {
+  const cutoffs = [...RECALL_CUTOFFS.filter(cutoff => cutoff < topK), topK];
+  const recallAtK = Object.fromEntries(cutoffs.map(cutoff => [
+    String(cutoff),
+    toRatio(evalResults.filter(result => result.rank !== null && result.rank <= cutoff).length, evalResults.length)
+  ]));
+  const reciprocalRankSum = evalResults.reduce((sum, result) => sum + (result.rank ? 1 / result.rank : 0), 0);
+
+  const byCategory = {};
+  for (const result of evalResults) {
+    const stats = byCategory[result.category] ||= { queries: 0, retrieved: 0, relevant: 0, precision: null, recall: null, thresholdOverall: result.thresholds?.overall ?? null };
+    const passed = result.results.filter(candidate => candidate.passesThreshold);
+    stats.queries++;
+    stats.retrieved += passed.length;
+    stats.relevant += passed.filter(candidate => candidate.relevant).length;
+  }
+  Object.values(byCategory).forEach(stats => {
+    stats.precision = toRatio(stats.relevant, stats.retrieved);
+    stats.recall = toRatio(stats.relevant, stats.queries);
+  });
+
+  const categoryStats = Object.values(byCategory);
+  return {
+    queries: evalResults.length,
+    failed: evalResults.filter(result => result.error).map(result => result.id),
+    recallAtK,
+    mrr: toRatio(reciprocalRankSum, evalResults.length),
+    precisionAtThreshold: toRatio(
+      categoryStats.reduce((sum, stats) => sum + stats.relevant, 0),
+      categoryStats.reduce((sum, stats) => sum + stats.retrieved, 0)
+    ),
+    byCategory
+  };
+}
+
+/**
+ * 이전 평가 리포트와 지표 비교
+ *
+ * @param {object} current - 현재 리포트 { evalSet, embedding, topK, summary }
+ * @param {object} previous - 이전 eval-embeddings 리포트 (--output 결과)
+ * @returns {object} { comparable, warnings, previous: { evaluatedAt, weights, thresholds }, delta: { recallAtK, mrr, precisionAtThreshold, byCategoryPrecision } }
+ */
+export function compareEmbeddingEvals(current, previous) {
+  const warnings = [];
+  if (previous.evalSet?.sha256 !== current.evalSet.sha256) {
+    warnings.push('평가셋이 다름 (질의/기대 패턴 변경)');
+  }
+  if (previous.topK !== current.topK) {
+    warnings.push(`top-k가 다름 (${previous.topK} → ${current.topK})`);
+  }
+  if (previous.embedding?.backend !== current.embedding.backend || previous.embedding?.dimensions !== current.embedding.dimensions) {
+    warnings.push(`임베딩 백엔드/차원이 다름 (${previous.embedding?.backend}/${previous.embedding?.dimensions} → ${current.embedding.backend}/${current.embedding.dimensions})`);
+  }
+
+  const prevSummary = previous.summary || {};
+  const byCategoryPrecision = {};
+  for (const [category, stats] of Object.entries(current.summary.byCategory)) {
+    byCategoryPrecision[category] = diff(stats.precision, prevSummary.byCategory?.[category]?.precision);
+  }
+
+  return {
+    comparable: warnings.length === 0,
+    warnings,
+    previous: {
+      evaluatedAt: previous.evaluatedAt,
+      weights: previous.embedding?.weights?.path || null,
+      thresholds: previous.thresholds?.path || null
+    },
+    delta: {
+      recallAtK: Object.fromEntries(
+        Object.entries(current.summary.recallAtK).map(([cutoff, value]) => [cutoff, diff(value, prevSummary.recallAtK?.[cutoff])])
+      ),
+      mrr: diff(current.summary.mrr, prevSummary.mrr),
+      precisionAtThreshold: diff(current.summary.precisionAtThreshold, prevSummary.precisionAtThreshold),
+      byCategoryPrecision
+    }
+  };
+}
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function toRatio(numerator, denominator) {
+  return denominator === 0 ? null : Number((numerator / denominator).toFixed(3));
+}
+
+function roundScore(score) {
+  return typeof score === 'number' ? Number(score.toFixed(4)) : null;
+}
+
+function diff(current, previous) {
+  return typeof current === 'number' && typeof previous === 'number' ? Number((current - previous).toFixed(3)) : null;
+}
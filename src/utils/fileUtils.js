@@ -145,6 +145,34 @@ export async function saveJsonData(dataset, fileName, directoryFlag) {
   }
 }
 
+/**
+ * 텍스트 데이터를 그대로 파일로 저장합니다. (HTML 리포트 등 JSON이 아닌 결과물)
+ * 
+ * 저장 위치와 디렉토리 생성 규칙은 saveJsonData와 동일합니다.
+ * 
+ * @param {string} content - 저장할 텍스트
+ * @param {string} fileName - 파일명 (예: 'report.html')
+ * @param {string} directoryFlag - 디렉토리 플래그 (CamelCase, 예: 'report')
+ * @returns {Promise<void>}
+ * @throws {Error} 디렉토리 경로 조회 또는 저장 실패
+ * 
+ * @example
+ * // HTML 보고서 저장
+ * await saveTextData(html, 'report.html', 'report');
+ */
+export async function saveTextData(content, fileName, directoryFlag) {
+  try {
+    const baseDir = getDirectoryPath(directoryFlag);
+
+    const filePath = path.join(baseDir, fileName);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    await fs.writeFile(filePath, content, 'utf-8');
+  } catch (error) {
+    throw new Error(`데이터 저장 실패 (${directoryFlag}/${fileName}): ${error.message}`);
+  }
+}
+
 /**
  * 디렉토리 내 모든 JSON 파일 경로 반환
  */
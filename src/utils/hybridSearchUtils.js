@@ -0,0 +1,268 @@
+/**
+ * 하이브리드 패턴 검색(dense + sparse 키워드/BM25 + payload 필터) 관련 유틸리티 함수들
+ *
+ * 검색 대상 텍스트: 패턴 제목 + 태그 + 안티패턴 코드 템플릿 + 의미 시그니처 (buildPatternSearchText)
+ * 토큰화: 영숫자/한글 단위 분리 + camelCase/snake_case 분해 + 소문자화, 1글자 토큰과 Java 예약어 제외
+ *
+ * sparse 점수:
+ * - Qdrant: 토큰 해시(FNV-1a)를 인덱스로 한 sparse 벡터 (값 = BM25 tf 포화값, 컬렉션 modifier=idf로 서버에서 IDF 적용)
+ * - Local / sparse 벡터가 없는 기존 Qdrant 컬렉션: rankByBm25()로 프로세스 내 BM25 계산
+ *
+ * 결합 (fuseRankings): 순위 기반 RRF (reciprocal rank fusion)
+ *   score = Σ weight_c / (k + rank_c)  (c = dense, sparse, 결과 목록에 없으면 0)
+ *   점수 척도가 다른 코사인 유사도와 BM25를 정규화 없이 결합하기 위해 순위만 사용
+ *
+ * # NOTE: 해시 충돌 시 서로 다른 토큰이 같은 인덱스를 공유 (2^32 공간, 패턴 수천 개 규모에서는 무시 가능)
+ * # TODO: Python 변환 시 rank_bm25 / fastembed(SPLADE, BM25) 기반 sparse 벡터로 대체
+ */
+
+export const SPARSE_VECTOR_NAME = 'keywords';
+export const DEFAULT_RRF_K = 60;
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOP_WORDS = new Set([
+  'public', 'private', 'protected', 'static', 'final', 'void', 'class', 'interface', 'extends', 'implements',
+  'return', 'new', 'this', 'super', 'null', 'true', 'false', 'if', 'else', 'for', 'while', 'do', 'try', 'catch',
+  'finally', 'throw', 'throws', 'import', 'package', 'int', 'long', 'boolean', 'string', 'var', 'the', 'and', 'or'
+]);
+
+/**
+ * 검색용 토큰화
+ *
+ * @param {string} text - 제목/코드/태그 등 검색 텍스트
+ * @returns {string[]} 소문자 토큰 배열 (중복 포함, tf 계산용)
+ */
+export function tokenizeSearchText(text) {
+  if (typeof text !== 'string' || !text) {
+    return [];
+  }
+
+  const tokens = [];
+  for (const word of text.match(/[A-Za-z0-9_]+|[가-힣]+/g) || []) {
+    const parts = word
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+      .split(/[\s_]+/);
+
+    // 복합 식별자는 전체 형태도 토큰으로 유지 (getConnection → get, connection, getconnection)
+    if (parts.length > 1) parts.push(word.replace(/_/g, ''));
+
+    for (const part of parts) {
+      const token = part.toLowerCase();
+      if (token.length > 1 && !STOP_WORDS.has(token)) {
+        tokens.push(token);
+      }
+    }
+  }
+  return tokens;
+}
+
+/**
+ * 패턴 데이터셋의 검색 대상 텍스트
+ *
+ * @param {object} dataset - 패턴 데이터셋 (issue_record_id, metadata, anti_pattern ...)
+ * @returns {string} 제목 + 태그 + 안티패턴 코드 + 의미 시그니처
+ */
+export function buildPatternSearchText(dataset) {
+  const signature = dataset?.anti_pattern?.pattern_signature?.semantic_signature;
+  return [
+    dataset?.metadata?.title || dataset?.title,
+    ...(Array.isArray(dataset?.metadata?.tags) ? dataset.metadata.tags : []),
+    dataset?.anti_pattern?.code_template,
+    Array.isArray(signature) ? signature.join(' ') : signature
+  ].filter(value => typeof value === 'string' && value).join('\n');
+}
+
+/**
+ * 문서용 sparse 벡터 (Qdrant sparse vector 형식)
+ *
+ * @param {string} text - buildPatternSearchText() 결과
+ * @returns {object} { indices, values } (값 = BM25 tf 포화값 tf·(k1+1)/(tf+k1), 문서 길이 정규화 없음)
+ */
+export function buildSparseVector(text) {
+  const termFrequencies = countTerms(tokenizeSearchText(text));
+  const indices = [];
+  const values = [];
+
+  for (const [index, tf] of termFrequencies) {
+    indices.push(index);
+    values.push(Number((tf * (BM25_K1 + 1) / (tf + BM25_K1)).toFixed(4)));
+  }
+  return { indices, values };
+}
+
+/**
+ * 질의용 sparse 벡터 (질의 토큰마다 1)
+ *
+ * @param {string} text - 키워드 질의
+ * @returns {object} { indices, values }
+ */
+export function buildQuerySparseVector(text) {
+  const indices = [...countTerms(tokenizeSearchText(text)).keys()];
+  return { indices, values: indices.map(() => 1) };
+}
+
+/**
+ * 프로세스 내 BM25 순위 (Local 어댑터, sparse 벡터가 없는 Qdrant 컬렉션)
+ *
+ * @param {Array} documents - [{ item, text }]
+ * @param {string} queryText - 키워드 질의
+ * @returns {Array} 점수 내림차순 [{ item, score, matchedTerms }] (질의 토큰이 하나도 없는 문서 제외)
+ */
+export function rankByBm25(documents, queryText) {
+  const queryTerms = [...new Set(tokenizeSearchText(queryText))];
+  if (queryTerms.length === 0 || documents.length === 0) {
+    return [];
+  }
+
+  const docs = documents.map(doc => {
+    const tokens = tokenizeSearchText(doc.text);
+    const tf = new Map();
+    tokens.forEach(token => tf.set(token, (tf.get(token) || 0) + 1));
+    return { item: doc.item, tf, length: tokens.length };
+  });
+  const avgLength = docs.reduce((sum, doc) => sum + doc.length, 0) / docs.length || 1;
+
+  const idf = new Map(queryTerms.map(term => {
+    const df = docs.filter(doc => doc.tf.has(term)).length;
+    return [term, Math.log(1 + (docs.length - df + 0.5) / (df + 0.5))];
+  }));
+
+  return docs
+    .map(doc => {
+      const matchedTerms = queryTerms.filter(term => doc.tf.has(term));
+      const score = matchedTerms.reduce((sum, term) => {
+        const tf = doc.tf.get(term);
+        return sum + idf.get(term) * tf * (BM25_K1 + 1) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / avgLength));
+      }, 0);
+      return { item: doc.item, score, matchedTerms };
+    })
+    .filter(result => result.matchedTerms.length > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * 질의 토큰 중 문서에 포함된 토큰 (Qdrant sparse 검색 결과 설명용)
+ *
+ * @param {string} queryText - 키워드 질의
+ * @param {string} documentText - buildPatternSearchText() 결과
+ * @returns {string[]} 일치 토큰
+ */
+export function findMatchedTerms(queryText, documentText) {
+  const documentTerms = new Set(tokenizeSearchText(documentText));
+  return [...new Set(tokenizeSearchText(queryText))].filter(term => documentTerms.has(term));
+}
+
+/**
+ * payload 필터 정규화
+ *
+ * @param {object} filters - { category, severity, framework, minQualityScore } (category/severity는 문자열 또는 배열)
+ * @returns {object} { category: string[]|null, severity: string[]|null, framework: string|null, minQualityScore: number|null }
+ * @throws {Error} minQualityScore가 숫자가 아님
+ */
+export function normalizePatternFilters(filters = {}) {
+  const toList = value => {
+    if (value === undefined || value === null || value === '') return null;
+    const list = (Array.isArray(value) ? value : String(value).split(','))
+      .map(item => String(item).trim())
+      .filter(Boolean);
+    return list.length > 0 ? list : null;
+  };
+
+  let minQualityScore = null;
+  if (filters.minQualityScore !== undefined && filters.minQualityScore !== null && filters.minQualityScore !== '') {
+    minQualityScore = Number(filters.minQualityScore);
+    if (!Number.isFinite(minQualityScore)) {
+      throw new Error(`최소 품질 점수 필터는 숫자여야 합니다: ${filters.minQualityScore}`);
+    }
+  }
+
+  return {
+    category: toList(filters.category),
+    severity: toList(filters.severity)?.map(severity => severity.toUpperCase()) || null,
+    framework: filters.framework || null,
+    minQualityScore
+  };
+}
+
+/**
+ * payload가 필터 조건을 만족하는지 확인 (Local 어댑터, Qdrant BM25 폴백)
+ *
+ * @param {object} payload - { category, severity, frameworkVersion, qualityScore }
+ * @param {object} filters - normalizePatternFilters() 결과
+ * @returns {boolean}
+ */
+export function matchesPatternFilters(payload, filters) {
+  if (!filters) return true;
+  return (!filters.category || filters.category.includes(payload.category)) &&
+         (!filters.severity || filters.severity.includes(payload.severity)) &&
+         (!filters.framework || payload.frameworkVersion === filters.framework) &&
+         (filters.minQualityScore === null || filters.minQualityScore === undefined || Number(payload.qualityScore ?? 0) >= filters.minQualityScore);
+}
+
+/**
+ * RRF 결합 + 구성요소별 점수 설명
+ *
+ * @param {object} rankings - { dense: [{ id, score, ... }], sparse: [{ id, score, matchedTerms, ... }] } (각각 점수 내림차순)
+ * @param {object} options - { k: RRF 상수 (기본 60), weights: { dense, sparse } (기본 1) }
+ * @returns {Array} RRF 점수 내림차순 [{ ...결과, score, explanation: { fusion, rrfK, dense, sparse } }]
+ *          dense/sparse = { rank, score, contribution (, matchedTerms) } 또는 null (해당 목록에 없음)
+ */
+export function fuseRankings(rankings, { k = DEFAULT_RRF_K, weights = {} } = {}) {
+  const fused = new Map();
+
+  for (const [component, results] of Object.entries(rankings)) {
+    const weight = weights[component] ?? 1;
+
+    results.forEach((result, index) => {
+      const rank = index + 1;
+      const contribution = weight / (k + rank);
+      const entry = fused.get(result.id) || {
+        ...result,
+        score: 0,
+        explanation: { fusion: 'rrf', rrfK: k, dense: null, sparse: null }
+      };
+
+      entry.score += contribution;
+      entry.explanation[component] = {
+        rank,
+        score: roundScore(result.score),
+        contribution: roundScore(contribution),
+        ...(result.matchedTerms && { matchedTerms: result.matchedTerms })
+      };
+      fused.set(result.id, entry);
+    });
+  }
+
+  return [...fused.values()]
+    .map(entry => {
+      const { matchedTerms, ...rest } = entry;
+      return { ...rest, score: roundScore(entry.score) };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+function countTerms(tokens) {
+  const counts = new Map();
+  for (const token of tokens) {
+    const index = hashToken(token);
+    counts.set(index, (counts.get(index) || 0) + 1);
+  }
+  return counts;
+}
+
+// FNV-1a 32bit (sparse 벡터 인덱스)
+function hashToken(token) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < token.length; i++) {
+    hash ^= token.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+function roundScore(score) {
+  return typeof score === 'number' ? Number(score.toFixed(6)) : null;
+}
@@ -84,4 +84,35 @@ export function groupBySource(issues) {
     groups[src] = (groups[src] || 0) + 1;
   });
   return groups;
-}
\ No newline at end of file
+}
+
+/**
+ * 프로젝트 설정 파일의 규칙 설정으로 규칙 사용 여부 판단
+ * enabled가 비어 있으면 disabled에 없는 모든 규칙 사용
+ *
+ * @param {string} ruleId - 가이드라인 ruleId 또는 패턴 분석 patternId
+ * @param {object} ruleSettings - config.project.rules ({ enabled, disabled, severity })
+ */
+export function isRuleEnabled(ruleId, ruleSettings) {
+  if (!ruleId) return true;
+  if (ruleSettings.disabled.includes(ruleId)) return false;
+  return ruleSettings.enabled.length === 0 || ruleSettings.enabled.includes(ruleId);
+}
+
+/**
+ * 프로젝트 설정 파일의 규칙 설정 적용
+ * - 사용하지 않는 규칙의 이슈 제외
+ * - 규칙별 심각도 재정의 (원래 심각도는 originalSeverity에 보존)
+ *
+ * 가이드라인 위반(ruleId)과 패턴 분석 이슈(patternInfo.patternId) 모두 지원
+ */
+export function applyRuleSettings(issues, ruleSettings) {
+  return issues
+    .filter(issue => isRuleEnabled(issue.ruleId, ruleSettings) && isRuleEnabled(issue.patternInfo?.patternId, ruleSettings))
+    .map(issue => {
+      const override = ruleSettings.severity[issue.ruleId] || ruleSettings.severity[issue.patternInfo?.patternId];
+      return override && override !== issue.severity
+        ? { ...issue, severity: override, originalSeverity: issue.severity }
+        : issue;
+    });
+}
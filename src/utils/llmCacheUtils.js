@@ -0,0 +1,162 @@
+/**
+ * LLM 응답 캐시 관련 유틸리티 함수들
+ *
+ * LLMPipeline 캐시 미들웨어에서 LLM 응답을 디스크에 저장하여,
+ * 변경되지 않은 코드를 다시 검사할 때 같은 질문(맥락적 검사, 수정 제안, 패턴 생성)을 LLM에 반복하지 않는다.
+ *
+ * 캐시 키: sha256(provider + model + sha256(prompt) + 옵션(키 정렬 JSON))
+ * 저장 구조 (항목당 파일 1개, 여러 프로세스가 동시에 써도 항목 단위로만 겹침):
+ *   {directory}/{key}.json → { provider, model, createdAt, response }
+ *
+ * 정책:
+ * - TTL(초) 지난 항목은 조회 시 삭제 후 미스 처리
+ * - 저장 후 항목 수가 maxEntries를 넘으면 오래된(수정 시각 기준) 항목부터 삭제
+ * - 적중/미스 통계는 프로세스 단위로 집계 (LLMPipeline 인스턴스 간 공유) → 리포트 llmCache 항목
+ * - 캐시 읽기/쓰기 실패는 경고만 출력하고 LLM 호출로 진행
+ *
+ * # TODO: Python 변환 시 diskcache 또는 Redis로 대체
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config.js';
+import logger from './loggerUtils.js';
+
+const stats = {
+  hits: 0,
+  misses: 0,
+  writes: 0,
+  expired: 0,
+  evicted: 0
+};
+
+/**
+ * LLM 응답 캐시 키 생성
+ *
+ * @param {object} identity - { provider, model }
+ * @param {string} prompt - 프롬프트
+ * @param {object} options - 생성 옵션 (temperature, num_predict 등)
+ * @returns {string} 64자리 16진수 키
+ */
+export function createLLMCacheKey({ provider, model }, prompt, options = {}) {
+  const promptHash = crypto.createHash('sha256').update(prompt).digest('hex');
+  const parts = [provider || '', model || '', promptHash, stableStringify(options)];
+  return crypto.createHash('sha256').update(parts.join('\u0000')).digest('hex');
+}
+
+/**
+ * 캐시된 LLM 응답 조회 (적중/미스 통계 반영)
+ *
+ * @param {string} key - createLLMCacheKey() 결과
+ * @returns {Promise<string|null>} 캐시된 응답 (없거나 만료되었으면 null)
+ */
+export async function getCachedCompletion(key) {
+  const filePath = getEntryPath(key);
+
+  let entry;
+  try {
+    entry = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`⚠️ LLM 캐시 읽기 실패 (${key.slice(0, 12)}): ${error.message}`);
+    }
+    stats.misses++;
+    return null;
+  }
+
+  // TTL 0은 같은 시각(ms)에 저장된 항목도 만료 처리
+  if (Date.now() - entry.createdAt >= config.llmCache.ttl * 1000) {
+    await fs.rm(filePath, { force: true });
+    stats.expired++;
+    stats.misses++;
+    return null;
+  }
+
+  stats.hits++;
+  return entry.response;
+}
+
+/**
+ * LLM 응답 캐시 저장 (항목 수 상한 초과 시 오래된 항목 삭제)
+ *
+ * @param {string} key - createLLMCacheKey() 결과
+ * @param {object} identity - { provider, model } (캐시 파일 확인용)
+ * @param {string} response - LLM 응답
+ */
+export async function setCachedCompletion(key, { provider, model }, response) {
+  try {
+    await fs.mkdir(config.llmCache.directory, { recursive: true });
+    await fs.writeFile(getEntryPath(key), JSON.stringify({ provider, model, createdAt: Date.now(), response }), 'utf-8');
+    stats.writes++;
+    await evictOverflow();
+  } catch (error) {
+    logger.warn(`⚠️ LLM 캐시 저장 실패 (${key.slice(0, 12)}): ${error.message}`);
+  }
+}
+
+/**
+ * 현재 프로세스의 LLM 캐시 적중/미스 통계 (리포트 기록용)
+ *
+ * @returns {object} { enabled, hits, misses, hitRate, writes, expired, evicted }
+ */
+export function getLLMCacheStats() {
+  const lookups = stats.hits + stats.misses;
+  return {
+    enabled: config.llmCache.enabled,
+    ...stats,
+    hitRate: lookups === 0 ? null : Number((stats.hits / lookups).toFixed(3))
+  };
+}
+
+/**
+ * LLM 응답 캐시 전체 삭제
+ *
+ * @returns {Promise<number>} 삭제한 항목 수
+ */
+export async function clearLLMCache() {
+  const files = await listEntryFiles();
+  await Promise.all(files.map(file => fs.rm(path.join(config.llmCache.directory, file), { force: true })));
+  return files.length;
+}
+
+function getEntryPath(key) {
+  return path.join(config.llmCache.directory, `${key}.json`);
+}
+
+async function listEntryFiles() {
+  try {
+    const files = await fs.readdir(config.llmCache.directory);
+    return files.filter(file => file.endsWith('.json'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+async function evictOverflow() {
+  const files = await listEntryFiles();
+  const overflow = files.length - config.llmCache.maxEntries;
+  if (overflow <= 0) return;
+
+  const entries = await Promise.all(files.map(async file => {
+    const filePath = path.join(config.llmCache.directory, file);
+    const { mtimeMs } = await fs.stat(filePath).catch(() => ({ mtimeMs: 0 }));
+    return { filePath, mtimeMs };
+  }));
+
+  const oldest = entries.sort((a, b) => a.mtimeMs - b.mtimeMs).slice(0, overflow);
+  await Promise.all(oldest.map(entry => fs.rm(entry.filePath, { force: true })));
+  stats.evicted += oldest.length;
+}
+
+// 키 순서와 무관하게 같은 옵션이면 같은 문자열
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
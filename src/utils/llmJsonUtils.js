@@ -0,0 +1,140 @@
+/**
+ * LLM 응답 JSON 추출 유틸리티 함수들
+ *
+ * LLMPipeline의 JSON 추출 미들웨어와 LLMService가 공통으로 사용하는 단일 구현
+ * (provider와 호출부에 관계없이 같은 응답은 같은 JSON으로 추출)
+ *
+ * 추출 순서:
+ * 1. 추론 모델의 사고 과정(<think>...</think>, <|thinking|>...) 제거
+ * 2. 마크다운 코드 블록(```json ... ```) 내용 파싱
+ * 3. 코드 블록 표식 제거 후 전체 텍스트 직접 파싱
+ * 4. 문자열 리터럴을 고려한 중괄호 짝 맞춤으로 최상위 JSON 객체 후보 수집
+ *    → 스키마가 주어지면 스키마를 만족하는 후보 우선, 그 안에서 중첩 필드가 가장 많은 후보 선택 (동률이면 긴 후보)
+ *
+ * # TODO: Python 변환 시 json.JSONDecoder.raw_decode 기반으로 대체
+ */
+
+import { validateJSONSchema } from './llmSchemaUtils.js';
+
+/**
+ * LLM 응답에서 JSON 객체 추출
+ *
+ * @param {string} response - LLM 응답 텍스트
+ * @param {object|null} schema - 후보 선택에 사용할 JSON 스키마 (llmTaskSchemas.js)
+ * @returns {object|null} 파싱된 JSON 객체 (추출 실패 시 null)
+ */
+export function extractJSONFromResponse(response, schema = null) {
+  if (!response || typeof response !== 'string') {
+    return null;
+  }
+
+  // Step 1: 사고 과정 제거
+  const text = stripReasoning(response);
+
+  // Step 2: 코드 블록 내용
+  const candidates = [];
+  for (const match of text.matchAll(/```(?:json|javascript)?\s*\n?([\s\S]*?)```/gi)) {
+    const parsed = tryParseObject(match[1].trim());
+    if (parsed) candidates.push({ parsed, length: match[1].length });
+  }
+  if (candidates.length > 0 && (!schema || candidates.some(c => isValid(c.parsed, schema)))) {
+    return selectBestCandidate(candidates, schema);
+  }
+
+  // Step 3: 전체 텍스트 직접 파싱
+  const cleaned = text.replace(/```(?:json|javascript)?/gi, '').trim();
+  const direct = tryParseObject(cleaned);
+  if (direct && (!schema || isValid(direct, schema))) {
+    return direct;
+  }
+
+  // Step 4: 최상위 객체 후보 수집
+  let searchStart = 0;
+  while (searchStart < cleaned.length) {
+    const openIndex = cleaned.indexOf('{', searchStart);
+    if (openIndex === -1) break;
+
+    const endIndex = findClosingBrace(cleaned, openIndex);
+    if (endIndex === -1) {
+      searchStart = openIndex + 1;
+      continue;
+    }
+
+    const parsed = tryParseObject(cleaned.substring(openIndex, endIndex + 1));
+    if (parsed) {
+      candidates.push({ parsed, length: endIndex - openIndex + 1 });
+      searchStart = endIndex + 1;
+    } else {
+      searchStart = openIndex + 1;
+    }
+  }
+
+  return candidates.length > 0 ? selectBestCandidate(candidates, schema) : null;
+}
+
+function stripReasoning(response) {
+  let text = response;
+  const thinkEndIndex = text.lastIndexOf('</think>');
+  if (thinkEndIndex !== -1) {
+    text = text.substring(thinkEndIndex + '</think>'.length);
+  }
+  return text
+    .replace(/<\|thinking\|>[\s\S]*?<\|\/thinking\|>/gi, '')
+    .replace(/<think>[\s\S]*$/i, '')
+    .trim();
+}
+
+function tryParseObject(text) {
+  if (!text.startsWith('{') || !text.endsWith('}')) return null;
+  try {
+    const parsed = JSON.parse(text);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// 문자열 리터럴 안의 중괄호는 무시
+function findClosingBrace(text, openIndex) {
+  let depth = 0;
+  let inString = false;
+
+  for (let i = openIndex; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') inString = true;
+    else if (char === '{') depth++;
+    else if (char === '}' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+function selectBestCandidate(candidates, schema) {
+  const validCandidates = schema ? candidates.filter(c => isValid(c.parsed, schema)) : [];
+  return (validCandidates.length > 0 ? validCandidates : candidates)
+    .map(candidate => ({ ...candidate, fieldCount: countJSONFields(candidate.parsed) }))
+    .sort((a, b) => b.fieldCount - a.fieldCount || b.length - a.length)[0].parsed;
+}
+
+function isValid(parsed, schema) {
+  return validateJSONSchema(parsed, schema).length === 0;
+}
+
+function countJSONFields(obj, depth = 0, maxDepth = 3) {
+  if (depth > maxDepth || obj === null || typeof obj !== 'object') {
+    return 0;
+  }
+
+  let count = 0;
+  for (const value of Object.values(obj)) {
+    count++;
+    if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+      count += countJSONFields(value, depth + 1, maxDepth);
+    }
+  }
+  return count;
+}
@@ -0,0 +1,114 @@
+/**
+ * LLM 호출 기록/재생(record/replay) 관련 유틸리티 함수들
+ *
+ * 모델 서버 없는 환경에서 issueCodeAnalyzer, GuidelineExtractor, checkContextualRules 등을
+ * 결정적으로 재실행(회귀 검증)하기 위해 LLMPipeline 기록/재생 미들웨어에서 provider 호출을 감싼다.
+ *
+ * 모드 (config.llm.recording.mode, 환경변수 LLM_RECORD_MODE):
+ * - off: 기록/재생 없이 LLM 호출 (기본)
+ * - record: 실제 LLM 호출 후 프롬프트 → 응답 쌍을 fixture 파일로 저장 (같은 키는 덮어씀)
+ * - replay: LLM을 호출하지 않고 fixture 응답 반환, fixture가 없는 프롬프트는 즉시 오류
+ *   - 호출부가 오류를 삼키더라도 누락 목록을 종료 시 출력하고 종료 코드 2로 실패 처리
+ *
+ * fixture 파일 (항목당 파일 1개, 프롬프트 원문 포함 → 리뷰/수정 가능):
+ *   {fixtureDirectory}/{key}.json → { key, provider, model, recordedAt, options, prompt, response }
+ * 키는 프롬프트 + 옵션만으로 생성 (provider/모델과 무관 → 재생 환경의 LLM 설정과 상관없이 재생)
+ *
+ * # NOTE: record/replay 중에는 LLM 응답 캐시(llmCacheUtils)를 사용하지 않음 (캐시 적중 시 기록 누락, 재생 누락 은폐 방지)
+ * # TODO: Python 변환 시 vcrpy 카세트 형식 검토
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config.js';
+import { createLLMCacheKey } from './llmCacheUtils.js';
+import { EXIT_CODES } from './qualityGateUtils.js';
+import logger from './loggerUtils.js';
+
+const RECORDING_MODES = ['off', 'record', 'replay'];
+
+const replayMisses = [];
+
+/**
+ * 현재 LLM 기록/재생 모드
+ *
+ * @returns {string} 'off' | 'record' | 'replay'
+ * @throws {Error} 지원하지 않는 모드
+ */
+export function getLLMRecordingMode() {
+  const { mode } = config.llm.recording;
+  if (!RECORDING_MODES.includes(mode)) {
+    throw new Error(`지원하지 않는 LLM_RECORD_MODE: ${mode} (지원: ${RECORDING_MODES.join(', ')})`);
+  }
+  return mode;
+}
+
+/**
+ * LLM 호출을 기록/재생 모드에 맞게 실행
+ *
+ * @param {object} identity - { provider, model } (fixture 기록용)
+ * @param {string} prompt - 프롬프트
+ * @param {object} options - 생성 옵션
+ * @param {Function} generate - 실제 LLM 호출 함수 (off/record 모드에서 실행)
+ * @returns {Promise<string>} LLM 응답 (replay: fixture 응답)
+ * @throws {Error} replay 모드에서 fixture가 없는 경우
+ */
+export async function withLLMRecording({ provider, model }, prompt, options, generate) {
+  const mode = getLLMRecordingMode();
+  if (mode === 'off') {
+    return await generate();
+  }
+
+  const key = createLLMCacheKey({ provider: '', model: '' }, prompt, options);
+  const fixturePath = path.join(config.llm.recording.fixtureDirectory, `${key}.json`);
+
+  if (mode === 'replay') {
+    const fixture = await readFixture(fixturePath);
+    if (!fixture) {
+      throw recordReplayMiss(key, prompt);
+    }
+    logger.info(`📼 LLM 리플레이 (${key.slice(0, 12)})`);
+    return fixture.response;
+  }
+
+  const response = await generate();
+  await fs.mkdir(config.llm.recording.fixtureDirectory, { recursive: true });
+  await fs.writeFile(fixturePath, JSON.stringify({
+    key,
+    provider,
+    model,
+    recordedAt: new Date().toISOString(),
+    options,
+    prompt,
+    response
+  }, null, 2), 'utf-8');
+  logger.info(`📼 LLM 응답 기록 (${key.slice(0, 12)})`);
+
+  return response;
+}
+
+async function readFixture(fixturePath) {
+  try {
+    return JSON.parse(await fs.readFile(fixturePath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`LLM fixture 로드 실패 (${fixturePath}): ${error.message}`);
+  }
+}
+
+// 누락 기록 + 종료 시 요약 출력 및 종료 코드 2 (호출부에서 오류를 삼켜도 실행 결과가 실패로 남도록)
+function recordReplayMiss(key, prompt) {
+  const preview = prompt.replace(/\s+/g, ' ').trim().slice(0, 80);
+  logger.error(`❌ LLM 리플레이 fixture 없음 (${key.slice(0, 12)}): "${preview}"`);
+
+  if (replayMisses.length === 0) {
+    process.once('exit', () => {
+      logger.error(`❌ LLM 리플레이 누락 ${replayMisses.length}건 (${config.llm.recording.fixtureDirectory}) → LLM_RECORD_MODE=record로 다시 기록하세요`);
+      replayMisses.forEach(miss => logger.error(`  - ${miss.key.slice(0, 12)}: "${miss.preview}"`));
+      process.exitCode = EXIT_CODES.TOOL_ERROR;
+    });
+  }
+  replayMisses.push({ key, preview });
+
+  return new Error(`LLM 리플레이 fixture 없음: ${key.slice(0, 12)} (LLM_RECORD_MODE=record로 기록 필요)`);
+}
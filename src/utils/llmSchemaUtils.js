@@ -0,0 +1,198 @@
+/**
+ * LLM 구조화 응답(JSON 스키마) 관련 유틸리티 함수들
+ *
+ * LLMPipeline의 스키마 검증 미들웨어가 사용:
+ * - validateJSONSchema(): JSON Schema 부분 집합 검증 (외부 의존성 없음)
+ * - buildSchemaRepairPrompt(): 검증 오류를 모델에 되돌려 보내는 수정 요청 프롬프트
+ * - 작업(task)별 / 모델별 첫 응답 유효율 집계 → 리포트 llmSchema 항목
+ *
+ * 지원 키워드: type(배열 가능, integer 포함), enum, required, properties, additionalProperties(false/스키마),
+ *             items, minItems, maxItems, minLength, minimum, maximum, anyOf
+ *
+ * # TODO: Python 변환 시 jsonschema(Draft 7) 또는 pydantic 모델로 대체
+ */
+
+const MAX_REPORTED_ERRORS = 10;
+
+const stats = {
+  byTask: {},
+  byModel: {}
+};
+
+/**
+ * JSON 스키마 검증
+ *
+ * @param {*} value - 검증할 값
+ * @param {object} schema - JSON 스키마 (부분 집합)
+ * @param {string} path - 오류 메시지용 경로 (재귀 호출용)
+ * @returns {string[]} 오류 목록 (비어 있으면 유효)
+ */
+export function validateJSONSchema(value, schema, path = '$') {
+  const errors = [];
+
+  if (schema.anyOf) {
+    const matched = schema.anyOf.some(sub => validateJSONSchema(value, sub, path).length === 0);
+    if (!matched) {
+      errors.push(`${path}: anyOf 조건 중 만족하는 스키마 없음`);
+    }
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${path}: ${types.join(' | ')} 타입이어야 함 (현재: ${describeType(value)})`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: 허용 값 ${JSON.stringify(schema.enum)} 중 하나여야 함 (현재: ${JSON.stringify(value)})`);
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${path}: 최소 ${schema.minLength}자 이상이어야 함`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: ${schema.minimum} 이상이어야 함 (현재: ${value})`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: ${schema.maximum} 이하여야 함 (현재: ${value})`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: 항목이 최소 ${schema.minItems}개 이상이어야 함`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: 항목이 최대 ${schema.maxItems}개 이하여야 함`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateJSONSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key}: 필수 필드 누락`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateJSONSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    }
+    if (schema.additionalProperties !== undefined && schema.additionalProperties !== true) {
+      const known = Object.keys(schema.properties || {});
+      for (const key of Object.keys(value).filter(k => !known.includes(k))) {
+        if (schema.additionalProperties === false) {
+          errors.push(`${path}.${key}: 정의되지 않은 필드`);
+        } else {
+          errors.push(...validateJSONSchema(value[key], schema.additionalProperties, `${path}.${key}`));
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * 스키마 검증 실패 응답에 대한 수정 요청 프롬프트
+ *
+ * 원래 요청, 직전 응답, 검증 오류, 스키마를 함께 보내 JSON만 다시 작성하도록 요청
+ *
+ * @param {string} prompt - 원래 프롬프트
+ * @param {string} response - 직전 LLM 응답
+ * @param {string[]} errors - validateJSONSchema() 오류 (JSON 추출 실패 시 추출 실패 메시지)
+ * @param {object} schema - 작업 스키마
+ * @returns {string} 수정 요청 프롬프트
+ */
+export function buildSchemaRepairPrompt(prompt, response, errors, schema) {
+  const reportedErrors = errors.slice(0, MAX_REPORTED_ERRORS);
+  const omitted = errors.length - reportedErrors.length;
+
+  return `${prompt}
+
+## 이전 응답
+${truncate(response, 4000)}
+
+## 이전 응답의 오류
+이전 응답이 요구한 JSON 스키마를 만족하지 않습니다:
+${reportedErrors.map(error => `- ${error}`).join('\n')}${omitted > 0 ? `\n- ... 외 ${omitted}건` : ''}
+
+## 응답 JSON 스키마
+\`\`\`json
+${JSON.stringify(schema, null, 2)}
+\`\`\`
+
+위 오류를 모두 수정하여 스키마를 만족하는 JSON 객체 하나만 다시 출력하세요. 설명이나 다른 텍스트는 포함하지 마세요.`;
+}
+
+/**
+ * 스키마 검증 결과 집계 (작업별, provider/모델별)
+ *
+ * 첫 응답이 캐시/재생 응답(fromCache)이면 이미 집계된(또는 이전 실행의) 모델 응답이므로
+ * requests/firstPassValid/repaired/failed에 넣지 않고 cachedResponses만 증가
+ *
+ * @param {object} identity - { task, provider, model }
+ * @param {object} outcome - { firstPassValid, repairAttempts, valid, fromCache }
+ */
+export function recordSchemaValidation({ task, provider, model }, { firstPassValid, repairAttempts, valid, fromCache = false }) {
+  for (const [bucket, key] of [[stats.byTask, task], [stats.byModel, `${provider}/${model}`]]) {
+    const entry = bucket[key] ||
+      (bucket[key] = { requests: 0, firstPassValid: 0, repaired: 0, failed: 0, repairAttempts: 0, cachedResponses: 0 });
+    if (fromCache) {
+      entry.cachedResponses++;
+      continue;
+    }
+    entry.requests++;
+    entry.repairAttempts += repairAttempts;
+    if (firstPassValid) entry.firstPassValid++;
+    else if (valid) entry.repaired++;
+    else entry.failed++;
+  }
+}
+
+/**
+ * 현재 프로세스의 스키마 검증 통계
+ *
+ * @returns {object} { byTask: { [task]: stats }, byModel: { [provider/model]: stats } }
+ *   stats: { requests, firstPassValid, repaired, failed, repairAttempts, cachedResponses, firstPassRate }
+ *   (requests 이하 항목은 실제 모델 응답 기준, cachedResponses: 첫 응답이 캐시/재생 응답인 요청 수)
+ */
+export function getLLMSchemaStats() {
+  const withRates = bucket => Object.fromEntries(
+    Object.entries(bucket).map(([key, entry]) => [key, {
+      ...entry,
+      firstPassRate: entry.requests > 0 ? Math.round((entry.firstPassValid / entry.requests) * 1000) / 1000 : 0
+    }])
+  );
+  return { byTask: withRates(stats.byTask), byModel: withRates(stats.byModel) };
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function truncate(text, maxLength) {
+  if (!text) return '(빈 응답)';
+  return text.length > maxLength ? `${text.substring(0, maxLength)}\n... (이하 생략)` : text;
+}
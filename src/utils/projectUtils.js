@@ -0,0 +1,265 @@
+/**
+ * 프로젝트 단위 검사 대상 탐색 유틸리티 함수들
+ *
+ * check 명령어의 -c 인자를 해석하여 검사할 .java 파일 목록을 만든다.
+ * - 단일 파일: 기존 단일 파일 검사
+ * - 디렉토리: 하위 모든 .java 파일
+ * - glob: 패턴과 일치하는 .java 파일 (예: "src/**\/service/*.java")
+ * - Maven/Gradle 루트: 모든 모듈의 src/main/java 하위 .java 파일
+ *
+ * # TODO: Python 변환 시 pathlib.Path.rglob + fnmatch로 대체
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// VCS, IDE 디렉토리는 깊이와 관계없이 항상 제외
+const DEFAULT_EXCLUDES = [
+  '**/.git/**',
+  '**/.idea/**',
+  '**/.gradle/**',
+  '**/node_modules/**'
+];
+
+const MAVEN_MARKERS = ['pom.xml'];
+const GRADLE_MARKERS = ['build.gradle', 'build.gradle.kts', 'settings.gradle', 'settings.gradle.kts'];
+
+// 빌드 산출물 디렉토리는 모듈 루트(pom.xml/build.gradle 등이 있는 디렉토리) 바로 아래에서만 제외
+// (com.acme.build 같은 패키지 디렉토리는 검사 대상)
+const BUILD_OUTPUT_DIRS = ['target', 'build'];
+
+/**
+ * glob 메타문자(*, ?, {}) 포함 여부
+ */
+export function isGlobPattern(pattern) {
+  return /[*?{]/.test(pattern);
+}
+
+/**
+ * glob 패턴을 정규식으로 변환
+ *
+ * 지원 문법:
+ * - **  : 0개 이상의 디렉토리
+ * - *   : 경로 구분자(/)를 제외한 임의 문자열
+ * - ?   : 경로 구분자를 제외한 임의 1문자
+ * - {a,b}: 대안 목록
+ *
+ * 패턴은 탐색 루트 기준 상대 경로 전체와 비교 (예: "*Dao.java"는 루트 바로 아래 파일만 일치)
+ * matchBaseName이면 슬래시가 없는 패턴(예: "*Test.java")을 모든 디렉토리의 파일명과 비교 (--include/--exclude)
+ *
+ * @param {string} pattern - glob 패턴
+ * @param {object} options - { matchBaseName: 슬래시 없는 패턴 앞에 **\/ 추가 (기본 false) }
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern, { matchBaseName = false } = {}) {
+  let glob = pattern.replace(/\\/g, '/').replace(/^\.\//, '');
+  if (matchBaseName && !glob.includes('/')) {
+    glob = `**/${glob}`;
+  }
+
+  let regex = '';
+  let inBrace = false;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        i++;
+        if (glob[i + 1] === '/') {
+          i++;
+          regex += '(?:.*/)?';
+        } else {
+          regex += '.*';
+        }
+      } else {
+        regex += '[^/]*';
+      }
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else if (char === '{') {
+      inBrace = true;
+      regex += '(?:';
+    } else if (char === '}' && inBrace) {
+      inBrace = false;
+      regex += ')';
+    } else if (char === ',' && inBrace) {
+      regex += '|';
+    } else {
+      regex += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${regex}$`);
+}
+
+/**
+ * 쉼표로 구분된 패턴 문자열을 배열로 변환
+ *
+ * @example
+ * parsePatternList('**\/dao/**, *Test.java') // ['**\/dao/**', '*Test.java']
+ */
+export function parsePatternList(value) {
+  if (!value) return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * 디렉토리의 빌드 도구 판별 (pom.xml → maven, build.gradle 등 → gradle)
+ */
+export async function detectBuildTool(dirPath) {
+  if (await findFirstExisting(MAVEN_MARKERS.map(marker => path.join(dirPath, marker)))) {
+    return 'maven';
+  }
+  if (await findFirstExisting(GRADLE_MARKERS.map(marker => path.join(dirPath, marker)))) {
+    return 'gradle';
+  }
+  return null;
+}
+
+/**
+ * check 명령어의 검사 대상 해석
+ *
+ * 상대 경로는 SAMPLE_CODE_DIRECTORY(기존 단일 파일 검사 기준) → 현재 작업 디렉토리 순으로 탐색
+ *
+ * @param {string} target - 파일, 디렉토리, glob 또는 프로젝트 루트 경로
+ * @returns {Promise<object>} { type: 'file'|'directory'|'glob'|'maven'|'gradle', rootDir, filePath, pattern }
+ * @throws {Error} 대상 경로가 존재하지 않는 경우
+ */
+export async function resolveCheckTarget(target) {
+  const normalized = target.replace(/\\/g, '/');
+
+  // glob: 첫 메타문자 이전 디렉토리를 탐색 루트로 사용
+  if (isGlobPattern(normalized)) {
+    const segments = normalized.split('/');
+    const firstGlobIndex = segments.findIndex(segment => isGlobPattern(segment));
+    const baseDir = segments.slice(0, firstGlobIndex).join('/') || '.';
+    const rootDir = await resolveExistingPath(baseDir);
+
+    if (!rootDir) {
+      throw new Error(`검사 대상 경로를 찾을 수 없습니다: ${baseDir}`);
+    }
+
+    return {
+      type: 'glob',
+      rootDir,
+      filePath: null,
+      pattern: segments.slice(firstGlobIndex).join('/')
+    };
+  }
+
+  const resolved = await resolveExistingPath(normalized);
+  if (!resolved) {
+    throw new Error(`검사 대상 경로를 찾을 수 없습니다: ${target}`);
+  }
+
+  const stat = await fs.stat(resolved);
+  if (stat.isFile()) {
+    return { type: 'file', rootDir: path.dirname(resolved), filePath: resolved, pattern: null };
+  }
+
+  const buildTool = await detectBuildTool(resolved);
+  return { type: buildTool || 'directory', rootDir: resolved, filePath: null, pattern: null };
+}
+
+/**
+ * 검사 대상에서 .java 파일 목록 수집
+ *
+ * 내부 흐름:
+ * 1. 대상 유형별 기본 include 결정
+ *    - directory: **\/*.java
+ *    - glob: 입력 패턴
+ *    - maven/gradle: **\/src/main/java/**\/*.java (+ includeTests 시 src/test/java)
+ * 2. 사용자 include가 있으면 기본 include를 대체, exclude는 기본 제외 목록에 추가
+ *    (사용자 include/exclude의 슬래시 없는 패턴은 파일/디렉토리 이름과 비교, glob 대상 패턴은 탐색 루트 기준)
+ * 3. 제외 디렉토리는 탐색 단계에서 건너뜀 (모듈 루트의 target/, build/ 등 대용량 산출물 회피)
+ *
+ * @param {object} target - resolveCheckTarget() 결과
+ * @param {object} options - { include: string[], exclude: string[], includeTests: boolean }
+ * @returns {Promise<Array<{absolutePath: string, relativePath: string}>>} 상대 경로 기준 정렬된 목록
+ */
+export async function collectJavaFiles(target, options = {}) {
+  if (target.type === 'file') {
+    return [{ absolutePath: target.filePath, relativePath: path.basename(target.filePath) }];
+  }
+
+  const includes = options.include?.length > 0
+    ? options.include.map(pattern => globToRegExp(pattern, { matchBaseName: true }))
+    : getDefaultIncludes(target, options.includeTests).map(pattern => globToRegExp(pattern));
+  const excludes = [
+    ...DEFAULT_EXCLUDES.map(pattern => globToRegExp(pattern)),
+    ...(options.exclude || []).map(pattern => globToRegExp(pattern, { matchBaseName: true }))
+  ];
+
+  const files = [];
+  await walkDirectory(target.rootDir, '', includes, excludes, files);
+
+  return files.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+}
+
+function getDefaultIncludes(target, includeTests) {
+  switch (target.type) {
+    case 'glob':
+      return [target.pattern];
+    case 'maven':
+    case 'gradle':
+      return includeTests
+        ? ['**/src/main/java/**/*.java', '**/src/test/java/**/*.java']
+        : ['**/src/main/java/**/*.java'];
+    default:
+      return ['**/*.java'];
+  }
+}
+
+async function walkDirectory(rootDir, relativeDir, includes, excludes, files) {
+  const entries = await fs.readdir(path.join(rootDir, relativeDir), { withFileTypes: true });
+  const isModuleRoot = entries.some(entry =>
+    entry.isFile() && (MAVEN_MARKERS.includes(entry.name) || GRADLE_MARKERS.includes(entry.name))
+  );
+
+  for (const entry of entries) {
+    const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+
+    if (entry.isDirectory()) {
+      if (isModuleRoot && BUILD_OUTPUT_DIRS.includes(entry.name)) continue;
+      // "**/target/**" 같은 패턴은 "target/"에도 일치하므로 하위 탐색 전에 제외
+      if (excludes.some(regex => regex.test(`${relativePath}/`))) continue;
+      await walkDirectory(rootDir, relativePath, includes, excludes, files);
+    } else if (entry.isFile() && entry.name.endsWith('.java')) {
+      if (excludes.some(regex => regex.test(relativePath))) continue;
+      if (!includes.some(regex => regex.test(relativePath))) continue;
+
+      files.push({ absolutePath: path.join(rootDir, relativePath), relativePath });
+    }
+  }
+}
+
+async function resolveExistingPath(target) {
+  if (path.isAbsolute(target)) {
+    return await findFirstExisting([target]);
+  }
+
+  const candidates = [];
+  if (process.env.SAMPLE_CODE_DIRECTORY) {
+    candidates.push(path.resolve(process.env.SAMPLE_CODE_DIRECTORY, target));
+  }
+  candidates.push(path.resolve(target));
+
+  return await findFirstExisting(candidates);
+}
+
+async function findFirstExisting(paths) {
+  for (const candidate of paths) {
+    try {
+      await fs.access(candidate);
+      return candidate;
+    } catch {
+      // 다음 후보 확인
+    }
+  }
+  return null;
+}
@@ -0,0 +1,241 @@
+/**
+ * 품질 게이트(CI 빌드 실패 조건) 관련 유틸리티 함수들
+ *
+ * check / check-guidelines 결과를 임계값과 비교하여 통과 여부를 판정하고,
+ * CLI 종료 코드로 CI 파이프라인에 전달한다.
+ * - 0: 통과 (또는 게이트 미설정)
+ * - 1: 게이트 실패 (임계값 초과)
+ * - 2: 도구 오류 (설정 오류, LLM/VectorDB 연결 실패 등)
+ *
+ * 게이트 설정 소스 (CLI 옵션이 프로젝트 설정 파일보다 우선):
+ * - 프로젝트 설정 파일 (config.js loadProjectConfig()에서 검증)의 qualityGate, categoryThresholds 항목
+ * - CLI 옵션 (--max-critical, --max-high, --max-issues, --min-score, --min-style-score, --banned-categories)
+ *
+ * 설정 파일 예시:
+ * {
+ *   "qualityGate": {
+ *     "maxCritical": 0,
+ *     "maxHigh": 3,
+ *     "minOverallScore": 70,
+ *     "bannedCategories": ["security_vulnerability"]
+ *   },
+ *   "categoryThresholds": { "performance_issue": 5 }
+ * }
+ *
+ * # TODO: Python 변환 시 sys.exit 코드 상수 + pydantic 모델로 대체
+ */
+
+import { config } from '../config.js';
+
+export const EXIT_CODES = {
+  PASS: 0,
+  GATE_FAILED: 1,
+  TOOL_ERROR: 2
+};
+
+const SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+
+// 게이트 항목 정의 (key: 설정 파일 키, option: CLI 옵션명, type: count | score)
+const GATE_RULES = [
+  { key: 'maxCritical', option: '--max-critical', type: 'count', label: 'CRITICAL 이슈 수', severity: 'CRITICAL' },
+  { key: 'maxHigh', option: '--max-high', type: 'count', label: 'HIGH 이슈 수', severity: 'HIGH' },
+  { key: 'maxMedium', option: null, type: 'count', label: 'MEDIUM 이슈 수', severity: 'MEDIUM' },
+  { key: 'maxLow', option: null, type: 'count', label: 'LOW 이슈 수', severity: 'LOW' },
+  { key: 'maxIssues', option: '--max-issues', type: 'count', label: '전체 이슈 수' },
+  { key: 'minOverallScore', option: '--min-score', type: 'score', label: '전체 점수', metric: 'overallScore' },
+  { key: 'minStyleScore', option: '--min-style-score', type: 'score', label: '스타일 점수', metric: 'styleScore' }
+];
+
+/**
+ * CLI 옵션과 프로젝트 설정(config.project)에서 품질 게이트 설정 결정
+ *
+ * 내부 흐름:
+ * 1. --no-gate 지정 시 게이트 비활성화
+ * 2. 프로젝트 설정 파일의 qualityGate + categoryThresholds (applyProjectConfig() 반영 값)
+ * 3. CLI 옵션 값으로 덮어쓰기 (항목 단위)
+ *
+ * @param {object} options - CLI 옵션 (commander)
+ * @returns {object|null} { rules, configFile } (설정된 항목이 없으면 null)
+ * @throws {Error} 잘못된 게이트 값 (CLI 옵션)
+ */
+export function resolveQualityGate(options) {
+  if (options.gate === false) {
+    return null;
+  }
+
+  const { filePath, qualityGate, categoryThresholds } = config.project;
+  const fileRules = { ...qualityGate };
+  if (Object.keys(categoryThresholds).length > 0) {
+    fileRules.maxByCategory = categoryThresholds;
+  }
+
+  const rules = { ...fileRules, ...parseGateOptions(options) };
+  if (Object.keys(rules).length === 0) {
+    return null;
+  }
+
+  return { rules, configFile: Object.keys(fileRules).length > 0 ? filePath : null };
+}
+
+/**
+ * 품질 게이트 평가
+ *
+ * 지표가 없는 항목(예: check-guidelines의 전체 점수)은 건너뜀으로 표시하며 실패로 보지 않는다.
+ *
+ * @param {object} gate - resolveQualityGate() 결과
+ * @param {object} metrics - collectGateMetrics() / collectProjectGateMetrics() 결과
+ * @returns {object} { passed, checks: [{ key, label, condition, actual, status }] }
+ *   status: 'pass' | 'fail' | 'skip'
+ */
+export function evaluateQualityGate(gate, metrics) {
+  const checks = [];
+
+  GATE_RULES.forEach(rule => {
+    const threshold = gate.rules[rule.key];
+    if (threshold === undefined) return;
+
+    let actual;
+    if (rule.severity) {
+      actual = metrics.severityCounts[rule.severity] || 0;
+    } else if (rule.key === 'maxIssues') {
+      actual = metrics.totalIssues;
+    } else {
+      actual = metrics[rule.metric];
+    }
+
+    const status = actual === null || actual === undefined
+      ? 'skip'
+      : (rule.type === 'count' ? actual <= threshold : actual >= threshold) ? 'pass' : 'fail';
+
+    checks.push({
+      key: rule.key,
+      label: rule.label,
+      condition: rule.type === 'count' ? `<= ${threshold}` : `>= ${threshold}`,
+      actual: actual ?? null,
+      status
+    });
+  });
+
+  (gate.rules.bannedCategories || []).forEach(category => {
+    const actual = metrics.categoryCounts[category] || 0;
+    checks.push({
+      key: 'bannedCategories',
+      label: `금지 카테고리: ${category}`,
+      condition: '= 0',
+      actual,
+      status: actual === 0 ? 'pass' : 'fail'
+    });
+  });
+
+  Object.entries(gate.rules.maxByCategory || {}).forEach(([category, threshold]) => {
+    const actual = metrics.categoryCounts[category] || 0;
+    checks.push({
+      key: 'maxByCategory',
+      label: `카테고리: ${category}`,
+      condition: `<= ${threshold}`,
+      actual,
+      status: actual <= threshold ? 'pass' : 'fail'
+    });
+  });
+
+  return {
+    passed: checks.every(check => check.status !== 'fail'),
+    configFile: gate.configFile,
+    checks
+  };
+}
+
+/**
+ * 이슈 목록과 점수로 게이트 지표 생성 (단일 파일 check / check-guidelines)
+ *
+ * @param {Array} issues - 게이트 대상 이슈 (베이스라인/변경 라인/인라인 억제 적용 후)
+ * @param {object} scores - { overallScore, styleScore } (없는 점수는 null)
+ */
+export function collectGateMetrics(issues, scores = {}) {
+  const severityCounts = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+  const categoryCounts = {};
+
+  issues.forEach(issue => {
+    const severity = SEVERITIES.includes(issue.severity) ? issue.severity : 'LOW';
+    severityCounts[severity]++;
+    const category = issue.category || 'other';
+    categoryCounts[category] = (categoryCounts[category] || 0) + 1;
+  });
+
+  return {
+    totalIssues: issues.length,
+    severityCounts,
+    categoryCounts,
+    overallScore: scores.overallScore ?? null,
+    styleScore: scores.styleScore ?? null
+  };
+}
+
+/**
+ * 프로젝트 검사 결과로 게이트 지표 생성
+ * 스타일 점수는 전체 점수와 같은 방식(코드 라인 수 가중 평균)으로 합산
+ *
+ * @param {object} projectReport - buildProjectReport() 결과
+ * @param {Array} fileEntries - [{ report, issues }]
+ */
+export function collectProjectGateMetrics(projectReport, fileEntries) {
+  const styledEntries = fileEntries.filter(entry => entry.report.styleAndGuideline);
+  const styledLines = styledEntries.reduce((sum, entry) => sum + entry.report.metadata.codeLines, 0);
+  const styleScore = styledLines > 0
+    ? Math.round(styledEntries.reduce(
+      (sum, entry) => sum + entry.report.styleAndGuideline.score * entry.report.metadata.codeLines, 0
+    ) / styledLines)
+    : null;
+
+  return collectGateMetrics(fileEntries.flatMap(entry => entry.issues), {
+    overallScore: projectReport.summary.overallScore,
+    styleScore
+  });
+}
+
+/**
+ * 게이트 결과를 CLI 종료 코드로 변환
+ *
+ * 분석에 실패한 파일이 있으면 게이트 결과와 관계없이 도구 오류 (검사하지 못한 파일이 통과로 보이지 않도록)
+ *
+ * @param {object|null} gateResult - evaluateQualityGate() 결과
+ * @param {object} options - { analysisFailures: 분석 실패 파일 수 (프로젝트 검사) }
+ */
+export function toExitCode(gateResult, { analysisFailures = 0 } = {}) {
+  if (analysisFailures > 0) {
+    return EXIT_CODES.TOOL_ERROR;
+  }
+  return gateResult && !gateResult.passed ? EXIT_CODES.GATE_FAILED : EXIT_CODES.PASS;
+}
+
+function parseGateOptions(options) {
+  const rules = {};
+
+  GATE_RULES.filter(rule => rule.option).forEach(rule => {
+    const value = options[toCamelCase(rule.option)];
+    if (value !== undefined) {
+      rules[rule.key] = toThreshold(value, rule, rule.option);
+    }
+  });
+
+  if (options.bannedCategories) {
+    rules.bannedCategories = options.bannedCategories.split(',').map(value => value.trim()).filter(Boolean);
+  }
+
+  return rules;
+}
+
+function toThreshold(value, rule, name) {
+  const number = typeof value === 'number' ? value : Number(String(value).trim());
+  const max = rule.type === 'score' ? 100 : Infinity;
+
+  if (!Number.isInteger(number) || number < 0 || number > max) {
+    const range = rule.type === 'score' ? '0~100 정수' : '0 이상 정수';
+    throw new Error(`유효하지 않은 품질 게이트 값: ${name}=${value} (${range})`);
+  }
+  return number;
+}
+
+function toCamelCase(option) {
+  return option.replace(/^--/, '').replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+}
@@ -25,4 +25,15 @@ export function summarizeIssue(issue) {
     return text.length > maxLength
       ? text.substring(0, maxLength) + '...'
       : text;
-  }
\ No newline at end of file
+  }
+  /**
+   * 분석 모드 한 줄 설명 (오프라인 모드에서 사용할 수 없었던 분석 계층과 대체 수단 포함)
+   * 예: "오프라인 (사용 불가: LLM 맥락적 가이드라인 검사, VectorDB 유사 패턴 검색 → 기본 문제 패턴)"
+   */
+  export function describeAnalysisMode(analysisMode, unavailableLayers = []) {
+    if (analysisMode !== 'offline') return '온라인';
+    const layers = unavailableLayers
+      .map(layer => layer.fallback ? `${layer.name} → ${layer.fallback}` : layer.name)
+      .join(', ');
+    return layers ? `오프라인 (사용 불가: ${layers})` : '오프라인';
+  }
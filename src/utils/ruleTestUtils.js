@@ -0,0 +1,229 @@
+/**
+ * 가이드라인 규칙 테스트(test-rules) 관련 유틸리티 함수들
+ *
+ * 정적 규칙(regex/ast/combined/structural)을 규칙 자신의 examples(good/bad)와
+ * 규칙 테스트 디렉토리의 fixture 파일에 실행하여 규칙별 precision/recall을 계산한다.
+ * extract-guidelines 결과는 LLM이 생성한 규칙이므로 VectorDB import 전 검증 게이트로 사용.
+ *
+ * fixture 디렉토리 구조 (규칙 ID별 하위 디렉토리):
+ *   {fixtureDir}/{ruleId}/good/*.java  → 위반이 검출되지 않아야 하는 코드
+ *   {fixtureDir}/{ruleId}/bad/*.java   → 위반이 1건 이상 검출되어야 하는 코드
+ *
+ * 판정 (케이스 = 코드 1건, 해당 규칙 위반이 1건 이상이면 "검출"):
+ * - TP: bad 검출, FN: bad 미검출, FP: good 검출, TN: good 미검출
+ * - precision = TP / (TP + FP), recall = TP / (TP + FN) (분모가 0이면 null)
+ * - neverFires: 케이스가 있는데 한 번도 검출되지 않은 규칙 (패턴이 동작하지 않음)
+ * - alwaysFires: good 케이스를 포함한 모든 케이스에서 검출된 규칙 (패턴이 너무 넓음)
+ *
+ * # TODO: Python 변환 시 pytest parametrize 기반 규칙 테스트로 대체
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const EXPECTATIONS = ['good', 'bad'];
+
+/**
+ * 규칙 테스트 디렉토리에서 규칙별 good/bad fixture 파일 로드
+ *
+ * @param {string} fixtureDir - 규칙 테스트 디렉토리
+ * @param {object} options - { required: 디렉토리가 없으면 오류 (명시적으로 지정한 경우) }
+ * @returns {Promise<Map>} ruleId → { good: [{ name, code }], bad: [{ name, code }] }
+ * @throws {Error} required인데 디렉토리가 없는 경우
+ */
+export async function loadRuleFixtures(fixtureDir, { required = false } = {}) {
+  const fixtures = new Map();
+
+  let ruleDirs;
+  try {
+    ruleDirs = await fs.readdir(fixtureDir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT' && !required) return fixtures;
+    throw new Error(`규칙 테스트 디렉토리 로드 실패 (${fixtureDir}): ${error.message}`);
+  }
+
+  for (const ruleDir of ruleDirs.filter(entry => entry.isDirectory())) {
+    const cases = { good: [], bad: [] };
+
+    for (const expected of EXPECTATIONS) {
+      const caseDir = path.join(fixtureDir, ruleDir.name, expected);
+      const files = await readJavaFileNames(caseDir);
+
+      for (const file of files) {
+        cases[expected].push({
+          name: path.join(ruleDir.name, expected, file),
+          code: await fs.readFile(path.join(caseDir, file), 'utf-8')
+        });
+      }
+    }
+
+    if (cases.good.length > 0 || cases.bad.length > 0) {
+      fixtures.set(ruleDir.name, cases);
+    }
+  }
+
+  return fixtures;
+}
+
+/**
+ * 정적 규칙별 테스트 실행
+ *
+ * 내부 흐름:
+ * 1. 규칙 examples(good/bad) + fixture 파일로 테스트 케이스 구성
+ * 2. 케이스별 AST 파싱 후 checker.checkSingleRule() 실행 (해당 규칙만)
+ * 3. 검출 여부를 기대값과 비교하여 TP/FP/FN/TN 집계
+ *
+ * @param {DevelopmentGuidelineChecker} checker - 규칙이 로드된 가이드라인 검사기
+ * @param {JavaASTParser} astParser - 케이스 코드 파서
+ * @param {Map} fixtures - loadRuleFixtures() 결과
+ * @param {object} options - { ruleIds: 테스트할 규칙 ID 목록 (비어 있으면 전체) }
+ * @returns {Promise<Array>} 규칙별 테스트 결과
+ */
+export async function runRuleTests(checker, astParser, fixtures, { ruleIds = [] } = {}) {
+  const rules = Array.from(checker.staticRules.values())
+    .filter(rule => ruleIds.length === 0 || ruleIds.includes(rule.id));
+  const results = [];
+
+  for (const rule of rules) {
+    const cases = collectTestCases(rule, fixtures.get(rule.id));
+    const result = {
+      ruleId: rule.id,
+      title: rule.title,
+      checkType: rule.checkType,
+      cases: cases.length,
+      tp: 0,
+      fp: 0,
+      fn: 0,
+      tn: 0,
+      precision: null,
+      recall: null,
+      neverFires: false,
+      alwaysFires: false,
+      failures: []
+    };
+
+    for (const testCase of cases) {
+      const astAnalysis = astParser.parseJavaCode(testCase.code);
+      const violations = await checker.checkSingleRule(testCase.code, rule, astAnalysis);
+      const fired = violations.length > 0;
+
+      if (testCase.expected === 'bad') {
+        fired ? result.tp++ : result.fn++;
+      } else {
+        fired ? result.fp++ : result.tn++;
+      }
+
+      if (fired !== (testCase.expected === 'bad')) {
+        result.failures.push({
+          name: testCase.name,
+          expected: testCase.expected,
+          violations: violations.length,
+          parseMode: astAnalysis.parseMode
+        });
+      }
+    }
+
+    const firedCount = result.tp + result.fp;
+    result.precision = toRatio(result.tp, firedCount);
+    result.recall = toRatio(result.tp, result.tp + result.fn);
+    result.neverFires = cases.length > 0 && firedCount === 0;
+    result.alwaysFires = result.fp > 0 && firedCount === cases.length;
+    results.push(result);
+  }
+
+  return results;
+}
+
+/**
+ * 규칙 테스트 결과 판정
+ *
+ * 실패 조건:
+ * - neverFires / alwaysFires 규칙이 하나라도 있음
+ * - minPrecision / minRecall 지정 시 기준 미달 규칙이 있음 (값이 null인 규칙은 제외)
+ * 케이스가 없는 규칙은 untested로 집계만 하고 판정에서 제외
+ *
+ * @param {Array} results - runRuleTests() 결과
+ * @param {object} options - CLI 옵션 { minPrecision, minRecall } (0~1)
+ * @returns {object} { passed, thresholds, summary: { total, tested, untested, neverFires, alwaysFires, belowThreshold } }
+ * @throws {Error} 잘못된 기준값
+ */
+export function evaluateRuleTests(results, options = {}) {
+  const thresholds = {
+    minPrecision: parseRatioOption(options.minPrecision, '--min-precision'),
+    minRecall: parseRatioOption(options.minRecall, '--min-recall')
+  };
+
+  const tested = results.filter(result => result.cases > 0);
+  const belowThreshold = tested.filter(result =>
+    isBelow(result.precision, thresholds.minPrecision) || isBelow(result.recall, thresholds.minRecall)
+  );
+
+  const summary = {
+    total: results.length,
+    tested: tested.length,
+    untested: results.filter(result => result.cases === 0).map(result => result.ruleId),
+    neverFires: tested.filter(result => result.neverFires).map(result => result.ruleId),
+    alwaysFires: tested.filter(result => result.alwaysFires).map(result => result.ruleId),
+    belowThreshold: belowThreshold.map(result => result.ruleId)
+  };
+
+  return {
+    passed: summary.neverFires.length === 0 &&
+      summary.alwaysFires.length === 0 &&
+      summary.belowThreshold.length === 0,
+    thresholds,
+    summary
+  };
+}
+
+// examples 항목은 코드 문자열 또는 { code } 객체
+function collectTestCases(rule, fixtureCases) {
+  const cases = [];
+
+  EXPECTATIONS.forEach(expected => {
+    const examples = Array.isArray(rule.examples?.[expected]) ? rule.examples[expected] : [];
+    examples.forEach((example, index) => {
+      const code = typeof example === 'string' ? example : example?.code;
+      if (typeof code === 'string' && code.trim()) {
+        cases.push({ name: `examples.${expected}[${index}]`, expected, code });
+      }
+    });
+
+    (fixtureCases?.[expected] || []).forEach(fixture => {
+      cases.push({ name: fixture.name, expected, code: fixture.code });
+    });
+  });
+
+  return cases;
+}
+
+async function readJavaFileNames(dir) {
+  try {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    return entries
+      .filter(entry => entry.isFile() && entry.name.endsWith('.java'))
+      .map(entry => entry.name)
+      .sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+function toRatio(numerator, denominator) {
+  return denominator === 0 ? null : Number((numerator / denominator).toFixed(3));
+}
+
+function isBelow(value, threshold) {
+  return threshold !== null && value !== null && value < threshold;
+}
+
+function parseRatioOption(value, optionName) {
+  if (value === undefined || value === null) return null;
+
+  const ratio = Number(value);
+  if (!Number.isFinite(ratio) || ratio < 0 || ratio > 1) {
+    throw new Error(`${optionName} 값은 0~1 사이의 숫자여야 합니다: ${value}`);
+  }
+  return ratio;
+}
@@ -0,0 +1,307 @@
+/**
+ * 인라인 억제(suppression) 주석 관련 유틸리티 함수들
+ *
+ * 소스 코드에서 다음 지시문을 읽어 특정 이슈를 억제한다.
+ * - // jci-disable-next-line RULE_ID[, RULE_ID...]  : 다음 라인만 억제
+ * - // jci-disable RULE_ID ... // jci-enable [RULE_ID] : 구간 억제 (닫지 않으면 파일 끝까지)
+ * - @SuppressWarnings("jci:RULE_ID")                 : 어노테이션이 붙은 클래스/메서드/필드 전체 억제
+ *
+ * 규칙 ID를 생략하거나 "*", "all"을 쓰면 모든 규칙을 억제한다.
+ * 규칙 ID는 가이드라인 ruleId, 패턴 분석 patternId, 카테고리(예: security_vulnerability) 중 하나와 일치하면 된다.
+ * "-- 사유"를 덧붙이면 억제 사유로 리포트에 기록된다. (예: // jci-disable-next-line R001 -- 레거시 API 호환)
+ *
+ * # NOTE: 억제된 이슈는 버리지 않고 별도로 집계하여 리뷰어가 감사할 수 있게 함
+ * # NOTE: 지시문은 실제 주석 안에서만 인식 (문자열/문자 리터럴, 텍스트 블록 안의 "// jci-disable"은 무시)
+ * # TODO: Python 변환 시 tokenize 기반 주석 추출로 대체
+ */
+
+const DIRECTIVE_PATTERN = /\/[/*]\s*jci-(disable-next-line|disable|enable)\b([^\n]*)/g;
+const SUPPRESS_WARNINGS_PATTERN = /@SuppressWarnings\s*\(\s*(?:value\s*=\s*)?(\{[^}]*\}|"[^"]*")\s*\)/g;
+const SUPPRESS_WARNINGS_PREFIX = 'jci:';
+const WILDCARD_IDS = ['*', 'all'];
+
+/**
+ * 소스 코드의 억제 지시문을 라인 범위 목록으로 변환
+ *
+ * 내부 흐름:
+ * 1. 소스를 한 번 훑어 주석과 리터럴(문자열/문자/텍스트 블록) 위치 수집
+ * 2. 주석 안의 jci-disable-next-line / jci-disable / jci-enable 지시문을 라인 순서대로 처리
+ * 3. 코드 영역의 @SuppressWarnings("jci:...") 위치에서 선언 끝(; 또는 대응하는 })까지를 범위로 계산
+ *
+ * @param {string} sourceCode - Java 소스 코드
+ * @returns {Array<{ruleIds: string[]|null, startLine, endLine, directive, line, reason}>}
+ *   ruleIds가 null이면 모든 규칙 억제
+ */
+export function buildSuppressionIndex(sourceCode) {
+  const suppressions = [];
+  const lineCount = sourceCode.split('\n').length;
+  const lineOf = createLineLocator(sourceCode);
+  const { comments, literals } = scanCommentsAndLiterals(sourceCode);
+  const openBlocks = [];
+
+  // Step 1-2: 주석 지시문
+  const directives = comments.flatMap(comment =>
+    [...comment.text.matchAll(DIRECTIVE_PATTERN)].map(match => ({ match, index: comment.index + match.index }))
+  );
+
+  directives.forEach(({ match, index }) => {
+    const line = lineOf(index);
+    const { ruleIds, reason } = parseDirectiveArguments(match[2]);
+
+    if (match[1] === 'disable-next-line') {
+      suppressions.push({ ruleIds, startLine: line + 1, endLine: line + 1, directive: 'jci-disable-next-line', line, reason });
+    } else if (match[1] === 'disable') {
+      openBlocks.push({ ruleIds, startLine: line, directive: 'jci-disable', line, reason });
+    } else {
+      // jci-enable: 규칙 ID가 없으면 열린 구간 전체, 있으면 해당 규칙 구간만 닫음
+      // (여러 규칙 구간에서 일부만 닫으면 나머지 규칙은 다음 라인부터 계속 억제)
+      for (let i = openBlocks.length - 1; i >= 0; i--) {
+        const block = openBlocks[i];
+        if (ruleIds === null || block.ruleIds === null || block.ruleIds.some(id => ruleIds.includes(id))) {
+          suppressions.push({ ...block, endLine: line });
+          openBlocks.splice(i, 1);
+
+          const remainingIds = ruleIds && block.ruleIds ? block.ruleIds.filter(id => !ruleIds.includes(id)) : [];
+          if (remainingIds.length > 0) {
+            openBlocks.push({ ...block, ruleIds: remainingIds, startLine: line + 1 });
+          }
+        }
+      }
+    }
+  });
+
+  // 닫히지 않은 구간은 파일 끝까지
+  openBlocks.forEach(block => suppressions.push({ ...block, endLine: lineCount }));
+
+  // Step 3: @SuppressWarnings("jci:RULE_ID") (주석/리터럴 안의 문자열은 제외)
+  const isInsideCommentOrLiteral = index => [...comments, ...literals].some(range => range.index <= index && index < range.end);
+
+  for (const match of sourceCode.matchAll(SUPPRESS_WARNINGS_PATTERN)) {
+    if (isInsideCommentOrLiteral(match.index)) continue;
+
+    const values = [...match[1].matchAll(/"([^"]*)"/g)]
+      .map(value => value[1].trim())
+      .filter(value => value.startsWith(SUPPRESS_WARNINGS_PREFIX))
+      .map(value => value.slice(SUPPRESS_WARNINGS_PREFIX.length).trim());
+
+    if (values.length === 0) continue;
+
+    const startLine = lineOf(match.index);
+    const endIndex = findDeclarationEnd(sourceCode, match.index + match[0].length);
+
+    suppressions.push({
+      ruleIds: values.some(value => value === '' || WILDCARD_IDS.includes(value)) ? null : values,
+      startLine,
+      endLine: lineOf(endIndex),
+      directive: '@SuppressWarnings',
+      line: startLine,
+      reason: null
+    });
+  }
+
+  return suppressions;
+}
+
+/**
+ * 이슈 목록을 활성 이슈와 억제된 이슈로 분리
+ *
+ * 통합 이슈(location.startLine)와 가이드라인 위반(line) 형식을 모두 지원하며,
+ * 억제된 이슈에는 suppressedBy (지시문 종류, 지시문 라인, 사유)를 기록한다.
+ *
+ * @param {Array} issues - 이슈 목록
+ * @param {Array} suppressions - buildSuppressionIndex() 결과
+ * @returns {object} { active, suppressed }
+ */
+export function partitionSuppressedIssues(issues, suppressions) {
+  if (suppressions.length === 0) {
+    return { active: issues, suppressed: [] };
+  }
+
+  const active = [];
+  const suppressed = [];
+
+  issues.forEach(issue => {
+    const suppression = findSuppression(issue, suppressions);
+    if (suppression) {
+      suppressed.push({
+        ...issue,
+        suppressedBy: {
+          directive: suppression.directive,
+          line: suppression.line,
+          reason: suppression.reason
+        }
+      });
+    } else {
+      active.push(issue);
+    }
+  });
+
+  return { active, suppressed };
+}
+
+/**
+ * 억제된 이슈 요약 (리포트/콘솔 출력용)
+ *
+ * @returns {object} { total, byRule: { [ruleId]: count }, byDirective: { [directive]: count } }
+ */
+export function summarizeSuppressions(suppressedIssues) {
+  const byRule = {};
+  const byDirective = {};
+
+  suppressedIssues.forEach(issue => {
+    const ruleId = getSuppressionKeys(issue)[0] || 'unknown';
+    byRule[ruleId] = (byRule[ruleId] || 0) + 1;
+    const directive = issue.suppressedBy?.directive || 'unknown';
+    byDirective[directive] = (byDirective[directive] || 0) + 1;
+  });
+
+  return { total: suppressedIssues.length, byRule, byDirective };
+}
+
+function findSuppression(issue, suppressions) {
+  const line = issue.location?.startLine || issue.line;
+  if (!line) return null;
+
+  const keys = getSuppressionKeys(issue);
+
+  return suppressions.find(suppression =>
+    suppression.startLine <= line &&
+    suppression.endLine >= line &&
+    (suppression.ruleIds === null || suppression.ruleIds.some(id => keys.includes(id)))
+  ) || null;
+}
+
+function getSuppressionKeys(issue) {
+  return [issue.ruleId, issue.patternInfo?.patternId, issue.category].filter(Boolean);
+}
+
+function parseDirectiveArguments(rawArguments) {
+  // 블록 주석 닫힘(*/)과 "-- 사유" 분리
+  const [idPart, ...reasonParts] = rawArguments.replace(/\*\/.*$/, '').split(/\s--\s?/);
+  const ids = idPart.split(/[\s,]+/).map(id => id.trim()).filter(Boolean);
+  const reason = reasonParts.join(' -- ').trim() || null;
+
+  return {
+    ruleIds: ids.length === 0 || ids.some(id => WILDCARD_IDS.includes(id)) ? null : ids,
+    reason
+  };
+}
+
+/**
+ * 주석과 리터럴 위치 수집
+ * - 주석: // (라인 끝까지), /* ... *\/ → { text, index, end }
+ * - 리터럴: "...", '...', """...""" (텍스트 블록) → { index, end } (지시문으로 해석하지 않을 영역)
+ */
+function scanCommentsAndLiterals(source) {
+  const comments = [];
+  const literals = [];
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    let end = null;
+
+    if (char === '/' && source[i + 1] === '/') {
+      end = source.indexOf('\n', i);
+      end = end === -1 ? source.length : end;
+      comments.push({ text: source.slice(i, end), index: i, end });
+    } else if (char === '/' && source[i + 1] === '*') {
+      end = source.indexOf('*/', i + 2);
+      end = end === -1 ? source.length : end + 2;
+      comments.push({ text: source.slice(i, end), index: i, end });
+    } else if (source.startsWith('"""', i)) {
+      end = skipTextBlock(source, i) + 1;
+      literals.push({ index: i, end });
+    } else if (char === '"' || char === '\'') {
+      end = skipLiteral(source, i, char) + 1;
+      literals.push({ index: i, end });
+    }
+
+    if (end !== null) i = end - 1;
+  }
+
+  return { comments, literals };
+}
+
+/**
+ * 어노테이션 뒤 선언의 끝 위치 탐색
+ * - 괄호 밖에서 ;가 먼저 나오면 필드/추상 메서드 선언 끝
+ * - {가 먼저 나오면 대응하는 }까지 (클래스/메서드 본문)
+ * 문자열/문자 리터럴과 주석 안의 괄호는 무시
+ */
+function findDeclarationEnd(source, fromIndex) {
+  let parenDepth = 0;
+  let braceDepth = 0;
+
+  for (let i = fromIndex; i < source.length; i++) {
+    const char = source[i];
+
+    if (char === '/' && source[i + 1] === '/') {
+      i = source.indexOf('\n', i);
+      if (i === -1) break;
+    } else if (char === '/' && source[i + 1] === '*') {
+      i = source.indexOf('*/', i + 2);
+      if (i === -1) break;
+      i++;
+    } else if (char === '"' || char === '\'') {
+      i = skipLiteral(source, i, char);
+    } else if (char === '(') {
+      parenDepth++;
+    } else if (char === ')') {
+      parenDepth--;
+    } else if (char === ';' && parenDepth === 0 && braceDepth === 0) {
+      return i;
+    } else if (char === '{' && parenDepth === 0) {
+      braceDepth++;
+    } else if (char === '}' && parenDepth === 0) {
+      braceDepth--;
+      if (braceDepth === 0) return i;
+    }
+  }
+
+  return source.length - 1;
+}
+
+function skipLiteral(source, start, quote) {
+  for (let i = start + 1; i < source.length; i++) {
+    if (source[i] === '\\') {
+      i++;
+    } else if (source[i] === quote || source[i] === '\n') {
+      return i;
+    }
+  }
+  return source.length - 1;
+}
+
+// 텍스트 블록("""...""")의 닫는 따옴표 마지막 위치
+function skipTextBlock(source, start) {
+  for (let i = start + 3; i < source.length; i++) {
+    if (source[i] === '\\') {
+      i++;
+    } else if (source.startsWith('"""', i)) {
+      return i + 2;
+    }
+  }
+  return source.length - 1;
+}
+
+// 문자 위치 → 라인 번호 (1부터, 라인 시작 위치 이진 탐색)
+function createLineLocator(source) {
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  return index => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (lineStarts[mid] <= index) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return low + 1;
+  };
+}
@@ -0,0 +1,138 @@
+/**
+ * 베이스라인 테스트 (라인 이동에 유지되는 지문, 지문별 개수 비교, 파일 저장/로드)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { JavaASTParser } from '../src/ast/javaAstParser.js';
+import {
+  createIssueFingerprint,
+  assignFingerprints,
+  toBaselineEntries,
+  applyBaseline,
+  createBaseline,
+  saveBaseline,
+  loadBaseline,
+  resolveBaselinePath,
+  toBaselineKey
+} from '../src/utils/baselineUtils.js';
+
+const ORIGINAL = [
+  'public class OrderDao {',
+  '  public Order find(String id) {',
+  '    Connection conn = ds.getConnection();',
+  '    return query(conn, "select * from orders where id = " + id);',
+  '  }',
+  '}'
+];
+
+// 이슈 위치 코드는 같고 위쪽에 코드가 추가되어 라인이 밀린 버전 (들여쓰기도 변경)
+const INSERTED = [
+  '  private static final Logger log = LoggerFactory.getLogger(OrderDao.class);',
+  '',
+  '  public int count() {',
+  '    return 0;',
+  '  }',
+  ''
+];
+const SHIFTED = [
+  ORIGINAL[0],
+  ...INSERTED,
+  ORIGINAL[1],
+  '      Connection   conn = ds.getConnection();',
+  ...ORIGINAL.slice(3)
+];
+
+function fingerprintIssues(lines, issues) {
+  const sourceCode = lines.join('\n');
+  const methods = new JavaASTParser().parseJavaCode(sourceCode).analysis.methodDeclarations;
+  return assignFingerprints(issues, sourceCode, methods);
+}
+
+const leakIssue = line => ({ ruleId: 'RES_001', category: 'resource_management', title: '리소스 미반환', location: { startLine: line, endLine: line } });
+const sqlIssue = line => ({ ruleId: 'SEC_SQL_001', category: 'security_vulnerability', line });
+
+describe('이슈 지문', () => {
+  it('위쪽 코드 추가로 라인이 N줄 밀려도 같은 지문 → 기존(베이스라인) 이슈', () => {
+    const shift = INSERTED.length;
+    const before = fingerprintIssues(ORIGINAL, [leakIssue(3), sqlIssue(4)]);
+    const after = fingerprintIssues(SHIFTED, [leakIssue(3 + shift), sqlIssue(4 + shift)]);
+
+    assert.deepEqual(after.map(issue => issue.fingerprint), before.map(issue => issue.fingerprint));
+    assert.deepEqual(after.map(issue => issue.enclosingMethod), ['OrderDao.find(1)', 'OrderDao.find(1)']);
+
+    const { newIssues, baselinedIssues, resolvedEntries } = applyBaseline(after, toBaselineEntries(before));
+    assert.deepEqual(newIssues, []);
+    assert.equal(baselinedIssues.length, 2);
+    assert.deepEqual(resolvedEntries, []);
+  });
+
+  it('규칙, 코드 조각, 감싸는 메서드가 다르면 다른 지문', () => {
+    const lines = ORIGINAL;
+    const methods = [{ name: 'find', className: 'OrderDao', parameterCount: 1, location: { startLine: 2, endLine: 5 } }];
+    const base = createIssueFingerprint(leakIssue(3), lines, methods);
+
+    assert.match(base, /^[0-9a-f]{24}$/);
+    assert.notEqual(createIssueFingerprint({ ...leakIssue(3), ruleId: 'RES_002' }, lines, methods), base);
+    assert.notEqual(createIssueFingerprint(leakIssue(4), lines, methods), base);
+    assert.notEqual(createIssueFingerprint(leakIssue(3), lines, [{ ...methods[0], name: 'findAll' }]), base);
+  });
+});
+
+describe('applyBaseline (지문별 개수 비교)', () => {
+  const entry = (fingerprint, line) => ({ fingerprint, ruleId: 'R', category: null, title: null, line, method: null });
+  const issue = (fingerprint, line) => ({ fingerprint, line });
+
+  it('같은 지문 개수가 줄면 줄어든 만큼 해결됨, 다른 지문이 사라지면 해결됨', () => {
+    const baseline = [entry('dup', 10), entry('dup', 11), entry('dup', 12), entry('gone', 20)];
+    const { newIssues, baselinedIssues, resolvedEntries } = applyBaseline([issue('dup', 15)], baseline);
+
+    assert.deepEqual(newIssues, []);
+    assert.deepEqual(baselinedIssues, [issue('dup', 15)]);
+    assert.deepEqual(resolvedEntries, [entry('dup', 11), entry('dup', 12), entry('gone', 20)]);
+  });
+
+  it('같은 지문 개수가 늘면 초과분만 신규', () => {
+    const { newIssues, baselinedIssues, resolvedEntries } = applyBaseline(
+      [issue('dup', 1), issue('dup', 2), issue('dup', 3), issue('fresh', 4)],
+      [entry('dup', 1), entry('dup', 2)]
+    );
+
+    assert.deepEqual(newIssues, [issue('dup', 3), issue('fresh', 4)]);
+    assert.equal(baselinedIssues.length, 2);
+    assert.deepEqual(resolvedEntries, []);
+  });
+});
+
+describe('베이스라인 파일', () => {
+  let directory;
+
+  before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'baseline-'));
+  });
+
+  after(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('저장 후 로드 (파일 키는 베이스라인 위치 기준 상대 경로), 잘못된 형식은 오류', async () => {
+    const baselinePath = resolveBaselinePath(true, directory);
+    const key = toBaselineKey(baselinePath, path.join(directory, 'src', 'OrderDao.java'));
+    const entries = toBaselineEntries(fingerprintIssues(ORIGINAL, [sqlIssue(4), leakIssue(3)]));
+
+    assert.equal(path.basename(baselinePath), '.jci-baseline.json');
+    assert.equal(key, 'src/OrderDao.java');
+    assert.deepEqual(entries.map(item => item.line), [3, 4]);
+
+    await saveBaseline(baselinePath, createBaseline({ [key]: entries }));
+    const loaded = await loadBaseline(baselinePath);
+    assert.deepEqual(loaded.files, { 'src/OrderDao.java': entries });
+
+    const invalidPath = path.join(directory, 'invalid.json');
+    await fs.writeFile(invalidPath, JSON.stringify({ version: 99, files: {} }));
+    await assert.rejects(loadBaseline(invalidPath), /지원하지 않는 베이스라인 형식/);
+  });
+});
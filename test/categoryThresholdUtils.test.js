@@ -0,0 +1,74 @@
+/**
+ * 카테고리 threshold 판정/튜닝 테스트 (threshold 좌표 하강, 가중치 튜닝 비교 기준)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { meetsCategoryThreshold, scoreThresholds, tuneCategoryThresholds } from '../src/utils/categoryThresholdUtils.js';
+
+const CATEGORY = 'resource_management';
+
+function sample(overall, accepted, componentScores = {}) {
+  return { category: CATEGORY, patternId: null, accepted, overall_score: overall, component_scores: componentScores };
+}
+
+describe('meetsCategoryThreshold / scoreThresholds', () => {
+  const thresholds = { overall: 0.7, syntactic: 0.6, semantic: 0.6, framework: 0.6 };
+
+  it('점수가 없는 컴포넌트는 판정에서 제외', () => {
+    assert.equal(meetsCategoryThreshold({ overall_score: 0.8, component_scores: {} }, thresholds), true);
+    assert.equal(meetsCategoryThreshold({ overall_score: 0.8, component_scores: { semantic: 0.5 } }, thresholds), false);
+    assert.equal(meetsCategoryThreshold({ overall_score: 0.6, component_scores: {} }, thresholds), false);
+  });
+
+  it('승인 = 정답, 통과 = 예측으로 precision/recall/F1 계산', () => {
+    const metrics = scoreThresholds([sample(0.9, true), sample(0.8, false), sample(0.5, true), sample(0.4, false)], thresholds);
+    assert.deepEqual(metrics, { tp: 1, fp: 1, fn: 1, precision: 0.5, recall: 0.5, f1: 0.5 });
+  });
+});
+
+describe('tuneCategoryThresholds', () => {
+  it('overall threshold를 승인/거절 경계로 이동', () => {
+    const samples = [0.95, 0.9, 0.85, 0.8, 0.75].map(score => sample(score, true))
+      .concat([0.7, 0.65, 0.6].map(score => sample(score, false)));
+
+    const { categories, summary } = tuneCategoryThresholds(samples, null, { step: 0.05 });
+    const entry = categories[CATEGORY];
+
+    assert.equal(entry.status, 'tuned');
+    assert.equal(entry.tuned.thresholds.overall, 0.75);
+    assert.equal(entry.tuned.metrics.f1, 1);
+    assert.equal(summary.tunedCategories, 1);
+  });
+
+  it('매치 수 부족/승인 없음은 현재 값 유지', () => {
+    const { categories } = tuneCategoryThresholds([sample(0.9, true), sample(0.5, false)], null, { minSamples: 5 });
+    assert.equal(categories[CATEGORY].status, 'skipped');
+    assert.equal(categories[CATEGORY].tuned, categories[CATEGORY].current);
+  });
+
+  it('가중치 튜닝 시 현재/튜닝 지표를 같은 매치(weightSamples)로 비교', () => {
+    const full = (syntactic, accepted) => sample(0.5, accepted, { syntactic, semantic: 0.8, framework: 0.8, context: 0.8 });
+    // 컴포넌트 점수가 모두 있는 매치 10개 + overall만 있는 승인 매치 10개 (가중치 튜닝에서 제외)
+    const samples = [
+      ...[0.95, 0.9, 0.85, 0.8, 0.75].map(score => full(score, true)),
+      ...[0.3, 0.25, 0.2, 0.15, 0.1].map(score => full(score, false)),
+      ...Array.from({ length: 10 }, () => sample(0.5, true))
+    ];
+    const currentWeights = { _default: { syntactic: 0.25, semantic: 0.25, framework: 0.25, context: 0.25 } };
+
+    const { categories, summary } = tuneCategoryThresholds(samples, null, { currentWeights, step: 0.05, weightStep: 0.25 });
+    const entry = categories[CATEGORY];
+    const acceptedOf = metrics => metrics.tp + metrics.fn;
+
+    assert.equal(entry.weightSamples, 10);
+    assert.equal(entry.current.weightSamples, 10);
+    assert.equal(entry.tuned.weightSamples, 10);
+    assert.ok(entry.tuned.weights);
+    assert.equal(acceptedOf(entry.current.metrics), 5);
+    assert.equal(acceptedOf(entry.tuned.metrics), 5);
+    assert.equal(acceptedOf(summary.current), acceptedOf(summary.tuned));
+    assert.equal(entry.current.metrics.recall, 0);
+    assert.equal(entry.tuned.metrics.f1, 1);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * codeChunkUtils 테스트 (맥락적 검사 청크 크기/헤더/라인 매핑)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { JavaASTParser } from '../src/ast/javaAstParser.js';
+import { buildContextualChunks, mapChunkLine } from '../src/utils/codeChunkUtils.js';
+
+const parser = new JavaASTParser();
+
+// import/필드가 많은 클래스 (헤더만으로 maxChars에 가까움)
+function buildLargeClass({ importCount = 120, fieldCount = 40, methodCount = 30 } = {}) {
+  const imports = Array.from({ length: importCount }, (_, i) => `import com.acme.module${i}.service.SomeVeryLongTypeName${i};`);
+  const fields = Array.from({ length: fieldCount }, (_, i) => `    private SomeVeryLongTypeName${i} dependency${i};`);
+  const methods = Array.from({ length: methodCount }, (_, i) => [
+    `    public void method${i}() {`,
+    `        dependency${i % fieldCount}.doWork(${i});`,
+    `        System.out.println("method ${i} running");`,
+    '    }'
+  ].join('\n'));
+  return ['package com.acme;', '', ...imports, '', 'public class Big {', ...fields, '', ...methods, '}'].join('\n');
+}
+
+function chunk(sourceCode, maxChars) {
+  return buildContextualChunks(sourceCode, parser.parseJavaCode(sourceCode), { maxChars });
+}
+
+describe('buildContextualChunks', () => {
+  it('maxChars 이하 파일은 전체를 하나의 청크로 사용', () => {
+    const sourceCode = 'public class A {\n    void a() {}\n}';
+    const chunks = chunk(sourceCode, 4000);
+
+    assert.equal(chunks.length, 1);
+    assert.equal(chunks[0].code, sourceCode);
+    assert.deepEqual(chunks[0].lineMap, [1, 2, 3]);
+  });
+
+  it('import/필드가 많은 클래스도 모든 청크가 maxChars 이하이고 모든 메서드를 포함', () => {
+    const sourceCode = buildLargeClass();
+    const maxChars = 4000;
+    const chunks = chunk(sourceCode, maxChars);
+
+    assert.ok(chunks.length > 1);
+    chunks.forEach(item => assert.ok(item.code.length <= maxChars, `${item.label}: ${item.code.length}자`));
+
+    const methods = new Set(chunks.flatMap(item => item.methods));
+    assert.equal(methods.size, 30);
+    chunks.forEach(item => item.methods.forEach(name => assert.ok(item.code.includes(`public void ${name}()`))));
+  });
+
+  it('본문이 참조하는 필드와 그 타입 import만 헤더에 포함', () => {
+    const chunks = chunk(buildLargeClass(), 4000);
+    const first = chunks[0];
+
+    assert.ok(first.code.includes('private SomeVeryLongTypeName0 dependency0;'));
+    assert.ok(first.code.includes('import com.acme.module0.service.SomeVeryLongTypeName0;'));
+    assert.ok(!first.code.includes('private SomeVeryLongTypeName39 dependency39;'));
+    assert.ok(first.code.includes('public class Big {'));
+  });
+
+  it('큰 메서드는 라인 단위로 나누고 본문 라인을 빠짐없이 포함', () => {
+    const calls = Array.from({ length: 40 }, (_, i) => `        dependency${i}.call("argument ${i}");`);
+    const sourceCode = buildLargeClass({ importCount: 60, methodCount: 0 })
+      .replace(/\n}$/, `\n    public void all() {\n${calls.join('\n')}\n    }\n}`);
+    const maxChars = 1500;
+    const chunks = chunk(sourceCode, maxChars);
+    const lines = sourceCode.split('\n');
+
+    chunks.forEach(item => assert.ok(item.code.length <= maxChars, `${item.label}: ${item.code.length}자`));
+    const covered = new Set(chunks.flatMap(item => item.lineMap.filter(lineNumber => lineNumber && lines[lineNumber - 1].includes('.call('))));
+    assert.equal(covered.size, 40);
+  });
+
+  it('청크 라인 번호를 원본 라인 번호로 복원', () => {
+    const sourceCode = buildLargeClass();
+    const lines = sourceCode.split('\n');
+
+    chunk(sourceCode, 4000).forEach(item => {
+      item.code.split('\n').forEach((line, index) => {
+        const original = item.lineMap[index];
+        if (original) {
+          assert.equal(lines[original - 1], line);
+          assert.equal(mapChunkLine(item, index + 1), original);
+        }
+      });
+      assert.equal(mapChunkLine(item, 'abc'), item.bodyStartLine);
+      assert.equal(mapChunkLine(item, item.lineMap.length + 10), item.bodyStartLine);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * diffUtils 테스트 (unified diff 파싱, 변경 범위 확장/필터링)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseUnifiedDiff,
+  expandToEnclosingMethods,
+  filterIssuesByChangedLines,
+  formatLineRanges
+} from '../src/utils/diffUtils.js';
+
+const diff = lines => lines.join('\n');
+
+describe('parseUnifiedDiff', () => {
+  it('이름 변경 + 수정은 헌크를 가진 하나의 renamed 항목', () => {
+    const files = parseUnifiedDiff(diff([
+      'diff --git a/src/OldDao.java b/src/NewDao.java',
+      'similarity index 90%',
+      'rename from src/OldDao.java',
+      'rename to src/NewDao.java',
+      'index 1111111..2222222 100644',
+      '--- a/src/OldDao.java',
+      '+++ b/src/NewDao.java',
+      '@@ -3,2 +3,3 @@ public class NewDao {',
+      '-  Connection conn;',
+      '+  Connection connection;',
+      '+  DataSource dataSource;',
+      '   void run() {}'
+    ]));
+
+    assert.deepEqual(files, [{
+      oldPath: 'src/OldDao.java',
+      newPath: 'src/NewDao.java',
+      status: 'renamed',
+      changedRanges: [{ startLine: 3, endLine: 4 }]
+    }]);
+  });
+
+  it('내용 변경 없는 이름 변경은 변경 범위 없는 renamed 항목', () => {
+    const files = parseUnifiedDiff(diff([
+      'diff --git a/A.java b/B.java',
+      'similarity index 100%',
+      'rename from A.java',
+      'rename to B.java'
+    ]));
+
+    assert.deepEqual(files, [{ oldPath: 'A.java', newPath: 'B.java', status: 'renamed', changedRanges: [] }]);
+  });
+
+  it('새 파일과 삭제된 파일 (git diff, 여러 파일)', () => {
+    const files = parseUnifiedDiff(diff([
+      'diff --git a/src/Added.java b/src/Added.java',
+      'new file mode 100644',
+      'index 0000000..3333333',
+      '--- /dev/null',
+      '+++ b/src/Added.java',
+      '@@ -0,0 +1,2 @@',
+      '+class Added {',
+      '+}',
+      'diff --git a/src/Removed.java b/src/Removed.java',
+      'deleted file mode 100644',
+      'index 4444444..0000000',
+      '--- a/src/Removed.java',
+      '+++ /dev/null',
+      '@@ -1,2 +0,0 @@',
+      '-class Removed {',
+      '-}'
+    ]));
+
+    assert.deepEqual(files, [
+      { oldPath: null, newPath: 'src/Added.java', status: 'added', changedRanges: [{ startLine: 1, endLine: 2 }] },
+      { oldPath: 'src/Removed.java', newPath: null, status: 'deleted', changedRanges: [] }
+    ]);
+  });
+
+  it('git 헤더 없는 diff -u (타임스탬프, 여러 파일, 여러 헌크)', () => {
+    const files = parseUnifiedDiff(diff([
+      '--- src/A.java\t2024-01-01 10:00:00.000000000 +0900',
+      '+++ src/A.java\t2024-01-02 10:00:00.000000000 +0900',
+      '@@ -1,3 +1,3 @@',
+      ' class A {',
+      '-  int a;',
+      '+  long a;',
+      ' }',
+      '@@ -10 +10,2 @@',
+      ' void f() {}',
+      '+void g() {}',
+      '--- src/B.java\t2024-01-01 10:00:00.000000000 +0900',
+      '+++ src/B.java\t2024-01-02 10:00:00.000000000 +0900',
+      '@@ -5,0 +6 @@',
+      '+// added',
+      '\\ No newline at end of file'
+    ]));
+
+    assert.deepEqual(files, [
+      { oldPath: 'src/A.java', newPath: 'src/A.java', status: 'modified', changedRanges: [{ startLine: 2, endLine: 2 }, { startLine: 11, endLine: 11 }] },
+      { oldPath: 'src/B.java', newPath: 'src/B.java', status: 'modified', changedRanges: [{ startLine: 6, endLine: 6 }] }
+    ]);
+  });
+
+  it('헌크 본문의 "---"/"+++" 내용은 파일 헤더로 보지 않음', () => {
+    const files = parseUnifiedDiff(diff([
+      'diff --git a/A.java b/A.java',
+      '--- a/A.java',
+      '+++ b/A.java',
+      '@@ -1,2 +1,2 @@',
+      '--- old comment',
+      '+++ new comment',
+      ' class A {}'
+    ]));
+
+    assert.equal(files.length, 1);
+    assert.deepEqual(files[0].changedRanges, [{ startLine: 1, endLine: 1 }]);
+  });
+});
+
+describe('변경 범위 확장/필터링', () => {
+  const methods = [
+    { name: 'outer', location: { startLine: 10, endLine: 40 } },
+    { name: 'inner', location: { startLine: 20, endLine: 25 } }
+  ];
+
+  it('변경 라인을 감싸는 가장 안쪽 메서드로 확장 후 병합', () => {
+    const ranges = expandToEnclosingMethods(
+      [{ startLine: 22, endLine: 22 }, { startLine: 24, endLine: 26 }, { startLine: 50, endLine: 50 }],
+      methods
+    );
+
+    assert.deepEqual(ranges, [{ startLine: 10, endLine: 40 }, { startLine: 50, endLine: 50 }]);
+    assert.equal(formatLineRanges(ranges), '10-40, 50');
+  });
+
+  it('변경 범위와 겹치는 이슈만 남기고 위치 없는 이슈는 제외', () => {
+    const issues = [
+      { id: 'range', location: { startLine: 5, endLine: 12 } },
+      { id: 'line', line: 30 },
+      { id: 'outside', line: 45 },
+      { id: 'unknown' }
+    ];
+
+    const kept = filterIssuesByChangedLines(issues, [{ startLine: 10, endLine: 30 }]);
+    assert.deepEqual(kept.map(issue => issue.id), ['range', 'line']);
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * HTML 리포트 테스트 (심각도 값 정규화)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildHtmlReport } from '../src/services/htmlReportService.js';
+
+const SOURCE = [
+  'public class OrderDao {',
+  '  void run() {}',
+  '}'
+].join('\n');
+
+describe('buildHtmlReport', () => {
+  it('알려지지 않은 심각도 값은 마크업에 넣지 않고 LOW로 표시', () => {
+    const results = {
+      overview: { overallScore: 80 },
+      prioritizedIssues: [{
+        id: 'issue_1',
+        title: '주입 시도',
+        severity: '"><script>alert(1)</script>',
+        category: 'code_style',
+        location: { startLine: 2 }
+      }],
+      fixSuggestions: []
+    };
+
+    const html = buildHtmlReport(results, 'OrderDao.java', 'OrderDao.java', SOURCE, {});
+
+    assert.ok(!html.includes('<script>alert(1)</script>'));
+    assert.equal((html.match(/class="issue-item" data-severity="LOW"/g) || []).length, 1);
+    assert.match(html, /class="marker issue-item sev-LOW" data-severity="LOW"/);
+    assert.match(html, /\[LOW\] 주입 시도/);
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * hybridSearchUtils 테스트 (토큰화, BM25, payload 필터, RRF 결합)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  DEFAULT_RRF_K,
+  tokenizeSearchText,
+  buildSparseVector,
+  buildQuerySparseVector,
+  rankByBm25,
+  normalizePatternFilters,
+  matchesPatternFilters,
+  fuseRankings
+} from '../src/utils/hybridSearchUtils.js';
+
+describe('tokenizeSearchText', () => {
+  it('camelCase/snake_case 분해 + 전체 식별자 유지, 예약어와 1글자 토큰 제외', () => {
+    const tokens = tokenizeSearchText('public Connection getConnection(int x) { MAX_POOL_SIZE }');
+    assert.ok(tokens.includes('get'));
+    assert.ok(tokens.includes('connection'));
+    assert.ok(tokens.includes('getconnection'));
+    assert.ok(tokens.includes('pool'));
+    assert.ok(tokens.includes('maxpoolsize'));
+    assert.ok(!tokens.includes('public'));
+    assert.ok(!tokens.includes('int'));
+    assert.ok(!tokens.includes('x'));
+  });
+
+  it('한글 토큰 유지, 문자열이 아니면 빈 배열', () => {
+    assert.deepEqual(tokenizeSearchText('리소스 누수'), ['리소스', '누수']);
+    assert.deepEqual(tokenizeSearchText(null), []);
+  });
+});
+
+describe('buildSparseVector / buildQuerySparseVector', () => {
+  it('같은 토큰은 같은 인덱스, 반복 토큰은 tf 포화값', () => {
+    const document = buildSparseVector('close close close');
+    const query = buildQuerySparseVector('close');
+
+    assert.equal(document.indices.length, 1);
+    assert.deepEqual(document.indices, query.indices);
+    assert.ok(document.values[0] > 1 && document.values[0] < 2.2);
+    assert.deepEqual(query.values, [1]);
+  });
+});
+
+describe('rankByBm25', () => {
+  it('질의 토큰이 있는 문서만 점수 내림차순, 일치 토큰 포함', () => {
+    const documents = [
+      { item: 'a', text: 'Connection not closed in finally' },
+      { item: 'b', text: 'SQL injection via string concat' },
+      { item: 'c', text: 'connection pool connection leak' }
+    ];
+    const results = rankByBm25(documents, 'connection leak');
+
+    assert.deepEqual(results.map(result => result.item), ['c', 'a']);
+    assert.deepEqual(results[0].matchedTerms, ['connection', 'leak']);
+    assert.ok(results[0].score > results[1].score);
+  });
+
+  it('질의 토큰이 없으면 빈 결과', () => {
+    assert.deepEqual(rankByBm25([{ item: 'a', text: 'anything' }], 'public void'), []);
+  });
+});
+
+describe('normalizePatternFilters / matchesPatternFilters', () => {
+  it('쉼표 목록 분해, 심각도 대문자화, 품질 점수 숫자 변환', () => {
+    assert.deepEqual(normalizePatternFilters({ category: 'a, b', severity: 'high', minQualityScore: '70' }), {
+      category: ['a', 'b'],
+      severity: ['HIGH'],
+      framework: null,
+      minQualityScore: 70
+    });
+    assert.throws(() => normalizePatternFilters({ minQualityScore: 'abc' }), /숫자/);
+  });
+
+  it('모든 조건을 만족하는 payload만 통과', () => {
+    const filters = normalizePatternFilters({ category: 'security', severity: 'critical', framework: 'spring-5', minQualityScore: 80 });
+    const payload = { category: 'security', severity: 'CRITICAL', frameworkVersion: 'spring-5', qualityScore: 90 };
+
+    assert.ok(matchesPatternFilters(payload, filters));
+    assert.ok(!matchesPatternFilters({ ...payload, qualityScore: 79 }, filters));
+    assert.ok(!matchesPatternFilters({ ...payload, category: 'performance' }, filters));
+    assert.ok(matchesPatternFilters(payload, null));
+  });
+});
+
+describe('fuseRankings', () => {
+  it('순위 기반 RRF: 두 목록에 모두 있는 결과가 위로, 구성요소별 설명 포함', () => {
+    const fused = fuseRankings({
+      dense: [{ id: 'a', score: 0.95 }, { id: 'b', score: 0.9 }],
+      sparse: [{ id: 'b', score: 3.2, matchedTerms: ['close'] }, { id: 'c', score: 1.1, matchedTerms: ['leak'] }]
+    });
+
+    assert.deepEqual(fused.map(result => result.id), ['b', 'a', 'c']);
+
+    const [b, a, c] = fused;
+    assert.equal(b.score, Number((1 / (DEFAULT_RRF_K + 2) + 1 / (DEFAULT_RRF_K + 1)).toFixed(6)));
+    assert.deepEqual(b.explanation.dense, { rank: 2, score: 0.9, contribution: Number((1 / 62).toFixed(6)) });
+    assert.deepEqual(b.explanation.sparse.matchedTerms, ['close']);
+    assert.equal(a.explanation.sparse, null);
+    assert.equal(c.explanation.dense, null);
+    assert.equal(b.explanation.fusion, 'rrf');
+    assert.ok(!('matchedTerms' in c));
+  });
+
+  it('가중치와 k 반영', () => {
+    const fused = fuseRankings(
+      { dense: [{ id: 'a', score: 0.9 }], sparse: [{ id: 'b', score: 2 }] },
+      { k: 10, weights: { dense: 1, sparse: 3 } }
+    );
+
+    assert.deepEqual(fused.map(result => result.id), ['b', 'a']);
+    assert.equal(fused[0].score, Number((3 / 11).toFixed(6)));
+    assert.equal(fused[0].explanation.rrfK, 10);
+  });
+
+  it('빈 목록은 빈 결과', () => {
+    assert.deepEqual(fuseRankings({ dense: [], sparse: [] }), []);
+  });
+});
+
+describe('VectorClient.hybridSearchPatterns (local)', () => {
+  const dimensions = 480;
+  let storeDirectory;
+  let client;
+
+  const unitVector = axis => Array.from({ length: dimensions }, (_, index) => (index === axis ? 1 : 0));
+  const createDataset = (id, title, category, severity, code, qualityScore, axis) => ({
+    issue_record_id: id,
+    title,
+    category,
+    severity,
+    metadata: { title, category, severity, tags: [] },
+    anti_pattern: { code_template: code },
+    recommended_pattern: { code_template: '' },
+    validation_info: { quality_score: qualityScore },
+    embeddings: { combined_embedding: unitVector(axis) }
+  });
+
+  before(async () => {
+    storeDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'hybrid-search-'));
+    process.env.VECTOR_PROVIDER = 'local';
+    process.env.LOCAL_VECTOR_DIR = storeDirectory;
+
+    // 설정은 import 시점의 환경변수로 결정되므로 환경변수 지정 후 로드
+    const { VectorClient } = await import('../src/clients/vectorClient.js');
+    client = new VectorClient();
+    await client.initializeSchema();
+    await client.batchStorePatterns([
+      createDataset('P1', 'Connection not closed in finally', 'resource_management', 'HIGH', 'Connection conn = ds.getConnection();', 80, 0),
+      createDataset('P2', 'SQL injection via string concat', 'security', 'CRITICAL', 'stmt.executeQuery("select " + id);', 90, 1),
+      createDataset('P3', 'Stream not closed', 'resource_management', 'MEDIUM', 'InputStream in = new FileInputStream(f);', 50, 2)
+    ]);
+  });
+
+  after(async () => {
+    await fs.rm(storeDirectory, { recursive: true, force: true });
+  });
+
+  it('벡터 + 키워드 결합, 구성요소별 순위 설명', async () => {
+    const results = await client.hybridSearchPatterns({ vector: unitVector(0), text: 'sql injection' }, { limit: 3 });
+    const byId = Object.fromEntries(results.map(result => [result.id, result]));
+
+    assert.equal(results.length, 3);
+    assert.equal(byId.P1.explanation.dense.rank, 1);
+    assert.equal(byId.P2.explanation.sparse.rank, 1);
+    assert.deepEqual(byId.P2.explanation.sparse.matchedTerms, ['sql', 'injection']);
+  });
+
+  it('payload 필터 적용 (키워드만)', async () => {
+    const results = await client.hybridSearchPatterns({ text: 'closed' }, { filters: { category: 'resource_management', minQualityScore: 60 } });
+    assert.deepEqual(results.map(result => result.id), ['P1']);
+  });
+
+  it('벡터와 키워드가 모두 없으면 오류', async () => {
+    await assert.rejects(client.hybridSearchPatterns({}), /질의 벡터 또는 키워드/);
+  });
+});
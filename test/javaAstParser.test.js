@@ -0,0 +1,130 @@
+/**
+ * JavaASTParser 테스트 (CST → 클래스 래퍼 → 메서드 래퍼 → 정규식 폴백, parseMode, 선언 위치)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { JavaASTParser } from '../src/ast/javaAstParser.js';
+
+const parser = new JavaASTParser();
+
+const methodSummary = method => ({
+  name: method.name,
+  returnType: method.returnType,
+  parameterCount: method.parameterCount,
+  startLine: method.location.startLine,
+  endLine: method.location.endLine,
+  lineCount: method.lineCount
+});
+
+describe('JavaASTParser.parseJavaCode', () => {
+  it('컴파일 단위: 중첩 제네릭, 여러 줄 시그니처, 생성자 라인 범위', () => {
+    const result = parser.parseJavaCode([
+      'package a;',
+      '',
+      'import java.util.*;',
+      '',
+      'public class Repo<T extends Comparable<T>> {',
+      '  private Map<String, List<Map<Long, String>>> index = new HashMap<>();',
+      '',
+      '  @Deprecated',
+      '  public <K, V extends List<? super K>> Map<K, List<V>> group(',
+      '      Map<String, List<Map<Long, String>>> source,',
+      '      java.util.function.Function<K, V> mapper)',
+      '      throws java.io.IOException,',
+      '             IllegalStateException {',
+      '    return null;',
+      '  }',
+      '',
+      '  public Repo() {',
+      '  }',
+      '}'
+    ].join('\n'));
+
+    assert.equal(result.success, true);
+    assert.equal(result.parseMode, 'cst');
+    assert.equal(result.analysis.parseMode, 'cst');
+    assert.equal(result.parseError, null);
+    assert.ok(result.ast);
+
+    const [repo] = result.analysis.classDeclarations;
+    assert.equal(repo.name, 'Repo');
+    assert.deepEqual([repo.location.startLine, repo.location.endLine], [5, 19]);
+
+    const [group, constructor] = result.analysis.methodDeclarations;
+    // 어노테이션 줄부터 닫는 중괄호까지, 제네릭 안의 쉼표는 매개변수 구분으로 세지 않음
+    assert.deepEqual(methodSummary(group), { name: 'group', returnType: 'Map<K, List<V>>', parameterCount: 2, startLine: 8, endLine: 15, lineCount: 8 });
+    assert.deepEqual(group.throws, ['java.io.IOException', 'IllegalStateException']);
+    assert.deepEqual(group.annotations, ['Deprecated']);
+    assert.equal(group.className, 'Repo');
+    assert.deepEqual(methodSummary(constructor), { name: 'Repo', returnType: null, parameterCount: 0, startLine: 17, endLine: 18, lineCount: 2 });
+    assert.equal(constructor.isConstructor, true);
+
+    const [field] = result.analysis.variableDeclarations;
+    assert.equal(field.type, 'Map<String, List<Map<Long, String>>>');
+    assert.equal(field.isField, true);
+    assert.equal(field.location.startLine, 6);
+  });
+
+  it('클래스 래퍼: 메서드 단편은 원본 라인 기준, 래퍼 클래스는 결과에서 제외', () => {
+    const result = parser.parseJavaCode([
+      'public int a() {',
+      '  return 1;',
+      '}',
+      '',
+      'void b(List<List<String>> x) {',
+      '  int y = 2;',
+      '}'
+    ].join('\n'));
+
+    assert.equal(result.parseMode, 'cst');
+    assert.deepEqual(result.analysis.classDeclarations, []);
+    assert.deepEqual(result.analysis.methodDeclarations.map(methodSummary), [
+      { name: 'a', returnType: 'int', parameterCount: 0, startLine: 1, endLine: 3, lineCount: 3 },
+      { name: 'b', returnType: 'void', parameterCount: 1, startLine: 5, endLine: 7, lineCount: 3 }
+    ]);
+    assert.equal(result.analysis.methodDeclarations[1].className, null);
+    assert.equal(result.analysis.variableDeclarations[0].location.startLine, 6);
+  });
+
+  it('메서드 래퍼: 구문 단편은 원본 라인 기준, 래퍼 메서드는 결과에서 제외', () => {
+    const result = parser.parseJavaCode([
+      'int count = 0;',
+      'for (String s : items) {',
+      '  count++;',
+      '}'
+    ].join('\n'));
+
+    assert.equal(result.parseMode, 'cst');
+    assert.deepEqual(result.analysis.methodDeclarations, []);
+    assert.deepEqual(result.analysis.variableDeclarations.map(variable => [variable.name, variable.location.startLine]), [['count', 1], ['s', 2]]);
+    assert.deepEqual(result.analysis.loopAnalysis.map(loop => loop.location.startLine), [2]);
+  });
+
+  it('정규식 폴백: CST 파싱이 모두 실패하면 위치 정보 없는 분석 + 원본 파싱 오류', () => {
+    const result = parser.parseJavaCode([
+      'public class Broken {',
+      '  public void run() {',
+      '    int x = ;',
+      '  }',
+      '}'
+    ].join('\n'));
+
+    assert.equal(result.success, true);
+    assert.equal(result.parseMode, 'regex');
+    assert.equal(result.analysis.parseMode, 'regex');
+    assert.equal(result.ast, null);
+    assert.match(result.parseError, /line: 3/);
+    assert.deepEqual(result.analysis.methodDeclarations.map(method => method.name), ['run']);
+    assert.equal(result.analysis.methodDeclarations[0].location, undefined);
+  });
+
+  it('분석 불가: 빈 분석 결과와 parseMode none', () => {
+    const result = parser.parseJavaCode(null);
+
+    assert.equal(result.success, false);
+    assert.equal(result.parseMode, 'none');
+    assert.ok(result.error);
+    assert.deepEqual(result.analysis, parser.createEmptyAnalysis());
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * LLM 응답 캐시 테스트 (키 생성, 적중/만료, 항목 수 상한, TTL 설정 해석)
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../src/config.js';
+import {
+  createLLMCacheKey,
+  getCachedCompletion,
+  setCachedCompletion,
+  getLLMCacheStats,
+  clearLLMCache
+} from '../src/utils/llmCacheUtils.js';
+
+const identity = { provider: 'ollama', model: 'test-model' };
+const configModuleUrl = new URL('../src/config.js', import.meta.url).href;
+
+// 환경변수로 config를 새로 로드한 자식 프로세스에서 llmCache 설정 읽기
+function loadCacheConfig(env, cwd = process.cwd()) {
+  const output = execFileSync(process.execPath, [
+    '--input-type=module',
+    '-e',
+    `const { config } = await import(${JSON.stringify(configModuleUrl)}); process.stdout.write('\\n' + JSON.stringify(config.llmCache));`
+  ], { cwd, env: { ...process.env, ...env }, encoding: 'utf-8' });
+  return JSON.parse(output.trim().split('\n').pop());
+}
+
+describe('createLLMCacheKey', () => {
+  it('옵션 키 순서와 무관, 모델/프롬프트/옵션이 다르면 다른 키', () => {
+    const key = createLLMCacheKey(identity, 'prompt', { temperature: 0.1, num_predict: 100 });
+
+    assert.match(key, /^[0-9a-f]{64}$/);
+    assert.equal(createLLMCacheKey(identity, 'prompt', { num_predict: 100, temperature: 0.1 }), key);
+    assert.notEqual(createLLMCacheKey({ ...identity, model: 'other' }, 'prompt', { temperature: 0.1, num_predict: 100 }), key);
+    assert.notEqual(createLLMCacheKey(identity, 'prompt2', { temperature: 0.1, num_predict: 100 }), key);
+    assert.notEqual(createLLMCacheKey(identity, 'prompt', { temperature: 0.2, num_predict: 100 }), key);
+  });
+});
+
+describe('LLM 응답 캐시 저장/조회', () => {
+  const original = { ...config.llmCache };
+  let cacheDirectory;
+
+  before(async () => {
+    cacheDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-cache-'));
+  });
+
+  beforeEach(async () => {
+    Object.assign(config.llmCache, original, { directory: cacheDirectory });
+    await clearLLMCache();
+  });
+
+  after(async () => {
+    Object.assign(config.llmCache, original);
+    await fs.rm(cacheDirectory, { recursive: true, force: true });
+  });
+
+  it('저장한 응답 적중, 없는 키는 미스', async () => {
+    const before = getLLMCacheStats();
+    const key = createLLMCacheKey(identity, 'hit');
+
+    assert.equal(await getCachedCompletion(key), null);
+    await setCachedCompletion(key, identity, '{"violations":[]}');
+    assert.equal(await getCachedCompletion(key), '{"violations":[]}');
+
+    const after = getLLMCacheStats();
+    assert.equal(after.hits - before.hits, 1);
+    assert.equal(after.misses - before.misses, 1);
+    assert.equal(after.writes - before.writes, 1);
+  });
+
+  it('TTL 0이면 저장된 응답을 재사용하지 않고 삭제', async () => {
+    config.llmCache.ttl = 0;
+    const key = createLLMCacheKey(identity, 'ttl-zero');
+    const before = getLLMCacheStats();
+
+    await setCachedCompletion(key, identity, 'response');
+    assert.equal(await getCachedCompletion(key), null);
+    assert.equal(getLLMCacheStats().expired - before.expired, 1);
+    await assert.rejects(fs.access(path.join(cacheDirectory, `${key}.json`)));
+  });
+
+  it('항목 수 상한 초과 시 오래된 항목부터 삭제', async () => {
+    config.llmCache.maxEntries = 2;
+    const keys = ['first', 'second', 'third'].map(prompt => createLLMCacheKey(identity, prompt));
+
+    for (const [i, key] of keys.entries()) {
+      await setCachedCompletion(key, identity, `response-${i}`);
+      // 수정 시각 기준 정렬이 같은 시각으로 겹치지 않도록 지정
+      const time = new Date(Date.now() - (keys.length - i) * 1000);
+      await fs.utimes(path.join(cacheDirectory, `${key}.json`), time, time);
+    }
+
+    assert.deepEqual((await fs.readdir(cacheDirectory)).sort(), keys.slice(1).map(key => `${key}.json`).sort());
+  });
+});
+
+describe('LLM 캐시 설정 (LLM_CACHE_TTL, LLM_CACHE_DIR)', () => {
+  it('TTL: 0은 그대로, 미설정/숫자 아님은 7일', () => {
+    assert.equal(loadCacheConfig({ LLM_CACHE_TTL: '0' }).ttl, 0);
+    assert.equal(loadCacheConfig({ LLM_CACHE_TTL: '60' }).ttl, 60);
+    assert.equal(loadCacheConfig({ LLM_CACHE_TTL: '' }).ttl, 604800);
+    assert.equal(loadCacheConfig({ LLM_CACHE_TTL: 'abc' }).ttl, 604800);
+  });
+
+  it('기본 캐시 디렉터리는 실행 위치가 아닌 도구 루트 기준', () => {
+    const toolRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+    const env = { LLM_CACHE_DIR: '' };
+
+    assert.equal(loadCacheConfig(env, os.tmpdir()).directory, path.join(toolRoot, 'cache', 'llm'));
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * LLM 기록/재생 테스트 (stub provider 기록 → 재생, 저장소 fixture 재생, 재생 누락 시 종료 코드)
+ *
+ * 저장소 fixture(test/fixtures/llm)는 아래 SOURCE/RULES로 checkContextualRules()를 record 모드로 실행해 만든 것
+ * → 맥락적 검사 프롬프트가 바뀌면 재생 누락으로 실패하므로 LLM_RECORD_MODE=record + stub 응답으로 다시 기록
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../src/config.js';
+import { DevelopmentGuidelineChecker } from '../src/core/guidelineChecker.js';
+import { JavaASTParser } from '../src/ast/javaAstParser.js';
+import { EXIT_CODES } from '../src/utils/qualityGateUtils.js';
+
+const FIXTURE_DIRECTORY = fileURLToPath(new URL('./fixtures/llm', import.meta.url));
+
+const SOURCE = `package com.example.order;
+
+import java.sql.Connection;
+import javax.sql.DataSource;
+
+public class OrderDao {
+  private DataSource dataSource;
+
+  public int countOrders() throws Exception {
+    Connection conn = dataSource.getConnection();
+    return conn.prepareStatement("select count(*) from orders").executeQuery().getInt(1);
+  }
+}
+`;
+
+const RULES = [
+  {
+    id: 'RES_001',
+    title: 'DB 연결은 try-with-resources로 닫기',
+    description: 'Connection, Statement, ResultSet은 try-with-resources로 반드시 닫아야 합니다.',
+    category: 'resource_management',
+    severity: 'HIGH',
+    checkType: 'llm_contextual',
+    keywords: ['Connection'],
+    examples: { good: ['try (Connection conn = ds.getConnection()) { ... }'], bad: ['Connection conn = ds.getConnection();'] }
+  },
+  {
+    id: 'LOG_002',
+    title: '예외는 로그와 함께 전달',
+    description: '예외를 삼키지 말고 로그를 남긴 뒤 다시 던집니다.',
+    category: 'exception_handling',
+    severity: 'MEDIUM',
+    checkType: 'llm_contextual',
+    keywords: ['catch'],
+    examples: { good: [], bad: [] }
+  }
+];
+
+const STUB_RESPONSE = JSON.stringify({
+  violations: [{
+    ruleId: 'RES_001',
+    title: 'DB 연결은 try-with-resources로 닫기',
+    violation: true,
+    line: 10,
+    description: 'getConnection()으로 얻은 Connection을 닫지 않습니다.',
+    suggestion: 'try (Connection conn = dataSource.getConnection()) 사용'
+  }]
+});
+
+const EXPECTED_VIOLATIONS = [{
+  ruleId: 'RES_001',
+  title: 'DB 연결은 try-with-resources로 닫기',
+  category: 'resource_management',
+  severity: 'HIGH',
+  message: 'getConnection()으로 얻은 Connection을 닫지 않습니다.',
+  line: 10,
+  column: 0,
+  fixable: true,
+  suggestion: 'try (Connection conn = dataSource.getConnection()) 사용',
+  source: 'llm_contextual'
+}];
+
+// provider 호출 직전 단계에서 응답을 돌려주는 stub (호출 프롬프트 기록)
+function createStubProvider(response) {
+  const prompts = [];
+  const middleware = async request => {
+    if (response === null) {
+      throw new Error('재생 모드에서 provider가 호출됨');
+    }
+    prompts.push(request.prompt);
+    return { content: response, usage: null };
+  };
+  return { middleware, prompts };
+}
+
+async function checkContextualRules(stub) {
+  const checker = new DevelopmentGuidelineChecker();
+  RULES.forEach(rule => checker.contextualRules.set(rule.id, rule));
+  checker.llmService.pipeline.use(stub.middleware);
+
+  const astAnalysis = new JavaASTParser().parseJavaCode(SOURCE);
+  const { violations } = await checker.checkContextualRules(SOURCE, astAnalysis);
+  return violations;
+}
+
+describe('LLM 기록/재생 (checkContextualRules)', () => {
+  const originalRecording = { ...config.llm.recording };
+  const originalSelectionMode = config.contextualRuleSelection.mode;
+  let recordDirectory;
+
+  before(async () => {
+    recordDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-recording-'));
+    config.contextualRuleSelection.mode = 'keyword';
+  });
+
+  beforeEach(() => {
+    Object.assign(config.llm.recording, originalRecording);
+  });
+
+  after(async () => {
+    Object.assign(config.llm.recording, originalRecording);
+    config.contextualRuleSelection.mode = originalSelectionMode;
+    await fs.rm(recordDirectory, { recursive: true, force: true });
+  });
+
+  it('record: stub provider 응답을 프롬프트와 함께 fixture로 저장', async () => {
+    Object.assign(config.llm.recording, { mode: 'record', fixtureDirectory: recordDirectory });
+    const stub = createStubProvider(STUB_RESPONSE);
+
+    assert.deepEqual(await checkContextualRules(stub), EXPECTED_VIOLATIONS);
+    assert.equal(stub.prompts.length, 1);
+
+    const files = await fs.readdir(recordDirectory);
+    assert.equal(files.length, 1);
+    const fixture = JSON.parse(await fs.readFile(path.join(recordDirectory, files[0]), 'utf-8'));
+    assert.equal(`${fixture.key}.json`, files[0]);
+    assert.equal(fixture.prompt, stub.prompts[0]);
+    assert.equal(fixture.response, STUB_RESPONSE);
+    assert.ok(fixture.prompt.includes(SOURCE.trim()));
+    assert.ok(fixture.prompt.includes('(RES_001)') && !fixture.prompt.includes('(LOG_002)'));
+  });
+
+  it('replay: provider를 호출하지 않고 기록한 fixture로 같은 결과', async () => {
+    Object.assign(config.llm.recording, { mode: 'replay', fixtureDirectory: recordDirectory });
+    assert.deepEqual(await checkContextualRules(createStubProvider(null)), EXPECTED_VIOLATIONS);
+  });
+
+  it('저장소 fixture 재생 (모델 서버 없는 회귀 검증)', async () => {
+    Object.assign(config.llm.recording, { mode: 'replay', fixtureDirectory: FIXTURE_DIRECTORY });
+    assert.deepEqual(await checkContextualRules(createStubProvider(null)), EXPECTED_VIOLATIONS);
+  });
+});
+
+describe('LLM 재생 누락', () => {
+  it('fixture 없는 프롬프트는 즉시 오류, 호출부가 삼켜도 종료 코드 2', async () => {
+    const emptyDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-replay-miss-'));
+    const script = `
+      const { config } = await import(${JSON.stringify(new URL('../src/config.js', import.meta.url).href)});
+      const { withLLMRecording } = await import(${JSON.stringify(new URL('../src/utils/llmRecordingUtils.js', import.meta.url).href)});
+      Object.assign(config.llm.recording, { mode: 'replay', fixtureDirectory: ${JSON.stringify(emptyDirectory)} });
+      try {
+        await withLLMRecording({ provider: 'ollama', model: 'stub' }, 'unrecorded prompt', {}, async () => 'unused');
+        console.log('NO_ERROR');
+      } catch (error) {
+        console.log('CAUGHT:' + error.message);
+      }
+      // 호출부가 오류를 처리한 뒤 성공 코드를 지정해도 재생 누락이 우선
+      process.exitCode = 0;
+    `;
+
+    try {
+      const child = spawnSync(process.execPath, ['--input-type=module', '-e', script], { encoding: 'utf-8', timeout: 60000 });
+      const output = child.stdout + child.stderr;
+
+      assert.match(child.stdout, /CAUGHT:LLM 리플레이 fixture 없음/);
+      assert.match(output, /LLM 리플레이 누락 1건/);
+      assert.equal(child.status, EXIT_CODES.TOOL_ERROR);
+    } finally {
+      await fs.rm(emptyDirectory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * LLM 스키마 검증 통계 테스트 (캐시/재생 응답은 모델 요청으로 집계하지 않음)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { config } from '../src/config.js';
+import { createSchemaValidationMiddleware, createJSONExtractionMiddleware, createRecordingMiddleware } from '../src/clients/llmMiddleware.js';
+import { recordSchemaValidation, getLLMSchemaStats } from '../src/utils/llmSchemaUtils.js';
+import { createLLMCacheKey } from '../src/utils/llmCacheUtils.js';
+
+const schema = {
+  type: 'object',
+  required: ['violations'],
+  properties: { violations: { type: 'array' } }
+};
+
+// 미들웨어 배열을 provider 호출(terminal) 앞에 연결
+function compose(middleware, terminal) {
+  return middleware.reduceRight((next, current) => request => current(request, next), terminal);
+}
+
+function createRequest(task, prompt = 'prompt') {
+  return { provider: 'ollama', model: 'test-model', prompt, options: {}, expectJSON: true, task, schema };
+}
+
+describe('recordSchemaValidation', () => {
+  it('fromCache 결과는 requests/첫 응답 유효율에 포함하지 않고 cachedResponses로 집계', () => {
+    const identity = { task: 'statsTask', provider: 'ollama', model: 'stats-model' };
+    recordSchemaValidation(identity, { firstPassValid: true, repairAttempts: 0, valid: true });
+    recordSchemaValidation(identity, { firstPassValid: false, repairAttempts: 1, valid: true, fromCache: true });
+
+    const entry = getLLMSchemaStats().byTask.statsTask;
+    assert.equal(entry.requests, 1);
+    assert.equal(entry.firstPassValid, 1);
+    assert.equal(entry.repaired, 0);
+    assert.equal(entry.cachedResponses, 1);
+    assert.equal(entry.firstPassRate, 1);
+    assert.equal(getLLMSchemaStats().byModel['ollama/stats-model'].cachedResponses, 1);
+  });
+});
+
+describe('createSchemaValidationMiddleware', () => {
+  it('캐시 적중 응답은 모델 요청으로 집계하지 않음', async () => {
+    const responses = ['{"violations": []}', '{"violations": []}'];
+    let calls = 0;
+    const pipeline = compose(
+      [createSchemaValidationMiddleware({ maxRepairAttempts: 1 }), createJSONExtractionMiddleware()],
+      async () => (calls++ === 0 ? { content: responses[0], usage: null } : { content: responses[1], usage: null, cached: true })
+    );
+
+    await pipeline(createRequest('cacheTask'));
+    await pipeline(createRequest('cacheTask'));
+
+    const entry = getLLMSchemaStats().byTask.cacheTask;
+    assert.equal(entry.requests, 1);
+    assert.equal(entry.firstPassValid, 1);
+    assert.equal(entry.cachedResponses, 1);
+  });
+
+  it('스키마 불일치 응답은 수정 요청 후 repaired로 집계', async () => {
+    const responses = ['{"wrong": true}', '{"violations": []}'];
+    const pipeline = compose(
+      [createSchemaValidationMiddleware({ maxRepairAttempts: 2 }), createJSONExtractionMiddleware()],
+      async () => ({ content: responses.shift(), usage: null })
+    );
+
+    const result = await pipeline(createRequest('repairTask'));
+
+    assert.deepEqual(result.json, { violations: [] });
+    const entry = getLLMSchemaStats().byTask.repairTask;
+    assert.equal(entry.requests, 1);
+    assert.equal(entry.repaired, 1);
+    assert.equal(entry.repairAttempts, 1);
+    assert.equal(entry.firstPassRate, 0);
+  });
+
+  it('수정 요청 후에도 불일치하면 json null + schemaErrors', async () => {
+    const pipeline = compose(
+      [createSchemaValidationMiddleware({ maxRepairAttempts: 1 }), createJSONExtractionMiddleware()],
+      async () => ({ content: 'not json', usage: null })
+    );
+
+    const result = await pipeline(createRequest('failTask'));
+
+    assert.equal(result.json, null);
+    assert.ok(result.schemaErrors.length > 0);
+    assert.equal(getLLMSchemaStats().byTask.failTask.failed, 1);
+  });
+});
+
+describe('createRecordingMiddleware (replay)', () => {
+  let fixtureDirectory;
+  const originalRecording = { ...config.llm.recording };
+
+  before(async () => {
+    fixtureDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-fixtures-'));
+    const key = createLLMCacheKey({ provider: '', model: '' }, 'replayed prompt', {});
+    await fs.writeFile(path.join(fixtureDirectory, `${key}.json`), JSON.stringify({ key, response: '{"violations": []}' }));
+    config.llm.recording.mode = 'replay';
+    config.llm.recording.fixtureDirectory = fixtureDirectory;
+  });
+
+  after(async () => {
+    Object.assign(config.llm.recording, originalRecording);
+    await fs.rm(fixtureDirectory, { recursive: true, force: true });
+  });
+
+  it('재생 응답은 replayed로 표시되고 모델 요청으로 집계하지 않음', async () => {
+    const pipeline = compose(
+      [createSchemaValidationMiddleware(), createJSONExtractionMiddleware(), createRecordingMiddleware()],
+      async () => assert.fail('replay 모드에서 provider가 호출됨')
+    );
+
+    const result = await pipeline(createRequest('replayTask', 'replayed prompt'));
+
+    assert.equal(result.replayed, true);
+    const entry = getLLMSchemaStats().byTask.replayTask;
+    assert.equal(entry.requests, 0);
+    assert.equal(entry.cachedResponses, 1);
+  });
+});
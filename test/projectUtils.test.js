@@ -0,0 +1,104 @@
+/**
+ * projectUtils 테스트 (glob 변환, 검사 대상 해석, .java 파일 수집)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { globToRegExp, resolveCheckTarget, collectJavaFiles } from '../src/utils/projectUtils.js';
+
+describe('globToRegExp', () => {
+  it('슬래시 없는 패턴은 기본적으로 루트 바로 아래 파일만 일치', () => {
+    const regex = globToRegExp('*Dao.java');
+    assert.ok(regex.test('XDao.java'));
+    assert.ok(!regex.test('sub/YDao.java'));
+  });
+
+  it('matchBaseName이면 슬래시 없는 패턴을 모든 디렉토리의 파일명과 비교', () => {
+    const regex = globToRegExp('*Test.java', { matchBaseName: true });
+    assert.ok(regex.test('OrderTest.java'));
+    assert.ok(regex.test('src/test/java/com/acme/OrderTest.java'));
+    assert.ok(!regex.test('src/main/java/com/acme/Order.java'));
+  });
+
+  it('** / * / ? / {a,b} 문법', () => {
+    assert.ok(globToRegExp('**/service/*.java').test('service/A.java'));
+    assert.ok(globToRegExp('**/service/*.java').test('a/b/service/A.java'));
+    assert.ok(!globToRegExp('**/service/*.java').test('a/service/x/A.java'));
+    assert.ok(globToRegExp('src/?/*.java').test('src/a/A.java'));
+    assert.ok(!globToRegExp('src/?/*.java').test('src/ab/A.java'));
+    assert.ok(globToRegExp('**/*{Dao,Mapper}.java').test('x/OrderMapper.java'));
+    assert.ok(!globToRegExp('**/*{Dao,Mapper}.java').test('x/OrderService.java'));
+  });
+
+  it('./ 접두사와 역슬래시 경로 정규화', () => {
+    assert.ok(globToRegExp('./src/*.java').test('src/A.java'));
+    assert.ok(globToRegExp('src\\*.java').test('src/A.java'));
+  });
+});
+
+describe('resolveCheckTarget / collectJavaFiles', () => {
+  let rootDir;
+
+  const write = async (relativePath, content = 'class A {}') => {
+    const filePath = path.join(rootDir, relativePath);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content);
+  };
+  const relativePaths = files => files.map(file => file.relativePath);
+
+  before(async () => {
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'project-utils-'));
+    await write('app/pom.xml', '<project/>');
+    await write('app/src/main/java/com/acme/XDao.java');
+    await write('app/src/main/java/com/acme/sub/YDao.java');
+    await write('app/src/main/java/com/acme/build/ZDao.java');
+    await write('app/src/main/java/com/acme/target/Target.java');
+    await write('app/src/test/java/com/acme/XDaoTest.java');
+    await write('app/target/generated-sources/Gen.java');
+    await write('app/build/Gen.java');
+    await write('app/.git/Hidden.java');
+  });
+
+  after(async () => {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  });
+
+  it('-c glob은 기준 디렉토리에 고정 (하위 패키지 미포함)', async () => {
+    const target = await resolveCheckTarget(`${rootDir}/app/src/main/java/com/acme/*Dao.java`);
+    assert.equal(target.type, 'glob');
+    assert.deepEqual(relativePaths(await collectJavaFiles(target)), ['XDao.java']);
+  });
+
+  it('-c glob의 **는 하위 패키지 포함', async () => {
+    const target = await resolveCheckTarget(`${rootDir}/app/src/main/java/com/acme/**/*Dao.java`);
+    assert.deepEqual(relativePaths(await collectJavaFiles(target)), ['build/ZDao.java', 'sub/YDao.java', 'XDao.java']);
+  });
+
+  it('Maven 루트: 모듈 루트의 target/build만 제외하고 build/target 패키지는 검사', async () => {
+    const target = await resolveCheckTarget(path.join(rootDir, 'app'));
+    assert.equal(target.type, 'maven');
+    assert.deepEqual(relativePaths(await collectJavaFiles(target)), [
+      'src/main/java/com/acme/build/ZDao.java',
+      'src/main/java/com/acme/sub/YDao.java',
+      'src/main/java/com/acme/target/Target.java',
+      'src/main/java/com/acme/XDao.java'
+    ].sort((a, b) => a.localeCompare(b)));
+  });
+
+  it('--include/--exclude의 슬래시 없는 패턴은 파일명과 비교', async () => {
+    const target = await resolveCheckTarget(path.join(rootDir, 'app'));
+    const files = await collectJavaFiles(target, { include: ['*Dao*.java'], exclude: ['YDao.java'] });
+    assert.deepEqual(relativePaths(files), [
+      'src/main/java/com/acme/build/ZDao.java',
+      'src/main/java/com/acme/XDao.java',
+      'src/test/java/com/acme/XDaoTest.java'
+    ].sort((a, b) => a.localeCompare(b)));
+  });
+
+  it('존재하지 않는 경로는 오류', async () => {
+    await assert.rejects(resolveCheckTarget(path.join(rootDir, 'missing')), /찾을 수 없습니다/);
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * qualityGateUtils 테스트 (게이트 설정 결정, 게이트 평가, 종료 코드 변환)
+ */
+
+import { describe, it, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../src/config.js';
+import {
+  EXIT_CODES,
+  resolveQualityGate,
+  evaluateQualityGate,
+  collectGateMetrics,
+  toExitCode
+} from '../src/utils/qualityGateUtils.js';
+
+const ISSUES = [
+  { severity: 'CRITICAL', category: 'security_vulnerability' },
+  { severity: 'HIGH', category: 'performance_issue' },
+  { severity: 'HIGH', category: 'performance_issue' },
+  { severity: 'LOW', category: 'code_style' }
+];
+
+const statusOf = (result, label) => result.checks.find(check => check.label === label)?.status;
+
+describe('resolveQualityGate', () => {
+  const originalProject = { ...config.project };
+  const projectFile = {
+    filePath: '/work/order-service/.jci.json',
+    qualityGate: { maxCritical: 0, maxHigh: 3, minOverallScore: 70 },
+    categoryThresholds: { performance_issue: 1 }
+  };
+
+  beforeEach(() => {
+    Object.assign(config.project, originalProject, projectFile);
+  });
+
+  after(() => {
+    Object.assign(config.project, originalProject);
+  });
+
+  it('설정 파일 값을 CLI 옵션이 항목 단위로 덮어씀', () => {
+    const gate = resolveQualityGate({ maxHigh: '5', minScore: 80, bannedCategories: 'security_vulnerability, ,logging' });
+
+    assert.deepEqual(gate, {
+      rules: {
+        maxCritical: 0,
+        maxHigh: 5,
+        minOverallScore: 80,
+        maxByCategory: { performance_issue: 1 },
+        bannedCategories: ['security_vulnerability', 'logging']
+      },
+      configFile: '/work/order-service/.jci.json'
+    });
+  });
+
+  it('--no-gate는 설정 파일/CLI 값과 관계없이 게이트 비활성화', () => {
+    assert.equal(resolveQualityGate({ gate: false, maxCritical: '0' }), null);
+  });
+
+  it('설정 파일 없이 CLI 옵션만 있으면 configFile null, 둘 다 없으면 null', () => {
+    Object.assign(config.project, originalProject);
+
+    assert.deepEqual(resolveQualityGate({ maxIssues: '10' }), { rules: { maxIssues: 10 }, configFile: null });
+    assert.equal(resolveQualityGate({}), null);
+  });
+
+  it('정수가 아니거나 음수, 100 초과 점수는 오류', () => {
+    assert.throws(() => resolveQualityGate({ maxCritical: '1.5' }), /유효하지 않은 품질 게이트 값: --max-critical=1.5/);
+    assert.throws(() => resolveQualityGate({ maxHigh: 'abc' }), /--max-high=abc \(0 이상 정수\)/);
+    assert.throws(() => resolveQualityGate({ maxIssues: '-1' }), /--max-issues=-1/);
+    assert.throws(() => resolveQualityGate({ minScore: '101' }), /--min-score=101 \(0~100 정수\)/);
+    assert.equal(resolveQualityGate({ minStyleScore: '100' }).rules.minStyleScore, 100);
+  });
+});
+
+describe('evaluateQualityGate', () => {
+  const metrics = collectGateMetrics(ISSUES, { overallScore: 65 });
+
+  it('심각도/전체 이슈 수는 <=, 점수는 >= 로 판정', () => {
+    const result = evaluateQualityGate({ rules: { maxCritical: 1, maxHigh: 1, maxIssues: 4, minOverallScore: 60 }, configFile: null }, metrics);
+
+    assert.deepEqual(result.checks.map(check => [check.key, check.condition, check.actual, check.status]), [
+      ['maxCritical', '<= 1', 1, 'pass'],
+      ['maxHigh', '<= 1', 2, 'fail'],
+      ['maxIssues', '<= 4', 4, 'pass'],
+      ['minOverallScore', '>= 60', 65, 'pass']
+    ]);
+    assert.equal(result.passed, false);
+  });
+
+  it('지표가 없는 항목(스타일 점수)은 건너뜀, 실패로 보지 않음', () => {
+    const result = evaluateQualityGate({ rules: { maxCritical: 1, minStyleScore: 90 }, configFile: '/a/.jci.json' }, metrics);
+
+    assert.equal(statusOf(result, '스타일 점수'), 'skip');
+    assert.equal(result.checks[1].actual, null);
+    assert.equal(result.passed, true);
+    assert.equal(result.configFile, '/a/.jci.json');
+  });
+
+  it('bannedCategories: 해당 카테고리 이슈가 하나라도 있으면 실패', () => {
+    const result = evaluateQualityGate({ rules: { bannedCategories: ['security_vulnerability', 'logging'] }, configFile: null }, metrics);
+
+    assert.deepEqual(result.checks.map(check => [check.label, check.condition, check.actual, check.status]), [
+      ['금지 카테고리: security_vulnerability', '= 0', 1, 'fail'],
+      ['금지 카테고리: logging', '= 0', 0, 'pass']
+    ]);
+    assert.equal(result.passed, false);
+  });
+
+  it('maxByCategory: 카테고리별 허용 이슈 수 (이슈 없는 카테고리는 0)', () => {
+    const rules = { maxByCategory: { performance_issue: 2, code_style: 0, logging: 0 } };
+    const result = evaluateQualityGate({ rules, configFile: null }, metrics);
+
+    assert.deepEqual(result.checks.map(check => [check.label, check.condition, check.actual, check.status]), [
+      ['카테고리: performance_issue', '<= 2', 2, 'pass'],
+      ['카테고리: code_style', '<= 0', 1, 'fail'],
+      ['카테고리: logging', '<= 0', 0, 'pass']
+    ]);
+    assert.equal(result.passed, false);
+    assert.equal(evaluateQualityGate({ rules: { maxByCategory: { performance_issue: 2 } }, configFile: null }, metrics).passed, true);
+  });
+});
+
+describe('toExitCode', () => {
+  it('게이트 미설정/통과는 PASS, 실패는 GATE_FAILED', () => {
+    assert.equal(toExitCode(null), EXIT_CODES.PASS);
+    assert.equal(toExitCode({ passed: true, checks: [] }), EXIT_CODES.PASS);
+    assert.equal(toExitCode({ passed: false, checks: [] }), EXIT_CODES.GATE_FAILED);
+  });
+
+  it('분석 실패 파일이 있으면 게이트 결과와 관계없이 TOOL_ERROR', () => {
+    assert.equal(toExitCode(null, { analysisFailures: 3 }), EXIT_CODES.TOOL_ERROR);
+    assert.equal(toExitCode({ passed: true, checks: [] }, { analysisFailures: 1 }), EXIT_CODES.TOOL_ERROR);
+    assert.equal(toExitCode({ passed: false, checks: [] }, { analysisFailures: 1 }), EXIT_CODES.TOOL_ERROR);
+    assert.equal(toExitCode({ passed: true, checks: [] }, { analysisFailures: 0 }), EXIT_CODES.PASS);
+  });
+});
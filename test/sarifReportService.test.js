@@ -0,0 +1,190 @@
+/**
+ * SARIF 리포트 테스트 (규칙 descriptor, level, 물리적 위치, 지문, 억제, 수정안)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSarifReport, toSarifIssues } from '../src/services/sarifReportService.js';
+
+const SOURCE = [
+  'public class OrderDao {',
+  '  public List<Order> find(String id) {',
+  '    return jdbc.query("select * from orders where id = " + id);',
+  '  }',
+  '  public void log(String m) {',
+  '    System.out.println(m);',
+  '  }',
+  '}'
+].join('\n');
+
+// unifiedResults.prioritizedIssues 형식
+const ISSUES = [
+  {
+    id: 'issue_sql',
+    ruleId: 'SEC_SQL_001',
+    title: 'SQL 문자열 연결',
+    description: '사용자 입력을 SQL 문자열에 직접 연결합니다.',
+    severity: 'CRITICAL',
+    category: 'security_vulnerability',
+    source: 'development_guideline',
+    location: { startLine: 3, endLine: 3, column: 12 },
+    fingerprint: 'fp-sql'
+  },
+  {
+    id: 'issue_pattern',
+    title: '리소스 미반환',
+    description: '조회 결과 리소스를 닫지 않습니다.',
+    severity: 'MEDIUM',
+    category: 'resource_management',
+    source: 'pattern_analysis',
+    patternInfo: { patternId: 'ISSUE-2024-017', semanticSignature: 'JDBC 리소스를 finally 없이 사용' },
+    location: { startLine: 2, endLine: 4 }
+  },
+  {
+    id: 'issue_log',
+    title: '표준 출력 사용',
+    severity: 'LOW',
+    category: 'logging',
+    source: 'code_quality',
+    location: { startLine: 0 }
+  }
+];
+
+const SUPPRESSED = [{
+  id: 'issue_suppressed',
+  ruleId: 'LOG_001',
+  title: '표준 출력 사용',
+  severity: 'HIGH',
+  category: 'logging',
+  source: 'development_guideline',
+  location: { startLine: 6, endLine: 6 },
+  suppressedBy: { directive: 'jci-disable-next-line', line: 5, reason: '배치 진행률 출력' }
+}];
+
+const FIXES = [{
+  issueId: 'issue_sql',
+  fixedCode: '    return jdbc.query("select * from orders where id = ?", id);',
+  explanation: '바인딩 변수 사용'
+}];
+
+function buildReport(fixes) {
+  return buildSarifReport([{
+    filePath: 'src/main/java/OrderDao.java',
+    sourceCode: SOURCE,
+    issues: ISSUES,
+    suppressedIssues: SUPPRESSED,
+    fixes
+  }], {
+    rootDir: '/work/order-service',
+    failures: [{ filePath: 'src/Broken.java', error: '파싱 실패' }]
+  });
+}
+
+describe('buildSarifReport', () => {
+  const report = buildReport(FIXES);
+  const [run] = report.runs;
+  const resultFor = ruleId => run.results.find(result => result.ruleId === ruleId);
+
+  it('SARIF 2.1.0 골격과 분석 실패 알림', () => {
+    assert.equal(report.version, '2.1.0');
+    assert.equal(run.originalUriBaseIds['%SRCROOT%'].uri, 'file:///work/order-service/');
+    assert.deepEqual(run.invocations[0].toolExecutionNotifications.map(notification => [
+      notification.level,
+      notification.message.text,
+      notification.locations[0].physicalLocation.artifactLocation.uri
+    ]), [['error', '파싱 실패', 'src/Broken.java']]);
+  });
+
+  it('rules[]: 가이드라인 ruleId, 패턴 issue_record_id, 그 외 source/category', () => {
+    assert.deepEqual(run.tool.driver.rules.map(rule => rule.id), [
+      'SEC_SQL_001',
+      'ISSUE-2024-017',
+      'code_quality/logging',
+      'LOG_001'
+    ]);
+
+    const [sql, pattern] = run.tool.driver.rules;
+    assert.equal(sql.properties['security-severity'], '9.5');
+    assert.ok(sql.properties.tags.includes('security'));
+    assert.equal(pattern.fullDescription.text, 'JDBC 리소스를 finally 없이 사용');
+    assert.equal(pattern.properties['security-severity'], undefined);
+    run.results.forEach(result => assert.equal(run.tool.driver.rules[result.ruleIndex].id, result.ruleId));
+  });
+
+  it('심각도 → level (CRITICAL/HIGH: error, MEDIUM: warning, LOW: note)', () => {
+    assert.deepEqual(run.results.map(result => [result.ruleId, result.level]), [
+      ['SEC_SQL_001', 'error'],
+      ['ISSUE-2024-017', 'warning'],
+      ['code_quality/logging', 'note'],
+      ['LOG_001', 'error']
+    ]);
+    assert.deepEqual(run.tool.driver.rules.map(rule => rule.defaultConfiguration.level), ['error', 'warning', 'note', 'error']);
+  });
+
+  it('physicalLocation: 상대 경로 uri, 1부터 시작하는 region (0/누락 보정)', () => {
+    const location = resultFor('SEC_SQL_001').locations[0].physicalLocation;
+    assert.deepEqual(location.artifactLocation, { uri: 'src/main/java/OrderDao.java', uriBaseId: '%SRCROOT%' });
+    assert.deepEqual(location.region, { startLine: 3, endLine: 3, startColumn: 12 });
+    assert.deepEqual(resultFor('ISSUE-2024-017').locations[0].physicalLocation.region, { startLine: 2, endLine: 4 });
+    assert.deepEqual(resultFor('code_quality/logging').locations[0].physicalLocation.region, { startLine: 1, endLine: 1 });
+  });
+
+  it('partialFingerprints는 지문이 있는 이슈만', () => {
+    assert.deepEqual(resultFor('SEC_SQL_001').partialFingerprints, { 'jciFingerprint/v1': 'fp-sql' });
+    assert.equal(resultFor('ISSUE-2024-017').partialFingerprints, undefined);
+  });
+
+  it('인라인 억제 이슈는 suppressions(inSource)와 사유 포함', () => {
+    assert.deepEqual(resultFor('LOG_001').suppressions, [{
+      kind: 'inSource',
+      justification: '배치 진행률 출력',
+      properties: { directive: 'jci-disable-next-line', line: 5 }
+    }]);
+    assert.equal(resultFor('SEC_SQL_001').suppressions, undefined);
+  });
+
+  it('fixes: 수정안이 있는 이슈만 (이슈 위치 범위 교체)', () => {
+    assert.deepEqual(resultFor('SEC_SQL_001').fixes, [{
+      description: { text: '바인딩 변수 사용' },
+      artifactChanges: [{
+        artifactLocation: { uri: 'src/main/java/OrderDao.java', uriBaseId: '%SRCROOT%' },
+        replacements: [{
+          deletedRegion: { startLine: 3, endLine: 3 },
+          insertedContent: { text: `${FIXES[0].fixedCode}\n` }
+        }]
+      }]
+    }]);
+    assert.equal(resultFor('ISSUE-2024-017').fixes, undefined);
+  });
+
+  it('--generate-fixes 미사용(수정안 없음)이면 fixes 없음', () => {
+    const [withoutFixes] = buildReport([]).runs;
+    assert.ok(withoutFixes.results.every(result => result.fixes === undefined));
+
+    const [omitted] = buildReport(undefined).runs;
+    assert.ok(omitted.results.every(result => result.fixes === undefined));
+  });
+});
+
+describe('toSarifIssues', () => {
+  it('check-guidelines 위반/경고 → 이슈 (기본 심각도, --fix 수정안 issueId와 같은 id)', () => {
+    const issues = toSarifIssues(
+      [{ ruleId: 'NAMING_001', title: '클래스 이름', message: 'PascalCase 사용', line: 1, fingerprint: 'fp-1' }],
+      [{ ruleId: 'DOC_001', title: 'Javadoc 누락', line: 2, column: 3 }]
+    );
+
+    assert.deepEqual(issues.map(issue => [issue.id, issue.severity, issue.description, issue.category]), [
+      ['style_NAMING_001_1', 'MEDIUM', 'PascalCase 사용', 'code_style'],
+      ['style_DOC_001_2', 'LOW', 'Javadoc 누락', 'code_style']
+    ]);
+    assert.deepEqual(issues[1].location, { startLine: 2, endLine: 2, column: 3 });
+
+    const [run] = buildSarifReport([{
+      filePath: 'A.java',
+      sourceCode: SOURCE,
+      issues,
+      fixes: [{ issueId: 'style_NAMING_001_1', fixedLine: 'public class OrderDaoImpl {', explanation: '이름 변경' }]
+    }]).runs;
+    assert.deepEqual(run.results[0].fixes[0].artifactChanges[0].replacements[0].deletedRegion, { startLine: 1, endLine: 1 });
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * 구조 규칙 DSL 테스트 (규칙 정의 검증, CST 분석 결과 매칭)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { JavaASTParser } from '../src/ast/javaAstParser.js';
+import { compileStructuralRule, findStructuralMatches } from '../src/ast/structuralRuleMatcher.js';
+
+const SOURCE = `
+package com.example;
+
+import java.sql.Connection;
+
+public class UserDao {
+  private DataSource dataSource;
+
+  public void leaky() throws Exception {
+    Connection conn = dataSource.getConnection();
+    conn.prepareStatement("select 1");
+  }
+
+  public void closed() throws Exception {
+    Connection conn = dataSource.getConnection();
+    try {
+      conn.prepareStatement("select 1");
+    } finally {
+      conn.close();
+    }
+  }
+
+  public void looped(java.util.List<String> ids) throws Exception {
+    for (String id : ids) {
+      Connection conn = dataSource.getConnection();
+      conn.close();
+    }
+  }
+}
+`;
+
+function analyze(source) {
+  const result = new JavaASTParser().parseJavaCode(source);
+  assert.equal(result.analysis.parseMode, 'cst');
+  return result.analysis;
+}
+
+describe('compileStructuralRule', () => {
+  it('오류를 모아서 한 번에 보고', () => {
+    assert.throws(
+      () => compileStructuralRule({
+        node: 'variable',
+        where: { color: 'red', name: { matches: '(' } },
+        has: [{ node: 'lambda' }],
+        extra: true
+      }),
+      error => ['structure.extra', 'structure.where.color', 'structure.where.name.matches', 'structure.has[0].node']
+        .every(path => error.message.includes(path))
+    );
+  });
+
+  it('최상위 규칙의 "$" 참조는 오류', () => {
+    assert.throws(() => compileStructuralRule({ node: 'call', where: { target: '$name' } }), /"\$" 참조/);
+  });
+
+  it('잘못된 scope/연산자는 오류', () => {
+    assert.throws(() => compileStructuralRule({ node: 'call', scope: 'package' }), /structure\.scope/);
+    assert.throws(() => compileStructuralRule({ node: 'call', where: { method: { in: 'close' } } }), /\.in: 배열/);
+  });
+});
+
+describe('findStructuralMatches', () => {
+  const analysis = analyze(SOURCE);
+  const enclosingMethod = variable => analysis.methodDeclarations
+    .find(method => method.location.startLine <= variable.location.startLine && method.location.endLine >= variable.location.endLine)
+    .name;
+
+  it('without + "$" 참조: close() 호출 없는 Connection 변수', () => {
+    const rule = compileStructuralRule({
+      node: 'variable',
+      where: { baseType: 'Connection', isField: false },
+      without: [{ node: 'call', where: { method: 'close', target: '$name' } }]
+    });
+
+    assert.deepEqual(findStructuralMatches(rule, analysis).map(enclosingMethod), ['leaky']);
+  });
+
+  it('inside/notInside: 반복문 안 변수만 / 반복문 밖 변수만', () => {
+    const inLoop = compileStructuralRule({ node: 'variable', where: { baseType: 'Connection' }, inside: { node: 'loop' } });
+    const outsideLoop = compileStructuralRule({ node: 'variable', where: { baseType: 'Connection' }, notInside: { node: 'loop' } });
+
+    assert.deepEqual(findStructuralMatches(inLoop, analysis).map(enclosingMethod), ['looped']);
+    assert.deepEqual(findStructuralMatches(outsideLoop, analysis).map(enclosingMethod), ['leaky', 'closed']);
+  });
+
+  it('has + 조건 연산자: finally 블록이 있는 메서드', () => {
+    const rule = compileStructuralRule({
+      node: 'method',
+      where: { name: { matches: '^(leaky|closed)$' }, throws: { exists: true } },
+      has: [{ node: 'finally' }]
+    });
+
+    assert.deepEqual(findStructuralMatches(rule, analysis).map(method => method.name), ['closed']);
+  });
+});
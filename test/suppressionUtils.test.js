@@ -0,0 +1,145 @@
+/**
+ * 인라인 억제 지시문 테스트 (다음 라인/구간/@SuppressWarnings 범위, 리터럴 안 지시문 무시)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSuppressionIndex, partitionSuppressedIssues, summarizeSuppressions } from '../src/utils/suppressionUtils.js';
+
+const source = lines => lines.join('\n');
+
+// 라인별 이슈를 만들어 억제 여부만 비교
+function suppressedLines(code, ruleId, lines) {
+  const issues = lines.map(line => ({ ruleId, line }));
+  const { suppressed } = partitionSuppressedIssues(issues, buildSuppressionIndex(code));
+  return suppressed.map(issue => issue.line);
+}
+
+describe('buildSuppressionIndex', () => {
+  it('jci-disable-next-line: 다음 라인만, 규칙 ID와 사유 기록', () => {
+    const code = source([
+      'class A {',
+      '  // jci-disable-next-line SQL_INJECTION, R002 -- 레거시 API 호환',
+      '  String q = "select " + id;',
+      '  String r = "select " + id;',
+      '}'
+    ]);
+
+    assert.deepEqual(buildSuppressionIndex(code), [{
+      ruleIds: ['SQL_INJECTION', 'R002'],
+      startLine: 3,
+      endLine: 3,
+      directive: 'jci-disable-next-line',
+      line: 2,
+      reason: '레거시 API 호환'
+    }]);
+    assert.deepEqual(suppressedLines(code, 'SQL_INJECTION', [3, 4]), [3]);
+    assert.deepEqual(suppressedLines(code, 'OTHER', [3]), []);
+  });
+
+  it('jci-disable ~ jci-enable 구간, 일부 규칙만 닫으면 나머지는 계속 억제', () => {
+    const code = source([
+      'class A {',
+      '  /* jci-disable R1 R2 */',
+      '  void a() {}',
+      '  // jci-enable R1',
+      '  void b() {}',
+      '}'
+    ]);
+
+    assert.deepEqual(suppressedLines(code, 'R1', [3, 5]), [3]);
+    assert.deepEqual(suppressedLines(code, 'R2', [3, 5, 6]), [3, 5, 6]);
+  });
+
+  it('규칙 ID 생략/"all"은 모든 규칙, 닫지 않은 구간은 파일 끝까지', () => {
+    const code = source([
+      'class A {',
+      '  // jci-disable all',
+      '  void a() {}',
+      '}'
+    ]);
+
+    const [suppression] = buildSuppressionIndex(code);
+    assert.equal(suppression.ruleIds, null);
+    assert.equal(suppression.endLine, 4);
+    assert.deepEqual(suppressedLines(code, 'ANY', [1, 3, 4]), [3, 4]);
+  });
+
+  it('@SuppressWarnings("jci:...")는 어노테이션이 붙은 선언 범위만', () => {
+    const code = source([
+      'class A {',
+      '  @SuppressWarnings({"unchecked", "jci:R1"})',
+      '  void a() {',
+      '    String s = "}";',
+      '  }',
+      '',
+      '  @SuppressWarnings(value = "jci:*")',
+      '  private int field;',
+      '',
+      '  @SuppressWarnings("unchecked")',
+      '  void b() {}',
+      '}'
+    ]);
+
+    const suppressions = buildSuppressionIndex(code);
+    assert.deepEqual(suppressions.map(({ ruleIds, startLine, endLine }) => ({ ruleIds, startLine, endLine })), [
+      { ruleIds: ['R1'], startLine: 2, endLine: 5 },
+      { ruleIds: null, startLine: 7, endLine: 8 }
+    ]);
+    assert.deepEqual(suppressedLines(code, 'R1', [4, 6, 8, 11]), [4, 8]);
+  });
+
+  it('문자열/문자 리터럴, 텍스트 블록 안의 지시문은 무시', () => {
+    const code = source([
+      'class A {',
+      '  String help = "use // jci-disable SQL_INJECTION to silence";',
+      '  char slash = \'/\'; String block = "/* jci-disable-next-line */";',
+      '  String doc = """',
+      '      // jci-disable all',
+      '      @SuppressWarnings("jci:*") class X {}',
+      '      """;',
+      '  String q = "select " + id;',
+      '}'
+    ]);
+
+    assert.deepEqual(buildSuppressionIndex(code), []);
+    assert.deepEqual(suppressedLines(code, 'SQL_INJECTION', [4, 8]), []);
+  });
+
+  it('코드 뒤 주석과 문자열 뒤 주석의 지시문은 인식', () => {
+    const code = source([
+      'class A {',
+      '  String q = "a // b"; // jci-disable-next-line R1',
+      '  String r = q;',
+      '}'
+    ]);
+
+    assert.deepEqual(suppressedLines(code, 'R1', [3]), [3]);
+  });
+});
+
+describe('partitionSuppressedIssues / summarizeSuppressions', () => {
+  it('패턴 ID/카테고리로도 일치, 억제 정보 기록 후 규칙/지시문별 집계', () => {
+    const code = source([
+      '// jci-disable-next-line resource_management',
+      'Connection c = ds.getConnection();',
+      '// jci-disable-next-line P-001',
+      'Statement s = c.createStatement();'
+    ]);
+    const issues = [
+      { category: 'resource_management', location: { startLine: 2 } },
+      { patternInfo: { patternId: 'P-001' }, category: 'security', location: { startLine: 4 } },
+      { ruleId: 'R1', line: 4 }
+    ];
+
+    const { active, suppressed } = partitionSuppressedIssues(issues, buildSuppressionIndex(code));
+
+    assert.deepEqual(active, [{ ruleId: 'R1', line: 4 }]);
+    assert.deepEqual(suppressed[0].suppressedBy, { directive: 'jci-disable-next-line', line: 1, reason: null });
+    assert.deepEqual(summarizeSuppressions(suppressed), {
+      total: 2,
+      byRule: { resource_management: 1, 'P-001': 1 },
+      byDirective: { 'jci-disable-next-line': 2 }
+    });
+  });
+});